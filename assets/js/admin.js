@@ -8,11 +8,61 @@
     'use strict';
 
     var GPL = {
+        /**
+         * Number of bulk action requests run in parallel
+         */
+        bulkConcurrency: 2,
+
+        /**
+         * State of the running bulk action, or null when idle
+         */
+        bulk: null,
+
+        /**
+         * Milliseconds between background job status requests
+         */
+        jobPollInterval: 1000,
+
+        /**
+         * Seconds between background refreshes of the plugin statuses
+         */
+        statusRefreshInterval: 30,
+
+        /**
+         * Server time the plugin statuses were last refreshed at
+         */
+        statusSince: 0,
+
+        /**
+         * Whether plugins added in another tab were already pointed out
+         */
+        addedToastShown: false,
+
+        /**
+         * Search, filters and sort of the plugins table, mirrored in the URL hash
+         */
+        tableState: {
+            search: '',
+            filters: [],
+            sort: '',
+            order: 'asc'
+        },
+
+        /**
+         * Order of statuses when sorting by status, most urgent first
+         */
+        statusOrder: ['error', 'local_changes', 'update_available', 'syncing', 'pinned', 'up_to_date'],
+
         /**
          * Initialize
          */
         init: function() {
             this.bindEvents();
+            this.applyCapabilities();
+            this.resumeJobs();
+            this.readTableState();
+            this.applyTableState();
+            this.startStatusRefresh();
         },
 
         /**
@@ -25,6 +75,9 @@
 
             // Repository URL validation
             $(document).on('blur', '#gpl-repo-url', this.onRepoUrlBlur);
+            $(document).on('input', '#gpl-repo-url', this.onRepoUrlInput);
+            $(document).on('change', '#gpl-provider', this.onProviderChange);
+            $(document).on('change', '#gpl-source', this.onSourceChange);
             $(document).on('click', '#gpl-load-refs', this.loadRefs);
 
             // Add plugin form submit
@@ -32,8 +85,14 @@
 
             // Plugin actions
             $(document).on('click', '.gpl-sync-btn', this.syncPlugin);
+            $(document).on('click', '.gpl-request-sync-btn', this.showRequestSync);
+            $(document).on('click', '.gpl-request-sync-send', this.requestSync);
             $(document).on('click', '.gpl-check-btn', this.checkUpdates);
             $(document).on('click', '.gpl-export-btn', this.exportPlugin);
+            $(document).on('change', '.gpl-export-profile', this.fillExportProfile);
+            $(document).on('click', '.gpl-export-build', this.buildExport);
+            $(document).on('click', '.gpl-export-save-profile', this.saveExportProfile);
+            $(document).on('click', '.gpl-export-delete-profile', this.deleteExportProfile);
             $(document).on('click', '.gpl-remove-btn', this.removePlugin);
 
             // Auto-sync toggle
@@ -43,6 +102,75 @@
             $(document).on('click', '.gpl-load-branches', this.loadBranches);
             $(document).on('change', '.gpl-branch-select', this.changeBranch);
 
+            // What's new modal
+            $(document).on('click', '.gpl-whats-new-btn', this.showChanges);
+            $(document).on('click', '.gpl-sync-to-btn', this.syncToCommit);
+
+            // Local changes modal
+            $(document).on('click', '.gpl-stash-sync-btn', this.stashAndSync);
+            $(document).on('click', '.gpl-patch-sync-btn', this.exportPatchAndSync);
+            $(document).on('click', '.gpl-modal-close', this.closeModal);
+            $(document).on('click', '.gpl-modal', function(e) {
+                if ($(e.target).is('.gpl-modal')) {
+                    GPL.closeModal(e);
+                }
+            });
+            $(document).on('keydown', function(e) {
+                if (e.key === 'Escape' && $('.gpl-modal:visible').length) {
+                    GPL.closeModal(e);
+                }
+            });
+
+            // Commit pinning
+            $(document).on('click', '.gpl-pin-commit-btn', this.showCommitPicker);
+            $(document).on('click', '.gpl-pin-cancel', this.hideCommitPicker);
+            $(document).on('click', '.gpl-pin-apply', this.pinCommit);
+            $(document).on('click', '.gpl-unpin-btn', this.syncPlugin);
+
+            // Version constraints
+            $(document).on('click', '.gpl-constraint-btn', this.showConstraintEditor);
+            $(document).on('click', '.gpl-constraint-cancel', this.hideConstraintEditor);
+            $(document).on('click', '.gpl-constraint-apply', this.setConstraint);
+            $(document).on('click', '.gpl-constraint-clear', this.setConstraint);
+
+            // Sync history
+            $(document).on('click', '.gpl-history-btn', this.showHistory);
+            $(document).on('click', '.gpl-rollback-btn', this.rollbackPlugin);
+
+            // Post-sync steps
+            $(document).on('click', '.gpl-post-sync-btn', this.showPostSyncSteps);
+            $(document).on('click', '.gpl-post-sync-save', this.savePostSyncSteps);
+
+            // Approvals page
+            $(document).on('click', '.gpl-approve-btn, .gpl-reject-btn', this.reviewSyncRequest);
+
+            // Exports page
+            $(document).on('change', '#gpl-exports-select-all', this.toggleAllExports);
+            $(document).on('change', '.gpl-export-select', this.updateExportSelection);
+            $(document).on('click', '.gpl-export-download-btn', this.downloadExport);
+            $(document).on('click', '.gpl-export-copy-link', this.copyExportLink);
+            $(document).on('click', '.gpl-export-pin-btn', this.pinExport);
+            $(document).on('click', '.gpl-export-delete-btn', this.deleteExports);
+            $(document).on('click', '.gpl-exports-delete-selected', this.deleteExports);
+
+            // Background job log
+            $(document).on('click', '.gpl-job-log-toggle', this.toggleJobLog);
+
+            // Bulk actions
+            $(document).on('change', '.gpl-select-all', this.toggleSelectAll);
+            $(document).on('change', '.gpl-row-select', this.onRowSelect);
+            $(document).on('click', '.gpl-bulk-apply', this.applyBulkAction);
+            $(document).on('click', '.gpl-bulk-cancel', this.cancelBulkAction);
+
+            // Table search, filters and sorting
+            $(document).on('input', '#gpl-plugin-search', this.onTableSearch);
+            $(document).on('click', '.gpl-filter-chip', this.toggleTableFilter);
+            $(document).on('click', '.gpl-sort-link', this.sortTable);
+            $(window).on('hashchange', function() {
+                GPL.readTableState();
+                GPL.applyTableState();
+            });
+
             // More actions dropdown
             $(document).on('click', '.gpl-more-btn', this.toggleDropdown);
             $(document).on('click', function(e) {
@@ -53,6 +181,29 @@
 
             // Settings form
             $(document).on('submit', '#gpl-settings-form', this.saveSettings);
+
+            // Manifest
+            $(document).on('click', '.gpl-manifest-btn', this.showManifest);
+            $(document).on('change', '#gpl-manifest-file', this.readManifestFile);
+            $(document).on('click', '.gpl-manifest-preview-btn', this.previewManifest);
+            $(document).on('click', '.gpl-manifest-apply-btn', this.applyManifest);
+
+            // Webhooks
+            $(document).on('click', '.gpl-copy-btn', this.copyField);
+            $(document).on('click', '.gpl-regenerate-secret-btn', this.regenerateWebhookSecret);
+
+            // Deploy keys
+            $(document).on('click', '.gpl-generate-deploy-key-btn', this.generateDeployKey);
+
+            // Toasts
+            $(document).on('click', '.gpl-toast-close', this.dismissToast);
+
+            // Notifications
+            $(document).on('click', '.gpl-test-notification-btn', this.testNotification);
+
+            // GitHub API
+            $(document).on('click', '.gpl-refresh-api-status', this.refreshApiStatus);
+            $(document).on('click', '.gpl-clear-api-cache', this.refreshApiStatus);
         },
 
         /**
@@ -71,7 +222,21 @@
             e.preventDefault();
             $('.gpl-add-form').slideUp();
             $('#gpl-add-plugin-form')[0].reset();
+            $('.gpl-detected-provider').text('');
+            $('.gpl-add-job-log').hide().find('.gpl-job-output').empty();
             GPL.resetBranchSelect();
+            GPL.onSourceChange();
+            GPL.onRepoUrlInput();
+        },
+
+        /**
+         * Show the fields of the chosen install source
+         */
+        onSourceChange: function() {
+            var fromReleases = $('#gpl-source').val() === 'release';
+
+            $('.gpl-release-field').toggle(fromReleases);
+            $('.gpl-git-field').toggle(!fromReleases);
         },
 
         /**
@@ -84,15 +249,46 @@
             }
         },
 
+        /**
+         * Offer a deploy key while the repository URL is an SSH URL
+         */
+        onRepoUrlInput: function() {
+            var isSsh = GPL.isSshUrl($('#gpl-repo-url').val().trim());
+
+            $('.gpl-deploy-key-row').toggle(isSsh);
+            if (!isSsh) {
+                $('.gpl-deploy-key-row .gpl-deploy-key').hide().find('input').val('');
+            }
+        },
+
+        /**
+         * Check whether a repository URL uses SSH, like GPL_Git::is_ssh_url()
+         */
+        isSshUrl: function(url) {
+            return /^(ssh:\/\/[a-z0-9_][\w.-]*@[a-z0-9][\w.-]*(:\d+)?\/|[a-z0-9_][\w.-]*@[a-z0-9][\w.-]*:(?!\/\/))/i.test(url);
+        },
+
+        /**
+         * Re-validate the repository when the provider is changed by hand
+         */
+        onProviderChange: function() {
+            var url = $('#gpl-repo-url').val().trim();
+            if (url) {
+                GPL.validateRepo(url);
+            }
+        },
+
         /**
          * Validate repository URL
          */
         validateRepo: function(url) {
             var $status = $('.gpl-status-message');
             var $loadBtn = $('#gpl-load-refs');
+            var $detected = $('.gpl-detected-provider');
 
             $status.text(gplAdmin.strings.validating).removeClass('error success');
             $loadBtn.prop('disabled', true);
+            $detected.text('');
 
             $.ajax({
                 url: gplAdmin.ajaxUrl,
@@ -100,12 +296,19 @@
                 data: {
                     action: 'gpl_validate_repo',
                     nonce: gplAdmin.nonce,
-                    url: url
+                    url: url,
+                    provider: $('#gpl-provider').val()
                 },
                 success: function(response) {
                     if (response.success) {
                         $status.text('').removeClass('error');
                         $loadBtn.prop('disabled', false);
+                        $detected.text(GPL.format(gplAdmin.strings.detectedProvider, response.data.provider_label));
+
+                        // Preselect the default branch until refs are loaded
+                        if (response.data.default_branch) {
+                            $('#gpl-branch').html($('<option>').val(response.data.default_branch).text(response.data.default_branch));
+                        }
 
                         // Auto-fill slug if empty
                         if (!$('#gpl-slug').val()) {
@@ -141,7 +344,8 @@
                 data: {
                     action: 'gpl_get_refs',
                     nonce: gplAdmin.nonce,
-                    url: url
+                    url: url,
+                    provider: $('#gpl-provider').val()
                 },
                 success: function(response) {
                     if (response.success) {
@@ -154,7 +358,7 @@
                     alert(gplAdmin.strings.error);
                 },
                 complete: function() {
-                    $btn.prop('disabled', false).text('Load Branches/Tags');
+                    $btn.prop('disabled', false).text(gplAdmin.strings.loadRefs);
                 }
             });
         },
@@ -224,80 +428,407 @@
             $spinner.addClass('is-active');
             $status.text(gplAdmin.strings.cloning).removeClass('error success');
 
+            GPL.runJob({
+                action: 'gpl_add_plugin',
+                nonce: gplAdmin.nonce,
+                url: url,
+                branch: branch,
+                slug: slug,
+                provider: $('#gpl-provider').val(),
+                source: $('#gpl-source').val(),
+                release_asset: $('#gpl-release-asset').val().trim(),
+                prereleases: $('#gpl-prereleases').is(':checked') ? '1' : '0',
+                constraint: $('#gpl-constraint').val().trim()
+            }, $form.find('.gpl-add-job-log')).done(function(response) {
+                if (response.success) {
+                    $status.text(response.data.message).addClass('success');
+                    setTimeout(function() {
+                        location.reload();
+                    }, 1000);
+                } else {
+                    $status.text(response.data.message).addClass('error');
+                    $btn.prop('disabled', false);
+                }
+            }).fail(function() {
+                $status.text(gplAdmin.strings.error).addClass('error');
+                $btn.prop('disabled', false);
+            }).always(function() {
+                $spinner.removeClass('is-active');
+            });
+        },
+
+        /**
+         * Sync plugin
+         */
+        syncPlugin: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            GPL.doSync($btn.closest('tr'), $btn.data('slug'));
+        },
+
+        /**
+         * Run a sync for a plugin row, optionally to a specific commit
+         *
+         * Checks the plugin for local changes first and asks what to do
+         * with them instead of syncing over them.
+         */
+        doSync: function($row, slug, commit) {
+            var $btn = $row.find('.gpl-sync-btn');
+            var $spinner = $row.find('.spinner');
+
+            $btn.prop('disabled', true);
+            $spinner.addClass('is-active');
+
             $.ajax({
                 url: gplAdmin.ajaxUrl,
                 type: 'POST',
                 data: {
-                    action: 'gpl_add_plugin',
+                    action: 'gpl_get_local_changes',
                     nonce: gplAdmin.nonce,
-                    url: url,
-                    branch: branch,
                     slug: slug
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $status.text(response.data.message).addClass('success');
-                        setTimeout(function() {
-                            location.reload();
-                        }, 1000);
-                    } else {
-                        $status.text(response.data.message).addClass('error');
-                        $btn.prop('disabled', false);
-                    }
-                },
-                error: function() {
-                    $status.text(gplAdmin.strings.error).addClass('error');
-                    $btn.prop('disabled', false);
-                },
-                complete: function() {
-                    $spinner.removeClass('is-active');
                 }
+            }).done(function(response) {
+                if (!response.success) {
+                    alert(response.data.message);
+                } else if (response.data.clean) {
+                    GPL.startSync($row, slug, commit, '');
+                    return;
+                } else {
+                    GPL.showLocalChanges(slug, commit, response.data);
+                }
+
+                $btn.prop('disabled', false);
+                $spinner.removeClass('is-active');
+            }).fail(function() {
+                alert(gplAdmin.strings.error);
+                $btn.prop('disabled', false);
+                $spinner.removeClass('is-active');
             });
         },
 
         /**
-         * Sync plugin
+         * Start the sync job for a plugin row
          */
-        syncPlugin: function(e) {
+        startSync: function($row, slug, commit, localChanges) {
+            var job = GPL.runJob({
+                action: 'gpl_sync_plugin',
+                nonce: gplAdmin.nonce,
+                slug: slug,
+                commit: commit || '',
+                local_changes: localChanges || ''
+            }, GPL.getRowLog($row));
+
+            GPL.watchSync($row, job);
+        },
+
+        /**
+         * List the local changes of a plugin in the local changes modal
+         *
+         * The operation ('sync', 'pin' or 'rollback') is carried on once the user
+         * decides what to do with the changes.
+         */
+        showLocalChanges: function(slug, commit, data, operation) {
+            var $modal = $('.gpl-local-changes-modal');
+            var $files = $modal.find('.gpl-local-changes-files tbody');
+            var $commits = $modal.find('.gpl-local-changes-commits');
+            var statuses = gplAdmin.strings.fileStatuses;
+
+            $files.empty();
+            $commits.empty();
+
+            $modal.find('.gpl-local-changes-summary').text(
+                GPL.format(gplAdmin.strings.localChangesSummary, data.files.length, data.commits.length)
+            );
+
+            $.each(data.files, function(i, file) {
+                $files.append(
+                    $('<tr>')
+                        .append($('<td class="gpl-local-changes-status">').append($('<span class="gpl-file-status">').text(statuses[file.status] || file.status)))
+                        .append($('<td>').append($('<code>').text(file.file)))
+                );
+            });
+
+            $.each(data.commits, function(i, commit) {
+                $commits.append(
+                    $('<li>')
+                        .append($('<code>').text(commit.hash.substring(0, 7)))
+                        .append(' ')
+                        .append($('<span class="gpl-commit-message">').text(commit.message))
+                );
+            });
+
+            $modal.find('.gpl-local-changes-files-wrap').toggle(data.files.length > 0);
+            $modal.find('.gpl-local-changes-commits-wrap').toggle(data.commits.length > 0);
+            $modal.find('.gpl-stash-sync-btn, .gpl-patch-sync-btn')
+                .prop('disabled', false)
+                .data('slug', slug)
+                .data('commit', commit || '')
+                .data('operation', operation || 'sync');
+            $modal.show();
+        },
+
+        /**
+         * Carry on with the operation the local changes modal was opened for
+         */
+        resumeOperation: function(operation, slug, commit, localChanges) {
+            if (operation === 'pin') {
+                GPL.startPin(slug, commit, localChanges);
+            } else if (operation === 'rollback') {
+                GPL.startRollback(slug, commit, localChanges);
+            } else {
+                GPL.startSync(GPL.getRow(slug), slug, commit, localChanges);
+            }
+        },
+
+        /**
+         * Stash the local changes of the plugin in the modal, then sync it
+         */
+        stashAndSync: function(e) {
             e.preventDefault();
 
             var $btn = $(this);
-            var $row = $btn.closest('tr');
             var slug = $btn.data('slug');
+
+            GPL.closeModal(e);
+            GPL.resumeOperation($btn.data('operation'), slug, $btn.data('commit'), 'stash');
+        },
+
+        /**
+         * Download the local changes of the plugin in the modal as a patch, then sync over them
+         */
+        exportPatchAndSync: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $modal = $btn.closest('.gpl-modal');
+            var slug = $btn.data('slug');
+            var commit = $btn.data('commit');
+            var operation = $btn.data('operation');
+
+            $modal.find('.gpl-modal-footer .button').prop('disabled', true);
+            $btn.text(gplAdmin.strings.exporting);
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_export_patch',
+                    nonce: gplAdmin.nonce,
+                    slug: slug
+                }
+            }).done(function(response) {
+                if (!response.success) {
+                    alert(response.data.message);
+                    return;
+                }
+
+                // Download without leaving the page, the sync keeps running
+                var $link = $('<a>').attr('href', response.data.url).attr('download', response.data.filename).appendTo('body');
+                $link[0].click();
+                $link.remove();
+
+                $('.gpl-modal').hide();
+                GPL.resumeOperation(operation, slug, commit, 'discard');
+            }).fail(function() {
+                alert(gplAdmin.strings.error);
+            }).always(function() {
+                $modal.find('.gpl-modal-footer .button').prop('disabled', false);
+                $btn.text(gplAdmin.strings.exportPatchSync);
+            });
+        },
+
+        /**
+         * Show a sync job's progress in its row and apply the result
+         */
+        watchSync: function($row, job) {
+            var $btn = $row.find('.gpl-sync-btn');
             var $spinner = $row.find('.spinner');
             var $status = $row.find('.gpl-status-badge');
 
             $btn.prop('disabled', true);
             $spinner.addClass('is-active');
-            $status.text(gplAdmin.strings.syncing).removeClass('gpl-status-ok gpl-status-update gpl-status-error').addClass('gpl-status-syncing');
+            $status.text(gplAdmin.strings.syncing).removeClass('gpl-status-ok gpl-status-update gpl-status-error gpl-status-pinned gpl-status-local').addClass('gpl-status-syncing');
+            $row.attr('data-status', 'syncing');
+            GPL.applyTableState();
+
+            job.done(function(response) {
+                if (response.success) {
+                    GPL.updatePluginRow($row, response.data.plugin);
+                } else if (response.data.plugin) {
+                    // e.g. a failed health check that reverted the sync
+                    GPL.updatePluginRow($row, response.data.plugin);
+                    alert(response.data.message);
+                } else {
+                    alert(response.data.message);
+                    $status.text(gplAdmin.strings.error).removeClass('gpl-status-syncing').addClass('gpl-status-error');
+                    $row.attr('data-status', 'error');
+                }
+            }).fail(function() {
+                alert(gplAdmin.strings.error);
+                $status.text(gplAdmin.strings.error).removeClass('gpl-status-syncing').addClass('gpl-status-error');
+                $row.attr('data-status', 'error');
+            }).always(function() {
+                GPL.applyTableState();
+                $btn.prop('disabled', false);
+                $spinner.removeClass('is-active');
+            });
+        },
+
+        /**
+         * Start a background job and poll it until it finishes
+         *
+         * The returned promise resolves with a regular AJAX response
+         * ({ success, data }) built from the finished job.
+         */
+        runJob: function(data, $log) {
+            var deferred = $.Deferred();
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: data
+            }).done(function(response) {
+                if (response.success) {
+                    GPL.resetJobLog($log);
+                    GPL.pollJob(response.data.job_id, $log, deferred, 0, 0);
+                } else {
+                    deferred.resolve(response);
+                }
+            }).fail(function() {
+                deferred.reject();
+            });
 
+            return deferred.promise();
+        },
+
+        /**
+         * Poll a background job and stream its output into the log
+         */
+        pollJob: function(jobId, $log, deferred, offset, failures) {
             $.ajax({
                 url: gplAdmin.ajaxUrl,
                 type: 'POST',
                 data: {
-                    action: 'gpl_sync_plugin',
+                    action: 'gpl_job_status',
                     nonce: gplAdmin.nonce,
-                    slug: slug
-                },
-                success: function(response) {
-                    if (response.success) {
-                        GPL.updatePluginRow($row, response.data.plugin);
-                    } else {
-                        alert(response.data.message);
-                        $status.text('Error').removeClass('gpl-status-syncing').addClass('gpl-status-error');
-                    }
-                },
-                error: function() {
-                    alert(gplAdmin.strings.error);
-                    $status.text('Error').removeClass('gpl-status-syncing').addClass('gpl-status-error');
-                },
-                complete: function() {
-                    $btn.prop('disabled', false);
-                    $spinner.removeClass('is-active');
+                    job_id: jobId,
+                    offset: offset
+                }
+            }).done(function(response) {
+                if (!response.success) {
+                    deferred.resolve(response);
+                    return;
                 }
+
+                var job = response.data;
+
+                GPL.renderJobLog($log, job);
+
+                if (job.done) {
+                    deferred.resolve({
+                        success: job.status === 'completed',
+                        data: { message: job.message, plugin: job.plugin }
+                    });
+                    return;
+                }
+
+                setTimeout(function() {
+                    GPL.pollJob(jobId, $log, deferred, job.offset, 0);
+                }, GPL.jobPollInterval);
+            }).fail(function() {
+                // Keep the job alive through short network hiccups
+                if (failures >= 5) {
+                    deferred.resolve({ success: false, data: { message: gplAdmin.strings.jobLost } });
+                    return;
+                }
+
+                setTimeout(function() {
+                    GPL.pollJob(jobId, $log, deferred, offset, failures + 1);
+                }, GPL.jobPollInterval * 2);
+            });
+        },
+
+        /**
+         * Resume polling jobs that were still running when the page loaded
+         */
+        resumeJobs: function() {
+            $('.gpl-plugins-table tr[data-job-id]').each(function() {
+                var $row = $(this);
+                var $log = GPL.getRowLog($row);
+                var deferred = $.Deferred();
+
+                GPL.resetJobLog($log);
+                GPL.pollJob($row.attr('data-job-id'), $log, deferred, 0, 0);
+                GPL.watchSync($row, deferred.promise());
             });
         },
 
+        /**
+         * Get the job log of a plugin row, creating it below the row if needed
+         */
+        getRowLog: function($row) {
+            var $logRow = $row.next('.gpl-job-log-row');
+
+            if (!$logRow.length) {
+                $logRow = $('<tr class="gpl-job-log-row">').append(
+                    $('<td>').attr('colspan', $row.children().length).append(
+                        $('<div class="gpl-job-log">').append(
+                            $('<button type="button" class="button-link gpl-job-log-toggle" aria-expanded="true">').append(
+                                $('<span class="gpl-job-phase">'),
+                                ' ',
+                                $('<span class="gpl-job-progress">')
+                            ),
+                            $('<pre class="gpl-job-output">')
+                        )
+                    )
+                ).hide();
+
+                $row.after($logRow);
+            }
+
+            return $logRow.find('.gpl-job-log');
+        },
+
+        /**
+         * Clear a job log before a new job writes to it
+         */
+        resetJobLog: function($log) {
+            $log.find('.gpl-job-output').empty();
+            $log.find('.gpl-job-phase, .gpl-job-progress').text('');
+            $log.closest('.gpl-job-log-row').show();
+            $log.show();
+        },
+
+        /**
+         * Append new job output to a log
+         */
+        renderJobLog: function($log, job) {
+            var $output = $log.find('.gpl-job-output');
+
+            $log.find('.gpl-job-phase').text(job.phase_label);
+            $log.find('.gpl-job-progress').text(job.progress);
+
+            if (job.lines.length) {
+                $output.append(document.createTextNode(job.lines.join('\n') + '\n'));
+                $output.scrollTop($output[0].scrollHeight);
+            }
+        },
+
+        /**
+         * Collapse or expand a job log
+         */
+        toggleJobLog: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var expanded = $btn.attr('aria-expanded') === 'true';
+
+            $btn.attr('aria-expanded', expanded ? 'false' : 'true')
+                .attr('title', expanded ? gplAdmin.strings.showLog : gplAdmin.strings.hideLog);
+            $btn.siblings('.gpl-job-output').toggle(!expanded);
+        },
+
         /**
          * Check for updates
          */
@@ -308,7 +839,6 @@
             var $row = $btn.closest('tr');
             var slug = $btn.data('slug');
             var $spinner = $row.find('.spinner');
-            var $status = $row.find('.gpl-status-badge');
 
             $btn.prop('disabled', true);
             $spinner.addClass('is-active');
@@ -323,15 +853,7 @@
                 },
                 success: function(response) {
                     if (response.success) {
-                        if (response.data.has_update) {
-                            $status.text('Update available')
-                                .removeClass('gpl-status-ok gpl-status-syncing gpl-status-error')
-                                .addClass('gpl-status-update');
-                        } else {
-                            $status.text('Up to date')
-                                .removeClass('gpl-status-update gpl-status-syncing gpl-status-error')
-                                .addClass('gpl-status-ok');
-                        }
+                        GPL.applyCheckResult($row, response.data);
                     } else {
                         alert(response.data.message);
                     }
@@ -347,60 +869,248 @@
         },
 
         /**
-         * Export plugin
+         * Show the export dialog of a plugin
          */
         exportPlugin: function(e) {
             e.preventDefault();
 
-            var $btn = $(this);
-            var $row = $btn.closest('tr');
-            var slug = $btn.data('slug');
-            var $spinner = $row.find('.spinner');
+            var slug = $(this).data('slug');
+            var $modal = $('.gpl-export-modal');
 
-            $btn.prop('disabled', true).text(gplAdmin.strings.exporting);
-            $spinner.addClass('is-active');
+            $modal.data('slug', slug);
+            $modal.find('.gpl-export-message').text(gplAdmin.strings.loadingExport).show();
+            $modal.find('.gpl-export-form, .gpl-export-result').hide();
+            $modal.find('.gpl-export-build').prop('disabled', true);
+            $modal.find('.gpl-export-branches, .gpl-export-tags').empty();
+            $modal.find('.gpl-export-ref').val('');
+            $modal.find('.gpl-export-commit').val('');
+            $modal.show();
 
             $.ajax({
                 url: gplAdmin.ajaxUrl,
                 type: 'POST',
                 data: {
-                    action: 'gpl_export_plugin',
+                    action: 'gpl_get_export_profiles',
                     nonce: gplAdmin.nonce,
                     slug: slug
                 },
                 success: function(response) {
-                    if (response.success) {
-                        // Trigger download
-                        window.location.href = response.data.url;
-                    } else {
-                        alert(response.data.message);
+                    if (!response.success) {
+                        $modal.find('.gpl-export-message').text(response.data.message);
+                        return;
                     }
+
+                    $.each(response.data.refs.branches, function(i, branch) {
+                        $modal.find('.gpl-export-branches').append($('<option>').val(branch).text(branch));
+                    });
+                    $.each(response.data.refs.tags, function(i, tag) {
+                        $modal.find('.gpl-export-tags').append($('<option>').val(tag).text(tag));
+                    });
+
+                    GPL.setExportProfiles(response.data.profiles, 'default');
+                    $modal.find('.gpl-export-message').hide();
+                    $modal.find('.gpl-export-form').show();
+                    $modal.find('.gpl-export-build').prop('disabled', false);
                 },
                 error: function() {
-                    alert(gplAdmin.strings.error);
-                },
-                complete: function() {
-                    $btn.prop('disabled', false).text('Export');
-                    $spinner.removeClass('is-active');
+                    $modal.find('.gpl-export-message').text(gplAdmin.strings.error);
                 }
             });
         },
 
         /**
-         * Remove plugin
+         * List the export profiles in the dialog and select one
          */
-        removePlugin: function(e) {
-            e.preventDefault();
+        setExportProfiles: function(profiles, selected) {
+            var $modal = $('.gpl-export-modal');
+            var $select = $modal.find('.gpl-export-profile').empty();
 
-            if (!confirm(gplAdmin.strings.confirmDelete)) {
+            $modal.data('profiles', profiles);
+
+            $.each(profiles, function(id, profile) {
+                $select.append($('<option>').val(id).text(profile.name));
+            });
+
+            $select.val(profiles[selected] ? selected : 'default').trigger('change');
+        },
+
+        /**
+         * Fill the dialog with the selected export profile
+         */
+        fillExportProfile: function() {
+            var $modal = $('.gpl-export-modal');
+            var id = $(this).val();
+            var profile = $modal.data('profiles')[id];
+
+            if (!profile) {
                 return;
             }
 
-            var deleteFiles = confirm(gplAdmin.strings.confirmDeleteFiles);
+            $modal.find('.gpl-export-exclusions').val(profile.exclusions.join('\n'));
+            $modal.find('.gpl-export-ignore-files').prop('checked', !!profile.ignore_files);
+            $modal.find('.gpl-export-stamp-version').prop('checked', !!profile.stamp_version);
+            $modal.find('.gpl-export-profile-name').val(id === 'default' ? '' : profile.name);
+            $modal.find('.gpl-export-delete-profile').toggle(id !== 'default');
+        },
 
-            var $btn = $(this);
-            var $row = $btn.closest('tr');
-            var slug = $btn.data('slug');
+        /**
+         * Get the export profile settings as edited in the dialog
+         */
+        getExportProfileData: function($modal) {
+            return {
+                exclusions: $modal.find('.gpl-export-exclusions').val(),
+                ignore_files: $modal.find('.gpl-export-ignore-files').is(':checked') ? 'true' : 'false',
+                stamp_version: $modal.find('.gpl-export-stamp-version').is(':checked') ? 'true' : 'false'
+            };
+        },
+
+        /**
+         * Build a ZIP with the dialog's settings and download it
+         */
+        buildExport: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var label = $btn.text();
+            var $modal = $('.gpl-export-modal');
+            var $spinner = $modal.find('.gpl-modal-footer .spinner');
+            var commit = $.trim($modal.find('.gpl-export-commit').val());
+
+            $btn.prop('disabled', true).text(gplAdmin.strings.exporting);
+            $spinner.addClass('is-active');
+            $modal.find('.gpl-export-result').hide();
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: $.extend({
+                    action: 'gpl_export_plugin',
+                    nonce: gplAdmin.nonce,
+                    slug: $modal.data('slug'),
+                    profile: $modal.find('.gpl-export-profile').val(),
+                    ref: commit || $modal.find('.gpl-export-ref').val()
+                }, GPL.getExportProfileData($modal)),
+                success: function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+
+                    var data = response.data;
+
+                    $modal.find('.gpl-export-download').attr('href', data.url).text(data.filename);
+                    $modal.find('.gpl-export-size').text('(' + data.size + ')');
+                    $modal.find('.gpl-export-checksum').text(data.checksum);
+                    $modal.find('.gpl-export-checksum-link').attr('href', data.checksum_url);
+                    $modal.find('.gpl-export-result').show();
+
+                    // Trigger download
+                    window.location.href = data.url;
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false).text(label);
+                    $spinner.removeClass('is-active');
+                }
+            });
+        },
+
+        /**
+         * Save the dialog's settings as an export profile
+         */
+        saveExportProfile: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $modal = $('.gpl-export-modal');
+
+            $btn.prop('disabled', true);
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: $.extend({
+                    action: 'gpl_save_export_profile',
+                    nonce: gplAdmin.nonce,
+                    slug: $modal.data('slug'),
+                    name: $modal.find('.gpl-export-profile-name').val()
+                }, GPL.getExportProfileData($modal)),
+                success: function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+
+                    GPL.setExportProfiles(response.data.profiles, response.data.profile);
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Delete the selected export profile
+         */
+        deleteExportProfile: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $modal = $('.gpl-export-modal');
+            var $select = $modal.find('.gpl-export-profile');
+
+            if (!confirm(GPL.format(gplAdmin.strings.confirmDeleteProfile, $select.find('option:selected').text()))) {
+                return;
+            }
+
+            $btn.prop('disabled', true);
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_delete_export_profile',
+                    nonce: gplAdmin.nonce,
+                    slug: $modal.data('slug'),
+                    profile: $select.val()
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+
+                    GPL.setExportProfiles(response.data.profiles, 'default');
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Remove plugin
+         */
+        removePlugin: function(e) {
+            e.preventDefault();
+
+            if (!confirm(gplAdmin.strings.confirmDelete)) {
+                return;
+            }
+
+            var deleteFiles = confirm(gplAdmin.strings.confirmDeleteFiles);
+
+            var $btn = $(this);
+            var $row = $btn.closest('tr');
+            var slug = $btn.data('slug');
 
             $.ajax({
                 url: gplAdmin.ajaxUrl,
@@ -415,9 +1125,10 @@
                     if (response.success) {
                         $row.fadeOut(function() {
                             $(this).remove();
-                            if ($('.gpl-plugins-table tbody tr').length === 0) {
+                            if ($('.gpl-plugins-table tbody tr[data-slug]').length === 0) {
                                 location.reload();
                             }
+                            GPL.applyTableState();
                         });
                     } else {
                         alert(response.data.message);
@@ -448,16 +1159,7 @@
                 },
                 success: function(response) {
                     if (response.success) {
-                        var $row = $checkbox.closest('tr');
-                        var $name = $row.find('.column-name');
-
-                        if (enabled) {
-                            if (!$name.find('.gpl-badge-autosync').length) {
-                                $name.find('strong').after('<span class="gpl-badge gpl-badge-autosync">Auto-sync</span>');
-                            }
-                        } else {
-                            $name.find('.gpl-badge-autosync').remove();
-                        }
+                        GPL.setAutosyncBadge($checkbox.closest('tr'), enabled);
                     } else {
                         alert(response.data.message);
                         $checkbox.prop('checked', !enabled);
@@ -501,7 +1203,7 @@
                     alert(gplAdmin.strings.error);
                 },
                 complete: function() {
-                    $btn.text('Change');
+                    $btn.text(gplAdmin.strings.change);
                 }
             });
         },
@@ -554,72 +1256,2112 @@
             $dropdown.toggleClass('active');
         },
 
+        /**
+         * Keep the plugins table current through the WordPress Heartbeat
+         */
+        startStatusRefresh: function() {
+            if (!$('.gpl-plugins-table').length || typeof wp === 'undefined' || !wp.heartbeat) {
+                return;
+            }
+
+            GPL.statusSince = gplAdmin.serverTime;
+            wp.heartbeat.interval(GPL.statusRefreshInterval);
+
+            $(document).on('heartbeat-send', GPL.onHeartbeatSend);
+            $(document).on('heartbeat-tick', GPL.onHeartbeatTick);
+        },
+
+        /**
+         * Ask for the plugins changed since the last refresh
+         */
+        onHeartbeatSend: function(e, data) {
+            data.gpl_plugins = {
+                since: GPL.statusSince,
+                slugs: $('.gpl-plugins-table tbody tr[data-slug]').map(function() {
+                    return $(this).attr('data-slug');
+                }).get()
+            };
+        },
+
+        /**
+         * Patch changed plugins into their rows
+         */
+        onHeartbeatTick: function(e, data) {
+            var refresh = data.gpl_plugins;
+
+            if (!refresh) {
+                return;
+            }
+
+            GPL.statusSince = refresh.time;
+
+            $.each(refresh.changed, function(slug, plugin) {
+                var $row = GPL.getRow(slug);
+                var previous = $row.attr('data-status');
+
+                // Rows syncing in this tab are updated when their job finishes
+                if (!$row.length || $row.find('.gpl-sync-btn').prop('disabled')) {
+                    return;
+                }
+
+                GPL.updatePluginRow($row, plugin);
+                GPL.setAutosyncBadge($row, !!plugin.auto_sync);
+
+                if (plugin.status !== previous && (plugin.status === 'update_available' || plugin.status === 'error')) {
+                    GPL.toast(
+                        GPL.format(plugin.status === 'error' ? gplAdmin.strings.toastError : gplAdmin.strings.toastUpdate, plugin.wp_plugin_name || slug),
+                        plugin.status === 'error' ? 'error' : 'info'
+                    );
+                }
+            });
+
+            $.each(refresh.last_sync, function(slug, label) {
+                GPL.getRow(slug).find('.column-last-sync').text(label);
+            });
+
+            $.each(refresh.removed, function(i, slug) {
+                var $row = GPL.getRow(slug);
+
+                $row.next('.gpl-job-log-row').remove();
+                $row.remove();
+            });
+
+            if (refresh.added && !GPL.addedToastShown) {
+                GPL.addedToastShown = true;
+                GPL.toast(gplAdmin.strings.toastAdded, 'info');
+            }
+
+            GPL.applyTableState();
+        },
+
+        /**
+         * Show a message in the corner of the screen for a few seconds
+         */
+        toast: function(message, type) {
+            var $container = $('.gpl-toasts');
+
+            if (!$container.length) {
+                $container = $('<div class="gpl-toasts" role="status" aria-live="polite">').appendTo('body');
+            }
+
+            var $toast = $('<div class="gpl-toast">').addClass('gpl-toast-' + type).append(
+                $('<span class="gpl-toast-message">').text(message),
+                $('<button type="button" class="gpl-toast-close">').attr('aria-label', gplAdmin.strings.dismiss).append(
+                    $('<span class="dashicons dashicons-no-alt">')
+                )
+            ).appendTo($container);
+
+            setTimeout(function() {
+                $toast.fadeOut(function() {
+                    $toast.remove();
+                });
+            }, 8000);
+        },
+
+        /**
+         * Close a toast
+         */
+        dismissToast: function(e) {
+            e.preventDefault();
+            $(this).closest('.gpl-toast').remove();
+        },
+
         /**
          * Update plugin row with new data
          */
         updatePluginRow: function($row, plugin) {
             // Update commit info
-            $row.find('.gpl-commit-info code').text(plugin.local_commit.substring(0, 7));
+            $row.find('.gpl-commit-info code').text(plugin.source === 'release' ? plugin.installed_version : plugin.local_commit.substring(0, 7));
 
             // Update status
+            GPL.setStatusBadge($row, plugin.status, plugin.commits_behind);
+            GPL.setVersionDetail($row, plugin);
+            GPL.setConstraintState($row, plugin);
+            GPL.setPinnedState($row, plugin.pinned_commit);
+            GPL.setHealthState($row, plugin.health_check);
+            GPL.setPostSyncState($row, plugin.post_sync_result);
+
+            // Update last sync time
+            $row.find('.column-last-sync').text(gplAdmin.strings.justNow);
+            $row.attr('data-last-sync', plugin.last_sync ? parseInt(plugin.last_sync, 10) : Math.floor(Date.now() / 1000));
+
+            // The row may no longer match the filters, or belong elsewhere in the sort
+            GPL.applyTableState();
+        },
+
+        /**
+         * Reflect an update check result in a plugin row
+         */
+        applyCheckResult: function($row, data) {
+            GPL.setStatusBadge($row, data.status, data.commits_behind);
+            GPL.setVersionDetail($row, data);
+            GPL.applyTableState();
+        },
+
+        /**
+         * Show which version an update goes to for release installs and tag tracking
+         */
+        setVersionDetail: function($row, data) {
+            if (data.status === 'update_available' && data.remote_version) {
+                $row.find('.gpl-status-detail').text(GPL.format(gplAdmin.strings.versionAvailable, data.installed_version || data.branch, data.remote_version));
+            } else if (data.status === 'update_available' && data.remote_commit && data.local_commit && data.source !== 'release') {
+                $row.find('.gpl-status-detail').text(GPL.format(gplAdmin.strings.versionAvailable, data.local_commit.substring(0, 7), data.remote_commit.substring(0, 7)));
+            }
+        },
+
+        /**
+         * Set the status badge of a plugin row
+         */
+        setStatusBadge: function($row, status, commitsBehind) {
             var statusClass = 'gpl-status-ok';
-            var statusText = 'Up to date';
+            var statusText = gplAdmin.strings.upToDate;
+            var detail = '';
 
-            if (plugin.status === 'update_available') {
+            if (status === 'update_available') {
                 statusClass = 'gpl-status-update';
-                statusText = 'Update available';
-            } else if (plugin.status === 'error') {
+                statusText = gplAdmin.strings.updateAvailable;
+            } else if (status === 'pinned') {
+                statusClass = 'gpl-status-pinned';
+                statusText = gplAdmin.strings.pinned;
+
+                if (commitsBehind) {
+                    detail = GPL.format(gplAdmin.strings.commitsAhead, commitsBehind);
+                }
+            } else if (status === 'local_changes') {
+                statusClass = 'gpl-status-local';
+                statusText = gplAdmin.strings.localChanges;
+            } else if (status === 'syncing') {
+                statusClass = 'gpl-status-syncing';
+                statusText = gplAdmin.strings.syncing;
+            } else if (status === 'error') {
                 statusClass = 'gpl-status-error';
-                statusText = 'Error';
+                statusText = gplAdmin.strings.error;
             }
 
+            $row.attr('data-status', status);
             $row.find('.gpl-status-badge')
-                .removeClass('gpl-status-ok gpl-status-update gpl-status-syncing gpl-status-error')
+                .removeClass('gpl-status-ok gpl-status-update gpl-status-syncing gpl-status-error gpl-status-pinned gpl-status-local')
                 .addClass(statusClass)
                 .text(statusText);
 
-            // Update last sync time
-            $row.find('.column-last-sync').text('Just now');
+            $row.find('.gpl-status-detail').text(detail);
+            $row.find('.gpl-whats-new-btn').toggle(status === 'update_available');
         },
 
         /**
-         * Save settings
+         * Show the outcome of the last health check in a plugin row
          */
-        saveSettings: function(e) {
+        setHealthState: function($row, health) {
+            var $health = $row.find('.gpl-health-status');
+
+            $health.removeClass('gpl-health-passed gpl-health-reverted gpl-health-failed');
+
+            if (!health || !health.status) {
+                $health.hide().text('');
+                return;
+            }
+
+            $health.addClass('gpl-health-' + health.status).text(health.message).show();
+        },
+
+        /**
+         * Show the outcome of the last post-sync steps in a plugin row
+         */
+        setPostSyncState: function($row, result) {
+            var $postSync = $row.find('.gpl-post-sync-status');
+
+            $postSync.removeClass('gpl-post-sync-passed gpl-post-sync-failed');
+
+            if (!result || !result.status) {
+                $postSync.hide().text('');
+                return;
+            }
+
+            $postSync.addClass('gpl-post-sync-' + result.status).text(result.message).show();
+        },
+
+        /**
+         * Show the post-sync steps of a plugin and the output of their last run
+         */
+        showPostSyncSteps: function(e) {
             e.preventDefault();
 
-            var $form = $(this);
-            var $btn = $form.find('button[type="submit"]');
-            var $spinner = $form.find('.spinner');
+            var slug = $(this).data('slug');
+            var $modal = $('.gpl-post-sync-modal');
+            var $lastRun = $modal.find('.gpl-post-sync-last-run');
+            var $output = $modal.find('.gpl-post-sync-output');
 
-            $btn.prop('disabled', true);
-            $spinner.addClass('is-active');
+            $('.gpl-dropdown').removeClass('active');
+            $modal.data('slug', slug);
+            $modal.find('input[type="checkbox"]').prop('checked', false).prop('disabled', true);
+            $modal.find('.gpl-post-sync-save').prop('disabled', true);
+            $modal.find('.gpl-post-sync-summary').text(gplAdmin.strings.loadingPostSync);
+            $output.empty();
+            $lastRun.show();
+            $modal.show();
 
-            var data = {
-                action: 'gpl_save_settings',
-                nonce: gplAdmin.nonce,
-                github_token: $('#gpl-github-token').val(),
-                clear_token: $('input[name="clear_token"]').is(':checked') ? '1' : '0',
-                auto_sync_interval: $('#gpl-sync-interval').val(),
-                export_exclusions: $('#gpl-export-exclusions').val(),
-                cleanup_exports_after: $('#gpl-cleanup-hours').val()
-            };
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_get_post_sync_steps',
+                    nonce: gplAdmin.nonce,
+                    slug: slug
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $modal.find('.gpl-post-sync-summary').text(response.data.message);
+                        return;
+                    }
+
+                    var data = response.data;
+
+                    $modal.find('input[type="checkbox"]').prop('disabled', false);
+                    $modal.find('.gpl-post-sync-save').prop('disabled', false);
+                    $modal.find('.gpl-post-sync-submodules').prop('checked', data.submodules);
+                    $modal.find('.gpl-post-sync-build').each(function() {
+                        $(this).prop('checked', $.inArray($(this).val(), data.build) !== -1);
+                    });
+
+                    if (!data.result) {
+                        $lastRun.hide();
+                        return;
+                    }
+
+                    $modal.find('.gpl-post-sync-summary').text(GPL.format(gplAdmin.strings.postSyncSummary, data.result.message, data.result.commit.substring(0, 7)));
+
+                    $.each(data.result.steps, function(i, step) {
+                        $output.append(
+                            $('<h4>').addClass(step.passed ? 'gpl-post-sync-passed' : 'gpl-post-sync-failed').append($('<code>').text(step.label)),
+                            $('<pre class="gpl-job-output">').text(step.output.join('\n'))
+                        );
+                    });
+                },
+                error: function() {
+                    $modal.find('.gpl-post-sync-summary').text(gplAdmin.strings.error);
+                }
+            });
+        },
+
+        /**
+         * Save the post-sync steps chosen in the modal
+         */
+        savePostSyncSteps: function(e) {
+            e.preventDefault();
+
+            var $modal = $('.gpl-post-sync-modal');
+            var $btn = $(this);
+            var slug = $modal.data('slug');
+
+            $btn.prop('disabled', true);
 
             $.ajax({
                 url: gplAdmin.ajaxUrl,
                 type: 'POST',
-                data: data,
+                data: {
+                    action: 'gpl_set_post_sync_steps',
+                    nonce: gplAdmin.nonce,
+                    slug: slug,
+                    submodules: $modal.find('.gpl-post-sync-submodules').is(':checked') ? '1' : '0',
+                    build: $modal.find('.gpl-post-sync-build:checked').map(function() {
+                        return $(this).val();
+                    }).get()
+                },
                 success: function(response) {
+                    alert(response.data.message);
+
                     if (response.success) {
-                        alert(response.data.message);
-                        location.reload();
-                    } else {
-                        alert(response.data.message);
+                        $modal.hide();
                     }
                 },
                 error: function() {
                     alert(gplAdmin.strings.error);
                 },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Show the commits and files between the local and remote commit
+         */
+        showChanges: function(e) {
+            e.preventDefault();
+
+            var slug = $(this).data('slug');
+            var $modal = $('.gpl-changes-modal');
+            var $summary = $modal.find('.gpl-changes-summary');
+            var $commits = $modal.find('.gpl-changes-commits');
+            var $files = $modal.find('.gpl-changes-files tbody');
+            var $syncBtn = $modal.find('.gpl-sync-to-btn');
+
+            $summary.text(gplAdmin.strings.loadingChanges);
+            $commits.empty();
+            $files.empty();
+            $syncBtn.prop('disabled', true).data('slug', slug).data('commit', '');
+            $modal.find('.gpl-changes-compare-link').hide();
+            $modal.find('.gpl-changes-details').show();
+            $modal.find('.gpl-release-notes').hide().empty();
+            $modal.show();
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_get_changes',
+                    nonce: gplAdmin.nonce,
+                    slug: slug
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $summary.text(response.data.message);
+                        return;
+                    }
+
+                    if (response.data.release) {
+                        GPL.renderReleaseNotes($modal, response.data);
+                        $syncBtn.prop('disabled', !response.data.has_update);
+                        return;
+                    }
+
+                    GPL.renderChanges($modal, response.data);
+                    $syncBtn.data('commit', response.data.head).prop('disabled', !response.data.commits.length);
+                },
+                error: function() {
+                    $summary.text(gplAdmin.strings.error);
+                }
+            });
+        },
+
+        /**
+         * Render a commit comparison into the changes modal
+         */
+        renderChanges: function($modal, data) {
+            var $commits = $modal.find('.gpl-changes-commits');
+            var $files = $modal.find('.gpl-changes-files tbody');
+
+            if (!data.commits.length) {
+                $modal.find('.gpl-changes-summary').text(gplAdmin.strings.noChanges);
+                return;
+            }
+
+            $modal.find('.gpl-changes-summary').text(
+                GPL.format(gplAdmin.strings.changesSummary, data.total_commits, data.files.length)
+            );
+
+            // Newest commit first
+            $.each(data.commits.slice().reverse(), function(i, commit) {
+                var title = commit.message.split('\n')[0];
+
+                $commits.append(
+                    $('<li>')
+                        .append($('<a target="_blank" rel="noopener">').attr('href', commit.url).append($('<code>').text(commit.sha.substring(0, 7))))
+                        .append(' ')
+                        .append($('<span class="gpl-commit-message">').attr('title', commit.message).text(title))
+                        .append($('<span class="gpl-commit-meta">').text(commit.author + ', ' + new Date(commit.date).toLocaleString()))
+                );
+            });
+
+            $.each(data.files, function(i, file) {
+                $files.append(
+                    $('<tr>')
+                        .append($('<td>').append($('<code>').text(file.filename)).append(' ').append($('<span class="gpl-file-status">').text(file.status)))
+                        .append($('<td class="gpl-changes-count gpl-additions">').text('+' + file.additions))
+                        .append($('<td class="gpl-changes-count gpl-deletions">').text('-' + file.deletions))
+                );
+            });
+
+            if (data.url) {
+                $modal.find('.gpl-changes-compare-link').attr('href', data.url).text(gplAdmin.strings.viewComparison).show();
+            }
+        },
+
+        /**
+         * Render the notes of the newest release into the changes modal
+         */
+        renderReleaseNotes: function($modal, data) {
+            var release = data.release;
+            var published = release.published ? new Date(release.published).toLocaleDateString() : '';
+
+            $modal.find('.gpl-changes-details').hide();
+            $modal.find('.gpl-changes-summary').text(
+                published ? GPL.format(gplAdmin.strings.releaseSummary, release.name, published) : release.name
+            );
+
+            // Notes are Markdown, shown as plain text
+            $modal.find('.gpl-release-notes')
+                .text($.trim(release.notes) || gplAdmin.strings.noReleaseNotes)
+                .show();
+
+            if (release.url) {
+                $modal.find('.gpl-changes-compare-link').attr('href', release.url).text(gplAdmin.strings.viewRelease).show();
+            }
+        },
+
+        /**
+         * Sync the plugin to the commit shown in the changes modal
+         */
+        syncToCommit: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var slug = $btn.data('slug');
+
+            GPL.closeModal(e);
+            GPL.doSync(GPL.getRow(slug), slug, $btn.data('commit'));
+        },
+
+        /**
+         * Hide or disable the controls for actions the current user isn't allowed to take
+         *
+         * The server checks every request anyway; this only keeps the page from offering them.
+         */
+        applyCapabilities: function() {
+            var caps = gplAdmin.caps;
+            var $bulk = $('#gpl-bulk-action');
+
+            if (!caps.sync) {
+                // Users who can't sync ask for a sync instead
+                $('.gpl-sync-btn, .gpl-unpin-btn, .gpl-pin-commit-btn, .gpl-load-branches, .gpl-constraint-btn, .gpl-constraint-clear').hide();
+                $('.gpl-sync-to-btn, .gpl-stash-sync-btn, .gpl-patch-sync-btn').hide();
+                $('.gpl-request-sync-btn').show();
+                $bulk.find('option[value="sync"]').remove();
+            }
+
+            if (!caps.check) {
+                $('.gpl-check-btn').hide();
+                $bulk.find('option[value="check"]').remove();
+            }
+
+            if (!caps.manage) {
+                $('.gpl-add-new-btn, .gpl-manifest-btn, .gpl-export-btn, .gpl-post-sync-btn, .gpl-remove-btn').hide();
+                $('.gpl-autosync-toggle').prop('disabled', true);
+                $bulk.find('option[value="export"], option[value^="autosync_"]').remove();
+            }
+
+            // Nothing left to do in bulk
+            if ($bulk.length && $bulk.find('option').length < 2) {
+                $('.gpl-bulk-actions').hide();
+            }
+        },
+
+        /**
+         * Open the request sync modal for a plugin
+         */
+        showRequestSync: function(e) {
+            e.preventDefault();
+
+            var $modal = $('.gpl-request-sync-modal');
+
+            $modal.find('.gpl-request-sync-send').data('slug', $(this).data('slug')).prop('disabled', false);
+            $modal.find('#gpl-request-sync-note').val('');
+            $modal.show();
+        },
+
+        /**
+         * Ask someone who can sync to sync a plugin
+         */
+        requestSync: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var slug = $btn.data('slug');
+
+            $btn.prop('disabled', true);
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_request_sync',
+                    nonce: gplAdmin.nonce,
+                    slug: slug,
+                    note: $('#gpl-request-sync-note').val()
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+
+                    GPL.closeModal(e);
+                    GPL.getRow(slug).find('.gpl-request-sync-btn').prop('disabled', true).text(gplAdmin.strings.syncRequested);
+                    GPL.toast(response.data.message, 'success');
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Approve or reject a sync request on the approvals page
+         */
+        reviewSyncRequest: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $row = $btn.closest('tr');
+            var approve = $btn.hasClass('gpl-approve-btn');
+
+            if (!approve && !confirm(gplAdmin.strings.confirmReject)) {
+                return;
+            }
+
+            $row.find('button').prop('disabled', true);
+            $row.find('.spinner').addClass('is-active');
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_review_sync_request',
+                    nonce: gplAdmin.nonce,
+                    id: $row.data('id'),
+                    approve: approve ? 'true' : 'false',
+                    comment: $row.find('.gpl-approval-comment').val()
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        $row.find('button').prop('disabled', false);
+                        return;
+                    }
+
+                    GPL.toast(response.data.message, 'success');
+                    $row.fadeOut(300, function() {
+                        var $tbody = $row.closest('tbody');
+
+                        $row.remove();
+                        $tbody.find('.gpl-approvals-empty').toggle(!$tbody.find('tr[data-id]').length);
+                    });
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                    $row.find('button').prop('disabled', false);
+                },
+                complete: function() {
+                    $row.find('.spinner').removeClass('is-active');
+                }
+            });
+        },
+
+        /**
+         * Close any open modal
+         */
+        closeModal: function(e) {
+            e.preventDefault();
+            $('.gpl-modal').hide();
+        },
+
+        /**
+         * Show or hide the auto-sync badge of a plugin row
+         */
+        setAutosyncBadge: function($row, enabled) {
+            var $name = $row.find('.column-name');
+
+            $row.find('.gpl-autosync-toggle').prop('checked', enabled);
+            $row.attr('data-auto-sync', enabled ? '1' : '0');
+
+            if (enabled) {
+                if (!$name.find('.gpl-badge-autosync').length) {
+                    $name.find('strong').after(
+                        $('<span class="gpl-badge gpl-badge-autosync">').text(gplAdmin.strings.autoSync)
+                    );
+                }
+            } else {
+                $name.find('.gpl-badge-autosync').remove();
+            }
+
+            GPL.applyTableState();
+        },
+
+        /**
+         * Show the pinned commit of a plugin row
+         */
+        setPinnedState: function($row, pinnedCommit) {
+            var $pinned = $row.find('.gpl-pinned-at');
+
+            $pinned.find('code').text(pinnedCommit ? pinnedCommit.substring(0, 7) : '');
+            $pinned.toggle(!!pinnedCommit);
+        },
+
+        /**
+         * Show the version constraint of a plugin row and the tag it is on
+         */
+        setConstraintState: function($row, plugin) {
+            var constraint = plugin.version_constraint || '';
+            var $select = $row.find('.gpl-branch-select');
+
+            $row.find('.gpl-constraint-current').toggle(!!constraint).find('code').text(constraint);
+            $row.find('.gpl-constraint-btn').text(constraint ? gplAdmin.strings.editConstraint : gplAdmin.strings.followVersions);
+            $row.find('.gpl-constraint-input').val(constraint);
+
+            // Tag tracking moves the plugin to other tags
+            if ($select.length && $select.val() !== plugin.branch) {
+                if (!$select.find('option').filter(function() { return this.value === plugin.branch; }).length) {
+                    $select.append($('<option>').val(plugin.branch).text(plugin.branch));
+                }
+                $select.val(plugin.branch);
+            }
+        },
+
+        /**
+         * Show the version constraint editor
+         */
+        showConstraintEditor: function(e) {
+            e.preventDefault();
+
+            $(this).closest('td').find('.gpl-constraint-editor').show().find('.gpl-constraint-input').focus();
+        },
+
+        /**
+         * Hide the version constraint editor
+         */
+        hideConstraintEditor: function(e) {
+            e.preventDefault();
+
+            var $editor = $(this).closest('.gpl-constraint-editor');
+            var $current = $editor.closest('td').find('.gpl-constraint-current code');
+
+            $editor.hide().find('.gpl-constraint-input').val($current.text());
+        },
+
+        /**
+         * Save or clear the version constraint of a plugin
+         */
+        setConstraint: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var slug = $btn.data('slug');
+            var $row = $btn.closest('tr');
+            var $editor = $row.find('.gpl-constraint-editor');
+            var $spinner = $row.find('.spinner');
+            var constraint = $btn.hasClass('gpl-constraint-clear') ? '' : $editor.find('.gpl-constraint-input').val().trim();
+
+            $btn.prop('disabled', true);
+            $spinner.addClass('is-active');
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_set_constraint',
+                    nonce: gplAdmin.nonce,
+                    slug: slug,
+                    constraint: constraint
+                },
+                success: function(response) {
+                    if (response.success) {
+                        GPL.updatePluginRow($row, response.data.plugin);
+                        $editor.hide();
+                    } else {
+                        alert(response.data.message);
+                    }
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                    $spinner.removeClass('is-active');
+                }
+            });
+        },
+
+        /**
+         * Show the commit picker and load recent commits
+         */
+        showCommitPicker: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var slug = $btn.data('slug');
+            var $picker = $btn.closest('td').find('.gpl-commit-picker');
+            var $select = $picker.find('.gpl-commit-select');
+
+            $picker.show();
+            $select.prop('disabled', true).empty().append($('<option value="">').text(gplAdmin.strings.loadingCommits));
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_get_commits',
+                    nonce: gplAdmin.nonce,
+                    slug: slug
+                },
+                success: function(response) {
+                    if (response.success) {
+                        GPL.populateCommitSelect($select, response.data);
+                    } else {
+                        alert(response.data.message);
+                    }
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $select.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Populate the commit picker dropdown
+         */
+        populateCommitSelect: function($select, data) {
+            $select.empty().append($('<option value="">').text(gplAdmin.strings.recentCommits));
+
+            $.each(data.commits, function(i, commit) {
+                var title = commit.message.split('\n')[0];
+                var label = commit.sha.substring(0, 7) + ' ' + (title.length > 50 ? title.substring(0, 50) + '\u2026' : title);
+
+                $select.append($('<option>').val(commit.sha).text(label).attr('title', commit.author + ', ' + commit.date));
+            });
+
+            if (data.pinned_commit) {
+                $select.val(data.pinned_commit);
+            }
+        },
+
+        /**
+         * Hide the commit picker
+         */
+        hideCommitPicker: function(e) {
+            e.preventDefault();
+
+            var $picker = $(this).closest('.gpl-commit-picker');
+            $picker.hide().find('.gpl-commit-input').val('');
+        },
+
+        /**
+         * Pin a plugin to the chosen commit
+         */
+        pinCommit: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $picker = $btn.closest('.gpl-commit-picker');
+            var commit = $picker.find('.gpl-commit-input').val().trim() || $picker.find('.gpl-commit-select').val();
+
+            if (!/^[0-9a-f]{7,40}$/i.test(commit)) {
+                alert(gplAdmin.strings.invalidCommit);
+                return;
+            }
+
+            GPL.startPin($btn.data('slug'), commit, '');
+        },
+
+        /**
+         * Pin a plugin to a commit, asking what to do with local changes if it has any
+         */
+        startPin: function(slug, commit, localChanges) {
+            var $row = GPL.getRow(slug);
+            var $btn = $row.find('.gpl-pin-apply');
+            var $picker = $row.find('.gpl-commit-picker');
+            var $spinner = $row.find('.spinner');
+
+            $btn.prop('disabled', true);
+            $spinner.addClass('is-active');
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_pin_commit',
+                    nonce: gplAdmin.nonce,
+                    slug: slug,
+                    commit: commit,
+                    local_changes: localChanges
+                },
+                success: function(response) {
+                    if (response.success) {
+                        GPL.updatePluginRow($row, response.data.plugin);
+                        $picker.hide().find('.gpl-commit-input').val('');
+                    } else if (response.data.local_changes) {
+                        GPL.showLocalChanges(slug, commit, response.data.local_changes, 'pin');
+                    } else {
+                        alert(response.data.message);
+                    }
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                    $spinner.removeClass('is-active');
+                }
+            });
+        },
+
+        /**
+         * Show the sync history of a plugin
+         */
+        showHistory: function(e) {
+            e.preventDefault();
+
+            var slug = $(this).data('slug');
+            var $modal = $('.gpl-history-modal');
+            var $message = $modal.find('.gpl-history-message');
+            var $table = $modal.find('.gpl-history-table');
+
+            $('.gpl-dropdown').removeClass('active');
+            $modal.data('slug', slug);
+            $message.text(gplAdmin.strings.loadingHistory).show();
+            $table.hide().find('tbody').empty();
+            $modal.show();
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_get_history',
+                    nonce: gplAdmin.nonce,
+                    slug: slug
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $message.text(response.data.message);
+                        return;
+                    }
+
+                    if (!response.data.history.length) {
+                        $message.text(gplAdmin.strings.noHistory);
+                        return;
+                    }
+
+                    $message.hide();
+                    GPL.renderHistory($table, response.data);
+                    $table.show();
+                },
+                error: function() {
+                    $message.text(gplAdmin.strings.error);
+                }
+            });
+        },
+
+        /**
+         * Render sync history entries into the history table
+         */
+        renderHistory: function($table, data) {
+            var $tbody = $table.find('tbody');
+
+            $.each(data.history, function(i, entry) {
+                var $action;
+
+                if (entry.from === data.local_commit) {
+                    $action = $('<span class="gpl-history-current">').text(gplAdmin.strings.current);
+                } else if (!gplAdmin.caps.sync) {
+                    $action = '';
+                } else {
+                    $action = $('<button type="button" class="button button-small gpl-rollback-btn">')
+                        .data('commit', entry.from)
+                        .text(gplAdmin.strings.rollback);
+                }
+
+                $tbody.append(
+                    $('<tr>')
+                        .append($('<td>').text(entry.date))
+                        .append(
+                            $('<td>')
+                                .append($('<span class="gpl-badge">').addClass('gpl-history-' + entry.type).text(GPL.historyLabel(entry.type)))
+                                .append(' ')
+                                .append($('<code>').attr('title', entry.from_message).text(entry.from.substring(0, 7)))
+                                .append(' &rarr; ')
+                                .append($('<code>').attr('title', entry.to_message).text(entry.to.substring(0, 7)))
+                                .append($('<span class="gpl-commit-meta">').text(entry.to_message))
+                        )
+                        .append($('<td>').text(entry.user))
+                        .append($('<td>').append($action))
+                );
+            });
+        },
+
+        /**
+         * Get the label of a sync history entry type
+         */
+        historyLabel: function(type) {
+            if (type === 'rollback') {
+                return gplAdmin.strings.rolledBackLabel;
+            }
+
+            if (type === 'pin') {
+                return gplAdmin.strings.pinnedLabel;
+            }
+
+            if (type === 'revert') {
+                return gplAdmin.strings.revertedLabel;
+            }
+
+            return gplAdmin.strings.syncedLabel;
+        },
+
+        /**
+         * Roll a plugin back to a commit from its history
+         */
+        rollbackPlugin: function(e) {
+            e.preventDefault();
+
+            var commit = $(this).data('commit');
+            var slug = $('.gpl-history-modal').data('slug');
+
+            if (!confirm(GPL.format(gplAdmin.strings.confirmRollback, commit.substring(0, 7)))) {
+                return;
+            }
+
+            GPL.startRollback(slug, commit, '');
+        },
+
+        /**
+         * Roll a plugin back, asking what to do with local changes if it has any
+         */
+        startRollback: function(slug, commit, localChanges) {
+            var $row = GPL.getRow(slug);
+            var $spinner = $row.find('.spinner');
+
+            $('.gpl-rollback-btn').prop('disabled', true);
+            $spinner.addClass('is-active');
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_rollback_plugin',
+                    nonce: gplAdmin.nonce,
+                    slug: slug,
+                    commit: commit,
+                    local_changes: localChanges
+                },
+                success: function(response) {
+                    if (response.success) {
+                        GPL.updatePluginRow($row, response.data.plugin);
+                        $('.gpl-modal').hide();
+                        alert(response.data.message);
+                    } else if (response.data.local_changes) {
+                        $('.gpl-modal').hide();
+                        GPL.showLocalChanges(slug, commit, response.data.local_changes, 'rollback');
+                    } else {
+                        alert(response.data.message);
+                        $('.gpl-rollback-btn').prop('disabled', false);
+                    }
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                    $('.gpl-rollback-btn').prop('disabled', false);
+                },
+                complete: function() {
+                    $spinner.removeClass('is-active');
+                }
+            });
+        },
+
+        /**
+         * Replace %s / %d / %1$s placeholders in a translated string
+         */
+        format: function(str) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            var index = 0;
+
+            return str.replace(/%(\d+)\$[sd]|%[sd]/g, function(match, position) {
+                return position ? args[position - 1] : args[index++];
+            });
+        },
+
+        /**
+         * Select or deselect all plugin rows
+         */
+        toggleSelectAll: function() {
+            // Rows hidden by the filters are left alone
+            $('.gpl-plugins-table tbody tr:visible .gpl-row-select').prop('checked', $(this).is(':checked'));
+        },
+
+        /**
+         * Keep the select-all checkbox in sync with the rows
+         */
+        onRowSelect: function() {
+            var $rows = $('.gpl-plugins-table tbody tr:visible .gpl-row-select');
+            $('.gpl-select-all').prop('checked', $rows.length > 0 && $rows.filter(':checked').length === $rows.length);
+        },
+
+        /**
+         * Get the slugs of all selected plugin rows
+         */
+        getSelectedSlugs: function() {
+            return $('.gpl-plugins-table tbody tr:visible .gpl-row-select:checked').map(function() {
+                return $(this).val();
+            }).get();
+        },
+
+        /**
+         * Filter the plugins table as the search box is typed in
+         */
+        onTableSearch: function() {
+            GPL.tableState.search = $.trim($(this).val());
+            GPL.writeTableState();
+            GPL.applyTableState();
+        },
+
+        /**
+         * Turn a filter chip on or off
+         */
+        toggleTableFilter: function(e) {
+            e.preventDefault();
+
+            var filter = $(this).data('filter');
+            var index = $.inArray(filter, GPL.tableState.filters);
+
+            if (index === -1) {
+                GPL.tableState.filters.push(filter);
+            } else {
+                GPL.tableState.filters.splice(index, 1);
+            }
+
+            GPL.writeTableState();
+            GPL.applyTableState();
+        },
+
+        /**
+         * Sort the plugins table by a column, or reverse the current sort
+         */
+        sortTable: function(e) {
+            e.preventDefault();
+
+            var sort = $(this).closest('th').data('sort');
+
+            if (GPL.tableState.sort === sort) {
+                GPL.tableState.order = GPL.tableState.order === 'asc' ? 'desc' : 'asc';
+            } else {
+                GPL.tableState.sort = sort;
+                GPL.tableState.order = 'asc';
+            }
+
+            GPL.writeTableState();
+            GPL.applyTableState();
+        },
+
+        /**
+         * Load the table state from the URL hash, e.g. #search=foo&filter=error,private&sort=name&order=desc
+         */
+        readTableState: function() {
+            var state = { search: '', filters: [], sort: '', order: 'asc' };
+
+            $.each(window.location.hash.replace(/^#/, '').split('&'), function(i, pair) {
+                var parts = pair.split('=');
+                var value = parts.length > 1 ? decodeURIComponent(parts[1].replace(/\+/g, ' ')) : '';
+
+                switch (parts[0]) {
+                    case 'search':
+                        state.search = value;
+                        break;
+                    case 'filter':
+                        state.filters = value ? value.split(',') : [];
+                        break;
+                    case 'sort':
+                        state.sort = value;
+                        break;
+                    case 'order':
+                        state.order = value === 'desc' ? 'desc' : 'asc';
+                        break;
+                }
+            });
+
+            GPL.tableState = state;
+            $('#gpl-plugin-search').val(state.search);
+        },
+
+        /**
+         * Store the table state in the URL hash without adding history entries
+         */
+        writeTableState: function() {
+            var state = GPL.tableState;
+            var params = [];
+
+            if (state.search) {
+                params.push('search=' + encodeURIComponent(state.search));
+            }
+            if (state.filters.length) {
+                params.push('filter=' + encodeURIComponent(state.filters.join(',')));
+            }
+            if (state.sort) {
+                params.push('sort=' + encodeURIComponent(state.sort) + '&order=' + state.order);
+            }
+
+            var hash = params.length ? '#' + params.join('&') : '';
+
+            if (window.history.replaceState) {
+                window.history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+            } else {
+                window.location.hash = hash;
+            }
+        },
+
+        /**
+         * Show the rows matching the search and filters, in the chosen order
+         */
+        applyTableState: function() {
+            var $table = $('.gpl-plugins-table');
+
+            if (!$table.length) {
+                return;
+            }
+
+            var state = GPL.tableState;
+            var $tbody = $table.find('tbody');
+            var $rows = $tbody.find('tr[data-slug]');
+            var search = state.search.toLowerCase();
+            var statuses = $.grep(state.filters, function(filter) {
+                return filter !== 'auto_sync' && filter !== 'private';
+            });
+            var visible = 0;
+
+            // Status chips match any of them, the other chips must all match
+            $rows.each(function() {
+                var $row = $(this);
+                var text = [$row.attr('data-name'), $row.attr('data-repo'), $row.attr('data-branch'), $row.attr('data-slug')].join(' ').toLowerCase();
+                var matches = (!search || text.indexOf(search) !== -1) &&
+                    (!statuses.length || $.inArray($row.attr('data-status'), statuses) !== -1) &&
+                    ($.inArray('auto_sync', state.filters) === -1 || $row.attr('data-auto-sync') === '1') &&
+                    ($.inArray('private', state.filters) === -1 || $row.attr('data-private') === '1');
+
+                // A job log row belongs to the plugin row above it
+                $row.toggle(matches);
+                $row.next('.gpl-job-log-row').toggle(matches);
+                visible += matches ? 1 : 0;
+            });
+
+            if (state.sort) {
+                $rows.sort(function(a, b) {
+                    var result = GPL.compareRows($(a), $(b), state.sort);
+                    return state.order === 'desc' ? -result : result;
+                }).each(function() {
+                    $tbody.append(this, $(this).next('.gpl-job-log-row'));
+                });
+            }
+
+            $tbody.find('.gpl-no-results').toggle(visible === 0);
+
+            $('.gpl-filter-chip').each(function() {
+                var active = $.inArray($(this).data('filter'), state.filters) !== -1;
+                $(this).toggleClass('active', active).attr('aria-pressed', active ? 'true' : 'false');
+            });
+
+            $table.find('th[data-sort]').each(function() {
+                var $th = $(this);
+                var sorted = $th.data('sort') === state.sort;
+
+                $th.toggleClass('sorted', sorted).toggleClass('sortable', !sorted)
+                    .removeClass('asc desc')
+                    .addClass(sorted ? state.order : 'asc');
+            });
+
+            $('.gpl-filter-count').text(
+                visible === $rows.length ? '' : GPL.format(gplAdmin.strings.filterCount, visible, $rows.length)
+            );
+
+            GPL.onRowSelect();
+        },
+
+        /**
+         * Compare two plugin rows by a sort key
+         */
+        compareRows: function($a, $b, sort) {
+            var a, b;
+
+            switch (sort) {
+                case 'last-sync':
+                    return parseInt($a.attr('data-last-sync'), 10) - parseInt($b.attr('data-last-sync'), 10);
+                case 'status':
+                    a = $.inArray($a.attr('data-status'), GPL.statusOrder);
+                    b = $.inArray($b.attr('data-status'), GPL.statusOrder);
+                    if (a !== b) {
+                        return a - b;
+                    }
+                    return GPL.compareRows($a, $b, 'name');
+                default:
+                    a = $a.attr('data-' + sort) || '';
+                    b = $b.attr('data-' + sort) || '';
+                    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+            }
+        },
+
+        /**
+         * Get the table row of a plugin
+         */
+        getRow: function(slug) {
+            return $('.gpl-plugins-table tbody tr').filter(function() {
+                return $(this).attr('data-slug') === slug;
+            });
+        },
+
+        /**
+         * Start a bulk action on the selected plugins
+         */
+        applyBulkAction: function(e) {
+            e.preventDefault();
+
+            if (GPL.bulk) {
+                return;
+            }
+
+            var type = $('#gpl-bulk-action').val();
+            var slugs = GPL.getSelectedSlugs();
+
+            if (!type) {
+                alert(gplAdmin.strings.bulkNoAction);
+                return;
+            }
+
+            if (!slugs.length) {
+                alert(gplAdmin.strings.bulkNoSelection);
+                return;
+            }
+
+            GPL.bulk = {
+                type: type,
+                queue: slugs.slice(),
+                total: slugs.length,
+                running: 0,
+                processed: 0,
+                succeeded: [],
+                failed: [],
+                downloads: [],
+                cancelled: false
+            };
+
+            $('.gpl-bulk-apply, #gpl-bulk-action, .gpl-select-all, .gpl-row-select').prop('disabled', true);
+            $('.gpl-bulk-cancel').prop('disabled', false).show();
+            $('.gpl-bulk-summary').hide().empty();
+
+            $.each(slugs, function(i, slug) {
+                GPL.setBulkRowStatus(GPL.getRow(slug), 'queued', gplAdmin.strings.bulkQueued);
+            });
+
+            GPL.updateBulkProgress();
+
+            for (var i = 0; i < Math.min(GPL.bulkConcurrency, slugs.length); i++) {
+                GPL.nextBulkItem();
+            }
+        },
+
+        /**
+         * Run the next queued bulk item
+         */
+        nextBulkItem: function() {
+            var bulk = GPL.bulk;
+
+            if (!bulk) {
+                return;
+            }
+
+            if (bulk.cancelled || !bulk.queue.length) {
+                if (bulk.running === 0) {
+                    GPL.finishBulkAction();
+                }
+                return;
+            }
+
+            var slug = bulk.queue.shift();
+            var $row = GPL.getRow(slug);
+
+            bulk.running++;
+            GPL.setBulkRowStatus($row, 'running', gplAdmin.strings.bulkRunning);
+            $row.find('.spinner').addClass('is-active');
+
+            GPL.bulkRequest(bulk.type, slug)
+                .done(function(response) {
+                    if (response.success) {
+                        GPL.applyBulkResult(bulk, $row, slug, response.data);
+                        bulk.succeeded.push(slug);
+                        GPL.setBulkRowStatus($row, 'done', gplAdmin.strings.bulkDone);
+                    } else {
+                        bulk.failed.push({ slug: slug, message: response.data.message });
+                        GPL.setBulkRowStatus($row, 'failed', gplAdmin.strings.bulkFailed);
+                    }
+                })
+                .fail(function() {
+                    bulk.failed.push({ slug: slug, message: gplAdmin.strings.error });
+                    GPL.setBulkRowStatus($row, 'failed', gplAdmin.strings.bulkFailed);
+                })
+                .always(function() {
+                    $row.find('.spinner').removeClass('is-active');
+                    bulk.running--;
+                    bulk.processed++;
+                    GPL.updateBulkProgress();
+                    GPL.nextBulkItem();
+                });
+        },
+
+        /**
+         * Send the AJAX request for one bulk item
+         */
+        bulkRequest: function(type, slug) {
+            var data = {
+                nonce: gplAdmin.nonce,
+                slug: slug
+            };
+
+            switch (type) {
+                case 'sync':
+                    data.action = 'gpl_sync_plugin';
+                    return GPL.runJob(data, GPL.getRowLog(GPL.getRow(slug)));
+                case 'check':
+                    data.action = 'gpl_check_updates';
+                    break;
+                case 'export':
+                    data.action = 'gpl_export_plugin';
+                    break;
+                case 'autosync_on':
+                case 'autosync_off':
+                    data.action = 'gpl_toggle_autosync';
+                    data.enabled = type === 'autosync_on' ? 'true' : 'false';
+                    break;
+            }
+
+            return $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: data
+            });
+        },
+
+        /**
+         * Reflect a successful bulk item in its row
+         */
+        applyBulkResult: function(bulk, $row, slug, data) {
+            switch (bulk.type) {
+                case 'sync':
+                    GPL.updatePluginRow($row, data.plugin);
+                    break;
+                case 'check':
+                    GPL.applyCheckResult($row, data);
+                    break;
+                case 'export':
+                    bulk.downloads.push({ slug: slug, filename: data.filename, url: data.url });
+                    break;
+                case 'autosync_on':
+                case 'autosync_off':
+                    GPL.setAutosyncBadge($row, data.enabled);
+                    break;
+            }
+        },
+
+        /**
+         * Set the bulk progress label of a row
+         */
+        setBulkRowStatus: function($row, state, label) {
+            $row.removeClass('gpl-bulk-queued gpl-bulk-running gpl-bulk-done gpl-bulk-failed gpl-bulk-skipped')
+                .addClass('gpl-bulk-' + state);
+            $row.find('.gpl-bulk-row-status').text(label);
+        },
+
+        /**
+         * Update the overall bulk progress text
+         */
+        updateBulkProgress: function() {
+            var bulk = GPL.bulk;
+            var text = GPL.format(gplAdmin.strings.bulkProgress, bulk.processed, bulk.total);
+
+            if (bulk.cancelled) {
+                text = gplAdmin.strings.bulkCancelling;
+            }
+
+            $('.gpl-bulk-progress').text(text);
+        },
+
+        /**
+         * Cancel the running bulk action
+         */
+        cancelBulkAction: function(e) {
+            e.preventDefault();
+
+            var bulk = GPL.bulk;
+
+            if (!bulk || bulk.cancelled) {
+                return;
+            }
+
+            bulk.cancelled = true;
+            $(this).prop('disabled', true);
+
+            $.each(bulk.queue, function(i, slug) {
+                GPL.setBulkRowStatus(GPL.getRow(slug), 'skipped', gplAdmin.strings.bulkSkipped);
+            });
+
+            GPL.updateBulkProgress();
+
+            if (bulk.running === 0) {
+                GPL.finishBulkAction();
+            }
+        },
+
+        /**
+         * Show the bulk summary and reset the bulk controls
+         */
+        finishBulkAction: function() {
+            var bulk = GPL.bulk;
+            var skipped = bulk.total - bulk.succeeded.length - bulk.failed.length;
+            var $summary = $('.gpl-bulk-summary');
+            var $list;
+
+            GPL.bulk = null;
+
+            $summary.empty()
+                .removeClass('notice-success notice-warning notice-error')
+                .addClass(bulk.failed.length ? 'notice-error' : (skipped ? 'notice-warning' : 'notice-success'))
+                .append($('<p>').text(GPL.format(gplAdmin.strings.bulkSummary, bulk.succeeded.length, bulk.failed.length, skipped)));
+
+            if (bulk.failed.length) {
+                $list = $('<ul>');
+                $.each(bulk.failed, function(i, item) {
+                    $list.append($('<li>').append($('<strong>').text(item.slug + ': ')).append(document.createTextNode(item.message)));
+                });
+                $summary.append($list);
+            }
+
+            if (bulk.downloads.length) {
+                $list = $('<ul>');
+                $.each(bulk.downloads, function(i, item) {
+                    $list.append($('<li>').append($('<a>').attr('href', item.url).text(gplAdmin.strings.download + ' ' + item.filename)));
+                });
+                $summary.append($list);
+            }
+
+            $summary.show();
+
+            $('.gpl-bulk-progress').text('');
+            $('.gpl-bulk-cancel').hide();
+            $('.gpl-bulk-apply, #gpl-bulk-action, .gpl-select-all, .gpl-row-select').prop('disabled', false);
+        },
+
+        /**
+         * Save settings
+         */
+        saveSettings: function(e) {
+            e.preventDefault();
+
+            var $form = $(this);
+            var $btn = $form.find('button[type="submit"]');
+            var $spinner = $form.find('.spinner');
+
+            $btn.prop('disabled', true);
+            $spinner.addClass('is-active');
+
+            var data = {
+                action: 'gpl_save_settings',
+                nonce: gplAdmin.nonce,
+                github_token: $('#gpl-github-token').val(),
+                clear_token: $('input[name="clear_token"]').is(':checked') ? '1' : '0',
+                gitlab_token: $('#gpl-gitlab-token').val(),
+                clear_gitlab_token: $('input[name="clear_gitlab_token"]').is(':checked') ? '1' : '0',
+                git_token: $('#gpl-git-token').val(),
+                clear_git_token: $('input[name="clear_git_token"]').is(':checked') ? '1' : '0',
+                auto_sync_interval: $('#gpl-sync-interval').val(),
+                health_check_enabled: $('#gpl-health-enabled').is(':checked') ? '1' : '0',
+                health_check_front_url: $('#gpl-health-front-url').val(),
+                health_check_admin_url: $('#gpl-health-admin-url').val(),
+                health_check_timeout: $('#gpl-health-timeout').val(),
+                activity_retention_days: $('#gpl-activity-retention').val(),
+                notify_email: $('#gpl-notify-email').is(':checked') ? '1' : '0',
+                notify_email_to: $('#gpl-notify-email-to').val(),
+                notify_webhook_url: $('#gpl-notify-webhook-url').val(),
+                clear_notify_webhook_url: $('input[name="clear_notify_webhook_url"]').is(':checked') ? '1' : '0',
+                notify_events: $('input[name="notify_events[]"]:checked').map(function() {
+                    return this.value;
+                }).get(),
+                notify_muted: $('.gpl-notify-plugin').not(':checked').map(function() {
+                    return this.value;
+                }).get(),
+                notify_throttle_hours: $('#gpl-notify-throttle').val(),
+                export_exclusions: $('#gpl-export-exclusions').val(),
+                cleanup_exports_after: $('#gpl-cleanup-hours').val(),
+                role_caps: $('.gpl-role-cap:checked').map(function() {
+                    return this.value;
+                }).get()
+            };
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: data,
+                success: function(response) {
+                    if (response.success) {
+                        alert(response.data.message);
+                        location.reload();
+                    } else {
+                        alert(response.data.message);
+                    }
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                    $spinner.removeClass('is-active');
+                }
+            });
+        },
+
+        /**
+         * Open the manifest modal
+         */
+        showManifest: function(e) {
+            e.preventDefault();
+
+            $('.gpl-manifest-modal').show();
+        },
+
+        /**
+         * Load a chosen manifest file into the manifest text area
+         */
+        readManifestFile: function() {
+            var file = this.files && this.files[0];
+
+            if (!file) {
+                return;
+            }
+
+            var reader = new FileReader();
+
+            reader.onload = function() {
+                $('#gpl-manifest-content').val(reader.result);
+                GPL.previewManifest();
+            };
+
+            reader.readAsText(file);
+        },
+
+        /**
+         * Show what applying the manifest would change
+         */
+        previewManifest: function(e) {
+            if (e) {
+                e.preventDefault();
+            }
+
+            var $modal = $('.gpl-manifest-modal');
+            var $message = $modal.find('.gpl-manifest-message');
+            var $table = $modal.find('.gpl-manifest-table');
+            var $apply = $modal.find('.gpl-manifest-apply-btn');
+            var content = $('#gpl-manifest-content').val();
+
+            $apply.prop('disabled', true);
+            $table.hide().find('tbody').empty();
+
+            if (!$.trim(content)) {
+                $message.text(gplAdmin.strings.manifestEmpty);
+                return;
+            }
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_preview_manifest',
+                    nonce: gplAdmin.nonce,
+                    manifest: content,
+                    remove_missing: $('#gpl-manifest-remove-missing').is(':checked') ? '1' : '0'
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $message.text(response.data.message);
+                        return;
+                    }
+
+                    var counts = response.data.counts;
+
+                    $message.text(GPL.format(gplAdmin.strings.manifestSummary, counts.add, counts.change, counts.remove, counts.unchanged));
+                    GPL.renderManifestDiff($table, response.data.items);
+                    $table.show();
+
+                    if (counts.add + counts.change + counts.remove) {
+                        $apply.prop('disabled', false);
+                    } else {
+                        $message.text(gplAdmin.strings.manifestNoChanges);
+                    }
+                },
+                error: function() {
+                    $message.text(gplAdmin.strings.error);
+                }
+            });
+        },
+
+        /**
+         * Render manifest diff items into the manifest table
+         */
+        renderManifestDiff: function($table, items) {
+            var $tbody = $table.find('tbody');
+            var strings = gplAdmin.strings;
+
+            var formatValue = function(field, value) {
+                if (field === 'auto_sync' || field === 'include_prereleases') {
+                    return value ? strings.manifestValues.on : strings.manifestValues.off;
+                }
+                if (field === 'pinned_commit') {
+                    return value ? value.substring(0, 7) : strings.manifestValues.none;
+                }
+                if (field === 'source') {
+                    return strings.manifestValues[value];
+                }
+                return value === '' ? strings.manifestValues.none : value;
+            };
+
+            $.each(items, function(i, item) {
+                var details = [];
+
+                if (item.action === 'add') {
+                    details.push(item.entry.repo_url + (item.entry.source === 'release' ? ' (' + strings.manifestValues.release + ')' : ' @ ' + item.entry.branch));
+                }
+
+                $.each(item.changes, function(j, change) {
+                    details.push(strings.manifestFields[change.field] + ': ' +
+                        formatValue(change.field, change.from) + ' \u2192 ' + formatValue(change.field, change.to));
+                });
+
+                $tbody.append(
+                    $('<tr>').attr('data-slug', item.slug).attr('data-action', item.action).append(
+                        $('<td>').append($('<strong>').text(item.slug)),
+                        $('<td>').append(
+                            $('<span class="gpl-badge gpl-manifest-action">')
+                                .addClass('gpl-manifest-' + item.action)
+                                .text(strings.manifestActions[item.action])
+                        ),
+                        $('<td>').text(details.join('; ')),
+                        $('<td class="gpl-manifest-progress">')
+                    )
+                );
+            });
+        },
+
+        /**
+         * Apply the previewed manifest one plugin at a time
+         */
+        applyManifest: function(e) {
+            e.preventDefault();
+
+            if (!confirm(gplAdmin.strings.manifestConfirm)) {
+                return;
+            }
+
+            var $modal = $('.gpl-manifest-modal');
+            var $message = $modal.find('.gpl-manifest-message');
+            var $rows = $modal.find('.gpl-manifest-table tbody tr').filter(function() {
+                return $.inArray($(this).attr('data-action'), ['add', 'change', 'remove']) !== -1;
+            });
+            var queue = $rows.toArray();
+            var failed = 0;
+
+            $modal.find('.gpl-manifest-apply-btn, .gpl-manifest-preview-btn').prop('disabled', true);
+            $rows.find('.gpl-manifest-progress').text(gplAdmin.strings.bulkQueued);
+
+            var next = function() {
+                if (!queue.length) {
+                    if (failed) {
+                        $message.text(gplAdmin.strings.manifestFailed);
+                        $modal.find('.gpl-manifest-preview-btn').prop('disabled', false);
+                    } else {
+                        $message.text(gplAdmin.strings.manifestDone);
+                        location.reload();
+                    }
+                    return;
+                }
+
+                var $row = $(queue.shift());
+                var $progress = $row.find('.gpl-manifest-progress');
+
+                $progress.text(gplAdmin.strings.bulkRunning);
+
+                GPL.runJob({
+                    action: 'gpl_apply_manifest_item',
+                    nonce: gplAdmin.nonce,
+                    slug: $row.attr('data-slug')
+                }, GPL.getRowLog($row))
+                    .done(function(response) {
+                        if (response.success) {
+                            $progress.text(gplAdmin.strings.bulkDone);
+                        } else {
+                            failed++;
+                            $progress.text(gplAdmin.strings.bulkFailed + ': ' + response.data.message);
+                        }
+                    })
+                    .fail(function() {
+                        failed++;
+                        $progress.text(gplAdmin.strings.bulkFailed);
+                    })
+                    .always(next);
+            };
+
+            next();
+        },
+
+        /**
+         * Select or deselect every export
+         */
+        toggleAllExports: function() {
+            $('.gpl-export-select').prop('checked', $(this).is(':checked'));
+            GPL.updateExportSelection();
+        },
+
+        /**
+         * Enable the bulk delete button while exports are selected
+         */
+        updateExportSelection: function() {
+            var $selected = $('.gpl-export-select:checked');
+
+            $('.gpl-exports-delete-selected').prop('disabled', !$selected.length);
+            $('#gpl-exports-select-all').prop('checked', $selected.length > 0 && $selected.length === $('.gpl-export-select').length);
+        },
+
+        /**
+         * Get a fresh signed download link of an export
+         */
+        getExportLink: function(filename) {
+            return $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_get_export_link',
+                    nonce: gplAdmin.nonce,
+                    filename: filename
+                }
+            }).then(function(response) {
+                if (!response.success) {
+                    return $.Deferred().reject(response.data.message);
+                }
+
+                return response.data.url;
+            }, function() {
+                return gplAdmin.strings.error;
+            });
+        },
+
+        /**
+         * Download an export, the link rendered with the page may have expired
+         */
+        downloadExport: function(e) {
+            e.preventDefault();
+
+            GPL.getExportLink($(this).closest('tr').data('filename'))
+                .done(function(url) {
+                    window.location.href = url;
+                })
+                .fail(function(message) {
+                    alert(message);
+                });
+        },
+
+        /**
+         * Copy a fresh signed download link of an export
+         */
+        copyExportLink: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+
+            $btn.prop('disabled', true);
+
+            GPL.getExportLink($btn.closest('tr').data('filename'))
+                .done(function(url) {
+                    var done = function() {
+                        $btn.text(gplAdmin.strings.linkCopied);
+                        setTimeout(function() {
+                            $btn.text(gplAdmin.strings.copyLink);
+                        }, 2000);
+                    };
+
+                    if (navigator.clipboard && window.isSecureContext) {
+                        navigator.clipboard.writeText(url).then(done);
+                        return;
+                    }
+
+                    var $input = $('<input type="text">').val(url).appendTo('body');
+                    $input.trigger('select');
+                    document.execCommand('copy');
+                    $input.remove();
+                    done();
+                })
+                .fail(function(message) {
+                    alert(message);
+                })
+                .always(function() {
+                    $btn.prop('disabled', false);
+                });
+        },
+
+        /**
+         * Pin an export so the cleanup task keeps it, or unpin it
+         */
+        pinExport: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $row = $btn.closest('tr');
+            var pinned = String($btn.data('pinned')) !== '1';
+
+            $btn.prop('disabled', true);
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_pin_export',
+                    nonce: gplAdmin.nonce,
+                    filename: $row.data('filename'),
+                    pinned: pinned ? 'true' : 'false'
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+
+                    $row.toggleClass('gpl-export-pinned', pinned);
+                    $btn.data('pinned', pinned ? '1' : '0').text(pinned ? gplAdmin.strings.unpin : gplAdmin.strings.pin);
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Delete one export, or the selected ones
+         */
+        deleteExports: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $spinner = $('.gpl-exports-table').prev('.tablenav').find('.spinner');
+            var filenames = $btn.hasClass('gpl-export-delete-btn')
+                ? [$btn.closest('tr').data('filename')]
+                : $('.gpl-export-select:checked').map(function() {
+                    return $(this).val();
+                }).get();
+
+            if (!filenames.length || !confirm(GPL.format(gplAdmin.strings.confirmDeleteExports, filenames.length))) {
+                return;
+            }
+
+            $btn.prop('disabled', true);
+            $spinner.addClass('is-active');
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_delete_exports',
+                    nonce: gplAdmin.nonce,
+                    filenames: filenames
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+
+                    $('.gpl-exports-table tbody tr[data-filename]').filter(function() {
+                        return $.inArray($(this).data('filename'), response.data.deleted) !== -1;
+                    }).remove();
+
+                    $('.gpl-exports-empty').toggle(!$('.gpl-exports-table tbody tr[data-filename]').length);
+                    GPL.updateExportSelection();
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                    $spinner.removeClass('is-active');
+                    GPL.updateExportSelection();
+                }
+            });
+        },
+
+        /**
+         * Copy the value of the field next to a copy button
+         */
+        copyField: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $input = $btn.siblings('input');
+            var done = function() {
+                $btn.text(gplAdmin.strings.copied);
+                setTimeout(function() {
+                    $btn.text(gplAdmin.strings.copy);
+                }, 2000);
+            };
+
+            if (navigator.clipboard && window.isSecureContext) {
+                navigator.clipboard.writeText($input.val()).then(done);
+                return;
+            }
+
+            $input.trigger('select');
+            document.execCommand('copy');
+            done();
+        },
+
+        /**
+         * Replace the webhook secret of a plugin
+         */
+        regenerateWebhookSecret: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $row = $btn.closest('tr');
+
+            if ($btn.data('regenerate') && !confirm(gplAdmin.strings.confirmRegenerateSecret)) {
+                return;
+            }
+
+            $btn.prop('disabled', true);
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_regenerate_webhook_secret',
+                    nonce: gplAdmin.nonce,
+                    slug: $row.data('slug')
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $row.find('.gpl-webhook-secret').val(response.data.secret);
+                        $btn.data('regenerate', 1).text(gplAdmin.strings.regenerate);
+                    }
+                    alert(response.data.message);
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Generate a deploy key for a managed plugin or the repository being added
+         */
+        generateDeployKey: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $row = $btn.closest('tr');
+            var data = {
+                action: 'gpl_generate_deploy_key',
+                nonce: gplAdmin.nonce
+            };
+
+            if ($btn.data('regenerate') && !confirm(gplAdmin.strings.confirmRegenerateKey)) {
+                return;
+            }
+
+            if ($row.hasClass('gpl-deploy-key-row')) {
+                data.url = $('#gpl-repo-url').val().trim();
+                data.slug = $('#gpl-slug').val().trim();
+            } else {
+                data.slug = $row.data('slug');
+            }
+
+            $btn.prop('disabled', true);
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: data,
+                success: function(response) {
+                    if (response.success) {
+                        $row.find('.gpl-deploy-key').show().find('.gpl-deploy-key-public').val(response.data.public_key);
+                        $btn.data('regenerate', 1);
+                    }
+                    alert(response.data.message);
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Send a test notification with the saved settings
+         */
+        testNotification: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+
+            $btn.prop('disabled', true);
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'gpl_test_notification',
+                    nonce: gplAdmin.nonce
+                },
+                success: function(response) {
+                    alert(response.data.message);
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
+                complete: function() {
+                    $btn.prop('disabled', false);
+                }
+            });
+        },
+
+        /**
+         * Refresh the GitHub API rate limits, or clear the API cache
+         */
+        refreshApiStatus: function(e) {
+            e.preventDefault();
+
+            var $btn = $(this);
+            var $card = $btn.closest('.gpl-github-api');
+            var $spinner = $card.find('.spinner');
+            var clear = $btn.hasClass('gpl-clear-api-cache');
+
+            if (clear && !confirm(gplAdmin.strings.confirmClearCache)) {
+                return;
+            }
+
+            $btn.prop('disabled', true);
+            $spinner.addClass('is-active');
+
+            $.ajax({
+                url: gplAdmin.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: clear ? 'gpl_clear_api_cache' : 'gpl_get_api_status',
+                    nonce: gplAdmin.nonce
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        alert(response.data.message);
+                        return;
+                    }
+
+                    $card.find('.gpl-api-core').text(response.data.summary.core);
+                    $card.find('.gpl-api-graphql').text(response.data.summary.graphql);
+                    $card.find('.gpl-api-cache').text(response.data.summary.cache);
+                },
+                error: function() {
+                    alert(gplAdmin.strings.error);
+                },
                 complete: function() {
                     $btn.prop('disabled', false);
                     $spinner.removeClass('is-active');
@@ -2,7 +2,7 @@
 /**
  * Plugin Name: Git Plugin Loader
  * Plugin URI: https://github.com/LukaszKomarTC/git-plugin-loader
- * Description: Load WordPress plugins directly from GitHub repositories with automatic syncing and version tracking.
+ * Description: Load WordPress plugins directly from GitHub, GitLab or any Git repository with automatic syncing and version tracking.
  * Version: 1.0.0
  * Author: LukaszKomarTC
  * Author URI: https://github.com/LukaszKomarTC
@@ -30,15 +30,35 @@ define( 'GPL_ASSETS_URL', GPL_PLUGIN_URL . 'assets/' );
 // Database option keys
 define( 'GPL_OPTION_PLUGINS', 'gpl_managed_plugins' );
 define( 'GPL_OPTION_SETTINGS', 'gpl_settings' );
+define( 'GPL_OPTION_PLUGINS_LOCK', 'gpl_managed_plugins_lock' );
 
 // GitHub API constants
 define( 'GPL_GITHUB_API_URL', 'https://api.github.com' );
 define( 'GPL_GITHUB_RAW_URL', 'https://raw.githubusercontent.com' );
 
 // Include required files
+require_once GPL_INCLUDES_DIR . 'class-gpl-permissions.php';
 require_once GPL_INCLUDES_DIR . 'class-gpl-git.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-deploy-keys.php';
 require_once GPL_INCLUDES_DIR . 'class-gpl-github-api.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-gitlab-api.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-provider.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-provider-github.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-provider-gitlab.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-provider-git.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-providers.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-releases.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-version-constraint.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-build-steps.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-health-check.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-activity-log.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-notifications.php';
 require_once GPL_INCLUDES_DIR . 'class-gpl-plugin-manager.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-manifest.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-jobs.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-sync-requests.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-webhooks.php';
+require_once GPL_INCLUDES_DIR . 'class-gpl-updates.php';
 require_once GPL_INCLUDES_DIR . 'class-gpl-admin.php';
 require_once GPL_INCLUDES_DIR . 'class-gpl-cron.php';
 require_once GPL_INCLUDES_DIR . 'class-gpl-export.php';
@@ -56,6 +76,20 @@ class Git_Plugin_Loader {
      */
     private static $instance = null;
 
+    /**
+     * Whether the plugin is network activated, once known
+     *
+     * @var bool|null
+     */
+    private static $network_active = null;
+
+    /**
+     * Capabilities handler
+     *
+     * @var GPL_Permissions
+     */
+    public $permissions;
+
     /**
      * Git operations handler
      *
@@ -70,6 +104,48 @@ class Git_Plugin_Loader {
      */
     public $github_api;
 
+    /**
+     * GitLab API handler
+     *
+     * @var GPL_GitLab_API
+     */
+    public $gitlab_api;
+
+    /**
+     * Repository providers registry
+     *
+     * @var GPL_Providers
+     */
+    public $providers;
+
+    /**
+     * GitHub Releases installer
+     *
+     * @var GPL_Releases
+     */
+    public $releases;
+
+    /**
+     * Post-sync health check
+     *
+     * @var GPL_Health_Check
+     */
+    public $health_check;
+
+    /**
+     * Activity log
+     *
+     * @var GPL_Activity_Log
+     */
+    public $activity_log;
+
+    /**
+     * Update notifications
+     *
+     * @var GPL_Notifications
+     */
+    public $notifications;
+
     /**
      * Plugin manager
      *
@@ -77,6 +153,41 @@ class Git_Plugin_Loader {
      */
     public $plugin_manager;
 
+    /**
+     * Manifest handler
+     *
+     * @var GPL_Manifest
+     */
+    public $manifest;
+
+    /**
+     * Background jobs handler
+     *
+     * @var GPL_Jobs
+     */
+    public $jobs;
+
+    /**
+     * Sync requests queue
+     *
+     * @var GPL_Sync_Requests
+     */
+    public $sync_requests;
+
+    /**
+     * Push webhooks handler
+     *
+     * @var GPL_Webhooks
+     */
+    public $webhooks;
+
+    /**
+     * Core updates integration
+     *
+     * @var GPL_Updates
+     */
+    public $updates;
+
     /**
      * Admin handler
      *
@@ -139,29 +250,75 @@ class Git_Plugin_Loader {
      * Initialize plugin classes
      */
     private function init_classes() {
+        $this->permissions    = new GPL_Permissions();
         $this->git            = new GPL_Git();
         $this->github_api     = new GPL_GitHub_API();
-        $this->plugin_manager = new GPL_Plugin_Manager( $this->git, $this->github_api );
-        $this->admin          = new GPL_Admin( $this->plugin_manager );
-        $this->cron           = new GPL_Cron( $this->plugin_manager );
-        $this->export         = new GPL_Export();
-        $this->ajax           = new GPL_Ajax( $this->plugin_manager, $this->github_api, $this->export );
+        $this->gitlab_api     = new GPL_GitLab_API();
+        $this->providers      = new GPL_Providers( $this->git, $this->github_api, $this->gitlab_api );
+        $this->releases       = new GPL_Releases( $this->github_api );
+        $this->health_check   = new GPL_Health_Check();
+        $this->activity_log   = new GPL_Activity_Log( $this->git );
+        $this->notifications  = new GPL_Notifications();
+        $this->plugin_manager = new GPL_Plugin_Manager( $this->git, $this->providers, $this->releases, $this->health_check, $this->activity_log );
+        $this->manifest       = new GPL_Manifest( $this->plugin_manager );
+        $this->jobs           = new GPL_Jobs( $this->plugin_manager, $this->git, $this->manifest );
+        $this->sync_requests  = new GPL_Sync_Requests( $this->jobs, $this->activity_log );
+        $this->webhooks       = new GPL_Webhooks( $this->jobs );
+        $this->updates        = new GPL_Updates( $this->jobs );
+        $this->export         = new GPL_Export( $this->activity_log, $this->git );
+        $this->admin          = new GPL_Admin( $this->plugin_manager, $this->jobs, $this->webhooks, $this->activity_log, $this->manifest, $this->export, $this->github_api );
+        $this->cron           = new GPL_Cron( $this->plugin_manager, $this->notifications );
+        $this->ajax           = new GPL_Ajax( $this->plugin_manager, $this->github_api, $this->export, $this->jobs, $this->webhooks, $this->manifest, $this->notifications, $this->sync_requests );
+
+        if ( defined( 'WP_CLI' ) && WP_CLI ) {
+            require_once GPL_INCLUDES_DIR . 'class-gpl-cli.php';
+            WP_CLI::add_command( 'git-plugin', new GPL_CLI( $this->plugin_manager, $this->export, $this->github_api, $this->manifest, $this->jobs ) );
+        }
     }
 
     /**
      * Plugin activation
+     *
+     * @param bool $network_wide Whether the plugin is being activated for the whole network.
      */
-    public function activate() {
+    public function activate( $network_wide = false ) {
+        // The plugin isn't listed as network active yet while this runs
+        self::$network_active = is_multisite() && $network_wide;
+
+        // Carry plugins and keys managed on the main site over to the network
+        if ( self::$network_active ) {
+            foreach ( array( GPL_OPTION_PLUGINS, GPL_OPTION_SETTINGS, GPL_Deploy_Keys::OPTION, GPL_Deploy_Keys::OPTION_KNOWN_HOSTS ) as $option ) {
+                if ( false === get_site_option( $option ) && false !== get_option( $option ) ) {
+                    add_site_option( $option, get_option( $option ) );
+                }
+            }
+        }
+
+        GPL_Activity_Log::install();
+
         // Initialize default options if they don't exist
-        if ( false === get_option( GPL_OPTION_PLUGINS ) ) {
-            add_option( GPL_OPTION_PLUGINS, array() );
+        if ( false === self::get_option( GPL_OPTION_PLUGINS ) ) {
+            self::add_option( GPL_OPTION_PLUGINS, array() );
         }
 
-        if ( false === get_option( GPL_OPTION_SETTINGS ) ) {
+        if ( false === self::get_option( GPL_OPTION_SETTINGS ) ) {
             $default_settings = array(
-                'github_token'       => '',
-                'auto_sync_interval' => 'hourly',
-                'export_exclusions'  => array(
+                'github_token'            => '',
+                'gitlab_token'            => '',
+                'git_token'               => '',
+                'auto_sync_interval'      => 'hourly',
+                'health_check_enabled'    => false,
+                'health_check_front_url'  => '',
+                'health_check_admin_url'  => '',
+                'health_check_timeout'    => 15,
+                'activity_retention_days' => 30,
+                'notify_email'            => false,
+                'notify_email_to'         => '',
+                'notify_webhook_url'      => '',
+                'notify_events'           => array( 'update_available', 'sync_succeeded', 'sync_failed', 'local_changes' ),
+                'notify_throttle_hours'   => 24,
+                'notify_muted'            => array(),
+                'export_exclusions'       => array(
                     '.git',
                     '.gitignore',
                     '.gitattributes',
@@ -186,7 +343,7 @@ class Git_Plugin_Loader {
                 ),
                 'cleanup_exports_after' => 24, // hours
             );
-            add_option( GPL_OPTION_SETTINGS, $default_settings );
+            self::add_option( GPL_OPTION_SETTINGS, $default_settings );
         }
 
         // Schedule cron events
@@ -225,7 +382,7 @@ class Git_Plugin_Loader {
      * @return mixed
      */
     public static function get_settings( $key = null ) {
-        $settings = get_option( GPL_OPTION_SETTINGS, array() );
+        $settings = self::get_option( GPL_OPTION_SETTINGS, array() );
 
         if ( null !== $key ) {
             return isset( $settings[ $key ] ) ? $settings[ $key ] : null;
@@ -243,7 +400,197 @@ class Git_Plugin_Loader {
     public static function update_settings( $new_settings ) {
         $current_settings = self::get_settings();
         $updated_settings = array_merge( $current_settings, $new_settings );
-        return update_option( GPL_OPTION_SETTINGS, $updated_settings );
+        return self::update_option( GPL_OPTION_SETTINGS, $updated_settings );
+    }
+
+    /**
+     * Check whether the plugin is network activated on a multisite network
+     *
+     * The network admin then owns the managed plugins and settings, which are
+     * stored once for the network, as every site runs the same plugin code.
+     *
+     * @return bool
+     */
+    public static function is_network_active() {
+        if ( null === self::$network_active ) {
+            if ( ! function_exists( 'is_plugin_active_for_network' ) ) {
+                require_once ABSPATH . 'wp-admin/includes/plugin.php';
+            }
+
+            self::$network_active = is_multisite() && is_plugin_active_for_network( GPL_PLUGIN_BASENAME );
+        }
+
+        return self::$network_active;
+    }
+
+    /**
+     * Get an option of the plugin, from the network when network activated
+     *
+     * @param string $option  Option name.
+     * @param mixed  $default Value to return if the option doesn't exist.
+     * @return mixed
+     */
+    public static function get_option( $option, $default = false ) {
+        return self::is_network_active() ? get_site_option( $option, $default ) : get_option( $option, $default );
+    }
+
+    /**
+     * Update an option of the plugin, on the network when network activated
+     *
+     * @param string    $option   Option name.
+     * @param mixed     $value    Option value.
+     * @param bool|null $autoload Whether to autoload a site option. Network options are always loaded.
+     * @return bool
+     */
+    public static function update_option( $option, $value, $autoload = null ) {
+        return self::is_network_active() ? update_site_option( $option, $value ) : update_option( $option, $value, $autoload );
+    }
+
+    /**
+     * Add an option of the plugin, on the network when network activated
+     *
+     * @param string $option Option name.
+     * @param mixed  $value  Option value.
+     * @return bool False if the option already exists.
+     */
+    public static function add_option( $option, $value ) {
+        return self::is_network_active() ? add_site_option( $option, $value ) : add_option( $option, $value );
+    }
+
+    /**
+     * Delete an option of the plugin, from the network when network activated
+     *
+     * @param string $option Option name.
+     * @return bool
+     */
+    public static function delete_option( $option ) {
+        return self::is_network_active() ? delete_site_option( $option ) : delete_option( $option );
+    }
+
+    /**
+     * Atomically add an option that works as a lock, on the network when network activated
+     *
+     * The options table has a unique key on the option name, so add_option() fails for all
+     * but one of several requests adding the same option. The network options table has no
+     * such key, so there the row is only inserted if no other request added it first.
+     *
+     * @param string $option Option name.
+     * @param mixed  $value  Option value.
+     * @return bool False if the option already exists.
+     */
+    public static function add_lock( $option, $value ) {
+        global $wpdb;
+
+        if ( ! self::is_network_active() ) {
+            return add_option( $option, $value, '', 'no' );
+        }
+
+        $network_id = get_current_network_id();
+
+        $added = $wpdb->query( $wpdb->prepare(
+            "INSERT INTO {$wpdb->sitemeta} ( site_id, meta_key, meta_value )
+            SELECT %d, %s, %s FROM DUAL
+            WHERE NOT EXISTS ( SELECT 1 FROM {$wpdb->sitemeta} WHERE site_id = %d AND meta_key = %s )",
+            $network_id,
+            $option,
+            maybe_serialize( $value ),
+            $network_id,
+            $option
+        ) );
+
+        self::flush_option_cache( $option );
+        wp_cache_delete( $network_id . ':notoptions', 'site-options' );
+
+        return 1 === $added;
+    }
+
+    /**
+     * Drop the cached value of an option so the next read comes from the database
+     *
+     * @param string $option Option name.
+     */
+    public static function flush_option_cache( $option ) {
+        if ( self::is_network_active() ) {
+            wp_cache_delete( get_current_network_id() . ':' . $option, 'site-options' );
+        } else {
+            wp_cache_delete( $option, 'options' );
+        }
+    }
+
+    /**
+     * Get the URL of one of the plugin admin pages, in the network admin when network activated
+     *
+     * @param string $page Page slug.
+     * @return string
+     */
+    public static function get_admin_page_url( $page = 'git-plugin-loader' ) {
+        $path = 'admin.php?page=' . $page;
+
+        return self::is_network_active() ? network_admin_url( $path ) : admin_url( $path );
+    }
+
+    /**
+     * Encrypt a secret for storage
+     *
+     * @param string $value Plain text value.
+     * @return string Encrypted value.
+     */
+    public static function encrypt( $value ) {
+        if ( empty( $value ) ) {
+            return '';
+        }
+
+        $key = self::get_encryption_key();
+
+        if ( function_exists( 'openssl_encrypt' ) ) {
+            $iv        = openssl_random_pseudo_bytes( 16 );
+            $encrypted = openssl_encrypt( $value, 'AES-256-CBC', $key, 0, $iv );
+            return base64_encode( $iv . $encrypted );
+        }
+
+        // Fallback: simple obfuscation (not secure, but better than plain text)
+        return base64_encode( $value );
+    }
+
+    /**
+     * Decrypt a stored secret
+     *
+     * @param string $encrypted Encrypted value.
+     * @return string Plain text value.
+     */
+    public static function decrypt( $encrypted ) {
+        if ( empty( $encrypted ) ) {
+            return '';
+        }
+
+        $key = self::get_encryption_key();
+
+        if ( function_exists( 'openssl_decrypt' ) ) {
+            $decoded = base64_decode( $encrypted );
+            if ( strlen( $decoded ) >= 16 ) {
+                $iv        = substr( $decoded, 0, 16 );
+                $cipher    = substr( $decoded, 16 );
+                $decrypted = openssl_decrypt( $cipher, 'AES-256-CBC', $key, 0, $iv );
+                if ( false !== $decrypted ) {
+                    return $decrypted;
+                }
+            }
+        }
+
+        // Fallback: simple decode
+        return base64_decode( $encrypted );
+    }
+
+    /**
+     * Get encryption key
+     *
+     * @return string
+     */
+    private static function get_encryption_key() {
+        if ( defined( 'AUTH_KEY' ) && ! empty( AUTH_KEY ) ) {
+            return hash( 'sha256', AUTH_KEY );
+        }
+        return hash( 'sha256', 'git-plugin-loader-default-key' );
     }
 
     /**
@@ -252,17 +599,91 @@ class Git_Plugin_Loader {
      * @return array
      */
     public static function get_managed_plugins() {
-        return get_option( GPL_OPTION_PLUGINS, array() );
+        return self::get_option( GPL_OPTION_PLUGINS, array() );
     }
 
     /**
      * Update managed plugins
      *
+     * Plugins whose data changed get a new 'modified' time, which open admin
+     * pages use to refresh just those rows.
+     *
      * @param array $plugins Plugins data.
      * @return bool
      */
     public static function update_managed_plugins( $plugins ) {
-        return update_option( GPL_OPTION_PLUGINS, $plugins );
+        $previous = self::get_managed_plugins();
+
+        foreach ( $plugins as $slug => $plugin ) {
+            $before = isset( $previous[ $slug ] ) ? $previous[ $slug ] : array();
+            unset( $plugin['modified'], $before['modified'] );
+
+            if ( $plugin != $before ) {
+                $plugins[ $slug ]['modified'] = time();
+            }
+        }
+
+        return self::update_option( GPL_OPTION_PLUGINS, $plugins );
+    }
+
+    /**
+     * Update a single managed plugin
+     *
+     * Reloads the stored list under a lock before merging so that parallel
+     * requests working on different plugins don't overwrite each other.
+     *
+     * @param string $slug Plugin slug.
+     * @param array  $data Plugin data to merge.
+     * @return array|false Updated plugin data, or false if not managed.
+     */
+    public static function update_managed_plugin( $slug, $data ) {
+        $locked = self::lock_managed_plugins();
+
+        self::flush_option_cache( GPL_OPTION_PLUGINS );
+        wp_cache_delete( 'alloptions', 'options' );
+
+        $plugins = self::get_managed_plugins();
+
+        if ( isset( $plugins[ $slug ] ) ) {
+            $plugins[ $slug ] = array_merge( $plugins[ $slug ], $data );
+            self::update_managed_plugins( $plugins );
+        }
+
+        if ( $locked ) {
+            self::delete_option( GPL_OPTION_PLUGINS_LOCK );
+        }
+
+        return isset( $plugins[ $slug ] ) ? $plugins[ $slug ] : false;
+    }
+
+    /**
+     * Wait for and take the lock on the managed plugins list
+     *
+     * A lock older than the timeout was left by a request that died and is taken over.
+     *
+     * @return bool False if the lock could not be taken in time.
+     */
+    private static function lock_managed_plugins() {
+        $timeout = 10;
+        $started = microtime( true );
+
+        while ( ! self::add_lock( GPL_OPTION_PLUGINS_LOCK, time() ) ) {
+            self::flush_option_cache( GPL_OPTION_PLUGINS_LOCK );
+            $locked_at = (int) self::get_option( GPL_OPTION_PLUGINS_LOCK, 0 );
+
+            if ( $locked_at && $locked_at < time() - $timeout ) {
+                self::delete_option( GPL_OPTION_PLUGINS_LOCK );
+                continue;
+            }
+
+            if ( microtime( true ) - $started > $timeout ) {
+                return false;
+            }
+
+            usleep( 50000 );
+        }
+
+        return true;
     }
 
     /**
@@ -0,0 +1,433 @@
+<?php
+/**
+ * Activity Log Class
+ *
+ * Records who ran which Git operation on which plugin, and how it went.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Activity_Log class
+ */
+class GPL_Activity_Log {
+
+    /**
+     * Option that held the log entries before they moved to their own table
+     *
+     * @var string
+     */
+    const OPTION = 'gpl_activity_log';
+
+    /**
+     * Log table name, without the database prefix
+     *
+     * @var string
+     */
+    const TABLE = 'gpl_activity_log';
+
+    /**
+     * Version of the log table schema
+     *
+     * @var int
+     */
+    const DB_VERSION = 1;
+
+    /**
+     * Option holding the installed schema version
+     *
+     * @var string
+     */
+    const OPTION_DB_VERSION = 'gpl_activity_log_db_version';
+
+    /**
+     * Number of entries read at once when exporting
+     *
+     * @var int
+     */
+    const EXPORT_BATCH = 500;
+
+    /**
+     * Maximum number of Git output lines stored with a failure
+     *
+     * @var int
+     */
+    const OUTPUT_LIMIT = 200;
+
+    /**
+     * Default number of days entries are kept
+     *
+     * @var int
+     */
+    const DEFAULT_RETENTION = 30;
+
+    /**
+     * Git instance
+     *
+     * @var GPL_Git
+     */
+    private $git;
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Git $git Git operations handler.
+     */
+    public function __construct( GPL_Git $git ) {
+        $this->git = $git;
+
+        add_action( 'init', array( __CLASS__, 'maybe_install' ) );
+        add_action( GPL_Cron::HOOK_CLEANUP_EXPORTS, array( $this, 'prune' ) );
+    }
+
+    /**
+     * Get the log table name
+     *
+     * On a network the log is shared by every site, like the plugins it records.
+     *
+     * @return string
+     */
+    public static function get_table() {
+        global $wpdb;
+
+        return ( Git_Plugin_Loader::is_network_active() ? $wpdb->base_prefix : $wpdb->prefix ) . self::TABLE;
+    }
+
+    /**
+     * Create or update the log table when the schema changed
+     *
+     * Plugins updated through Git never run their activation hook again.
+     */
+    public static function maybe_install() {
+        if ( (int) Git_Plugin_Loader::get_option( self::OPTION_DB_VERSION, 0 ) < self::DB_VERSION ) {
+            self::install();
+        }
+    }
+
+    /**
+     * Create the log table and move over entries kept in the old option
+     */
+    public static function install() {
+        global $wpdb;
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $table = self::get_table();
+
+        dbDelta( "CREATE TABLE {$table} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            time bigint(20) unsigned NOT NULL DEFAULT 0,
+            user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            action varchar(20) NOT NULL DEFAULT '',
+            slug varchar(191) NOT NULL DEFAULT '',
+            result varchar(20) NOT NULL DEFAULT '',
+            from_commit varchar(100) NOT NULL DEFAULT '',
+            to_commit varchar(100) NOT NULL DEFAULT '',
+            duration float NOT NULL DEFAULT 0,
+            message text NOT NULL,
+            output longtext NOT NULL,
+            PRIMARY KEY  (id),
+            KEY time (time),
+            KEY slug (slug)
+        ) {$wpdb->get_charset_collate()};" );
+
+        // Deleted before copying, so a second request installing at the same time finds nothing to copy
+        $entries = Git_Plugin_Loader::get_option( self::OPTION );
+        Git_Plugin_Loader::delete_option( self::OPTION );
+
+        if ( is_array( $entries ) ) {
+            foreach ( array_reverse( $entries ) as $entry ) {
+                self::insert( $entry );
+            }
+        }
+
+        Git_Plugin_Loader::update_option( self::OPTION_DB_VERSION, self::DB_VERSION );
+    }
+
+    /**
+     * Get the labels of the logged actions
+     *
+     * @return array
+     */
+    public static function get_actions() {
+        return array(
+            'add'      => __( 'Add', 'git-plugin-loader' ),
+            'sync'     => __( 'Sync', 'git-plugin-loader' ),
+            'check'    => __( 'Check', 'git-plugin-loader' ),
+            'branch'   => __( 'Branch change', 'git-plugin-loader' ),
+            'pin'      => __( 'Pin', 'git-plugin-loader' ),
+            'rollback' => __( 'Rollback', 'git-plugin-loader' ),
+            'export'   => __( 'Export', 'git-plugin-loader' ),
+            'remove'   => __( 'Remove', 'git-plugin-loader' ),
+            'request'  => __( 'Sync request', 'git-plugin-loader' ),
+            'review'   => __( 'Sync review', 'git-plugin-loader' ),
+        );
+    }
+
+    /**
+     * Start timing an operation
+     *
+     * @param string      $action Action key.
+     * @param string|null $slug   Plugin slug, if known yet.
+     * @return array Context to pass to end().
+     */
+    public function begin( $action, $slug ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        $plugin  = $slug && isset( $plugins[ $slug ] ) ? $plugins[ $slug ] : array();
+        $key     = GPL_Releases::uses_releases( $plugin ) ? 'installed_version' : 'local_commit';
+
+        $this->git->start_transcript();
+
+        return array(
+            'action'  => $action,
+            'slug'    => $slug,
+            'from'    => ! empty( $plugin[ $key ] ) ? $plugin[ $key ] : '',
+            'started' => microtime( true ),
+        );
+    }
+
+    /**
+     * Record the outcome of an operation
+     *
+     * @param array                $context Context returned by begin().
+     * @param array|bool|WP_Error  $result  Operation result.
+     * @param string               $message Optional message for successful operations.
+     * @return array|bool|WP_Error The result, unchanged.
+     */
+    public function end( $context, $result, $message = '' ) {
+        $output = $this->git->stop_transcript();
+        $failed = is_wp_error( $result );
+        $slug   = $context['slug'];
+        $to     = '';
+
+        if ( is_array( $result ) ) {
+            // A check reports the commit it found, everything else the commit it left behind
+            if ( GPL_Releases::uses_releases( $result ) ) {
+                $key = 'check' === $context['action'] ? 'remote_version' : 'installed_version';
+            } else {
+                $key = 'check' === $context['action'] ? 'remote_commit' : 'local_commit';
+            }
+            $to = isset( $result[ $key ] ) ? $result[ $key ] : '';
+
+            if ( ! $slug && isset( $result['slug'] ) ) {
+                $slug = $result['slug'];
+            }
+        }
+
+        self::insert( array(
+            'time'     => time(),
+            'user_id'  => get_current_user_id(),
+            'action'   => $context['action'],
+            'slug'     => (string) $slug,
+            'result'   => $failed ? 'failure' : 'success',
+            'from'     => $context['from'],
+            'to'       => $to,
+            'duration' => round( microtime( true ) - $context['started'], 2 ),
+            'message'  => $failed ? $result->get_error_message() : $message,
+            'output'   => $failed ? array_slice( $output, -self::OUTPUT_LIMIT ) : array(),
+        ) );
+
+        return $result;
+    }
+
+    /**
+     * Get log entries, newest first
+     *
+     * @param array $filters Optional 'slug', 'action', 'user_id' and 'result' filters.
+     * @param int   $limit   Maximum number of entries, 0 for all.
+     * @param int   $offset  Number of entries to skip.
+     * @return array
+     */
+    public function get_entries( $filters = array(), $limit = 0, $offset = 0 ) {
+        global $wpdb;
+
+        $sql = 'SELECT * FROM ' . self::get_table() . $this->get_where( $filters ) . ' ORDER BY id DESC';
+
+        if ( $limit > 0 ) {
+            $sql .= $wpdb->prepare( ' LIMIT %d OFFSET %d', $limit, $offset );
+        }
+
+        return array_map( array( $this, 'from_row' ), $wpdb->get_results( $sql, ARRAY_A ) );
+    }
+
+    /**
+     * Count log entries
+     *
+     * @param array $filters Filters, see get_entries().
+     * @return int
+     */
+    public function count_entries( $filters = array() ) {
+        global $wpdb;
+
+        return (int) $wpdb->get_var( 'SELECT COUNT(*) FROM ' . self::get_table() . $this->get_where( $filters ) );
+    }
+
+    /**
+     * Get the distinct values of a field across all entries
+     *
+     * @param string $field Entry field, 'slug' or 'user_id'.
+     * @return array
+     */
+    public function get_values( $field ) {
+        global $wpdb;
+
+        if ( ! in_array( $field, array( 'slug', 'user_id' ), true ) ) {
+            return array();
+        }
+
+        return $wpdb->get_col( "SELECT DISTINCT {$field} FROM " . self::get_table() . " ORDER BY {$field}" );
+    }
+
+    /**
+     * Delete entries older than the retention period
+     */
+    public function prune() {
+        global $wpdb;
+
+        $days   = (int) Git_Plugin_Loader::get_settings( 'activity_retention_days' );
+        $cutoff = time() - ( $days > 0 ? $days : self::DEFAULT_RETENTION ) * DAY_IN_SECONDS;
+
+        $wpdb->query( $wpdb->prepare( 'DELETE FROM ' . self::get_table() . ' WHERE time < %d', $cutoff ) );
+    }
+
+    /**
+     * Send entries as a CSV download
+     *
+     * @param array $filters Filters, see get_entries().
+     */
+    public function send_csv( $filters = array() ) {
+        $actions = self::get_actions();
+
+        nocache_headers();
+        header( 'Content-Type: text/csv; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="git-plugin-loader-activity-' . gmdate( 'Y-m-d' ) . '.csv"' );
+
+        $handle = fopen( 'php://output', 'w' );
+
+        fputcsv( $handle, array( 'time', 'plugin', 'action', 'user', 'result', 'from_commit', 'to_commit', 'duration', 'message', 'output' ) );
+
+        // Read in batches so a long log doesn't have to fit in memory at once
+        $offset = 0;
+
+        do {
+            $entries = $this->get_entries( $filters, self::EXPORT_BATCH, $offset );
+            $offset += self::EXPORT_BATCH;
+
+            foreach ( $entries as $entry ) {
+                fputcsv( $handle, array_map( array( __CLASS__, 'escape_csv_cell' ), array(
+                    gmdate( 'c', $entry['time'] ),
+                    $entry['slug'],
+                    isset( $actions[ $entry['action'] ] ) ? $actions[ $entry['action'] ] : $entry['action'],
+                    self::get_user_label( $entry['user_id'] ),
+                    $entry['result'],
+                    $entry['from'],
+                    $entry['to'],
+                    $entry['duration'],
+                    $entry['message'],
+                    implode( "\n", $entry['output'] ),
+                ) ) );
+            }
+        } while ( count( $entries ) === self::EXPORT_BATCH );
+
+        fclose( $handle );
+    }
+
+    /**
+     * Get the display name of the user behind an entry
+     *
+     * @param int $user_id User ID, 0 for cron and webhooks.
+     * @return string
+     */
+    public static function get_user_label( $user_id ) {
+        $user = $user_id ? get_userdata( $user_id ) : false;
+
+        if ( $user ) {
+            return $user->display_name;
+        }
+
+        return $user_id ? __( 'Deleted user', 'git-plugin-loader' ) : __( 'System', 'git-plugin-loader' );
+    }
+
+    /**
+     * Keep a CSV cell from being read as a formula by spreadsheet software
+     *
+     * @param mixed $value Cell value.
+     * @return string
+     */
+    private static function escape_csv_cell( $value ) {
+        $value = (string) $value;
+
+        if ( '' !== $value && false !== strpos( "=+-@\t\r", $value[0] ) ) {
+            $value = "'" . $value;
+        }
+
+        return $value;
+    }
+
+    /**
+     * Store an entry
+     *
+     * @param array $entry Log entry.
+     */
+    private static function insert( $entry ) {
+        global $wpdb;
+
+        $wpdb->insert( self::get_table(), array(
+            'time'        => $entry['time'],
+            'user_id'     => $entry['user_id'],
+            'action'      => $entry['action'],
+            'slug'        => $entry['slug'],
+            'result'      => $entry['result'],
+            'from_commit' => (string) $entry['from'],
+            'to_commit'   => (string) $entry['to'],
+            'duration'    => $entry['duration'],
+            'message'     => (string) $entry['message'],
+            'output'      => implode( "\n", $entry['output'] ),
+        ), array( '%d', '%d', '%s', '%s', '%s', '%s', '%s', '%f', '%s', '%s' ) );
+    }
+
+    /**
+     * Turn a table row into a log entry
+     *
+     * @param array $row Table row.
+     * @return array
+     */
+    private function from_row( $row ) {
+        return array(
+            'time'     => (int) $row['time'],
+            'user_id'  => (int) $row['user_id'],
+            'action'   => $row['action'],
+            'slug'     => $row['slug'],
+            'result'   => $row['result'],
+            'from'     => $row['from_commit'],
+            'to'       => $row['to_commit'],
+            'duration' => (float) $row['duration'],
+            'message'  => $row['message'],
+            'output'   => '' === $row['output'] ? array() : explode( "\n", $row['output'] ),
+        );
+    }
+
+    /**
+     * Build the WHERE clause for a set of filters
+     *
+     * @param array $filters Filters, see get_entries().
+     * @return string
+     */
+    private function get_where( $filters ) {
+        global $wpdb;
+
+        $filters = array_filter( array_intersect_key( $filters, array_flip( array( 'slug', 'action', 'user_id', 'result' ) ) ), 'strlen' );
+        $clauses = array();
+
+        foreach ( $filters as $column => $value ) {
+            $clauses[] = $wpdb->prepare( "{$column} = %s", $value );
+        }
+
+        return $clauses ? ' WHERE ' . implode( ' AND ', $clauses ) : '';
+    }
+}
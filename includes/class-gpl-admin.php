@@ -24,17 +24,75 @@ class GPL_Admin {
      */
     private $plugin_manager;
 
+    /**
+     * Background jobs handler
+     *
+     * @var GPL_Jobs
+     */
+    private $jobs;
+
+    /**
+     * Push webhooks handler
+     *
+     * @var GPL_Webhooks
+     */
+    private $webhooks;
+
+    /**
+     * Activity log
+     *
+     * @var GPL_Activity_Log
+     */
+    private $activity_log;
+
+    /**
+     * Manifest handler
+     *
+     * @var GPL_Manifest
+     */
+    private $manifest;
+
+    /**
+     * Export handler
+     *
+     * @var GPL_Export
+     */
+    private $export;
+
+    /**
+     * GitHub API handler
+     *
+     * @var GPL_GitHub_API
+     */
+    private $github_api;
+
     /**
      * Constructor
      *
      * @param GPL_Plugin_Manager $plugin_manager Plugin manager instance.
+     * @param GPL_Jobs           $jobs           Background jobs handler.
+     * @param GPL_Webhooks       $webhooks       Push webhooks handler.
+     * @param GPL_Activity_Log   $activity_log   Activity log.
+     * @param GPL_Manifest       $manifest       Manifest handler.
+     * @param GPL_Export         $export         Export handler.
+     * @param GPL_GitHub_API     $github_api     GitHub API handler.
      */
-    public function __construct( GPL_Plugin_Manager $plugin_manager ) {
+    public function __construct( GPL_Plugin_Manager $plugin_manager, GPL_Jobs $jobs, GPL_Webhooks $webhooks, GPL_Activity_Log $activity_log, GPL_Manifest $manifest, GPL_Export $export, GPL_GitHub_API $github_api ) {
         $this->plugin_manager = $plugin_manager;
+        $this->jobs           = $jobs;
+        $this->webhooks       = $webhooks;
+        $this->activity_log   = $activity_log;
+        $this->manifest       = $manifest;
+        $this->export         = $export;
+        $this->github_api     = $github_api;
 
         add_action( 'admin_menu', array( $this, 'register_menu' ) );
+        add_action( 'network_admin_menu', array( $this, 'register_network_menu' ) );
+        add_action( 'admin_post_gpl_export_activity', array( $this, 'export_activity' ) );
+        add_action( 'admin_post_gpl_export_manifest', array( $this, 'export_manifest' ) );
         add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_scripts' ) );
         add_action( 'admin_notices', array( $this, 'display_notices' ) );
+        add_action( 'network_admin_notices', array( $this, 'display_notices' ) );
     }
 
     /**
@@ -44,27 +102,92 @@ class GPL_Admin {
         add_menu_page(
             __( 'Git Plugins', 'git-plugin-loader' ),
             __( 'Git Plugins', 'git-plugin-loader' ),
-            'manage_options',
+            GPL_Permissions::VIEW,
             'git-plugin-loader',
             array( $this, 'render_main_page' ),
             'dashicons-github',
             65
         );
 
+        // The sites of a network only get to see the plugins, the network admin manages them
+        if ( Git_Plugin_Loader::is_network_active() ) {
+            return;
+        }
+
+        $this->register_submenu_pages();
+    }
+
+    /**
+     * Register the network admin menu, which owns the plugins when network activated
+     */
+    public function register_network_menu() {
+        if ( ! Git_Plugin_Loader::is_network_active() ) {
+            return;
+        }
+
+        add_menu_page(
+            __( 'Git Plugins', 'git-plugin-loader' ),
+            __( 'Git Plugins', 'git-plugin-loader' ),
+            'manage_network_plugins',
+            'git-plugin-loader',
+            array( $this, 'render_main_page' ),
+            'dashicons-github',
+            22
+        );
+
+        $this->register_submenu_pages();
+    }
+
+    /**
+     * Register the pages under the Git Plugins menu
+     */
+    private function register_submenu_pages() {
         add_submenu_page(
             'git-plugin-loader',
             __( 'Manage Plugins', 'git-plugin-loader' ),
             __( 'Manage Plugins', 'git-plugin-loader' ),
-            'manage_options',
+            GPL_Permissions::VIEW,
             'git-plugin-loader',
             array( $this, 'render_main_page' )
         );
 
+        add_submenu_page(
+            'git-plugin-loader',
+            __( 'Activity', 'git-plugin-loader' ),
+            __( 'Activity', 'git-plugin-loader' ),
+            GPL_Permissions::VIEW,
+            'git-plugin-loader-activity',
+            array( $this, 'render_activity_page' )
+        );
+
+        // Sync requests come from site roles, which a network doesn't let near the plugins
+        if ( ! Git_Plugin_Loader::is_network_active() ) {
+            $pending = count( GPL_Sync_Requests::get_requests( 'pending' ) );
+
+            add_submenu_page(
+                'git-plugin-loader',
+                __( 'Approvals', 'git-plugin-loader' ),
+                __( 'Approvals', 'git-plugin-loader' ) . ( $pending && current_user_can( GPL_Permissions::SYNC ) ? ' <span class="awaiting-mod">' . number_format_i18n( $pending ) . '</span>' : '' ),
+                GPL_Permissions::VIEW,
+                'git-plugin-loader-approvals',
+                array( $this, 'render_approvals_page' )
+            );
+        }
+
+        add_submenu_page(
+            'git-plugin-loader',
+            __( 'Exports', 'git-plugin-loader' ),
+            __( 'Exports', 'git-plugin-loader' ),
+            GPL_Permissions::MANAGE,
+            'git-plugin-loader-exports',
+            array( $this, 'render_exports_page' )
+        );
+
         add_submenu_page(
             'git-plugin-loader',
             __( 'Settings', 'git-plugin-loader' ),
             __( 'Settings', 'git-plugin-loader' ),
-            'manage_options',
+            GPL_Permissions::SETTINGS,
             'git-plugin-loader-settings',
             array( $this, 'render_settings_page' )
         );
@@ -90,15 +213,17 @@ class GPL_Admin {
         wp_enqueue_script(
             'gpl-admin-js',
             GPL_ASSETS_URL . 'js/admin.js',
-            array( 'jquery' ),
+            array( 'jquery', 'heartbeat' ),
             GPL_VERSION,
             true
         );
 
         wp_localize_script( 'gpl-admin-js', 'gplAdmin', array(
-            'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
-            'nonce'     => wp_create_nonce( 'gpl_ajax_nonce' ),
-            'pluginUrl' => GPL_PLUGIN_URL,
+            'ajaxUrl'    => admin_url( 'admin-ajax.php' ),
+            'nonce'      => wp_create_nonce( 'gpl_ajax_nonce' ),
+            'pluginUrl'  => GPL_PLUGIN_URL,
+            'serverTime' => time(),
+            'caps'       => GPL_Permissions::get_current_user_capabilities(),
             'strings'   => array(
                 'confirmDelete'     => __( 'Are you sure you want to remove this plugin from Git Plugin Loader?', 'git-plugin-loader' ),
                 'confirmDeleteFiles' => __( 'Do you also want to delete the plugin files?', 'git-plugin-loader' ),
@@ -107,9 +232,132 @@ class GPL_Admin {
                 'exporting'         => __( 'Exporting...', 'git-plugin-loader' ),
                 'success'           => __( 'Success!', 'git-plugin-loader' ),
                 'error'             => __( 'Error', 'git-plugin-loader' ),
+                'justNow'           => __( 'Just now', 'git-plugin-loader' ),
+                'change'            => __( 'Change', 'git-plugin-loader' ),
                 'validating'        => __( 'Validating repository...', 'git-plugin-loader' ),
                 'cloning'           => __( 'Cloning repository...', 'git-plugin-loader' ),
                 'noPlugins'         => __( 'No plugins are being managed yet.', 'git-plugin-loader' ),
+                'bulkNoAction'      => __( 'Please select a bulk action.', 'git-plugin-loader' ),
+                'bulkNoSelection'   => __( 'Please select at least one plugin.', 'git-plugin-loader' ),
+                /* translators: 1: number of processed plugins, 2: total number of plugins */
+                'bulkProgress'      => __( 'Processed %1$d of %2$d...', 'git-plugin-loader' ),
+                /* translators: 1: number of successful plugins, 2: number of failed plugins, 3: number of skipped plugins */
+                'bulkSummary'       => __( 'Done: %1$d succeeded, %2$d failed, %3$d skipped.', 'git-plugin-loader' ),
+                'bulkCancelling'    => __( 'Cancelling after running items finish...', 'git-plugin-loader' ),
+                'bulkQueued'        => __( 'Queued', 'git-plugin-loader' ),
+                'bulkRunning'       => __( 'Running...', 'git-plugin-loader' ),
+                'bulkDone'          => __( 'Done', 'git-plugin-loader' ),
+                'bulkFailed'        => __( 'Failed', 'git-plugin-loader' ),
+                'bulkSkipped'       => __( 'Skipped', 'git-plugin-loader' ),
+                'download'          => __( 'Download', 'git-plugin-loader' ),
+                'upToDate'          => __( 'Up to date', 'git-plugin-loader' ),
+                'updateAvailable'   => __( 'Update available', 'git-plugin-loader' ),
+                'autoSync'          => __( 'Auto-sync', 'git-plugin-loader' ),
+                'loadingChanges'    => __( 'Loading changes...', 'git-plugin-loader' ),
+                'noChanges'         => __( 'No changes found.', 'git-plugin-loader' ),
+                /* translators: 1: number of commits, 2: number of changed files */
+                'changesSummary'    => __( '%1$d commit(s), %2$d file(s) changed.', 'git-plugin-loader' ),
+                'loadingHistory'    => __( 'Loading history...', 'git-plugin-loader' ),
+                'noHistory'         => __( 'No syncs have been recorded for this plugin yet.', 'git-plugin-loader' ),
+                'rollback'          => __( 'Roll back to this commit', 'git-plugin-loader' ),
+                /* translators: %s: short commit hash */
+                'confirmRollback'   => __( 'Roll back to commit %s? The plugin will be pinned and skipped by auto-sync until you sync it manually.', 'git-plugin-loader' ),
+                'syncedLabel'       => __( 'Sync', 'git-plugin-loader' ),
+                'rolledBackLabel'   => __( 'Rollback', 'git-plugin-loader' ),
+                'current'           => __( 'Current', 'git-plugin-loader' ),
+                'pinned'            => __( 'Pinned', 'git-plugin-loader' ),
+                'pinnedLabel'       => __( 'Pin', 'git-plugin-loader' ),
+                /* translators: %d: number of commits */
+                'commitsAhead'      => __( 'Branch is %d commit(s) ahead', 'git-plugin-loader' ),
+                'loadingCommits'    => __( 'Loading commits...', 'git-plugin-loader' ),
+                'recentCommits'     => __( 'Recent commits', 'git-plugin-loader' ),
+                'invalidCommit'     => __( 'Please select a commit or enter a valid commit SHA.', 'git-plugin-loader' ),
+                /* translators: %s: provider name */
+                'detectedProvider'  => __( 'Detected provider: %s', 'git-plugin-loader' ),
+                'loadRefs'          => __( 'Load Branches/Tags', 'git-plugin-loader' ),
+                'showLog'           => __( 'Show log', 'git-plugin-loader' ),
+                'hideLog'           => __( 'Hide log', 'git-plugin-loader' ),
+                'jobLost'           => __( 'Lost track of the background job. Reload the page to see its result.', 'git-plugin-loader' ),
+                'revertedLabel'     => __( 'Revert', 'git-plugin-loader' ),
+                /* translators: 1: installed version, 2: newest version */
+                'versionAvailable'  => __( '%1$s → %2$s available', 'git-plugin-loader' ),
+                'followVersions'    => __( 'Follow versions', 'git-plugin-loader' ),
+                'editConstraint'    => __( 'Edit constraint', 'git-plugin-loader' ),
+                'localChanges'      => __( 'Local changes', 'git-plugin-loader' ),
+                /* translators: 1: number of shown plugins, 2: total number of plugins */
+                'filterCount'       => __( 'Showing %1$d of %2$d', 'git-plugin-loader' ),
+                /* translators: 1: number of changed files, 2: number of local commits */
+                'localChangesSummary' => __( 'This plugin has %1$d changed file(s) and %2$d local commit(s) that syncing would overwrite.', 'git-plugin-loader' ),
+                'exportPatchSync'   => __( 'Export a patch then sync', 'git-plugin-loader' ),
+                'fileStatuses'      => array(
+                    'M'  => __( 'Modified', 'git-plugin-loader' ),
+                    'A'  => __( 'Added', 'git-plugin-loader' ),
+                    'D'  => __( 'Deleted', 'git-plugin-loader' ),
+                    'R'  => __( 'Renamed', 'git-plugin-loader' ),
+                    '??' => __( 'Untracked', 'git-plugin-loader' ),
+                ),
+                /* translators: 1: release name, 2: publish date */
+                'releaseSummary'    => __( '%1$s, published %2$s', 'git-plugin-loader' ),
+                'noReleaseNotes'    => __( 'This release has no notes.', 'git-plugin-loader' ),
+                'viewRelease'       => __( 'View release', 'git-plugin-loader' ),
+                'viewComparison'    => __( 'View full comparison', 'git-plugin-loader' ),
+                'manifestEmpty'     => __( 'Choose a manifest file or paste its contents.', 'git-plugin-loader' ),
+                'manifestNoChanges' => __( 'The managed plugins already match the manifest.', 'git-plugin-loader' ),
+                /* translators: 1: plugins to add, 2: plugins to change, 3: plugins to remove, 4: unchanged plugins */
+                'manifestSummary'   => __( '%1$s to add, %2$s to change, %3$s to remove, %4$s unchanged.', 'git-plugin-loader' ),
+                'manifestConfirm'   => __( 'Apply the manifest changes to this site?', 'git-plugin-loader' ),
+                'manifestDone'      => __( 'Manifest applied. Reloading...', 'git-plugin-loader' ),
+                'manifestFailed'    => __( 'Some changes could not be applied. See the table for details.', 'git-plugin-loader' ),
+                'manifestActions'   => array(
+                    'add'       => __( 'Add', 'git-plugin-loader' ),
+                    'change'    => __( 'Change', 'git-plugin-loader' ),
+                    'remove'    => __( 'Remove', 'git-plugin-loader' ),
+                    'unchanged' => __( 'Unchanged', 'git-plugin-loader' ),
+                    'conflict'  => __( 'Different repository', 'git-plugin-loader' ),
+                ),
+                'manifestFields'    => array(
+                    'repo_url'            => __( 'Repository', 'git-plugin-loader' ),
+                    'source'              => __( 'Install from', 'git-plugin-loader' ),
+                    'branch'              => __( 'Branch/Tag', 'git-plugin-loader' ),
+                    'version_constraint'  => __( 'Version constraint', 'git-plugin-loader' ),
+                    'pinned_commit'       => __( 'Pinned commit', 'git-plugin-loader' ),
+                    'auto_sync'           => __( 'Auto-sync', 'git-plugin-loader' ),
+                    'release_asset'       => __( 'Release asset', 'git-plugin-loader' ),
+                    'include_prereleases' => __( 'Pre-releases', 'git-plugin-loader' ),
+                ),
+                'manifestValues'    => array(
+                    'on'      => __( 'On', 'git-plugin-loader' ),
+                    'off'     => __( 'Off', 'git-plugin-loader' ),
+                    'none'    => __( 'None', 'git-plugin-loader' ),
+                    'git'     => __( 'Git repository', 'git-plugin-loader' ),
+                    'release' => __( 'GitHub Releases', 'git-plugin-loader' ),
+                ),
+                'copied'            => __( 'Copied!', 'git-plugin-loader' ),
+                'copy'              => __( 'Copy', 'git-plugin-loader' ),
+                'regenerate'        => __( 'Regenerate', 'git-plugin-loader' ),
+                'confirmRegenerateSecret' => __( 'Regenerate the webhook secret? Deliveries signed with the old secret will be rejected.', 'git-plugin-loader' ),
+                'confirmRegenerateKey'    => __( 'Regenerate the deploy key? Syncs fail until the new public key is added to the repository.', 'git-plugin-loader' ),
+                /* translators: %s: plugin name */
+                'toastUpdate'       => __( '%s has an update available.', 'git-plugin-loader' ),
+                /* translators: %s: plugin name */
+                'toastError'        => __( '%s ran into an error.', 'git-plugin-loader' ),
+                'toastAdded'        => __( 'Plugins were added elsewhere. Reload the page to see them.', 'git-plugin-loader' ),
+                'dismiss'           => __( 'Dismiss', 'git-plugin-loader' ),
+                'loadingPostSync'   => __( 'Loading post-sync steps...', 'git-plugin-loader' ),
+                /* translators: 1: outcome message, 2: short commit hash */
+                'postSyncSummary'   => __( '%1$s (commit %2$s)', 'git-plugin-loader' ),
+                'loadingExport'     => __( 'Loading export profiles...', 'git-plugin-loader' ),
+                /* translators: %s: profile name */
+                'confirmDeleteProfile' => __( 'Delete the "%s" export profile?', 'git-plugin-loader' ),
+                'confirmClearCache' => __( 'Clear the GitHub API cache? The next checks download every response again.', 'git-plugin-loader' ),
+                /* translators: %d: number of exports */
+                'confirmDeleteExports' => __( 'Delete %d export(s)? This cannot be undone.', 'git-plugin-loader' ),
+                'pin'               => __( 'Pin', 'git-plugin-loader' ),
+                'unpin'             => __( 'Unpin', 'git-plugin-loader' ),
+                'linkCopied'        => __( 'Link copied', 'git-plugin-loader' ),
+                'copyLink'          => __( 'Copy link', 'git-plugin-loader' ),
+                'syncRequested'     => __( 'Sync requested', 'git-plugin-loader' ),
+                'confirmReject'     => __( 'Reject this sync request?', 'git-plugin-loader' ),
             ),
         ) );
     }
@@ -118,6 +366,13 @@ class GPL_Admin {
      * Display admin notices
      */
     public function display_notices() {
+        // Health check outcomes matter on every screen, e.g. after an auto-sync revert
+        if ( current_user_can( GPL_Permissions::SYNC ) ) {
+            foreach ( GPL_Health_Check::pop_notices() as $notice ) {
+                $this->render_notice( $notice['message'], $notice['type'] );
+            }
+        }
+
         $screen = get_current_screen();
         if ( ! $screen || strpos( $screen->id, 'git-plugin-loader' ) === false ) {
             return;
@@ -158,20 +413,35 @@ class GPL_Admin {
      * Render the main plugins page
      */
     public function render_main_page() {
+        // Release plugins stuck in the syncing status before listing them
+        $this->jobs->recover_stale_jobs();
+
         $plugins     = $this->plugin_manager->get_all_plugins();
         $system_ok   = Git_Plugin_Loader::is_git_installed() && Git_Plugin_Loader::is_exec_available();
+        $requested   = wp_list_pluck( GPL_Sync_Requests::get_requests( 'pending' ), 'slug' );
+        $network     = Git_Plugin_Loader::is_network_active();
+        $activations = $network && is_network_admin() ? $this->plugin_manager->get_network_activations() : null;
         ?>
         <div class="wrap gpl-wrap">
             <h1 class="wp-heading-inline"><?php esc_html_e( 'Git Plugin Loader', 'git-plugin-loader' ); ?></h1>
 
-            <?php if ( $system_ok ) : ?>
+            <?php if ( $system_ok && current_user_can( GPL_Permissions::MANAGE ) ) : ?>
                 <a href="#" class="page-title-action gpl-add-new-btn">
                     <?php esc_html_e( 'Add New', 'git-plugin-loader' ); ?>
                 </a>
+                <a href="#" class="page-title-action gpl-manifest-btn">
+                    <?php esc_html_e( 'Manifest', 'git-plugin-loader' ); ?>
+                </a>
             <?php endif; ?>
 
             <hr class="wp-header-end">
 
+            <?php if ( $network && ! is_network_admin() ) : ?>
+                <div class="notice notice-info inline">
+                    <p><?php esc_html_e( 'These plugins are shared by every site of the network and are managed by the network administrators.', 'git-plugin-loader' ); ?></p>
+                </div>
+            <?php endif; ?>
+
             <?php if ( ! $system_ok ) : ?>
                 <div class="gpl-system-error">
                     <p><?php esc_html_e( 'Git Plugin Loader cannot function because of missing system requirements. Please see the notices above.', 'git-plugin-loader' ); ?></p>
@@ -180,19 +450,72 @@ class GPL_Admin {
                 <!-- Add New Plugin Form -->
                 <div class="gpl-add-form" style="display: none;">
                     <div class="gpl-card">
-                        <h2><?php esc_html_e( 'Add Plugin from GitHub', 'git-plugin-loader' ); ?></h2>
+                        <h2><?php esc_html_e( 'Add Plugin from Git', 'git-plugin-loader' ); ?></h2>
                         <form id="gpl-add-plugin-form">
                             <table class="form-table">
                                 <tr>
                                     <th scope="row">
-                                        <label for="gpl-repo-url"><?php esc_html_e( 'GitHub Repository URL', 'git-plugin-loader' ); ?></label>
+                                        <label for="gpl-repo-url"><?php esc_html_e( 'Repository URL', 'git-plugin-loader' ); ?></label>
                                     </th>
                                     <td>
                                         <input type="text" id="gpl-repo-url" name="repo_url" class="regular-text" placeholder="https://github.com/owner/repo" required>
-                                        <p class="description"><?php esc_html_e( 'Enter the full GitHub repository URL.', 'git-plugin-loader' ); ?></p>
+                                        <p class="description"><?php esc_html_e( 'Enter the full repository URL (GitHub, GitLab or any Git server). Use an SSH URL such as git@github.com:owner/repo.git to clone a private repository with a deploy key.', 'git-plugin-loader' ); ?></p>
+                                    </td>
+                                </tr>
+                                <tr class="gpl-deploy-key-row" style="display: none;">
+                                    <th scope="row"><?php esc_html_e( 'Deploy Key', 'git-plugin-loader' ); ?></th>
+                                    <td>
+                                        <button type="button" class="button gpl-generate-deploy-key-btn"><?php esc_html_e( 'Generate Deploy Key', 'git-plugin-loader' ); ?></button>
+                                        <div class="gpl-deploy-key" style="display: none;">
+                                            <div class="gpl-copy-field">
+                                                <input type="text" class="large-text code gpl-deploy-key-public" readonly>
+                                                <button type="button" class="button gpl-copy-btn"><?php esc_html_e( 'Copy', 'git-plugin-loader' ); ?></button>
+                                            </div>
+                                        </div>
+                                        <p class="description"><?php esc_html_e( 'Add the public key to the repository as a read-only deploy key (GitHub: Settings > Deploy keys), then leave the URL field to check access again.', 'git-plugin-loader' ); ?></p>
                                     </td>
                                 </tr>
                                 <tr>
+                                    <th scope="row">
+                                        <label for="gpl-provider"><?php esc_html_e( 'Provider', 'git-plugin-loader' ); ?></label>
+                                    </th>
+                                    <td>
+                                        <select id="gpl-provider" name="provider">
+                                            <option value=""><?php esc_html_e( 'Detect from URL', 'git-plugin-loader' ); ?></option>
+                                            <?php foreach ( $this->plugin_manager->get_providers()->get_all() as $provider ) : ?>
+                                                <option value="<?php echo esc_attr( $provider->get_id() ); ?>"><?php echo esc_html( $provider->get_label() ); ?></option>
+                                            <?php endforeach; ?>
+                                        </select>
+                                        <span class="gpl-detected-provider"></span>
+                                        <p class="description"><?php esc_html_e( 'Choose a provider for self-hosted GitLab instances that are not detected automatically.', 'git-plugin-loader' ); ?></p>
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row">
+                                        <label for="gpl-source"><?php esc_html_e( 'Install From', 'git-plugin-loader' ); ?></label>
+                                    </th>
+                                    <td>
+                                        <select id="gpl-source" name="source">
+                                            <option value="git"><?php esc_html_e( 'Git repository (clone)', 'git-plugin-loader' ); ?></option>
+                                            <option value="release"><?php esc_html_e( 'GitHub Releases (ZIP asset)', 'git-plugin-loader' ); ?></option>
+                                        </select>
+                                        <p class="description"><?php esc_html_e( 'Install a built ZIP attached to the newest release for plugins that need a build step.', 'git-plugin-loader' ); ?></p>
+                                    </td>
+                                </tr>
+                                <tr class="gpl-release-field" style="display: none;">
+                                    <th scope="row">
+                                        <label for="gpl-release-asset"><?php esc_html_e( 'Release Asset', 'git-plugin-loader' ); ?></label>
+                                    </th>
+                                    <td>
+                                        <input type="text" id="gpl-release-asset" name="release_asset" class="regular-text" placeholder="my-plugin-*.zip">
+                                        <p class="description"><?php esc_html_e( 'Optional. File name of the asset to install, * matches any text. Defaults to the first ZIP asset.', 'git-plugin-loader' ); ?></p>
+                                        <label>
+                                            <input type="checkbox" id="gpl-prereleases" name="prereleases" value="1">
+                                            <?php esc_html_e( 'Include pre-releases', 'git-plugin-loader' ); ?>
+                                        </label>
+                                    </td>
+                                </tr>
+                                <tr class="gpl-git-field">
                                     <th scope="row">
                                         <label for="gpl-branch"><?php esc_html_e( 'Branch / Tag', 'git-plugin-loader' ); ?></label>
                                     </th>
@@ -204,6 +527,15 @@ class GPL_Admin {
                                         <p class="description"><?php esc_html_e( 'Select a branch or tag to checkout.', 'git-plugin-loader' ); ?></p>
                                     </td>
                                 </tr>
+                                <tr class="gpl-git-field">
+                                    <th scope="row">
+                                        <label for="gpl-constraint"><?php esc_html_e( 'Follow Versions', 'git-plugin-loader' ); ?></label>
+                                    </th>
+                                    <td>
+                                        <input type="text" id="gpl-constraint" name="constraint" class="regular-text" placeholder="^2.1">
+                                        <p class="description"><?php esc_html_e( 'Optional. Follow the highest tag matching a version constraint such as ^2.1, ~1.4 or >=3.0 <4 instead of a fixed branch or tag.', 'git-plugin-loader' ); ?></p>
+                                    </td>
+                                </tr>
                                 <tr>
                                     <th scope="row">
                                         <label for="gpl-slug"><?php esc_html_e( 'Plugin Slug', 'git-plugin-loader' ); ?></label>
@@ -220,6 +552,13 @@ class GPL_Admin {
                                 <span class="spinner"></span>
                                 <span class="gpl-status-message"></span>
                             </p>
+                            <div class="gpl-job-log gpl-add-job-log" style="display: none;">
+                                <button type="button" class="button-link gpl-job-log-toggle" aria-expanded="true">
+                                    <span class="gpl-job-phase"></span>
+                                    <span class="gpl-job-progress"></span>
+                                </button>
+                                <pre class="gpl-job-output"></pre>
+                            </div>
                         </form>
                     </div>
                 </div>
@@ -228,26 +567,74 @@ class GPL_Admin {
                 <div class="gpl-plugins-list">
                     <?php if ( empty( $plugins ) ) : ?>
                         <div class="gpl-no-plugins">
-                            <p><?php esc_html_e( 'No plugins are being managed yet. Click "Add New" to add a plugin from GitHub.', 'git-plugin-loader' ); ?></p>
+                            <p><?php esc_html_e( 'No plugins are being managed yet. Click "Add New" to add a plugin from a Git repository.', 'git-plugin-loader' ); ?></p>
                         </div>
                     <?php else : ?>
+                        <div class="tablenav top gpl-bulk-actions">
+                            <div class="alignleft actions bulkactions">
+                                <label for="gpl-bulk-action" class="screen-reader-text"><?php esc_html_e( 'Select bulk action', 'git-plugin-loader' ); ?></label>
+                                <select id="gpl-bulk-action">
+                                    <option value=""><?php esc_html_e( 'Bulk actions', 'git-plugin-loader' ); ?></option>
+                                    <option value="sync"><?php esc_html_e( 'Sync', 'git-plugin-loader' ); ?></option>
+                                    <option value="check"><?php esc_html_e( 'Check for updates', 'git-plugin-loader' ); ?></option>
+                                    <option value="export"><?php esc_html_e( 'Export', 'git-plugin-loader' ); ?></option>
+                                    <option value="autosync_on"><?php esc_html_e( 'Enable auto-sync', 'git-plugin-loader' ); ?></option>
+                                    <option value="autosync_off"><?php esc_html_e( 'Disable auto-sync', 'git-plugin-loader' ); ?></option>
+                                </select>
+                                <button type="button" class="button gpl-bulk-apply"><?php esc_html_e( 'Apply', 'git-plugin-loader' ); ?></button>
+                                <button type="button" class="button gpl-bulk-cancel" style="display: none;"><?php esc_html_e( 'Cancel', 'git-plugin-loader' ); ?></button>
+                                <span class="gpl-bulk-progress"></span>
+                            </div>
+                        </div>
+                        <div class="gpl-bulk-summary notice inline" style="display: none;"></div>
+
+                        <div class="gpl-table-filters">
+                            <div class="gpl-filter-chips" role="group" aria-label="<?php esc_attr_e( 'Filter plugins', 'git-plugin-loader' ); ?>">
+                                <?php foreach ( $this->get_table_filters() as $filter => $label ) : ?>
+                                    <button type="button" class="gpl-filter-chip" data-filter="<?php echo esc_attr( $filter ); ?>" aria-pressed="false"><?php echo esc_html( $label ); ?></button>
+                                <?php endforeach; ?>
+                            </div>
+                            <p class="search-box">
+                                <label class="screen-reader-text" for="gpl-plugin-search"><?php esc_html_e( 'Search plugins', 'git-plugin-loader' ); ?></label>
+                                <input type="search" id="gpl-plugin-search" placeholder="<?php esc_attr_e( 'Search name, repository or branch', 'git-plugin-loader' ); ?>">
+                            </p>
+                            <span class="gpl-filter-count"></span>
+                        </div>
+
                         <table class="wp-list-table widefat fixed striped gpl-plugins-table">
                             <thead>
                                 <tr>
-                                    <th class="column-name"><?php esc_html_e( 'Plugin', 'git-plugin-loader' ); ?></th>
-                                    <th class="column-repo"><?php esc_html_e( 'Repository', 'git-plugin-loader' ); ?></th>
-                                    <th class="column-branch"><?php esc_html_e( 'Branch/Tag', 'git-plugin-loader' ); ?></th>
-                                    <th class="column-status"><?php esc_html_e( 'Status', 'git-plugin-loader' ); ?></th>
-                                    <th class="column-last-sync"><?php esc_html_e( 'Last Sync', 'git-plugin-loader' ); ?></th>
+                                    <td class="manage-column column-cb check-column">
+                                        <label class="screen-reader-text" for="gpl-select-all"><?php esc_html_e( 'Select All', 'git-plugin-loader' ); ?></label>
+                                        <input type="checkbox" id="gpl-select-all" class="gpl-select-all">
+                                    </td>
+                                    <?php $this->render_sortable_header( 'name', 'column-name', __( 'Plugin', 'git-plugin-loader' ) ); ?>
+                                    <?php $this->render_sortable_header( 'repo', 'column-repo', __( 'Repository', 'git-plugin-loader' ) ); ?>
+                                    <?php $this->render_sortable_header( 'branch', 'column-branch', __( 'Branch/Tag', 'git-plugin-loader' ) ); ?>
+                                    <?php $this->render_sortable_header( 'status', 'column-status', __( 'Status', 'git-plugin-loader' ) ); ?>
+                                    <?php $this->render_sortable_header( 'last-sync', 'column-last-sync', __( 'Last Sync', 'git-plugin-loader' ) ); ?>
                                     <th class="column-actions"><?php esc_html_e( 'Actions', 'git-plugin-loader' ); ?></th>
                                 </tr>
                             </thead>
                             <tbody>
+                                <tr class="gpl-no-results" style="display: none;">
+                                    <td colspan="7"><?php esc_html_e( 'No plugins match the search and filters.', 'git-plugin-loader' ); ?></td>
+                                </tr>
                                 <?php foreach ( $plugins as $slug => $plugin ) : ?>
-                                    <tr data-slug="<?php echo esc_attr( $slug ); ?>">
+                                    <tr data-slug="<?php echo esc_attr( $slug ); ?>"<?php echo 'syncing' === $plugin['status'] && ! empty( $plugin['job_id'] ) ? ' data-job-id="' . esc_attr( $plugin['job_id'] ) . '"' : ''; ?>
+                                        data-name="<?php echo esc_attr( $plugin['wp_plugin_name'] ? $plugin['wp_plugin_name'] : $slug ); ?>"
+                                        data-repo="<?php echo esc_attr( $plugin['owner'] . '/' . $plugin['repo'] ); ?>"
+                                        data-branch="<?php echo esc_attr( GPL_Releases::uses_releases( $plugin ) ? '' : $plugin['branch'] ); ?>"
+                                        data-status="<?php echo esc_attr( $plugin['status'] ); ?>"
+                                        data-auto-sync="<?php echo ! empty( $plugin['auto_sync'] ) ? '1' : '0'; ?>"
+                                        data-private="<?php echo $plugin['is_private'] ? '1' : '0'; ?>"
+                                        data-last-sync="<?php echo esc_attr( (int) $plugin['last_sync'] ); ?>">
+                                        <th scope="row" class="check-column">
+                                            <input type="checkbox" class="gpl-row-select" value="<?php echo esc_attr( $slug ); ?>">
+                                        </th>
                                         <td class="column-name">
                                             <strong><?php echo esc_html( $plugin['wp_plugin_name'] ? $plugin['wp_plugin_name'] : $slug ); ?></strong>
-                                            <?php if ( $plugin['is_active'] ) : ?>
+                                            <?php if ( $plugin['is_active'] && ! $activations ) : ?>
                                                 <span class="gpl-badge gpl-badge-active"><?php esc_html_e( 'Active', 'git-plugin-loader' ); ?></span>
                                             <?php endif; ?>
                                             <?php if ( $plugin['is_private'] ) : ?>
@@ -256,32 +643,119 @@ class GPL_Admin {
                                             <?php if ( ! empty( $plugin['auto_sync'] ) ) : ?>
                                                 <span class="gpl-badge gpl-badge-autosync"><?php esc_html_e( 'Auto-sync', 'git-plugin-loader' ); ?></span>
                                             <?php endif; ?>
+                                            <?php $from_releases = GPL_Releases::uses_releases( $plugin ); ?>
+                                            <?php if ( $from_releases ) : ?>
+                                                <span class="gpl-badge gpl-badge-release"><?php esc_html_e( 'Releases', 'git-plugin-loader' ); ?></span>
+                                            <?php endif; ?>
                                             <br>
                                             <small class="gpl-commit-info">
                                                 <?php
-                                                printf(
-                                                    /* translators: %s: commit hash */
-                                                    esc_html__( 'Commit: %s', 'git-plugin-loader' ),
-                                                    '<code>' . esc_html( substr( $plugin['local_commit'], 0, 7 ) ) . '</code>'
-                                                );
+                                                if ( $from_releases ) {
+                                                    printf(
+                                                        /* translators: %s: release tag */
+                                                        esc_html__( 'Release: %s', 'git-plugin-loader' ),
+                                                        '<code>' . esc_html( $plugin['installed_version'] ) . '</code>'
+                                                    );
+                                                } else {
+                                                    printf(
+                                                        /* translators: %s: commit hash */
+                                                        esc_html__( 'Commit: %s', 'git-plugin-loader' ),
+                                                        '<code>' . esc_html( substr( $plugin['local_commit'], 0, 7 ) ) . '</code>'
+                                                    );
+                                                }
                                                 ?>
                                             </small>
+                                            <?php if ( $activations ) : ?>
+                                                <?php $sites = isset( $activations['sites'][ $plugin['wp_plugin_file'] ] ) ? $activations['sites'][ $plugin['wp_plugin_file'] ] : array(); ?>
+                                                <div class="gpl-active-sites" title="<?php echo esc_attr( implode( ', ', $sites ) ); ?>">
+                                                    <?php echo esc_html( $this->get_active_sites_label( in_array( $plugin['wp_plugin_file'], $activations['network'], true ), $sites ) ); ?>
+                                                </div>
+                                            <?php endif; ?>
                                         </td>
                                         <td class="column-repo">
-                                            <a href="<?php echo esc_url( $plugin['repo_url'] ); ?>" target="_blank" rel="noopener">
+                                            <?php $provider = $this->plugin_manager->get_providers()->for_plugin( $plugin ); ?>
+                                            <span class="gpl-badge gpl-badge-provider gpl-provider-<?php echo esc_attr( $provider->get_id() ); ?>"><?php echo esc_html( $provider->get_label() ); ?></span>
+                                            <a href="<?php echo esc_url( GPL_Git::get_web_url( $plugin['repo_url'] ) ); ?>" target="_blank" rel="noopener">
                                                 <?php echo esc_html( $plugin['owner'] . '/' . $plugin['repo'] ); ?>
                                             </a>
+                                            <?php if ( ! empty( $plugin['host'] ) && 'github' !== $provider->get_id() ) : ?>
+                                                <br><small class="gpl-repo-host"><?php echo esc_html( $plugin['host'] ); ?></small>
+                                            <?php endif; ?>
                                         </td>
                                         <td class="column-branch">
-                                            <select class="gpl-branch-select" data-slug="<?php echo esc_attr( $slug ); ?>">
-                                                <option value="<?php echo esc_attr( $plugin['branch'] ); ?>" selected>
-                                                    <?php echo esc_html( $plugin['branch'] ); ?>
-                                                </option>
-                                            </select>
-                                            <button type="button" class="button-link gpl-load-branches" data-slug="<?php echo esc_attr( $slug ); ?>"><?php esc_html_e( 'Change', 'git-plugin-loader' ); ?></button>
+                                            <?php if ( $from_releases ) : ?>
+                                                <?php esc_html_e( 'Latest release', 'git-plugin-loader' ); ?>
+                                                <br>
+                                                <small class="gpl-release-source">
+                                                    <?php echo esc_html( $plugin['release_asset'] ? $plugin['release_asset'] : __( 'First ZIP asset', 'git-plugin-loader' ) ); ?>
+                                                    <?php if ( ! empty( $plugin['include_prereleases'] ) ) : ?>
+                                                        &middot; <?php esc_html_e( 'Pre-releases included', 'git-plugin-loader' ); ?>
+                                                    <?php endif; ?>
+                                                </small>
+                                            <?php else : ?>
+                                                <select class="gpl-branch-select" data-slug="<?php echo esc_attr( $slug ); ?>">
+                                                    <option value="<?php echo esc_attr( $plugin['branch'] ); ?>" selected>
+                                                        <?php echo esc_html( $plugin['branch'] ); ?>
+                                                    </option>
+                                                </select>
+                                                <button type="button" class="button-link gpl-load-branches" data-slug="<?php echo esc_attr( $slug ); ?>"><?php esc_html_e( 'Change', 'git-plugin-loader' ); ?></button>
+                                                <?php $constraint = ! empty( $plugin['version_constraint'] ) ? $plugin['version_constraint'] : ''; ?>
+                                                <div class="gpl-constraint-info">
+                                                    <span class="gpl-constraint-current"<?php echo $constraint ? '' : ' style="display: none;"'; ?>>
+                                                        <?php
+                                                        printf(
+                                                            /* translators: %s: version constraint */
+                                                            esc_html__( 'Following %s', 'git-plugin-loader' ),
+                                                            '<code>' . esc_html( $constraint ) . '</code>'
+                                                        );
+                                                        ?>
+                                                        <button type="button" class="button-link gpl-constraint-clear" data-slug="<?php echo esc_attr( $slug ); ?>"><?php esc_html_e( 'Stop', 'git-plugin-loader' ); ?></button>
+                                                    </span>
+                                                    <button type="button" class="button-link gpl-constraint-btn"><?php echo $constraint ? esc_html__( 'Edit constraint', 'git-plugin-loader' ) : esc_html__( 'Follow versions', 'git-plugin-loader' ); ?></button>
+                                                </div>
+                                                <div class="gpl-constraint-editor" style="display: none;">
+                                                    <input type="text" class="gpl-constraint-input" value="<?php echo esc_attr( $constraint ); ?>" placeholder="^2.1">
+                                                    <button type="button" class="button button-small gpl-constraint-apply" data-slug="<?php echo esc_attr( $slug ); ?>"><?php esc_html_e( 'Save', 'git-plugin-loader' ); ?></button>
+                                                    <button type="button" class="button-link gpl-constraint-cancel"><?php esc_html_e( 'Cancel', 'git-plugin-loader' ); ?></button>
+                                                </div>
+                                                <div class="gpl-pin-info">
+                                                    <span class="gpl-pinned-at"<?php echo empty( $plugin['pinned_commit'] ) ? ' style="display: none;"' : ''; ?>>
+                                                        <?php
+                                                        printf(
+                                                            /* translators: %s: commit hash */
+                                                            esc_html__( 'Pinned at %s', 'git-plugin-loader' ),
+                                                            '<code>' . esc_html( substr( isset( $plugin['pinned_commit'] ) ? $plugin['pinned_commit'] : '', 0, 7 ) ) . '</code>'
+                                                        );
+                                                        ?>
+                                                        <button type="button" class="button-link gpl-unpin-btn" data-slug="<?php echo esc_attr( $slug ); ?>"><?php esc_html_e( 'Unpin', 'git-plugin-loader' ); ?></button>
+                                                    </span>
+                                                    <button type="button" class="button-link gpl-pin-commit-btn" data-slug="<?php echo esc_attr( $slug ); ?>"><?php esc_html_e( 'Pin to commit', 'git-plugin-loader' ); ?></button>
+                                                </div>
+                                                <div class="gpl-commit-picker" style="display: none;">
+                                                    <select class="gpl-commit-select">
+                                                        <option value=""><?php esc_html_e( 'Recent commits', 'git-plugin-loader' ); ?></option>
+                                                    </select>
+                                                    <input type="text" class="gpl-commit-input" placeholder="<?php esc_attr_e( 'or commit SHA', 'git-plugin-loader' ); ?>" pattern="[0-9a-fA-F]{7,40}">
+                                                    <button type="button" class="button button-small gpl-pin-apply" data-slug="<?php echo esc_attr( $slug ); ?>"><?php esc_html_e( 'Pin', 'git-plugin-loader' ); ?></button>
+                                                    <button type="button" class="button-link gpl-pin-cancel"><?php esc_html_e( 'Cancel', 'git-plugin-loader' ); ?></button>
+                                                </div>
+                                            <?php endif; ?>
                                         </td>
                                         <td class="column-status">
                                             <?php echo $this->render_status_badge( $plugin['status'] ); ?>
+                                            <span class="gpl-status-detail"><?php echo esc_html( $this->get_status_detail( $plugin ) ); ?></span>
+                                            <?php $health = ! empty( $plugin['health_check']['status'] ) ? $plugin['health_check'] : null; ?>
+                                            <span class="gpl-health-status<?php echo $health ? ' gpl-health-' . esc_attr( $health['status'] ) : ''; ?>"<?php echo $health ? '' : ' style="display: none;"'; ?>>
+                                                <?php echo $health ? esc_html( $health['message'] ) : ''; ?>
+                                            </span>
+                                            <?php $post_sync = ! empty( $plugin['post_sync_result']['status'] ) ? $plugin['post_sync_result'] : null; ?>
+                                            <span class="gpl-post-sync-status<?php echo $post_sync ? ' gpl-post-sync-' . esc_attr( $post_sync['status'] ) : ''; ?>"<?php echo $post_sync ? '' : ' style="display: none;"'; ?>>
+                                                <?php echo $post_sync ? esc_html( $post_sync['message'] ) : ''; ?>
+                                            </span>
+                                            <button type="button" class="button-link gpl-whats-new-btn" data-slug="<?php echo esc_attr( $slug ); ?>"<?php echo 'update_available' === $plugin['status'] ? '' : ' style="display: none;"'; ?>>
+                                                <?php esc_html_e( "What's new", 'git-plugin-loader' ); ?>
+                                            </button>
+                                            <span class="gpl-bulk-row-status"></span>
                                         </td>
                                         <td class="column-last-sync">
                                             <?php
@@ -297,6 +771,11 @@ class GPL_Admin {
                                                 <button type="button" class="button gpl-sync-btn" data-slug="<?php echo esc_attr( $slug ); ?>">
                                                     <?php esc_html_e( 'Sync', 'git-plugin-loader' ); ?>
                                                 </button>
+                                                <?php if ( ! $network ) : ?>
+                                                    <button type="button" class="button gpl-request-sync-btn" data-slug="<?php echo esc_attr( $slug ); ?>" style="display: none;"<?php disabled( in_array( $slug, $requested, true ) ); ?>>
+                                                        <?php echo in_array( $slug, $requested, true ) ? esc_html__( 'Sync requested', 'git-plugin-loader' ) : esc_html__( 'Request sync', 'git-plugin-loader' ); ?>
+                                                    </button>
+                                                <?php endif; ?>
                                                 <button type="button" class="button gpl-check-btn" data-slug="<?php echo esc_attr( $slug ); ?>">
                                                     <?php esc_html_e( 'Check', 'git-plugin-loader' ); ?>
                                                 </button>
@@ -312,6 +791,14 @@ class GPL_Admin {
                                                             <input type="checkbox" class="gpl-autosync-toggle" data-slug="<?php echo esc_attr( $slug ); ?>" <?php checked( ! empty( $plugin['auto_sync'] ) ); ?>>
                                                             <?php esc_html_e( 'Auto-sync', 'git-plugin-loader' ); ?>
                                                         </label>
+                                                        <a href="#" class="gpl-dropdown-item gpl-history-btn" data-slug="<?php echo esc_attr( $slug ); ?>">
+                                                            <?php esc_html_e( 'History', 'git-plugin-loader' ); ?>
+                                                        </a>
+                                                        <?php if ( ! $from_releases ) : ?>
+                                                            <a href="#" class="gpl-dropdown-item gpl-post-sync-btn" data-slug="<?php echo esc_attr( $slug ); ?>">
+                                                                <?php esc_html_e( 'Post-sync steps', 'git-plugin-loader' ); ?>
+                                                            </a>
+                                                        <?php endif; ?>
                                                         <a href="#" class="gpl-dropdown-item gpl-remove-btn" data-slug="<?php echo esc_attr( $slug ); ?>">
                                                             <?php esc_html_e( 'Remove', 'git-plugin-loader' ); ?>
                                                         </a>
@@ -326,6 +813,264 @@ class GPL_Admin {
                         </table>
                     <?php endif; ?>
                 </div>
+
+                <!-- What's New Modal -->
+                <div class="gpl-modal gpl-changes-modal" style="display: none;">
+                    <div class="gpl-modal-content" role="dialog" aria-modal="true" aria-labelledby="gpl-changes-title">
+                        <div class="gpl-modal-header">
+                            <h2 id="gpl-changes-title"><?php esc_html_e( "What's New", 'git-plugin-loader' ); ?></h2>
+                            <button type="button" class="gpl-modal-close">
+                                <span class="dashicons dashicons-no-alt"></span>
+                                <span class="screen-reader-text"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></span>
+                            </button>
+                        </div>
+                        <div class="gpl-modal-body">
+                            <p class="gpl-changes-summary"></p>
+                            <div class="gpl-changes-details">
+                                <h3><?php esc_html_e( 'Commits', 'git-plugin-loader' ); ?></h3>
+                                <ul class="gpl-changes-commits"></ul>
+                                <h3><?php esc_html_e( 'Files Changed', 'git-plugin-loader' ); ?></h3>
+                                <table class="widefat striped gpl-changes-files">
+                                    <thead>
+                                        <tr>
+                                            <th><?php esc_html_e( 'File', 'git-plugin-loader' ); ?></th>
+                                            <th class="gpl-changes-count"><?php esc_html_e( 'Added', 'git-plugin-loader' ); ?></th>
+                                            <th class="gpl-changes-count"><?php esc_html_e( 'Removed', 'git-plugin-loader' ); ?></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody></tbody>
+                                </table>
+                            </div>
+                            <div class="gpl-release-notes" style="display: none;"></div>
+                        </div>
+                        <div class="gpl-modal-footer">
+                            <a href="#" class="gpl-changes-compare-link" target="_blank" rel="noopener"><?php esc_html_e( 'View full comparison', 'git-plugin-loader' ); ?></a>
+                            <button type="button" class="button button-primary gpl-sync-to-btn"><?php esc_html_e( 'Sync to this', 'git-plugin-loader' ); ?></button>
+                            <button type="button" class="button gpl-modal-close"><?php esc_html_e( 'Cancel', 'git-plugin-loader' ); ?></button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Local Changes Modal -->
+                <div class="gpl-modal gpl-local-changes-modal" style="display: none;">
+                    <div class="gpl-modal-content" role="dialog" aria-modal="true" aria-labelledby="gpl-local-changes-title">
+                        <div class="gpl-modal-header">
+                            <h2 id="gpl-local-changes-title"><?php esc_html_e( 'Local Changes', 'git-plugin-loader' ); ?></h2>
+                            <button type="button" class="gpl-modal-close">
+                                <span class="dashicons dashicons-no-alt"></span>
+                                <span class="screen-reader-text"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></span>
+                            </button>
+                        </div>
+                        <div class="gpl-modal-body">
+                            <p class="gpl-local-changes-summary"></p>
+                            <div class="gpl-local-changes-files-wrap">
+                                <h3><?php esc_html_e( 'Changed Files', 'git-plugin-loader' ); ?></h3>
+                                <table class="widefat striped gpl-local-changes-files">
+                                    <thead>
+                                        <tr>
+                                            <th class="gpl-local-changes-status"><?php esc_html_e( 'Status', 'git-plugin-loader' ); ?></th>
+                                            <th><?php esc_html_e( 'File', 'git-plugin-loader' ); ?></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody></tbody>
+                                </table>
+                            </div>
+                            <div class="gpl-local-changes-commits-wrap">
+                                <h3><?php esc_html_e( 'Local Commits', 'git-plugin-loader' ); ?></h3>
+                                <ul class="gpl-local-changes-commits"></ul>
+                            </div>
+                            <p class="description"><?php esc_html_e( 'Stashing keeps the changes in the plugin repository, where they can be restored with git stash pop. Exporting a patch downloads them as a file, then discards them.', 'git-plugin-loader' ); ?></p>
+                        </div>
+                        <div class="gpl-modal-footer">
+                            <button type="button" class="button button-primary gpl-stash-sync-btn"><?php esc_html_e( 'Stash and sync', 'git-plugin-loader' ); ?></button>
+                            <button type="button" class="button gpl-patch-sync-btn"><?php esc_html_e( 'Export a patch then sync', 'git-plugin-loader' ); ?></button>
+                            <button type="button" class="button gpl-modal-close"><?php esc_html_e( 'Cancel', 'git-plugin-loader' ); ?></button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Request Sync Modal -->
+                <div class="gpl-modal gpl-request-sync-modal" style="display: none;">
+                    <div class="gpl-modal-content" role="dialog" aria-modal="true" aria-labelledby="gpl-request-sync-title">
+                        <div class="gpl-modal-header">
+                            <h2 id="gpl-request-sync-title"><?php esc_html_e( 'Request Sync', 'git-plugin-loader' ); ?></h2>
+                            <button type="button" class="gpl-modal-close">
+                                <span class="dashicons dashicons-no-alt"></span>
+                                <span class="screen-reader-text"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></span>
+                            </button>
+                        </div>
+                        <div class="gpl-modal-body">
+                            <p><?php esc_html_e( 'Someone who can sync plugins will be asked to approve the sync.', 'git-plugin-loader' ); ?></p>
+                            <p>
+                                <label for="gpl-request-sync-note"><?php esc_html_e( 'Note (optional)', 'git-plugin-loader' ); ?></label>
+                                <textarea id="gpl-request-sync-note" class="large-text" rows="3"></textarea>
+                            </p>
+                        </div>
+                        <div class="gpl-modal-footer">
+                            <button type="button" class="button button-primary gpl-request-sync-send"><?php esc_html_e( 'Send Request', 'git-plugin-loader' ); ?></button>
+                            <button type="button" class="button gpl-modal-close"><?php esc_html_e( 'Cancel', 'git-plugin-loader' ); ?></button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Sync History Modal -->
+                <div class="gpl-modal gpl-history-modal" style="display: none;">
+                    <div class="gpl-modal-content" role="dialog" aria-modal="true" aria-labelledby="gpl-history-title">
+                        <div class="gpl-modal-header">
+                            <h2 id="gpl-history-title"><?php esc_html_e( 'Sync History', 'git-plugin-loader' ); ?></h2>
+                            <button type="button" class="gpl-modal-close">
+                                <span class="dashicons dashicons-no-alt"></span>
+                                <span class="screen-reader-text"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></span>
+                            </button>
+                        </div>
+                        <div class="gpl-modal-body">
+                            <p class="gpl-history-message"></p>
+                            <table class="widefat striped gpl-history-table">
+                                <thead>
+                                    <tr>
+                                        <th><?php esc_html_e( 'Date', 'git-plugin-loader' ); ?></th>
+                                        <th><?php esc_html_e( 'Change', 'git-plugin-loader' ); ?></th>
+                                        <th><?php esc_html_e( 'By', 'git-plugin-loader' ); ?></th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody></tbody>
+                            </table>
+                        </div>
+                        <div class="gpl-modal-footer">
+                            <button type="button" class="button gpl-modal-close"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Post-Sync Steps Modal -->
+                <div class="gpl-modal gpl-post-sync-modal" style="display: none;">
+                    <div class="gpl-modal-content" role="dialog" aria-modal="true" aria-labelledby="gpl-post-sync-title">
+                        <div class="gpl-modal-header">
+                            <h2 id="gpl-post-sync-title"><?php esc_html_e( 'Post-Sync Steps', 'git-plugin-loader' ); ?></h2>
+                            <button type="button" class="gpl-modal-close">
+                                <span class="dashicons dashicons-no-alt"></span>
+                                <span class="screen-reader-text"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></span>
+                            </button>
+                        </div>
+                        <div class="gpl-modal-body">
+                            <p class="description"><?php esc_html_e( 'These steps run after every sync, in a copy of the plugin that replaces it once they all passed. If one fails, the installed plugin is left unchanged and marked as failed.', 'git-plugin-loader' ); ?></p>
+                            <fieldset class="gpl-post-sync-steps">
+                                <label>
+                                    <input type="checkbox" class="gpl-post-sync-submodules" value="1">
+                                    <code>git submodule update --init --recursive</code>
+                                </label>
+                                <?php foreach ( GPL_Build_Steps::get_commands() as $key => $command ) : ?>
+                                    <label>
+                                        <input type="checkbox" class="gpl-post-sync-build" value="<?php echo esc_attr( $key ); ?>">
+                                        <code><?php echo esc_html( $command['label'] ); ?></code>
+                                    </label>
+                                <?php endforeach; ?>
+                            </fieldset>
+                            <p class="description">
+                                <?php
+                                printf(
+                                    /* translators: %d: number of minutes */
+                                    esc_html__( 'Build commands are stopped after %d minutes.', 'git-plugin-loader' ),
+                                    (int) ( GPL_Build_Steps::TIMEOUT / MINUTE_IN_SECONDS )
+                                );
+                                ?>
+                            </p>
+                            <div class="gpl-post-sync-last-run" style="display: none;">
+                                <h3><?php esc_html_e( 'Last Run', 'git-plugin-loader' ); ?></h3>
+                                <p class="gpl-post-sync-summary"></p>
+                                <div class="gpl-post-sync-output"></div>
+                            </div>
+                        </div>
+                        <div class="gpl-modal-footer">
+                            <button type="button" class="button button-primary gpl-post-sync-save"><?php esc_html_e( 'Save', 'git-plugin-loader' ); ?></button>
+                            <button type="button" class="button gpl-modal-close"><?php esc_html_e( 'Cancel', 'git-plugin-loader' ); ?></button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Export Modal -->
+                <div class="gpl-modal gpl-export-modal" style="display: none;">
+                    <div class="gpl-modal-content" role="dialog" aria-modal="true" aria-labelledby="gpl-export-title">
+                        <div class="gpl-modal-header">
+                            <h2 id="gpl-export-title"><?php esc_html_e( 'Export Plugin', 'git-plugin-loader' ); ?></h2>
+                            <button type="button" class="gpl-modal-close">
+                                <span class="dashicons dashicons-no-alt"></span>
+                                <span class="screen-reader-text"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></span>
+                            </button>
+                        </div>
+                        <div class="gpl-modal-body">
+                            <p class="gpl-export-message"></p>
+                            <table class="form-table gpl-export-form">
+                                <tr>
+                                    <th scope="row"><label for="gpl-export-profile"><?php esc_html_e( 'Profile', 'git-plugin-loader' ); ?></label></th>
+                                    <td>
+                                        <select id="gpl-export-profile" class="gpl-export-profile"></select>
+                                        <button type="button" class="button-link button-link-delete gpl-export-delete-profile"><?php esc_html_e( 'Delete profile', 'git-plugin-loader' ); ?></button>
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row"><label for="gpl-export-ref"><?php esc_html_e( 'Build from', 'git-plugin-loader' ); ?></label></th>
+                                    <td>
+                                        <select id="gpl-export-ref" class="gpl-export-ref">
+                                            <option value=""><?php esc_html_e( 'Installed files', 'git-plugin-loader' ); ?></option>
+                                            <optgroup class="gpl-export-branches" label="<?php esc_attr_e( 'Branches', 'git-plugin-loader' ); ?>"></optgroup>
+                                            <optgroup class="gpl-export-tags" label="<?php esc_attr_e( 'Tags', 'git-plugin-loader' ); ?>"></optgroup>
+                                        </select>
+                                        <input type="text" class="regular-text code gpl-export-commit" placeholder="<?php esc_attr_e( 'or a commit SHA', 'git-plugin-loader' ); ?>" aria-label="<?php esc_attr_e( 'Commit SHA', 'git-plugin-loader' ); ?>">
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row"><label for="gpl-export-profile-exclusions"><?php esc_html_e( 'Exclude', 'git-plugin-loader' ); ?></label></th>
+                                    <td>
+                                        <textarea id="gpl-export-profile-exclusions" class="large-text code gpl-export-exclusions" rows="6"></textarea>
+                                        <p class="description"><?php esc_html_e( 'One pattern per line. Use * as a wildcard.', 'git-plugin-loader' ); ?></p>
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row"><?php esc_html_e( 'Options', 'git-plugin-loader' ); ?></th>
+                                    <td>
+                                        <fieldset>
+                                            <label>
+                                                <input type="checkbox" class="gpl-export-ignore-files" value="1">
+                                                <?php esc_html_e( 'Leave out the paths listed in .distignore and marked export-ignore in .gitattributes', 'git-plugin-loader' ); ?>
+                                            </label>
+                                            <br>
+                                            <label>
+                                                <input type="checkbox" class="gpl-export-stamp-version" value="1">
+                                                <?php esc_html_e( 'Stamp the Version header with the tag, or with the version and commit', 'git-plugin-loader' ); ?>
+                                            </label>
+                                        </fieldset>
+                                        <p class="description"><?php esc_html_e( 'Builds from a branch, tag or commit always leave out export-ignore paths.', 'git-plugin-loader' ); ?></p>
+                                    </td>
+                                </tr>
+                                <tr>
+                                    <th scope="row"><label for="gpl-export-profile-name"><?php esc_html_e( 'Save as', 'git-plugin-loader' ); ?></label></th>
+                                    <td>
+                                        <input type="text" id="gpl-export-profile-name" class="regular-text gpl-export-profile-name" placeholder="<?php esc_attr_e( 'Profile name', 'git-plugin-loader' ); ?>">
+                                        <button type="button" class="button gpl-export-save-profile"><?php esc_html_e( 'Save profile', 'git-plugin-loader' ); ?></button>
+                                    </td>
+                                </tr>
+                            </table>
+                            <div class="gpl-export-result" style="display: none;">
+                                <h3><?php esc_html_e( 'Build', 'git-plugin-loader' ); ?></h3>
+                                <p><a href="#" class="gpl-export-download"></a> <span class="gpl-export-size"></span></p>
+                                <p>
+                                    <?php esc_html_e( 'SHA-256:', 'git-plugin-loader' ); ?>
+                                    <code class="gpl-export-checksum"></code>
+                                    <a href="#" class="gpl-export-checksum-link"><?php esc_html_e( 'Checksum file', 'git-plugin-loader' ); ?></a>
+                                </p>
+                            </div>
+                        </div>
+                        <div class="gpl-modal-footer">
+                            <span class="spinner"></span>
+                            <button type="button" class="button button-primary gpl-export-build"><?php esc_html_e( 'Build ZIP', 'git-plugin-loader' ); ?></button>
+                            <button type="button" class="button gpl-modal-close"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></button>
+                        </div>
+                    </div>
+                </div>
+
+                <?php $this->render_manifest_modal(); ?>
             <?php endif; ?>
         </div>
         <?php
@@ -344,11 +1089,11 @@ class GPL_Admin {
                 <?php wp_nonce_field( 'gpl_save_settings', 'gpl_settings_nonce' ); ?>
 
                 <div class="gpl-card">
-                    <h2><?php esc_html_e( 'GitHub Authentication', 'git-plugin-loader' ); ?></h2>
+                    <h2><?php esc_html_e( 'Authentication', 'git-plugin-loader' ); ?></h2>
                     <table class="form-table">
                         <tr>
                             <th scope="row">
-                                <label for="gpl-github-token"><?php esc_html_e( 'Personal Access Token', 'git-plugin-loader' ); ?></label>
+                                <label for="gpl-github-token"><?php esc_html_e( 'GitHub Token', 'git-plugin-loader' ); ?></label>
                             </th>
                             <td>
                                 <input type="password" id="gpl-github-token" name="github_token" class="regular-text" value="<?php echo esc_attr( $settings['github_token'] ? '********' : '' ); ?>">
@@ -371,6 +1116,40 @@ class GPL_Admin {
                                 <?php endif; ?>
                             </td>
                         </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="gpl-gitlab-token"><?php esc_html_e( 'GitLab Token', 'git-plugin-loader' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="password" id="gpl-gitlab-token" name="gitlab_token" class="regular-text" value="<?php echo esc_attr( ! empty( $settings['gitlab_token'] ) ? '********' : '' ); ?>">
+                                <p class="description"><?php esc_html_e( 'Personal or project access token with read_api and read_repository scopes. Used for gitlab.com and self-hosted GitLab.', 'git-plugin-loader' ); ?></p>
+                                <?php if ( ! empty( $settings['gitlab_token'] ) ) : ?>
+                                    <p>
+                                        <label>
+                                            <input type="checkbox" name="clear_gitlab_token" value="1">
+                                            <?php esc_html_e( 'Clear existing token', 'git-plugin-loader' ); ?>
+                                        </label>
+                                    </p>
+                                <?php endif; ?>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="gpl-git-token"><?php esc_html_e( 'Git Credentials', 'git-plugin-loader' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="password" id="gpl-git-token" name="git_token" class="regular-text" value="<?php echo esc_attr( ! empty( $settings['git_token'] ) ? '********' : '' ); ?>">
+                                <p class="description"><?php esc_html_e( 'Used for other Git servers such as Gitea or Bitbucket. Enter a token, or username:password.', 'git-plugin-loader' ); ?></p>
+                                <?php if ( ! empty( $settings['git_token'] ) ) : ?>
+                                    <p>
+                                        <label>
+                                            <input type="checkbox" name="clear_git_token" value="1">
+                                            <?php esc_html_e( 'Clear existing credentials', 'git-plugin-loader' ); ?>
+                                        </label>
+                                    </p>
+                                <?php endif; ?>
+                            </td>
+                        </tr>
                     </table>
                 </div>
 
@@ -398,6 +1177,48 @@ class GPL_Admin {
                     </table>
                 </div>
 
+                <div class="gpl-card">
+                    <h2><?php esc_html_e( 'Health Check', 'git-plugin-loader' ); ?></h2>
+                    <table class="form-table">
+                        <tr>
+                            <th scope="row"><?php esc_html_e( 'Check After Sync', 'git-plugin-loader' ); ?></th>
+                            <td>
+                                <label>
+                                    <input type="checkbox" id="gpl-health-enabled" name="health_check_enabled" value="1" <?php checked( ! empty( $settings['health_check_enabled'] ) ); ?>>
+                                    <?php esc_html_e( 'Load the site after syncing an active plugin and revert to the previous commit if it fails', 'git-plugin-loader' ); ?>
+                                </label>
+                                <p class="description"><?php esc_html_e( 'A check fails on a non-200 response or a PHP fatal error in the page.', 'git-plugin-loader' ); ?></p>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="gpl-health-front-url"><?php esc_html_e( 'Front-end URL', 'git-plugin-loader' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="url" id="gpl-health-front-url" name="health_check_front_url" class="regular-text" value="<?php echo esc_attr( isset( $settings['health_check_front_url'] ) ? $settings['health_check_front_url'] : '' ); ?>" placeholder="<?php echo esc_attr( home_url( '/' ) ); ?>">
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="gpl-health-admin-url"><?php esc_html_e( 'Admin URL', 'git-plugin-loader' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="url" id="gpl-health-admin-url" name="health_check_admin_url" class="regular-text" value="<?php echo esc_attr( isset( $settings['health_check_admin_url'] ) ? $settings['health_check_admin_url'] : '' ); ?>" placeholder="<?php echo esc_attr( admin_url() ); ?>">
+                                <p class="description"><?php esc_html_e( 'Loaded while logged in as an administrator. Leave empty to use the defaults shown.', 'git-plugin-loader' ); ?></p>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row">
+                                <label for="gpl-health-timeout"><?php esc_html_e( 'Request Timeout', 'git-plugin-loader' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="number" id="gpl-health-timeout" name="health_check_timeout" value="<?php echo esc_attr( ! empty( $settings['health_check_timeout'] ) ? $settings['health_check_timeout'] : GPL_Health_Check::DEFAULT_TIMEOUT ); ?>" min="5" max="60" class="small-text">
+                                <?php esc_html_e( 'seconds', 'git-plugin-loader' ); ?>
+                            </td>
+                        </tr>
+                    </table>
+                </div>
+
                 <div class="gpl-card">
                     <h2><?php esc_html_e( 'Export Settings', 'git-plugin-loader' ); ?></h2>
                     <table class="form-table">
@@ -422,6 +1243,36 @@ class GPL_Admin {
                     </table>
                 </div>
 
+                <div class="gpl-card">
+                    <h2><?php esc_html_e( 'Activity Log', 'git-plugin-loader' ); ?></h2>
+                    <table class="form-table">
+                        <tr>
+                            <th scope="row">
+                                <label for="gpl-activity-retention"><?php esc_html_e( 'Keep Activity For', 'git-plugin-loader' ); ?></label>
+                            </th>
+                            <td>
+                                <input type="number" id="gpl-activity-retention" name="activity_retention_days" value="<?php echo esc_attr( ! empty( $settings['activity_retention_days'] ) ? $settings['activity_retention_days'] : GPL_Activity_Log::DEFAULT_RETENTION ); ?>" min="1" max="365" class="small-text">
+                                <?php esc_html_e( 'days', 'git-plugin-loader' ); ?>
+                            </td>
+                        </tr>
+                    </table>
+                </div>
+
+                <?php $this->render_notifications_card( $settings ); ?>
+
+                <?php $this->render_webhooks_card(); ?>
+
+                <?php $this->render_deploy_keys_card(); ?>
+
+                <?php $this->render_github_api_card(); ?>
+
+                <?php
+                // Site roles can't be given access to plugins a whole network shares
+                if ( current_user_can( 'manage_options' ) && ! Git_Plugin_Loader::is_network_active() ) {
+                    $this->render_permissions_card();
+                }
+                ?>
+
                 <div class="gpl-card">
                     <h2><?php esc_html_e( 'System Status', 'git-plugin-loader' ); ?></h2>
                     <table class="form-table gpl-system-status">
@@ -477,6 +1328,853 @@ class GPL_Admin {
         <?php
     }
 
+    /**
+     * Render the manifest export and import modal
+     */
+    private function render_manifest_modal() {
+        $export_url = wp_nonce_url( add_query_arg( 'action', 'gpl_export_manifest', admin_url( 'admin-post.php' ) ), 'gpl_export_manifest' );
+        ?>
+        <!-- Manifest Modal -->
+        <div class="gpl-modal gpl-manifest-modal" style="display: none;">
+            <div class="gpl-modal-content" role="dialog" aria-modal="true" aria-labelledby="gpl-manifest-title">
+                <div class="gpl-modal-header">
+                    <h2 id="gpl-manifest-title"><?php esc_html_e( 'Plugin Manifest', 'git-plugin-loader' ); ?></h2>
+                    <button type="button" class="gpl-modal-close">
+                        <span class="dashicons dashicons-no-alt"></span>
+                        <span class="screen-reader-text"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></span>
+                    </button>
+                </div>
+                <div class="gpl-modal-body">
+                    <h3><?php esc_html_e( 'Export', 'git-plugin-loader' ); ?></h3>
+                    <p class="description"><?php esc_html_e( 'Download the repository, branch or tag, pinned commit and auto-sync setting of every managed plugin.', 'git-plugin-loader' ); ?></p>
+                    <p>
+                        <a href="<?php echo esc_url( add_query_arg( 'format', 'json', $export_url ) ); ?>" class="button"><?php esc_html_e( 'Download JSON', 'git-plugin-loader' ); ?></a>
+                        <a href="<?php echo esc_url( add_query_arg( 'format', 'yaml', $export_url ) ); ?>" class="button"><?php esc_html_e( 'Download YAML', 'git-plugin-loader' ); ?></a>
+                    </p>
+
+                    <h3><?php esc_html_e( 'Import', 'git-plugin-loader' ); ?></h3>
+                    <p>
+                        <input type="file" id="gpl-manifest-file" accept=".json,.yml,.yaml,application/json,text/yaml">
+                    </p>
+                    <textarea id="gpl-manifest-content" class="large-text code" rows="6" placeholder="<?php esc_attr_e( 'Or paste a JSON or YAML manifest', 'git-plugin-loader' ); ?>"></textarea>
+                    <p>
+                        <label>
+                            <input type="checkbox" id="gpl-manifest-remove-missing" checked>
+                            <?php esc_html_e( 'Stop managing plugins that are not in the manifest (their files are kept)', 'git-plugin-loader' ); ?>
+                        </label>
+                    </p>
+                    <p class="gpl-manifest-message"></p>
+                    <table class="widefat striped gpl-manifest-table" style="display: none;">
+                        <thead>
+                            <tr>
+                                <th><?php esc_html_e( 'Plugin', 'git-plugin-loader' ); ?></th>
+                                <th><?php esc_html_e( 'Change', 'git-plugin-loader' ); ?></th>
+                                <th><?php esc_html_e( 'Details', 'git-plugin-loader' ); ?></th>
+                                <th><?php esc_html_e( 'Progress', 'git-plugin-loader' ); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+                <div class="gpl-modal-footer">
+                    <button type="button" class="button gpl-manifest-preview-btn"><?php esc_html_e( 'Preview Changes', 'git-plugin-loader' ); ?></button>
+                    <button type="button" class="button button-primary gpl-manifest-apply-btn" disabled><?php esc_html_e( 'Apply', 'git-plugin-loader' ); ?></button>
+                    <button type="button" class="button gpl-modal-close"><?php esc_html_e( 'Close', 'git-plugin-loader' ); ?></button>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Send the manifest of the managed plugins as a download
+     */
+    public function export_manifest() {
+        if ( ! current_user_can( GPL_Permissions::MANAGE ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'git-plugin-loader' ) );
+        }
+
+        check_admin_referer( 'gpl_export_manifest' );
+
+        $format = isset( $_GET['format'] ) && 'yaml' === $_GET['format'] ? 'yaml' : 'json';
+
+        nocache_headers();
+        header( 'Content-Type: ' . ( 'yaml' === $format ? 'text/yaml' : 'application/json' ) . '; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="git-plugin-loader-manifest.' . ( 'yaml' === $format ? 'yml' : 'json' ) . '"' );
+
+        // Written to the output stream like the other downloads, it is a file and not HTML
+        $handle = fopen( 'php://output', 'w' );
+        fwrite( $handle, $this->manifest->encode( $this->manifest->build(), $format ) );
+        fclose( $handle );
+        exit;
+    }
+
+    /**
+     * Render activity page
+     */
+    public function render_activity_page() {
+        $filters  = $this->get_activity_filters();
+        $actions  = GPL_Activity_Log::get_actions();
+        $per_page = 50;
+        $pages    = max( 1, (int) ceil( $this->activity_log->count_entries( $filters ) / $per_page ) );
+        $paged    = isset( $_GET['paged'] ) ? min( $pages, max( 1, absint( $_GET['paged'] ) ) ) : 1;
+        $entries  = $this->activity_log->get_entries( $filters, $per_page, ( $paged - 1 ) * $per_page );
+
+        $export_url = wp_nonce_url(
+            add_query_arg( array_merge( $this->get_activity_query_args( $filters ), array( 'action' => 'gpl_export_activity' ) ), admin_url( 'admin-post.php' ) ),
+            'gpl_export_activity'
+        );
+        ?>
+        <div class="wrap gpl-wrap">
+            <h1 class="wp-heading-inline"><?php esc_html_e( 'Activity', 'git-plugin-loader' ); ?></h1>
+            <a href="<?php echo esc_url( $export_url ); ?>" class="page-title-action"><?php esc_html_e( 'Export CSV', 'git-plugin-loader' ); ?></a>
+            <hr class="wp-header-end">
+
+            <form method="get" class="gpl-activity-filters">
+                <input type="hidden" name="page" value="git-plugin-loader-activity">
+
+                <select name="gpl_plugin">
+                    <option value=""><?php esc_html_e( 'All plugins', 'git-plugin-loader' ); ?></option>
+                    <?php foreach ( $this->activity_log->get_values( 'slug' ) as $slug ) : ?>
+                        <option value="<?php echo esc_attr( $slug ); ?>" <?php selected( $filters['slug'], $slug ); ?>><?php echo esc_html( $slug ); ?></option>
+                    <?php endforeach; ?>
+                </select>
+
+                <select name="gpl_action">
+                    <option value=""><?php esc_html_e( 'All actions', 'git-plugin-loader' ); ?></option>
+                    <?php foreach ( $actions as $action => $label ) : ?>
+                        <option value="<?php echo esc_attr( $action ); ?>" <?php selected( $filters['action'], $action ); ?>><?php echo esc_html( $label ); ?></option>
+                    <?php endforeach; ?>
+                </select>
+
+                <select name="gpl_user">
+                    <option value=""><?php esc_html_e( 'All users', 'git-plugin-loader' ); ?></option>
+                    <?php foreach ( $this->activity_log->get_values( 'user_id' ) as $user_id ) : ?>
+                        <option value="<?php echo esc_attr( $user_id ); ?>" <?php selected( $filters['user_id'], (string) $user_id ); ?>><?php echo esc_html( GPL_Activity_Log::get_user_label( $user_id ) ); ?></option>
+                    <?php endforeach; ?>
+                </select>
+
+                <select name="gpl_result">
+                    <option value=""><?php esc_html_e( 'All results', 'git-plugin-loader' ); ?></option>
+                    <option value="success" <?php selected( $filters['result'], 'success' ); ?>><?php esc_html_e( 'Success', 'git-plugin-loader' ); ?></option>
+                    <option value="failure" <?php selected( $filters['result'], 'failure' ); ?>><?php esc_html_e( 'Failure', 'git-plugin-loader' ); ?></option>
+                </select>
+
+                <button type="submit" class="button"><?php esc_html_e( 'Filter', 'git-plugin-loader' ); ?></button>
+            </form>
+
+            <table class="wp-list-table widefat fixed striped gpl-activity-table">
+                <thead>
+                    <tr>
+                        <th class="column-time"><?php esc_html_e( 'Time', 'git-plugin-loader' ); ?></th>
+                        <th class="column-plugin"><?php esc_html_e( 'Plugin', 'git-plugin-loader' ); ?></th>
+                        <th class="column-action"><?php esc_html_e( 'Action', 'git-plugin-loader' ); ?></th>
+                        <th class="column-user"><?php esc_html_e( 'User', 'git-plugin-loader' ); ?></th>
+                        <th class="column-commits"><?php esc_html_e( 'Commits', 'git-plugin-loader' ); ?></th>
+                        <th class="column-duration"><?php esc_html_e( 'Duration', 'git-plugin-loader' ); ?></th>
+                        <th class="column-result"><?php esc_html_e( 'Result', 'git-plugin-loader' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php if ( empty( $entries ) ) : ?>
+                        <tr>
+                            <td colspan="7"><?php esc_html_e( 'No activity recorded yet.', 'git-plugin-loader' ); ?></td>
+                        </tr>
+                    <?php endif; ?>
+                    <?php foreach ( $entries as $entry ) : ?>
+                        <tr>
+                            <td class="column-time">
+                                <?php echo esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $entry['time'] ) ); ?>
+                            </td>
+                            <td class="column-plugin"><?php echo esc_html( $entry['slug'] ); ?></td>
+                            <td class="column-action"><?php echo esc_html( isset( $actions[ $entry['action'] ] ) ? $actions[ $entry['action'] ] : $entry['action'] ); ?></td>
+                            <td class="column-user"><?php echo esc_html( GPL_Activity_Log::get_user_label( $entry['user_id'] ) ); ?></td>
+                            <td class="column-commits">
+                                <?php if ( $entry['from'] || $entry['to'] ) : ?>
+                                    <code><?php echo esc_html( $entry['from'] ? substr( $entry['from'], 0, 7 ) : '-' ); ?></code>
+                                    &rarr;
+                                    <code><?php echo esc_html( $entry['to'] ? substr( $entry['to'], 0, 7 ) : '-' ); ?></code>
+                                <?php endif; ?>
+                            </td>
+                            <td class="column-duration">
+                                <?php
+                                /* translators: %s: duration in seconds */
+                                echo esc_html( sprintf( __( '%ss', 'git-plugin-loader' ), number_format_i18n( $entry['duration'], 1 ) ) );
+                                ?>
+                            </td>
+                            <td class="column-result">
+                                <?php if ( 'success' === $entry['result'] ) : ?>
+                                    <span class="gpl-status-ok"><?php esc_html_e( 'Success', 'git-plugin-loader' ); ?></span>
+                                <?php else : ?>
+                                    <span class="gpl-status-error"><?php esc_html_e( 'Failure', 'git-plugin-loader' ); ?></span>
+                                <?php endif; ?>
+                                <?php if ( $entry['message'] ) : ?>
+                                    <div class="gpl-activity-message"><?php echo esc_html( $entry['message'] ); ?></div>
+                                <?php endif; ?>
+                                <?php if ( $entry['output'] ) : ?>
+                                    <details class="gpl-activity-output">
+                                        <summary><?php esc_html_e( 'Git output', 'git-plugin-loader' ); ?></summary>
+                                        <pre><?php echo esc_html( implode( "\n", $entry['output'] ) ); ?></pre>
+                                    </details>
+                                <?php endif; ?>
+                            </td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <?php if ( $pages > 1 ) : ?>
+                <div class="tablenav bottom">
+                    <div class="tablenav-pages">
+                        <?php
+                        echo wp_kses_post( paginate_links( array(
+                            'base'    => add_query_arg( 'paged', '%#%' ),
+                            'format'  => '',
+                            'current' => $paged,
+                            'total'   => $pages,
+                        ) ) );
+                        ?>
+                    </div>
+                </div>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render approvals page
+     */
+    public function render_approvals_page() {
+        $pending    = GPL_Sync_Requests::get_requests( 'pending' );
+        $reviewed   = array_slice( array_values( wp_list_filter( GPL_Sync_Requests::get_requests(), array( 'status' => 'pending' ), 'NOT' ) ), 0, 20 );
+        $plugins    = Git_Plugin_Loader::get_managed_plugins();
+        $can_review = current_user_can( GPL_Permissions::SYNC );
+        $statuses   = array(
+            'approved' => __( 'Approved', 'git-plugin-loader' ),
+            'rejected' => __( 'Rejected', 'git-plugin-loader' ),
+        );
+        ?>
+        <div class="wrap gpl-wrap">
+            <h1><?php esc_html_e( 'Approvals', 'git-plugin-loader' ); ?></h1>
+
+            <p class="description">
+                <?php
+                if ( $can_review ) {
+                    esc_html_e( 'Syncs requested by users who can\'t sync plugins themselves. Approving a request starts the sync.', 'git-plugin-loader' );
+                } else {
+                    esc_html_e( 'Your sync requests wait here until someone who can sync plugins approves or rejects them.', 'git-plugin-loader' );
+                }
+                ?>
+            </p>
+
+            <h2><?php esc_html_e( 'Pending', 'git-plugin-loader' ); ?></h2>
+            <table class="wp-list-table widefat fixed striped gpl-approvals-table">
+                <thead>
+                    <tr>
+                        <th class="column-plugin"><?php esc_html_e( 'Plugin', 'git-plugin-loader' ); ?></th>
+                        <th class="column-target"><?php esc_html_e( 'Update To', 'git-plugin-loader' ); ?></th>
+                        <th class="column-user"><?php esc_html_e( 'Requested By', 'git-plugin-loader' ); ?></th>
+                        <th class="column-note"><?php esc_html_e( 'Note', 'git-plugin-loader' ); ?></th>
+                        <?php if ( $can_review ) : ?>
+                            <th class="column-actions"><?php esc_html_e( 'Review', 'git-plugin-loader' ); ?></th>
+                        <?php endif; ?>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="gpl-approvals-empty" <?php echo $pending ? 'style="display: none;"' : ''; ?>>
+                        <td colspan="<?php echo $can_review ? 5 : 4; ?>"><?php esc_html_e( 'No sync requests are waiting for review.', 'git-plugin-loader' ); ?></td>
+                    </tr>
+                    <?php foreach ( $pending as $request ) : ?>
+                        <tr data-id="<?php echo esc_attr( $request['id'] ); ?>">
+                            <td class="column-plugin">
+                                <strong><?php echo esc_html( ! empty( $plugins[ $request['slug'] ]['wp_plugin_name'] ) ? $plugins[ $request['slug'] ]['wp_plugin_name'] : $request['slug'] ); ?></strong>
+                            </td>
+                            <td class="column-target">
+                                <?php if ( $request['target'] ) : ?>
+                                    <code><?php echo esc_html( preg_match( '/^[0-9a-f]{40}$/', $request['target'] ) ? substr( $request['target'], 0, 7 ) : $request['target'] ); ?></code>
+                                <?php else : ?>
+                                    <?php esc_html_e( 'Latest', 'git-plugin-loader' ); ?>
+                                <?php endif; ?>
+                            </td>
+                            <td class="column-user">
+                                <?php echo esc_html( GPL_Activity_Log::get_user_label( $request['user_id'] ) ); ?>
+                                <div class="gpl-approval-time">
+                                    <?php echo esc_html( human_time_diff( $request['time'], time() ) . ' ' . __( 'ago', 'git-plugin-loader' ) ); ?>
+                                </div>
+                            </td>
+                            <td class="column-note"><?php echo $request['note'] ? nl2br( esc_html( $request['note'] ) ) : '-'; ?></td>
+                            <?php if ( $can_review ) : ?>
+                                <td class="column-actions">
+                                    <textarea class="large-text gpl-approval-comment" rows="2" placeholder="<?php esc_attr_e( 'Comment (optional)', 'git-plugin-loader' ); ?>"></textarea>
+                                    <button type="button" class="button button-primary gpl-approve-btn"><?php esc_html_e( 'Approve', 'git-plugin-loader' ); ?></button>
+                                    <button type="button" class="button gpl-reject-btn"><?php esc_html_e( 'Reject', 'git-plugin-loader' ); ?></button>
+                                    <span class="spinner"></span>
+                                </td>
+                            <?php endif; ?>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <?php if ( $reviewed ) : ?>
+                <h2><?php esc_html_e( 'Recently Reviewed', 'git-plugin-loader' ); ?></h2>
+                <table class="wp-list-table widefat fixed striped gpl-reviewed-table">
+                    <thead>
+                        <tr>
+                            <th class="column-plugin"><?php esc_html_e( 'Plugin', 'git-plugin-loader' ); ?></th>
+                            <th class="column-user"><?php esc_html_e( 'Requested By', 'git-plugin-loader' ); ?></th>
+                            <th class="column-status"><?php esc_html_e( 'Decision', 'git-plugin-loader' ); ?></th>
+                            <th class="column-user"><?php esc_html_e( 'Reviewed By', 'git-plugin-loader' ); ?></th>
+                            <th class="column-note"><?php esc_html_e( 'Comment', 'git-plugin-loader' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ( $reviewed as $request ) : ?>
+                            <tr>
+                                <td class="column-plugin"><?php echo esc_html( ! empty( $plugins[ $request['slug'] ]['wp_plugin_name'] ) ? $plugins[ $request['slug'] ]['wp_plugin_name'] : $request['slug'] ); ?></td>
+                                <td class="column-user"><?php echo esc_html( GPL_Activity_Log::get_user_label( $request['user_id'] ) ); ?></td>
+                                <td class="column-status">
+                                    <span class="gpl-approval-status gpl-approval-<?php echo esc_attr( $request['status'] ); ?>"><?php echo esc_html( $statuses[ $request['status'] ] ); ?></span>
+                                </td>
+                                <td class="column-user">
+                                    <?php echo esc_html( GPL_Activity_Log::get_user_label( $request['reviewer'] ) ); ?>
+                                    <div class="gpl-approval-time">
+                                        <?php echo esc_html( human_time_diff( $request['reviewed'], time() ) . ' ' . __( 'ago', 'git-plugin-loader' ) ); ?>
+                                    </div>
+                                </td>
+                                <td class="column-note"><?php echo $request['comment'] ? nl2br( esc_html( $request['comment'] ) ) : '-'; ?></td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render exports page
+     */
+    public function render_exports_page() {
+        $exports  = $this->export->get_exports();
+        $plugins  = Git_Plugin_Loader::get_managed_plugins();
+        $settings = Git_Plugin_Loader::get_settings();
+        ?>
+        <div class="wrap gpl-wrap">
+            <h1><?php esc_html_e( 'Exports', 'git-plugin-loader' ); ?></h1>
+
+            <p class="description">
+                <?php
+                printf(
+                    /* translators: 1: number of hours, 2: settings page URL */
+                    wp_kses_post( __( 'Exports are deleted %1$d hours after they were built unless they are pinned. <a href="%2$s">Change the retention</a>.', 'git-plugin-loader' ) ),
+                    (int) $settings['cleanup_exports_after'],
+                    esc_url( Git_Plugin_Loader::get_admin_page_url( 'git-plugin-loader-settings' ) )
+                );
+                ?>
+                <?php
+                printf(
+                    /* translators: %d: number of minutes */
+                    esc_html__( 'Download links stay valid for %d minutes and can be shared with people who can\'t log in.', 'git-plugin-loader' ),
+                    (int) ( GPL_Export::LINK_LIFETIME / MINUTE_IN_SECONDS )
+                );
+                ?>
+            </p>
+
+            <div class="tablenav top">
+                <div class="alignleft actions">
+                    <button type="button" class="button gpl-exports-delete-selected" disabled><?php esc_html_e( 'Delete selected', 'git-plugin-loader' ); ?></button>
+                    <span class="spinner"></span>
+                </div>
+            </div>
+
+            <table class="wp-list-table widefat fixed striped gpl-exports-table">
+                <thead>
+                    <tr>
+                        <td class="manage-column column-cb check-column">
+                            <label class="screen-reader-text" for="gpl-exports-select-all"><?php esc_html_e( 'Select All', 'git-plugin-loader' ); ?></label>
+                            <input type="checkbox" id="gpl-exports-select-all">
+                        </td>
+                        <th class="column-plugin"><?php esc_html_e( 'Plugin', 'git-plugin-loader' ); ?></th>
+                        <th class="column-version"><?php esc_html_e( 'Version', 'git-plugin-loader' ); ?></th>
+                        <th class="column-commit"><?php esc_html_e( 'Commit', 'git-plugin-loader' ); ?></th>
+                        <th class="column-size"><?php esc_html_e( 'Size', 'git-plugin-loader' ); ?></th>
+                        <th class="column-age"><?php esc_html_e( 'Age', 'git-plugin-loader' ); ?></th>
+                        <th class="column-actions"><?php esc_html_e( 'Actions', 'git-plugin-loader' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="gpl-exports-empty" <?php echo $exports ? 'style="display: none;"' : ''; ?>>
+                        <td colspan="7"><?php esc_html_e( 'No exports have been built yet.', 'git-plugin-loader' ); ?></td>
+                    </tr>
+                    <?php foreach ( $exports as $export ) : ?>
+                        <tr data-filename="<?php echo esc_attr( $export['filename'] ); ?>" class="<?php echo $export['pinned'] ? 'gpl-export-pinned' : ''; ?>">
+                            <th scope="row" class="check-column">
+                                <input type="checkbox" class="gpl-export-select" value="<?php echo esc_attr( $export['filename'] ); ?>">
+                            </th>
+                            <td class="column-plugin">
+                                <strong>
+                                    <?php
+                                    if ( $export['slug'] ) {
+                                        echo esc_html( ! empty( $plugins[ $export['slug'] ]['wp_plugin_name'] ) ? $plugins[ $export['slug'] ]['wp_plugin_name'] : $export['slug'] );
+                                    } else {
+                                        esc_html_e( 'Unknown', 'git-plugin-loader' );
+                                    }
+                                    ?>
+                                </strong>
+                                <span class="dashicons dashicons-sticky gpl-export-pin-icon" title="<?php esc_attr_e( 'Pinned', 'git-plugin-loader' ); ?>"></span>
+                                <div class="gpl-export-filename"><code><?php echo esc_html( $export['filename'] ); ?></code></div>
+                            </td>
+                            <td class="column-version">
+                                <?php echo esc_html( $export['version'] ? $export['version'] : '-' ); ?>
+                                <?php if ( $export['ref'] ) : ?>
+                                    <div class="gpl-export-ref"><?php echo esc_html( $export['ref'] ); ?></div>
+                                <?php endif; ?>
+                            </td>
+                            <td class="column-commit">
+                                <?php if ( $export['commit'] ) : ?>
+                                    <code><?php echo esc_html( substr( $export['commit'], 0, 7 ) ); ?></code>
+                                <?php else : ?>
+                                    -
+                                <?php endif; ?>
+                            </td>
+                            <td class="column-size"><?php echo esc_html( size_format( $export['size'] ) ); ?></td>
+                            <td class="column-age">
+                                <span title="<?php echo esc_attr( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $export['created'] ) ); ?>">
+                                    <?php echo esc_html( human_time_diff( $export['created'], time() ) ); ?>
+                                </span>
+                            </td>
+                            <td class="column-actions">
+                                <a href="<?php echo esc_url( $export['url'] ); ?>" class="button gpl-export-download-btn"><?php esc_html_e( 'Download', 'git-plugin-loader' ); ?></a>
+                                <button type="button" class="button gpl-export-copy-link"><?php esc_html_e( 'Copy link', 'git-plugin-loader' ); ?></button>
+                                <button type="button" class="button gpl-export-pin-btn" data-pinned="<?php echo $export['pinned'] ? '1' : '0'; ?>">
+                                    <?php echo $export['pinned'] ? esc_html__( 'Unpin', 'git-plugin-loader' ) : esc_html__( 'Pin', 'git-plugin-loader' ); ?>
+                                </button>
+                                <button type="button" class="button-link button-link-delete gpl-export-delete-btn"><?php esc_html_e( 'Delete', 'git-plugin-loader' ); ?></button>
+                                <?php if ( $export['checksum'] ) : ?>
+                                    <div class="gpl-export-checksum-row">
+                                        <?php esc_html_e( 'SHA-256:', 'git-plugin-loader' ); ?>
+                                        <code><?php echo esc_html( $export['checksum'] ); ?></code>
+                                    </div>
+                                <?php endif; ?>
+                            </td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+        </div>
+        <?php
+    }
+
+    /**
+     * Send the filtered activity log as a CSV download
+     */
+    public function export_activity() {
+        if ( ! current_user_can( GPL_Permissions::VIEW ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'git-plugin-loader' ) );
+        }
+
+        check_admin_referer( 'gpl_export_activity' );
+
+        $this->activity_log->send_csv( $this->get_activity_filters() );
+        exit;
+    }
+
+    /**
+     * Get the activity filters from the request
+     *
+     * @return array
+     */
+    private function get_activity_filters() {
+        $keys    = array(
+            'slug'    => 'gpl_plugin',
+            'action'  => 'gpl_action',
+            'user_id' => 'gpl_user',
+            'result'  => 'gpl_result',
+        );
+        $filters = array();
+
+        foreach ( $keys as $key => $param ) {
+            $filters[ $key ] = isset( $_GET[ $param ] ) ? sanitize_text_field( wp_unslash( $_GET[ $param ] ) ) : '';
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Build the query arguments of a set of activity filters
+     *
+     * @param array $filters Activity filters.
+     * @return array
+     */
+    private function get_activity_query_args( $filters ) {
+        return array_filter( array(
+            'gpl_plugin' => $filters['slug'],
+            'gpl_action' => $filters['action'],
+            'gpl_user'   => $filters['user_id'],
+            'gpl_result' => $filters['result'],
+        ), 'strlen' );
+    }
+
+    /**
+     * Render the GitHub API quota and cache statistics
+     */
+    private function render_github_api_card() {
+        $summary = $this->github_api->get_stats_summary();
+        ?>
+        <div class="gpl-card gpl-github-api">
+            <h2><?php esc_html_e( 'GitHub API', 'git-plugin-loader' ); ?></h2>
+            <p class="description">
+                <?php esc_html_e( 'Cached responses are revalidated with their ETag, which GitHub does not count against the quota. With a token, update checks look up every branch in one GraphQL query.', 'git-plugin-loader' ); ?>
+            </p>
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'REST Requests', 'git-plugin-loader' ); ?></th>
+                    <td class="gpl-api-core"><?php echo esc_html( $summary['core'] ); ?></td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'GraphQL Points', 'git-plugin-loader' ); ?></th>
+                    <td class="gpl-api-graphql"><?php echo esc_html( $summary['graphql'] ); ?></td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Cache Hit Rate', 'git-plugin-loader' ); ?></th>
+                    <td class="gpl-api-cache"><?php echo esc_html( $summary['cache'] ); ?></td>
+                </tr>
+            </table>
+            <p>
+                <button type="button" class="button gpl-refresh-api-status"><?php esc_html_e( 'Refresh', 'git-plugin-loader' ); ?></button>
+                <button type="button" class="button gpl-clear-api-cache"><?php esc_html_e( 'Clear cache', 'git-plugin-loader' ); ?></button>
+                <span class="spinner"></span>
+            </p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the grid of capabilities each role has
+     */
+    private function render_permissions_card() {
+        $roles     = GPL_Permissions::get_roles();
+        $role_caps = GPL_Permissions::get_role_capabilities();
+        ?>
+        <div class="gpl-card gpl-permissions">
+            <h2><?php esc_html_e( 'Permissions', 'git-plugin-loader' ); ?></h2>
+            <p class="description">
+                <?php esc_html_e( 'Administrators can do everything. Users who can view plugins but not sync them can request a sync, which someone who can sync approves on the Approvals page.', 'git-plugin-loader' ); ?>
+            </p>
+            <table class="widefat striped gpl-permissions-table">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e( 'Role', 'git-plugin-loader' ); ?></th>
+                        <?php foreach ( GPL_Permissions::get_capabilities() as $label ) : ?>
+                            <th><?php echo esc_html( $label ); ?></th>
+                        <?php endforeach; ?>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ( $roles as $role => $name ) : ?>
+                        <tr>
+                            <th scope="row"><?php echo esc_html( $name ); ?></th>
+                            <?php foreach ( GPL_Permissions::get_capabilities() as $cap => $label ) : ?>
+                                <td>
+                                    <label>
+                                        <input type="checkbox" class="gpl-role-cap" value="<?php echo esc_attr( $role . ':' . $cap ); ?>" <?php checked( in_array( $cap, $role_caps[ $role ], true ) ); ?>>
+                                        <span class="screen-reader-text"><?php echo esc_html( $name . ': ' . $label ); ?></span>
+                                    </label>
+                                </td>
+                            <?php endforeach; ?>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the push webhook URL and secret of each managed plugin
+     */
+    private function render_webhooks_card() {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        ?>
+        <div class="gpl-card gpl-webhooks">
+            <h2><?php esc_html_e( 'Push Webhooks', 'git-plugin-loader' ); ?></h2>
+            <p class="description">
+                <?php esc_html_e( 'Add a webhook to the GitHub repository with content type application/json and the "push" event to sync as soon as commits are pushed, or the "release" event for plugins installed from releases. Plugins without auto-sync are only marked as having an update.', 'git-plugin-loader' ); ?>
+            </p>
+
+            <?php if ( empty( $plugins ) ) : ?>
+                <p><?php esc_html_e( 'No plugins are managed yet.', 'git-plugin-loader' ); ?></p>
+            <?php else : ?>
+                <table class="wp-list-table widefat fixed striped">
+                    <thead>
+                        <tr>
+                            <th class="column-plugin"><?php esc_html_e( 'Plugin', 'git-plugin-loader' ); ?></th>
+                            <th><?php esc_html_e( 'Payload URL', 'git-plugin-loader' ); ?></th>
+                            <th><?php esc_html_e( 'Secret', 'git-plugin-loader' ); ?></th>
+                            <th class="column-delivery"><?php esc_html_e( 'Last Delivery', 'git-plugin-loader' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ( $plugins as $slug => $plugin ) : ?>
+                            <?php
+                            $delivery = $this->webhooks->get_last_delivery( $plugin );
+                            $secret   = $this->webhooks->get_secret( $slug );
+                            ?>
+                            <tr data-slug="<?php echo esc_attr( $slug ); ?>">
+                                <td class="column-plugin">
+                                    <strong><?php echo esc_html( ! empty( $plugin['wp_plugin_name'] ) ? $plugin['wp_plugin_name'] : $slug ); ?></strong>
+                                    <br><small><?php echo esc_html( $plugin['branch'] ); ?></small>
+                                </td>
+                                <td>
+                                    <div class="gpl-copy-field">
+                                        <input type="text" class="large-text code" value="<?php echo esc_attr( $this->webhooks->get_url( $slug ) ); ?>" readonly>
+                                        <button type="button" class="button gpl-copy-btn"><?php esc_html_e( 'Copy', 'git-plugin-loader' ); ?></button>
+                                    </div>
+                                </td>
+                                <td>
+                                    <div class="gpl-copy-field">
+                                        <input type="text" class="large-text code gpl-webhook-secret" value="<?php echo esc_attr( $secret ); ?>" placeholder="<?php esc_attr_e( 'No secret yet', 'git-plugin-loader' ); ?>" readonly>
+                                        <button type="button" class="button gpl-copy-btn"><?php esc_html_e( 'Copy', 'git-plugin-loader' ); ?></button>
+                                    </div>
+                                    <?php if ( $secret ) : ?>
+                                        <button type="button" class="button-link gpl-regenerate-secret-btn" data-regenerate="1"><?php esc_html_e( 'Regenerate', 'git-plugin-loader' ); ?></button>
+                                    <?php else : ?>
+                                        <button type="button" class="button-link gpl-regenerate-secret-btn"><?php esc_html_e( 'Generate', 'git-plugin-loader' ); ?></button>
+                                    <?php endif; ?>
+                                </td>
+                                <td class="column-delivery">
+                                    <?php if ( $delivery ) : ?>
+                                        <span class="gpl-delivery-result gpl-delivery-<?php echo esc_attr( $delivery['result'] ); ?>"><?php echo esc_html( $delivery['message'] ); ?></span>
+                                        <br><small>
+                                            <?php
+                                            echo esc_html( human_time_diff( $delivery['time'], time() ) . ' ' . __( 'ago', 'git-plugin-loader' ) );
+                                            if ( $delivery['event'] ) {
+                                                echo ' &middot; ' . esc_html( $delivery['event'] );
+                                            }
+                                            ?>
+                                        </small>
+                                    <?php else : ?>
+                                        <?php esc_html_e( 'None yet', 'git-plugin-loader' ); ?>
+                                    <?php endif; ?>
+                                </td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the deploy keys of plugins cloned over SSH
+     */
+    private function render_deploy_keys_card() {
+        $plugins = array_filter( Git_Plugin_Loader::get_managed_plugins(), function( $plugin ) {
+            return GPL_Git::is_ssh_url( $plugin['repo_url'] );
+        } );
+        ?>
+        <div class="gpl-card gpl-deploy-keys">
+            <h2><?php esc_html_e( 'Deploy Keys', 'git-plugin-loader' ); ?></h2>
+            <p class="description">
+                <?php esc_html_e( 'Plugins added with an SSH URL authenticate with their own key pair. The private key is stored encrypted; add the public key to the repository as a read-only deploy key.', 'git-plugin-loader' ); ?>
+            </p>
+
+            <?php if ( empty( $plugins ) ) : ?>
+                <p><?php esc_html_e( 'No plugins are cloned over SSH.', 'git-plugin-loader' ); ?></p>
+            <?php else : ?>
+                <table class="wp-list-table widefat fixed striped">
+                    <thead>
+                        <tr>
+                            <th class="column-plugin"><?php esc_html_e( 'Plugin', 'git-plugin-loader' ); ?></th>
+                            <th><?php esc_html_e( 'Public Key', 'git-plugin-loader' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ( $plugins as $slug => $plugin ) : ?>
+                            <?php $key = GPL_Deploy_Keys::get( $slug ); ?>
+                            <tr data-slug="<?php echo esc_attr( $slug ); ?>">
+                                <td class="column-plugin">
+                                    <strong><?php echo esc_html( ! empty( $plugin['wp_plugin_name'] ) ? $plugin['wp_plugin_name'] : $slug ); ?></strong>
+                                    <br><small><?php echo esc_html( $plugin['repo_url'] ); ?></small>
+                                </td>
+                                <td>
+                                    <div class="gpl-deploy-key"<?php echo $key ? '' : ' style="display: none;"'; ?>>
+                                        <div class="gpl-copy-field">
+                                            <input type="text" class="large-text code gpl-deploy-key-public" value="<?php echo esc_attr( $key ? $key['public_key'] : '' ); ?>" readonly>
+                                            <button type="button" class="button gpl-copy-btn"><?php esc_html_e( 'Copy', 'git-plugin-loader' ); ?></button>
+                                        </div>
+                                    </div>
+                                    <?php if ( $key ) : ?>
+                                        <button type="button" class="button-link gpl-generate-deploy-key-btn" data-regenerate="1"><?php esc_html_e( 'Regenerate', 'git-plugin-loader' ); ?></button>
+                                    <?php else : ?>
+                                        <button type="button" class="button gpl-generate-deploy-key-btn"><?php esc_html_e( 'Generate Deploy Key', 'git-plugin-loader' ); ?></button>
+                                    <?php endif; ?>
+                                </td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the notifications settings card
+     *
+     * @param array $settings Plugin settings.
+     */
+    private function render_notifications_card( $settings ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        $events  = isset( $settings['notify_events'] ) ? (array) $settings['notify_events'] : array_keys( GPL_Notifications::get_events() );
+        $muted   = isset( $settings['notify_muted'] ) ? (array) $settings['notify_muted'] : array();
+        ?>
+        <div class="gpl-card gpl-notifications">
+            <h2><?php esc_html_e( 'Notifications', 'git-plugin-loader' ); ?></h2>
+            <p class="description"><?php esc_html_e( 'Sent after the scheduled update checks and auto-syncs.', 'git-plugin-loader' ); ?></p>
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Notify About', 'git-plugin-loader' ); ?></th>
+                    <td>
+                        <fieldset>
+                            <?php foreach ( GPL_Notifications::get_events() as $event => $label ) : ?>
+                                <label>
+                                    <input type="checkbox" name="notify_events[]" value="<?php echo esc_attr( $event ); ?>" <?php checked( in_array( $event, $events, true ) ); ?>>
+                                    <?php echo esc_html( $label ); ?>
+                                </label><br>
+                            <?php endforeach; ?>
+                        </fieldset>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Email Digest', 'git-plugin-loader' ); ?></th>
+                    <td>
+                        <label>
+                            <input type="checkbox" id="gpl-notify-email" name="notify_email" value="1" <?php checked( ! empty( $settings['notify_email'] ) ); ?>>
+                            <?php esc_html_e( 'Send one email per run listing all notifications', 'git-plugin-loader' ); ?>
+                        </label>
+                        <p>
+                            <input type="text" id="gpl-notify-email-to" name="notify_email_to" class="regular-text" value="<?php echo esc_attr( isset( $settings['notify_email_to'] ) ? $settings['notify_email_to'] : '' ); ?>" placeholder="<?php echo esc_attr( get_option( 'admin_email' ) ); ?>">
+                        </p>
+                        <p class="description"><?php esc_html_e( 'Comma-separated addresses. Leave empty to use the site admin email.', 'git-plugin-loader' ); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row">
+                        <label for="gpl-notify-webhook-url"><?php esc_html_e( 'Webhook URL', 'git-plugin-loader' ); ?></label>
+                    </th>
+                    <td>
+                        <input type="password" id="gpl-notify-webhook-url" name="notify_webhook_url" class="regular-text" value="<?php echo esc_attr( ! empty( $settings['notify_webhook_url'] ) ? '********' : '' ); ?>">
+                        <p class="description"><?php esc_html_e( 'An incoming webhook URL from Slack, Microsoft Teams or any service that accepts a JSON "text" message.', 'git-plugin-loader' ); ?></p>
+                        <?php if ( ! empty( $settings['notify_webhook_url'] ) ) : ?>
+                            <p>
+                                <label>
+                                    <input type="checkbox" name="clear_notify_webhook_url" value="1">
+                                    <?php esc_html_e( 'Clear existing webhook URL', 'git-plugin-loader' ); ?>
+                                </label>
+                            </p>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row">
+                        <label for="gpl-notify-throttle"><?php esc_html_e( 'Repeat Notifications After', 'git-plugin-loader' ); ?></label>
+                    </th>
+                    <td>
+                        <input type="number" id="gpl-notify-throttle" name="notify_throttle_hours" value="<?php echo esc_attr( ! empty( $settings['notify_throttle_hours'] ) ? $settings['notify_throttle_hours'] : GPL_Notifications::DEFAULT_THROTTLE ); ?>" min="1" max="168" class="small-text">
+                        <?php esc_html_e( 'hours', 'git-plugin-loader' ); ?>
+                        <p class="description"><?php esc_html_e( 'A plugin that keeps failing with the same error, or keeps waiting for the same update, is only reported once in this time.', 'git-plugin-loader' ); ?></p>
+                    </td>
+                </tr>
+                <?php if ( $plugins ) : ?>
+                    <tr>
+                        <th scope="row"><?php esc_html_e( 'Plugins', 'git-plugin-loader' ); ?></th>
+                        <td>
+                            <fieldset class="gpl-notify-plugins">
+                                <?php foreach ( $plugins as $slug => $plugin ) : ?>
+                                    <label>
+                                        <input type="checkbox" class="gpl-notify-plugin" value="<?php echo esc_attr( $slug ); ?>" <?php checked( ! in_array( $slug, $muted, true ) ); ?>>
+                                        <?php echo esc_html( ! empty( $plugin['wp_plugin_name'] ) ? $plugin['wp_plugin_name'] : $slug ); ?>
+                                    </label><br>
+                                <?php endforeach; ?>
+                            </fieldset>
+                            <p class="description"><?php esc_html_e( 'Uncheck plugins you don\'t want to be notified about.', 'git-plugin-loader' ); ?></p>
+                        </td>
+                    </tr>
+                <?php endif; ?>
+            </table>
+            <p>
+                <button type="button" class="button gpl-test-notification-btn"><?php esc_html_e( 'Send Test Notification', 'git-plugin-loader' ); ?></button>
+                <span class="description"><?php esc_html_e( 'Uses the saved settings.', 'git-plugin-loader' ); ?></span>
+            </p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Describe where on the network a plugin is active
+     *
+     * @param bool  $network Whether the plugin is network activated.
+     * @param array $sites   Names of the sites the plugin is active on.
+     * @return string
+     */
+    private function get_active_sites_label( $network, $sites ) {
+        if ( $network ) {
+            return __( 'Network active', 'git-plugin-loader' );
+        }
+
+        if ( ! $sites ) {
+            return __( 'Not active on any site', 'git-plugin-loader' );
+        }
+
+        /* translators: %s: comma-separated site names */
+        $label = sprintf( __( 'Active on: %s', 'git-plugin-loader' ), implode( ', ', array_slice( $sites, 0, 3 ) ) );
+
+        if ( count( $sites ) > 3 ) {
+            /* translators: %d: number of further sites */
+            $label .= ' ' . sprintf( _n( 'and %d more', 'and %d more', count( $sites ) - 3, 'git-plugin-loader' ), count( $sites ) - 3 );
+        }
+
+        return $label;
+    }
+
+    /**
+     * Get the facets the plugins table can be filtered by
+     *
+     * @return array
+     */
+    private function get_table_filters() {
+        return array(
+            'up_to_date'       => __( 'Up to date', 'git-plugin-loader' ),
+            'update_available' => __( 'Update available', 'git-plugin-loader' ),
+            'error'            => __( 'Error', 'git-plugin-loader' ),
+            'syncing'          => __( 'Syncing', 'git-plugin-loader' ),
+            'local_changes'    => __( 'Local changes', 'git-plugin-loader' ),
+            'auto_sync'        => __( 'Auto-sync', 'git-plugin-loader' ),
+            'private'          => __( 'Private', 'git-plugin-loader' ),
+        );
+    }
+
+    /**
+     * Render a plugins table header that sorts the table when clicked
+     *
+     * @param string $key   Sort key.
+     * @param string $class Column class.
+     * @param string $label Column label.
+     */
+    private function render_sortable_header( $key, $class, $label ) {
+        ?>
+        <th scope="col" class="manage-column <?php echo esc_attr( $class ); ?> sortable asc" data-sort="<?php echo esc_attr( $key ); ?>">
+            <a href="#" class="gpl-sort-link">
+                <span><?php echo esc_html( $label ); ?></span>
+                <span class="sorting-indicator"></span>
+            </a>
+        </th>
+        <?php
+    }
+
     /**
      * Render a status badge
      *
@@ -493,10 +2191,18 @@ class GPL_Admin {
                 'label' => __( 'Update available', 'git-plugin-loader' ),
                 'class' => 'gpl-status-update',
             ),
+            'pinned'           => array(
+                'label' => __( 'Pinned', 'git-plugin-loader' ),
+                'class' => 'gpl-status-pinned',
+            ),
             'syncing'          => array(
                 'label' => __( 'Syncing...', 'git-plugin-loader' ),
                 'class' => 'gpl-status-syncing',
             ),
+            'local_changes'    => array(
+                'label' => __( 'Local changes', 'git-plugin-loader' ),
+                'class' => 'gpl-status-local',
+            ),
             'error'            => array(
                 'label' => __( 'Error', 'git-plugin-loader' ),
                 'class' => 'gpl-status-error',
@@ -511,4 +2217,35 @@ class GPL_Admin {
             esc_html( $status_info['label'] )
         );
     }
+
+    /**
+     * Get the detail line shown under a status badge
+     *
+     * @param array $plugin Plugin data.
+     * @return string
+     */
+    private function get_status_detail( $plugin ) {
+        // Releases and tag tracking name the version an update goes to
+        if ( 'update_available' === $plugin['status'] && ! empty( $plugin['remote_version'] ) ) {
+            $installed = GPL_Releases::uses_releases( $plugin ) ? $plugin['installed_version'] : $plugin['branch'];
+
+            /* translators: 1: installed version, 2: newest version */
+            return sprintf( __( '%1$s → %2$s available', 'git-plugin-loader' ), $installed, $plugin['remote_version'] );
+        }
+
+        if ( 'update_available' === $plugin['status'] && ! empty( $plugin['remote_commit'] ) && ! GPL_Releases::uses_releases( $plugin ) ) {
+            /* translators: 1: installed version, 2: newest version */
+            return sprintf( __( '%1$s → %2$s available', 'git-plugin-loader' ), substr( $plugin['local_commit'], 0, 7 ), substr( $plugin['remote_commit'], 0, 7 ) );
+        }
+
+        if ( 'pinned' === $plugin['status'] && ! empty( $plugin['commits_behind'] ) ) {
+            return sprintf(
+                /* translators: %d: number of commits */
+                _n( 'Branch is %d commit ahead', 'Branch is %d commits ahead', $plugin['commits_behind'], 'git-plugin-loader' ),
+                $plugin['commits_behind']
+            );
+        }
+
+        return '';
+    }
 }
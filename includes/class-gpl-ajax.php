@@ -38,19 +38,66 @@ class GPL_Ajax {
      */
     private $export;
 
+    /**
+     * Background jobs handler
+     *
+     * @var GPL_Jobs
+     */
+    private $jobs;
+
+    /**
+     * Push webhooks handler
+     *
+     * @var GPL_Webhooks
+     */
+    private $webhooks;
+
+    /**
+     * Manifest handler
+     *
+     * @var GPL_Manifest
+     */
+    private $manifest;
+
+    /**
+     * Notifications handler
+     *
+     * @var GPL_Notifications
+     */
+    private $notifications;
+
+    /**
+     * Sync requests queue
+     *
+     * @var GPL_Sync_Requests
+     */
+    private $sync_requests;
+
     /**
      * Constructor
      *
      * @param GPL_Plugin_Manager $plugin_manager Plugin manager instance.
      * @param GPL_GitHub_API     $github_api     GitHub API instance.
      * @param GPL_Export         $export         Export handler instance.
+     * @param GPL_Jobs           $jobs           Background jobs handler.
+     * @param GPL_Webhooks       $webhooks       Push webhooks handler.
+     * @param GPL_Manifest       $manifest       Manifest handler.
+     * @param GPL_Notifications  $notifications  Notifications handler.
+     * @param GPL_Sync_Requests  $sync_requests  Sync requests queue.
      */
-    public function __construct( GPL_Plugin_Manager $plugin_manager, GPL_GitHub_API $github_api, GPL_Export $export ) {
+    public function __construct( GPL_Plugin_Manager $plugin_manager, GPL_GitHub_API $github_api, GPL_Export $export, GPL_Jobs $jobs, GPL_Webhooks $webhooks, GPL_Manifest $manifest, GPL_Notifications $notifications, GPL_Sync_Requests $sync_requests ) {
         $this->plugin_manager = $plugin_manager;
         $this->github_api     = $github_api;
         $this->export         = $export;
+        $this->jobs           = $jobs;
+        $this->webhooks       = $webhooks;
+        $this->manifest       = $manifest;
+        $this->notifications  = $notifications;
+        $this->sync_requests  = $sync_requests;
 
         $this->register_ajax_handlers();
+
+        add_filter( 'heartbeat_received', array( $this, 'heartbeat_received' ), 10, 2 );
     }
 
     /**
@@ -61,13 +108,39 @@ class GPL_Ajax {
             'gpl_validate_repo',
             'gpl_add_plugin',
             'gpl_sync_plugin',
+            'gpl_request_sync',
+            'gpl_review_sync_request',
+            'gpl_get_local_changes',
+            'gpl_export_patch',
             'gpl_check_updates',
             'gpl_remove_plugin',
             'gpl_export_plugin',
+            'gpl_get_export_profiles',
+            'gpl_save_export_profile',
+            'gpl_delete_export_profile',
+            'gpl_delete_exports',
+            'gpl_pin_export',
+            'gpl_get_export_link',
             'gpl_save_settings',
+            'gpl_test_notification',
+            'gpl_get_api_status',
+            'gpl_clear_api_cache',
             'gpl_toggle_autosync',
             'gpl_get_refs',
             'gpl_change_branch',
+            'gpl_set_constraint',
+            'gpl_get_post_sync_steps',
+            'gpl_set_post_sync_steps',
+            'gpl_get_changes',
+            'gpl_get_history',
+            'gpl_rollback_plugin',
+            'gpl_get_commits',
+            'gpl_pin_commit',
+            'gpl_job_status',
+            'gpl_regenerate_webhook_secret',
+            'gpl_generate_deploy_key',
+            'gpl_preview_manifest',
+            'gpl_apply_manifest_item',
         );
 
         foreach ( $actions as $action ) {
@@ -78,9 +151,10 @@ class GPL_Ajax {
     /**
      * Verify AJAX request
      *
+     * @param string $capability Capability the action needs.
      * @return bool
      */
-    private function verify_request() {
+    private function verify_request( $capability ) {
         // Check nonce
         if ( ! check_ajax_referer( 'gpl_ajax_nonce', 'nonce', false ) ) {
             wp_send_json_error( array( 'message' => __( 'Invalid security token.', 'git-plugin-loader' ) ) );
@@ -88,7 +162,7 @@ class GPL_Ajax {
         }
 
         // Check capabilities
-        if ( ! current_user_can( 'manage_options' ) ) {
+        if ( ! current_user_can( $capability ) ) {
             wp_send_json_error( array( 'message' => __( 'You do not have permission to perform this action.', 'git-plugin-loader' ) ) );
             return false;
         }
@@ -96,11 +170,27 @@ class GPL_Ajax {
         return true;
     }
 
+    /**
+     * Send an error, along with the local changes that caused it so they can be stashed or discarded
+     *
+     * @param WP_Error $error Error.
+     */
+    private function send_local_changes_error( $error ) {
+        $data = array( 'message' => $error->get_error_message() );
+
+        if ( 'local_changes' === $error->get_error_code() ) {
+            $error_data            = $error->get_error_data();
+            $data['local_changes'] = $error_data['changes'];
+        }
+
+        wp_send_json_error( $data );
+    }
+
     /**
      * AJAX: Validate repository
      */
     public function ajax_validate_repo() {
-        if ( ! $this->verify_request() ) {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
             return;
         }
 
@@ -111,54 +201,130 @@ class GPL_Ajax {
             return;
         }
 
-        // Parse repository URL
-        $git = new GPL_Git();
-        $repo_info = $git->parse_repo_url( $url );
+        $provider = isset( $_POST['provider'] ) ? sanitize_key( wp_unslash( $_POST['provider'] ) ) : '';
+        $result   = $this->plugin_manager->inspect_repo( $url, $provider );
 
-        if ( ! $repo_info ) {
-            wp_send_json_error( array( 'message' => __( 'Invalid GitHub repository URL.', 'git-plugin-loader' ) ) );
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
             return;
         }
 
-        // Verify repository exists
-        if ( ! $this->github_api->verify_repo( $repo_info['owner'], $repo_info['repo'] ) ) {
-            $error = $this->github_api->get_last_error();
-            if ( empty( $error ) ) {
-                $error = __( 'Repository not found or not accessible.', 'git-plugin-loader' );
-            }
-            wp_send_json_error( array( 'message' => $error ) );
+        wp_send_json_success( $result );
+    }
+
+    /**
+     * AJAX: Add plugin
+     */
+    public function ajax_add_plugin() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
+            return;
+        }
+
+        $url        = isset( $_POST['url'] ) ? sanitize_text_field( wp_unslash( $_POST['url'] ) ) : '';
+        $branch     = isset( $_POST['branch'] ) ? sanitize_text_field( wp_unslash( $_POST['branch'] ) ) : 'main';
+        $slug       = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : null;
+        $provider   = isset( $_POST['provider'] ) ? sanitize_key( wp_unslash( $_POST['provider'] ) ) : '';
+        $release    = null;
+        $constraint = isset( $_POST['constraint'] ) ? trim( sanitize_text_field( wp_unslash( $_POST['constraint'] ) ) ) : '';
+
+        if ( empty( $url ) ) {
+            wp_send_json_error( array( 'message' => __( 'Repository URL is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        if ( isset( $_POST['source'] ) && 'release' === $_POST['source'] ) {
+            $release = array(
+                'asset'       => isset( $_POST['release_asset'] ) ? sanitize_text_field( wp_unslash( $_POST['release_asset'] ) ) : '',
+                'prereleases' => ! empty( $_POST['prereleases'] ),
+            );
+            $constraint = '';
+        }
+
+        if ( $constraint && ! GPL_Version_Constraint::is_valid( $constraint ) ) {
+            wp_send_json_error( array( 'message' => GPL_Version_Constraint::parse( $constraint )->get_error_message() ) );
             return;
         }
 
-        // Get repository info
-        $repo_data = $this->github_api->get_repo( $repo_info['owner'], $repo_info['repo'] );
+        // Cloning can take longer than a request is allowed to run
+        $job = $this->jobs->start( 'add', $slug, array(
+            'url'        => $url,
+            'branch'     => $branch,
+            'slug'       => $slug,
+            'provider'   => $provider,
+            'release'    => $release,
+            'constraint' => $constraint,
+        ) );
 
         wp_send_json_success( array(
-            'owner'      => $repo_info['owner'],
-            'repo'       => $repo_info['repo'],
-            'is_private' => ! empty( $repo_data['private'] ),
-            'default_branch' => isset( $repo_data['default_branch'] ) ? $repo_data['default_branch'] : 'main',
+            'message' => __( 'Cloning started.', 'git-plugin-loader' ),
+            'job_id'  => $job['id'],
         ) );
     }
 
     /**
-     * AJAX: Add plugin
+     * AJAX: Sync plugin
      */
-    public function ajax_add_plugin() {
-        if ( ! $this->verify_request() ) {
+    public function ajax_sync_plugin() {
+        if ( ! $this->verify_request( GPL_Permissions::SYNC ) ) {
+            return;
+        }
+
+        $slug   = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $commit = isset( $_POST['commit'] ) ? sanitize_text_field( wp_unslash( $_POST['commit'] ) ) : null;
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
             return;
         }
 
-        $url    = isset( $_POST['url'] ) ? sanitize_text_field( wp_unslash( $_POST['url'] ) ) : '';
-        $branch = isset( $_POST['branch'] ) ? sanitize_text_field( wp_unslash( $_POST['branch'] ) ) : 'main';
-        $slug   = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : null;
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
 
-        if ( empty( $url ) ) {
-            wp_send_json_error( array( 'message' => __( 'Repository URL is required.', 'git-plugin-loader' ) ) );
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin not found.', 'git-plugin-loader' ) ) );
             return;
         }
 
-        $result = $this->plugin_manager->add_plugin( $url, $branch, $slug );
+        if ( $commit && ! preg_match( '/^[0-9a-f]{7,40}$/i', $commit ) ) {
+            wp_send_json_error( array( 'message' => __( 'Invalid commit hash.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $local_changes = isset( $_POST['local_changes'] ) ? sanitize_key( wp_unslash( $_POST['local_changes'] ) ) : '';
+
+        $job = $this->jobs->start( 'sync', $slug, array(
+            'commit'        => $commit,
+            'local_changes' => in_array( $local_changes, array( 'stash', 'discard' ), true ) ? $local_changes : '',
+        ) );
+
+        wp_send_json_success( array(
+            'message' => __( 'Sync started.', 'git-plugin-loader' ),
+            'job_id'  => $job['id'],
+        ) );
+    }
+
+    /**
+     * AJAX: Ask someone who can sync to sync a plugin
+     */
+    public function ajax_request_sync() {
+        if ( ! $this->verify_request( GPL_Permissions::VIEW ) ) {
+            return;
+        }
+
+        // Site administrators of a network get a read-only view
+        if ( Git_Plugin_Loader::is_network_active() ) {
+            wp_send_json_error( array( 'message' => __( 'Syncs can\'t be requested on a network. Ask a network administrator.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $slug = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $note = isset( $_POST['note'] ) ? sanitize_textarea_field( wp_unslash( $_POST['note'] ) ) : '';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->sync_requests->create( $slug, $note );
 
         if ( is_wp_error( $result ) ) {
             wp_send_json_error( array( 'message' => $result->get_error_message() ) );
@@ -166,16 +332,71 @@ class GPL_Ajax {
         }
 
         wp_send_json_success( array(
-            'message' => __( 'Plugin added successfully.', 'git-plugin-loader' ),
-            'plugin'  => $result,
+            'message' => __( 'Sync requested. It runs once someone who can sync approves it.', 'git-plugin-loader' ),
         ) );
     }
 
     /**
-     * AJAX: Sync plugin
+     * AJAX: Approve or reject a sync request
      */
-    public function ajax_sync_plugin() {
-        if ( ! $this->verify_request() ) {
+    public function ajax_review_sync_request() {
+        if ( ! $this->verify_request( GPL_Permissions::SYNC ) ) {
+            return;
+        }
+
+        $id      = isset( $_POST['id'] ) ? sanitize_key( wp_unslash( $_POST['id'] ) ) : '';
+        $approve = isset( $_POST['approve'] ) && $_POST['approve'] === 'true';
+        $comment = isset( $_POST['comment'] ) ? sanitize_textarea_field( wp_unslash( $_POST['comment'] ) ) : '';
+
+        if ( empty( $id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Sync request ID is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->sync_requests->review( $id, $approve, $comment );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message' => $approve ? __( 'Request approved. The sync has started.', 'git-plugin-loader' ) : __( 'Request rejected.', 'git-plugin-loader' ),
+            'status'  => $result['status'],
+            'job_id'  => isset( $result['job_id'] ) ? $result['job_id'] : '',
+        ) );
+    }
+
+    /**
+     * AJAX: Get files and commits changed on the server before a sync
+     */
+    public function ajax_get_local_changes() {
+        if ( ! $this->verify_request( GPL_Permissions::VIEW ) ) {
+            return;
+        }
+
+        $slug = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->plugin_manager->get_local_changes( $slug );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( $result );
+    }
+
+    /**
+     * AJAX: Export the local changes of a plugin as a patch
+     */
+    public function ajax_export_patch() {
+        if ( ! $this->verify_request( GPL_Permissions::SYNC ) ) {
             return;
         }
 
@@ -186,7 +407,7 @@ class GPL_Ajax {
             return;
         }
 
-        $result = $this->plugin_manager->sync_plugin( $slug );
+        $result = $this->plugin_manager->export_local_changes( $slug );
 
         if ( is_wp_error( $result ) ) {
             wp_send_json_error( array( 'message' => $result->get_error_message() ) );
@@ -194,8 +415,9 @@ class GPL_Ajax {
         }
 
         wp_send_json_success( array(
-            'message' => __( 'Plugin synced successfully.', 'git-plugin-loader' ),
-            'plugin'  => $result,
+            'message'  => __( 'Patch exported.', 'git-plugin-loader' ),
+            'url'      => $result['url'],
+            'filename' => $result['filename'],
         ) );
     }
 
@@ -203,7 +425,7 @@ class GPL_Ajax {
      * AJAX: Check for updates
      */
     public function ajax_check_updates() {
-        if ( ! $this->verify_request() ) {
+        if ( ! $this->verify_request( GPL_Permissions::CHECK ) ) {
             return;
         }
 
@@ -228,7 +450,7 @@ class GPL_Ajax {
      * AJAX: Remove plugin
      */
     public function ajax_remove_plugin() {
-        if ( ! $this->verify_request() ) {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
             return;
         }
 
@@ -256,7 +478,7 @@ class GPL_Ajax {
      * AJAX: Export plugin
      */
     public function ajax_export_plugin() {
-        if ( ! $this->verify_request() ) {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
             return;
         }
 
@@ -267,7 +489,17 @@ class GPL_Ajax {
             return;
         }
 
-        $result = $this->export->export_plugin( $slug );
+        $options = array(
+            'profile' => isset( $_POST['profile'] ) ? sanitize_key( wp_unslash( $_POST['profile'] ) ) : '',
+            'ref'     => isset( $_POST['ref'] ) ? sanitize_text_field( wp_unslash( $_POST['ref'] ) ) : '',
+        );
+
+        // The export dialog sends the profile as edited, bulk exports use it as saved
+        if ( isset( $_POST['exclusions'] ) ) {
+            $options = array_merge( $options, $this->get_posted_export_profile() );
+        }
+
+        $result = $this->export->export_plugin( $slug, $options );
 
         if ( is_wp_error( $result ) ) {
             wp_send_json_error( array( 'message' => $result->get_error_message() ) );
@@ -275,82 +507,50 @@ class GPL_Ajax {
         }
 
         wp_send_json_success( array(
-            'message'  => __( 'Plugin exported successfully.', 'git-plugin-loader' ),
-            'filename' => $result['filename'],
-            'url'      => $result['url'],
-            'size'     => size_format( $result['size'] ),
+            'message'      => __( 'Plugin exported successfully.', 'git-plugin-loader' ),
+            'filename'     => $result['filename'],
+            'url'          => $result['url'],
+            'size'         => size_format( $result['size'] ),
+            'version'      => $result['version'],
+            'checksum'     => $result['checksum'],
+            'checksum_url' => $result['checksum_url'],
         ) );
     }
 
     /**
-     * AJAX: Save settings
+     * AJAX: Get the export profiles and refs of a plugin
      */
-    public function ajax_save_settings() {
-        if ( ! $this->verify_request() ) {
+    public function ajax_get_export_profiles() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
             return;
         }
 
-        $settings = Git_Plugin_Loader::get_settings();
-
-        // GitHub token
-        if ( isset( $_POST['clear_token'] ) && $_POST['clear_token'] === '1' ) {
-            $settings['github_token'] = '';
-        } elseif ( isset( $_POST['github_token'] ) && ! empty( $_POST['github_token'] ) && $_POST['github_token'] !== '********' ) {
-            $token = sanitize_text_field( wp_unslash( $_POST['github_token'] ) );
-            // Verify token is valid
-            if ( ! $this->github_api->verify_token( $token ) ) {
-                wp_send_json_error( array( 'message' => __( 'Invalid GitHub token.', 'git-plugin-loader' ) ) );
-                return;
-            }
-            $settings['github_token'] = $this->github_api->encrypt_token( $token );
-        }
-
-        // Auto-sync interval
-        if ( isset( $_POST['auto_sync_interval'] ) ) {
-            $interval = sanitize_text_field( wp_unslash( $_POST['auto_sync_interval'] ) );
-            if ( in_array( $interval, array( 'hourly', 'twicedaily', 'daily' ), true ) ) {
-                $settings['auto_sync_interval'] = $interval;
-            }
-        }
-
-        // Export exclusions
-        if ( isset( $_POST['export_exclusions'] ) ) {
-            $exclusions = sanitize_textarea_field( wp_unslash( $_POST['export_exclusions'] ) );
-            $settings['export_exclusions'] = array_filter( array_map( 'trim', explode( "\n", $exclusions ) ) );
-        }
+        $slug    = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
 
-        // Cleanup hours
-        if ( isset( $_POST['cleanup_exports_after'] ) ) {
-            $hours = (int) $_POST['cleanup_exports_after'];
-            if ( $hours >= 1 && $hours <= 168 ) {
-                $settings['cleanup_exports_after'] = $hours;
-            }
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin not found.', 'git-plugin-loader' ) ) );
+            return;
         }
 
-        Git_Plugin_Loader::update_settings( $settings );
-
         wp_send_json_success( array(
-            'message' => __( 'Settings saved successfully.', 'git-plugin-loader' ),
+            'profiles' => $this->export->get_profiles( $slug ),
+            'refs'     => $this->export->get_refs( $slug ),
         ) );
     }
 
     /**
-     * AJAX: Toggle auto-sync
+     * AJAX: Save an export profile
      */
-    public function ajax_toggle_autosync() {
-        if ( ! $this->verify_request() ) {
+    public function ajax_save_export_profile() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
             return;
         }
 
-        $slug    = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
-        $enabled = isset( $_POST['enabled'] ) && $_POST['enabled'] === 'true';
-
-        if ( empty( $slug ) ) {
-            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
-            return;
-        }
+        $slug = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $name = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
 
-        $result = $this->plugin_manager->toggle_auto_sync( $slug, $enabled );
+        $result = $this->export->save_profile( $slug, $name, $this->get_posted_export_profile() );
 
         if ( is_wp_error( $result ) ) {
             wp_send_json_error( array( 'message' => $result->get_error_message() ) );
@@ -358,93 +558,823 @@ class GPL_Ajax {
         }
 
         wp_send_json_success( array(
-            'message' => $enabled
-                ? __( 'Auto-sync enabled.', 'git-plugin-loader' )
-                : __( 'Auto-sync disabled.', 'git-plugin-loader' ),
-            'enabled' => $enabled,
+            'message'  => __( 'Export profile saved.', 'git-plugin-loader' ),
+            'profile'  => $result,
+            'profiles' => $this->export->get_profiles( $slug ),
         ) );
     }
 
     /**
-     * AJAX: Get branches and tags
+     * AJAX: Delete an export profile
      */
-    public function ajax_get_refs() {
-        if ( ! $this->verify_request() ) {
+    public function ajax_delete_export_profile() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
             return;
         }
 
-        // Can be slug (for managed plugin) or URL (for new plugin)
-        $slug = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
-        $url  = isset( $_POST['url'] ) ? sanitize_text_field( wp_unslash( $_POST['url'] ) ) : '';
-
-        if ( ! empty( $slug ) ) {
-            // Get refs for managed plugin
-            $result = $this->plugin_manager->get_refs( $slug );
+        $slug    = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $profile = isset( $_POST['profile'] ) ? sanitize_key( wp_unslash( $_POST['profile'] ) ) : '';
 
-            if ( is_wp_error( $result ) ) {
-                wp_send_json_error( array( 'message' => $result->get_error_message() ) );
-                return;
-            }
+        if ( ! $this->export->delete_profile( $slug, $profile ) ) {
+            wp_send_json_error( array( 'message' => __( 'Export profile not found.', 'git-plugin-loader' ) ) );
+            return;
+        }
 
-            wp_send_json_success( $result );
-        } elseif ( ! empty( $url ) ) {
-            // Get refs for URL (new plugin)
-            $git       = new GPL_Git();
-            $repo_info = $git->parse_repo_url( $url );
+        wp_send_json_success( array(
+            'message'  => __( 'Export profile deleted.', 'git-plugin-loader' ),
+            'profiles' => $this->export->get_profiles( $slug ),
+        ) );
+    }
 
-            if ( ! $repo_info ) {
-                wp_send_json_error( array( 'message' => __( 'Invalid GitHub repository URL.', 'git-plugin-loader' ) ) );
-                return;
-            }
+    /**
+     * AJAX: Delete export files
+     */
+    public function ajax_delete_exports() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
+            return;
+        }
 
-            $branches = $this->github_api->get_branches( $repo_info['owner'], $repo_info['repo'] );
-            $tags     = $this->github_api->get_tags( $repo_info['owner'], $repo_info['repo'] );
+        $filenames = isset( $_POST['filenames'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['filenames'] ) ) : array();
+        $deleted   = array();
 
-            if ( false === $branches ) {
-                wp_send_json_error( array( 'message' => $this->github_api->get_last_error() ) );
-                return;
+        foreach ( $filenames as $filename ) {
+            if ( $this->export->delete_export( $filename ) ) {
+                $deleted[] = $filename;
             }
+        }
 
-            wp_send_json_success( array(
-                'branches' => $branches ? $branches : array(),
-                'tags'     => $tags ? $tags : array(),
-            ) );
-        } else {
-            wp_send_json_error( array( 'message' => __( 'Plugin slug or URL is required.', 'git-plugin-loader' ) ) );
+        if ( ! $deleted ) {
+            wp_send_json_error( array( 'message' => __( 'No exports were deleted.', 'git-plugin-loader' ) ) );
+            return;
         }
+
+        wp_send_json_success( array(
+            /* translators: %d: number of exports */
+            'message' => sprintf( _n( '%d export deleted.', '%d exports deleted.', count( $deleted ), 'git-plugin-loader' ), count( $deleted ) ),
+            'deleted' => $deleted,
+        ) );
     }
 
     /**
-     * AJAX: Change branch
+     * AJAX: Pin or unpin an export
      */
-    public function ajax_change_branch() {
-        if ( ! $this->verify_request() ) {
+    public function ajax_pin_export() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
             return;
         }
 
-        $slug   = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
-        $branch = isset( $_POST['branch'] ) ? sanitize_text_field( wp_unslash( $_POST['branch'] ) ) : '';
+        $filename = isset( $_POST['filename'] ) ? basename( sanitize_text_field( wp_unslash( $_POST['filename'] ) ) ) : '';
+        $pinned   = isset( $_POST['pinned'] ) && $_POST['pinned'] === 'true';
 
-        if ( empty( $slug ) ) {
-            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+        if ( ! $this->export->pin_export( $filename, $pinned ) ) {
+            wp_send_json_error( array( 'message' => __( 'The export no longer exists.', 'git-plugin-loader' ) ) );
             return;
         }
 
-        if ( empty( $branch ) ) {
-            wp_send_json_error( array( 'message' => __( 'Branch is required.', 'git-plugin-loader' ) ) );
+        wp_send_json_success( array( 'pinned' => $pinned ) );
+    }
+
+    /**
+     * AJAX: Get a fresh signed download link of an export
+     */
+    public function ajax_get_export_link() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
             return;
         }
 
-        $result = $this->plugin_manager->change_branch( $slug, $branch );
+        $filename = isset( $_POST['filename'] ) ? basename( sanitize_text_field( wp_unslash( $_POST['filename'] ) ) ) : '';
 
-        if ( is_wp_error( $result ) ) {
-            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+        if ( '.zip' !== substr( $filename, -4 ) || ! is_file( GPL_Export::get_export_dir() . '/' . $filename ) ) {
+            wp_send_json_error( array( 'message' => __( 'The export no longer exists.', 'git-plugin-loader' ) ) );
             return;
         }
 
         wp_send_json_success( array(
-            'message' => __( 'Branch changed successfully.', 'git-plugin-loader' ),
-            'plugin'  => $result,
+            'url'     => GPL_Export::get_download_url( $filename ),
+            'expires' => time() + GPL_Export::LINK_LIFETIME,
         ) );
     }
+
+    /**
+     * Get the export profile settings posted by the export dialog
+     *
+     * @return array Array with 'exclusions', 'ignore_files' and 'stamp_version' keys.
+     */
+    private function get_posted_export_profile() {
+        $exclusions = isset( $_POST['exclusions'] ) ? sanitize_textarea_field( wp_unslash( $_POST['exclusions'] ) ) : '';
+
+        return array(
+            'exclusions'    => array_values( array_filter( array_map( 'trim', explode( "\n", $exclusions ) ) ) ),
+            'ignore_files'  => isset( $_POST['ignore_files'] ) && $_POST['ignore_files'] === 'true',
+            'stamp_version' => isset( $_POST['stamp_version'] ) && $_POST['stamp_version'] === 'true',
+        );
+    }
+
+    /**
+     * AJAX: Refresh the GitHub API rate limits
+     */
+    public function ajax_get_api_status() {
+        if ( ! $this->verify_request( GPL_Permissions::SETTINGS ) ) {
+            return;
+        }
+
+        if ( false === $this->github_api->fetch_rate_limit() ) {
+            wp_send_json_error( array( 'message' => $this->github_api->get_last_error() ) );
+            return;
+        }
+
+        wp_send_json_success( array( 'summary' => $this->github_api->get_stats_summary() ) );
+    }
+
+    /**
+     * AJAX: Clear the GitHub API cache and start counting hits again
+     */
+    public function ajax_clear_api_cache() {
+        if ( ! $this->verify_request( GPL_Permissions::SETTINGS ) ) {
+            return;
+        }
+
+        $this->github_api->clear_cache();
+        $this->github_api->reset_stats();
+
+        wp_send_json_success( array(
+            'message' => __( 'GitHub API cache cleared.', 'git-plugin-loader' ),
+            'summary' => $this->github_api->get_stats_summary(),
+        ) );
+    }
+
+    /**
+     * AJAX: Save settings
+     */
+    public function ajax_save_settings() {
+        if ( ! $this->verify_request( GPL_Permissions::SETTINGS ) ) {
+            return;
+        }
+
+        $settings = Git_Plugin_Loader::get_settings();
+
+        // GitHub token
+        if ( isset( $_POST['clear_token'] ) && $_POST['clear_token'] === '1' ) {
+            $settings['github_token'] = '';
+        } elseif ( isset( $_POST['github_token'] ) && ! empty( $_POST['github_token'] ) && $_POST['github_token'] !== '********' ) {
+            $token = sanitize_text_field( wp_unslash( $_POST['github_token'] ) );
+            // Verify token is valid
+            if ( ! $this->github_api->verify_token( $token ) ) {
+                wp_send_json_error( array( 'message' => __( 'Invalid GitHub token.', 'git-plugin-loader' ) ) );
+                return;
+            }
+            $settings['github_token'] = $this->github_api->encrypt_token( $token );
+        }
+
+        // GitLab and generic Git tokens are checked when a repository is added
+        foreach ( array( 'gitlab_token', 'git_token' ) as $key ) {
+            if ( isset( $_POST[ 'clear_' . $key ] ) && $_POST[ 'clear_' . $key ] === '1' ) {
+                $settings[ $key ] = '';
+            } elseif ( isset( $_POST[ $key ] ) && ! empty( $_POST[ $key ] ) && $_POST[ $key ] !== '********' ) {
+                $settings[ $key ] = Git_Plugin_Loader::encrypt( sanitize_text_field( wp_unslash( $_POST[ $key ] ) ) );
+            }
+        }
+
+        // Auto-sync interval
+        if ( isset( $_POST['auto_sync_interval'] ) ) {
+            $interval = sanitize_text_field( wp_unslash( $_POST['auto_sync_interval'] ) );
+            if ( in_array( $interval, array( 'hourly', 'twicedaily', 'daily' ), true ) ) {
+                $settings['auto_sync_interval'] = $interval;
+            }
+        }
+
+        // Health check
+        $settings['health_check_enabled'] = isset( $_POST['health_check_enabled'] ) && $_POST['health_check_enabled'] === '1';
+
+        foreach ( array( 'front', 'admin' ) as $type ) {
+            $key = 'health_check_' . $type . '_url';
+            if ( isset( $_POST[ $key ] ) ) {
+                $url = GPL_Health_Check::sanitize_url( $type, wp_unslash( $_POST[ $key ] ) );
+                if ( is_wp_error( $url ) ) {
+                    wp_send_json_error( array( 'message' => $url->get_error_message() ) );
+                    return;
+                }
+                $settings[ $key ] = $url;
+            }
+        }
+
+        if ( isset( $_POST['health_check_timeout'] ) ) {
+            $timeout = (int) $_POST['health_check_timeout'];
+            if ( $timeout >= 5 && $timeout <= 60 ) {
+                $settings['health_check_timeout'] = $timeout;
+            }
+        }
+
+        // Activity log retention
+        if ( isset( $_POST['activity_retention_days'] ) ) {
+            $days = (int) $_POST['activity_retention_days'];
+            if ( $days >= 1 && $days <= 365 ) {
+                $settings['activity_retention_days'] = $days;
+            }
+        }
+
+        // Notifications
+        $settings['notify_email'] = isset( $_POST['notify_email'] ) && $_POST['notify_email'] === '1';
+
+        if ( isset( $_POST['notify_email_to'] ) ) {
+            $recipients = array_map( 'trim', explode( ',', sanitize_text_field( wp_unslash( $_POST['notify_email_to'] ) ) ) );
+            $settings['notify_email_to'] = implode( ', ', array_filter( $recipients, 'is_email' ) );
+        }
+
+        if ( isset( $_POST['clear_notify_webhook_url'] ) && $_POST['clear_notify_webhook_url'] === '1' ) {
+            $settings['notify_webhook_url'] = '';
+        } elseif ( isset( $_POST['notify_webhook_url'] ) && ! empty( $_POST['notify_webhook_url'] ) && $_POST['notify_webhook_url'] !== '********' ) {
+            $webhook_url = esc_url_raw( wp_unslash( $_POST['notify_webhook_url'] ), array( 'https', 'http' ) );
+            if ( ! $webhook_url ) {
+                wp_send_json_error( array( 'message' => __( 'Invalid notification webhook URL.', 'git-plugin-loader' ) ) );
+                return;
+            }
+            $settings['notify_webhook_url'] = Git_Plugin_Loader::encrypt( $webhook_url );
+        }
+
+        $events = isset( $_POST['notify_events'] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST['notify_events'] ) ) : array();
+        $settings['notify_events'] = array_values( array_intersect( $events, array_keys( GPL_Notifications::get_events() ) ) );
+
+        $muted = isset( $_POST['notify_muted'] ) ? array_map( 'sanitize_file_name', (array) wp_unslash( $_POST['notify_muted'] ) ) : array();
+        $settings['notify_muted'] = array_values( array_intersect( $muted, array_keys( Git_Plugin_Loader::get_managed_plugins() ) ) );
+
+        if ( isset( $_POST['notify_throttle_hours'] ) ) {
+            $hours = (int) $_POST['notify_throttle_hours'];
+            if ( $hours >= 1 && $hours <= 168 ) {
+                $settings['notify_throttle_hours'] = $hours;
+            }
+        }
+
+        // Export exclusions
+        if ( isset( $_POST['export_exclusions'] ) ) {
+            $exclusions = sanitize_textarea_field( wp_unslash( $_POST['export_exclusions'] ) );
+            $settings['export_exclusions'] = array_filter( array_map( 'trim', explode( "\n", $exclusions ) ) );
+        }
+
+        // Cleanup hours
+        if ( isset( $_POST['cleanup_exports_after'] ) ) {
+            $hours = (int) $_POST['cleanup_exports_after'];
+            if ( $hours >= 1 && $hours <= 168 ) {
+                $settings['cleanup_exports_after'] = $hours;
+            }
+        }
+
+        Git_Plugin_Loader::update_settings( $settings );
+
+        // Capabilities per role, sent as "role:capability" pairs. Only administrators
+        // may change them, or anyone with the settings capability could grant their own role more.
+        if ( current_user_can( 'manage_options' ) && ! Git_Plugin_Loader::is_network_active() ) {
+            $role_caps = array();
+            $pairs     = isset( $_POST['role_caps'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['role_caps'] ) ) : array();
+
+            foreach ( $pairs as $pair ) {
+                list( $role, $cap ) = array_pad( explode( ':', $pair, 2 ), 2, '' );
+                $role_caps[ sanitize_key( $role ) ][] = sanitize_key( $cap );
+            }
+
+            GPL_Permissions::set_role_capabilities( $role_caps );
+        }
+
+        wp_send_json_success( array(
+            'message' => __( 'Settings saved successfully.', 'git-plugin-loader' ),
+        ) );
+    }
+
+    /**
+     * AJAX: Toggle auto-sync
+     */
+    public function ajax_toggle_autosync() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
+            return;
+        }
+
+        $slug    = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $enabled = isset( $_POST['enabled'] ) && $_POST['enabled'] === 'true';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->plugin_manager->toggle_auto_sync( $slug, $enabled );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message' => $enabled
+                ? __( 'Auto-sync enabled.', 'git-plugin-loader' )
+                : __( 'Auto-sync disabled.', 'git-plugin-loader' ),
+            'enabled' => $enabled,
+        ) );
+    }
+
+    /**
+     * AJAX: Get branches and tags
+     */
+    public function ajax_get_refs() {
+        if ( ! $this->verify_request( GPL_Permissions::VIEW ) ) {
+            return;
+        }
+
+        // Can be slug (for managed plugin) or URL (for new plugin)
+        $slug = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $url  = isset( $_POST['url'] ) ? sanitize_text_field( wp_unslash( $_POST['url'] ) ) : '';
+
+        if ( ! empty( $slug ) ) {
+            // Get refs for managed plugin
+            $result = $this->plugin_manager->get_refs( $slug );
+
+            if ( is_wp_error( $result ) ) {
+                wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+                return;
+            }
+
+            wp_send_json_success( $result );
+        } elseif ( ! empty( $url ) ) {
+            // Get refs for URL (new plugin)
+            $provider = isset( $_POST['provider'] ) ? sanitize_key( wp_unslash( $_POST['provider'] ) ) : '';
+            $result   = $this->plugin_manager->get_remote_refs( $url, $provider );
+
+            if ( is_wp_error( $result ) ) {
+                wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+                return;
+            }
+
+            wp_send_json_success( $result );
+        } else {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug or URL is required.', 'git-plugin-loader' ) ) );
+        }
+    }
+
+    /**
+     * AJAX: Change branch
+     */
+    public function ajax_change_branch() {
+        if ( ! $this->verify_request( GPL_Permissions::SYNC ) ) {
+            return;
+        }
+
+        $slug   = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $branch = isset( $_POST['branch'] ) ? sanitize_text_field( wp_unslash( $_POST['branch'] ) ) : '';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        if ( empty( $branch ) ) {
+            wp_send_json_error( array( 'message' => __( 'Branch is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->plugin_manager->change_branch( $slug, $branch );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message' => __( 'Branch changed successfully.', 'git-plugin-loader' ),
+            'plugin'  => $result,
+        ) );
+    }
+
+    /**
+     * AJAX: Set or clear the version constraint of a plugin
+     */
+    public function ajax_set_constraint() {
+        if ( ! $this->verify_request( GPL_Permissions::SYNC ) ) {
+            return;
+        }
+
+        $slug       = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $constraint = isset( $_POST['constraint'] ) ? sanitize_text_field( wp_unslash( $_POST['constraint'] ) ) : '';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->plugin_manager->set_version_constraint( $slug, $constraint );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message' => '' === trim( $constraint )
+                ? __( 'Stopped following version tags.', 'git-plugin-loader' )
+                /* translators: %s: tag name */
+                : sprintf( __( 'Following %s.', 'git-plugin-loader' ), $result['remote_version'] ),
+            'plugin'  => $result,
+        ) );
+    }
+
+    /**
+     * AJAX: Get the post-sync steps of a plugin and the outcome of their last run
+     */
+    public function ajax_get_post_sync_steps() {
+        if ( ! $this->verify_request( GPL_Permissions::VIEW ) ) {
+            return;
+        }
+
+        $slug    = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( empty( $slug ) || ! isset( $plugins[ $slug ] ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin not found.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $steps = $this->plugin_manager->get_post_sync_steps( $plugins[ $slug ] );
+
+        wp_send_json_success( array(
+            'submodules' => $steps['submodules'],
+            'build'      => $steps['build'],
+            'result'     => isset( $plugins[ $slug ]['post_sync_result'] ) ? $plugins[ $slug ]['post_sync_result'] : null,
+        ) );
+    }
+
+    /**
+     * AJAX: Set the post-sync steps of a plugin
+     */
+    public function ajax_set_post_sync_steps() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
+            return;
+        }
+
+        $slug       = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $submodules = isset( $_POST['submodules'] ) && $_POST['submodules'] === '1';
+        $build      = isset( $_POST['build'] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST['build'] ) ) : array();
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->plugin_manager->set_post_sync_steps( $slug, $submodules, $build );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message' => __( 'Post-sync steps saved. They run on the next sync.', 'git-plugin-loader' ),
+            'plugin'  => $result,
+        ) );
+    }
+
+    /**
+     * AJAX: Get changes between local and remote commit
+     */
+    public function ajax_get_changes() {
+        if ( ! $this->verify_request( GPL_Permissions::VIEW ) ) {
+            return;
+        }
+
+        $slug = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->plugin_manager->get_changes( $slug );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( $result );
+    }
+
+    /**
+     * AJAX: Get sync history
+     */
+    public function ajax_get_history() {
+        if ( ! $this->verify_request( GPL_Permissions::VIEW ) ) {
+            return;
+        }
+
+        $slug = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->plugin_manager->get_sync_history( $slug );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( $result );
+    }
+
+    /**
+     * AJAX: Roll back plugin to a previous commit
+     */
+    public function ajax_rollback_plugin() {
+        if ( ! $this->verify_request( GPL_Permissions::SYNC ) ) {
+            return;
+        }
+
+        $slug   = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $commit = isset( $_POST['commit'] ) ? sanitize_text_field( wp_unslash( $_POST['commit'] ) ) : '';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        if ( empty( $commit ) ) {
+            wp_send_json_error( array( 'message' => __( 'Commit is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $local_changes = isset( $_POST['local_changes'] ) ? sanitize_key( wp_unslash( $_POST['local_changes'] ) ) : '';
+
+        $result = $this->plugin_manager->rollback_plugin( $slug, $commit, $local_changes );
+
+        if ( is_wp_error( $result ) ) {
+            $this->send_local_changes_error( $result );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message' => __( 'Plugin rolled back successfully. Auto-sync is paused until the next manual sync.', 'git-plugin-loader' ),
+            'plugin'  => $result,
+        ) );
+    }
+
+    /**
+     * AJAX: Get recent commits
+     */
+    public function ajax_get_commits() {
+        if ( ! $this->verify_request( GPL_Permissions::VIEW ) ) {
+            return;
+        }
+
+        $slug = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->plugin_manager->get_recent_commits( $slug );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( $result );
+    }
+
+    /**
+     * AJAX: Pin plugin to a commit
+     */
+    public function ajax_pin_commit() {
+        if ( ! $this->verify_request( GPL_Permissions::SYNC ) ) {
+            return;
+        }
+
+        $slug   = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $commit = isset( $_POST['commit'] ) ? sanitize_text_field( wp_unslash( $_POST['commit'] ) ) : '';
+
+        if ( empty( $slug ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin slug is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        if ( empty( $commit ) ) {
+            wp_send_json_error( array( 'message' => __( 'Commit is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $local_changes = isset( $_POST['local_changes'] ) ? sanitize_key( wp_unslash( $_POST['local_changes'] ) ) : '';
+
+        $result = $this->plugin_manager->pin_commit( $slug, $commit, 'pin', $local_changes );
+
+        if ( is_wp_error( $result ) ) {
+            $this->send_local_changes_error( $result );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message' => __( 'Plugin pinned to commit.', 'git-plugin-loader' ),
+            'plugin'  => $result,
+        ) );
+    }
+
+    /**
+     * AJAX: Get the progress of a background job
+     */
+    public function ajax_job_status() {
+        if ( ! $this->verify_request( GPL_Permissions::VIEW ) ) {
+            return;
+        }
+
+        $job_id = isset( $_POST['job_id'] ) ? sanitize_key( wp_unslash( $_POST['job_id'] ) ) : '';
+        $offset = isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0;
+
+        if ( empty( $job_id ) ) {
+            wp_send_json_error( array( 'message' => __( 'Job ID is required.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        $result = $this->jobs->get_status( $job_id, $offset );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( $result );
+    }
+
+    /**
+     * AJAX: Send a test notification
+     */
+    public function ajax_test_notification() {
+        if ( ! $this->verify_request( GPL_Permissions::SETTINGS ) ) {
+            return;
+        }
+
+        $result = $this->notifications->send_test();
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message' => __( 'Test notification sent.', 'git-plugin-loader' ),
+        ) );
+    }
+
+    /**
+     * AJAX: Replace the webhook secret of a plugin
+     */
+    public function ajax_regenerate_webhook_secret() {
+        if ( ! $this->verify_request( GPL_Permissions::SETTINGS ) ) {
+            return;
+        }
+
+        $slug    = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( empty( $slug ) || ! isset( $plugins[ $slug ] ) ) {
+            wp_send_json_error( array( 'message' => __( 'Plugin not found.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message' => __( 'Webhook secret regenerated. Update it in the repository webhook settings.', 'git-plugin-loader' ),
+            'secret'  => $this->webhooks->regenerate_secret( $slug ),
+        ) );
+    }
+
+    /**
+     * Heartbeat: Report the plugins that changed since the plugins table last asked
+     *
+     * Lets open admin pages pick up cron syncs and other users' actions.
+     *
+     * @param array $response Heartbeat response.
+     * @param array $data     Data sent by the browser.
+     * @return array
+     */
+    public function heartbeat_received( $response, $data ) {
+        if ( empty( $data['gpl_plugins'] ) || ! current_user_can( GPL_Permissions::VIEW ) ) {
+            return $response;
+        }
+
+        $since     = isset( $data['gpl_plugins']['since'] ) ? absint( $data['gpl_plugins']['since'] ) : 0;
+        $shown     = isset( $data['gpl_plugins']['slugs'] ) ? array_map( 'sanitize_file_name', (array) $data['gpl_plugins']['slugs'] ) : array();
+        $plugins   = $this->plugin_manager->get_all_plugins();
+        $changed   = array();
+        $last_sync = array();
+
+        foreach ( $plugins as $slug => $plugin ) {
+            $last_sync[ $slug ] = $plugin['last_sync']
+                /* translators: %s: human readable time difference */
+                ? sprintf( __( '%s ago', 'git-plugin-loader' ), human_time_diff( $plugin['last_sync'], time() ) )
+                : __( 'Never', 'git-plugin-loader' );
+
+            // Changes made in the same second as the last response are sent again rather than missed
+            if ( ! empty( $plugin['modified'] ) && $plugin['modified'] >= $since ) {
+                unset( $plugin['webhook_secret'] );
+                $changed[ $slug ] = $plugin;
+            }
+        }
+
+        $response['gpl_plugins'] = array(
+            'time'      => time(),
+            'changed'   => $changed,
+            'last_sync' => $last_sync,
+            'removed'   => array_values( array_diff( $shown, array_keys( $plugins ) ) ),
+            'added'     => count( array_diff( array_keys( $plugins ), $shown ) ),
+        );
+
+        return $response;
+    }
+
+    /**
+     * AJAX: Generate a deploy key for a managed plugin or a repository about to be added
+     */
+    public function ajax_generate_deploy_key() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
+            return;
+        }
+
+        $slug = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $url  = isset( $_POST['url'] ) ? sanitize_text_field( wp_unslash( $_POST['url'] ) ) : '';
+
+        $result = $this->plugin_manager->generate_deploy_key( $slug, $url );
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+            return;
+        }
+
+        wp_send_json_success( array(
+            'message'    => __( 'Deploy key generated. Add the public key to the repository with read access.', 'git-plugin-loader' ),
+            'slug'       => $result['slug'],
+            'public_key' => $result['public_key'],
+        ) );
+    }
+
+    /**
+     * AJAX: Compare an uploaded manifest with the managed plugins
+     *
+     * The parsed manifest is kept for the current user so each item can be applied.
+     */
+    public function ajax_preview_manifest() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
+            return;
+        }
+
+        $content        = isset( $_POST['manifest'] ) ? wp_unslash( $_POST['manifest'] ) : '';
+        $remove_missing = isset( $_POST['remove_missing'] ) && $_POST['remove_missing'] === '1';
+
+        $manifest = $this->manifest->parse( $content );
+
+        if ( is_wp_error( $manifest ) ) {
+            wp_send_json_error( array( 'message' => $manifest->get_error_message() ) );
+            return;
+        }
+
+        set_transient( 'gpl_manifest_' . get_current_user_id(), array(
+            'manifest'       => $manifest,
+            'remove_missing' => $remove_missing,
+        ), HOUR_IN_SECONDS );
+
+        $items = $this->manifest->diff( $manifest, $remove_missing );
+
+        wp_send_json_success( array(
+            'items'  => $items,
+            'counts' => $this->manifest->count( $items ),
+        ) );
+    }
+
+    /**
+     * AJAX: Apply one item of the previewed manifest in a background job
+     */
+    public function ajax_apply_manifest_item() {
+        if ( ! $this->verify_request( GPL_Permissions::MANAGE ) ) {
+            return;
+        }
+
+        $slug    = isset( $_POST['slug'] ) ? sanitize_file_name( wp_unslash( $_POST['slug'] ) ) : '';
+        $preview = get_transient( 'gpl_manifest_' . get_current_user_id() );
+
+        if ( ! $preview ) {
+            wp_send_json_error( array( 'message' => __( 'The manifest preview has expired. Please preview it again.', 'git-plugin-loader' ) ) );
+            return;
+        }
+
+        // Diff again so the item reflects changes made since the preview
+        foreach ( $this->manifest->diff( $preview['manifest'], $preview['remove_missing'] ) as $item ) {
+            if ( $item['slug'] !== $slug ) {
+                continue;
+            }
+
+            $job = $this->jobs->start( 'manifest', $slug, array( 'item' => $item ) );
+
+            wp_send_json_success( array( 'job_id' => $job['id'] ) );
+            return;
+        }
+
+        wp_send_json_error( array( 'message' => __( 'Plugin is not part of the manifest.', 'git-plugin-loader' ) ) );
+    }
 }
@@ -0,0 +1,252 @@
+<?php
+/**
+ * Build Steps Class
+ *
+ * Runs the whitelisted build commands a plugin can have after each sync,
+ * for repositories that need their dependencies installed or assets built.
+ * Builds run in a copy of the plugin that only replaces it once they passed.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Build_Steps class
+ */
+class GPL_Build_Steps {
+
+    /**
+     * Seconds a build command may run before it is stopped
+     *
+     * @var int
+     */
+    const TIMEOUT = 600;
+
+    /**
+     * Number of output lines kept per command
+     *
+     * @var int
+     */
+    const MAX_OUTPUT_LINES = 200;
+
+    /**
+     * Get the build commands that can be enabled
+     *
+     * @return array Keyed by command key, with 'label', 'binary' and 'command' keys.
+     */
+    public static function get_commands() {
+        return array(
+            'composer' => array(
+                'label'   => 'composer install --no-dev',
+                'binary'  => 'composer',
+                'command' => 'composer install --no-dev --no-interaction --no-progress --optimize-autoloader',
+            ),
+            'npm'      => array(
+                'label'   => 'npm ci && npm run build',
+                'binary'  => 'npm',
+                'command' => 'npm ci --no-audit --no-fund && npm run build',
+            ),
+        );
+    }
+
+    /**
+     * Keep only known command keys, in the order they run in
+     *
+     * @param array $keys Command keys.
+     * @return array
+     */
+    public static function sanitize( $keys ) {
+        return array_values( array_intersect( array_keys( self::get_commands() ), (array) $keys ) );
+    }
+
+    /**
+     * Run a build command in a plugin directory
+     *
+     * @param string $key  Command key.
+     * @param string $path Plugin directory path.
+     * @return array Array with 'passed' and 'output' keys.
+     */
+    public static function run( $key, $path ) {
+        $commands = self::get_commands();
+
+        if ( ! isset( $commands[ $key ] ) ) {
+            return self::failure( __( 'Unknown build command.', 'git-plugin-loader' ) );
+        }
+
+        if ( ! Git_Plugin_Loader::is_exec_available() ) {
+            return self::failure( __( 'The exec() function is not available on this server.', 'git-plugin-loader' ) );
+        }
+
+        if ( ! self::is_installed( $commands[ $key ]['binary'] ) ) {
+            /* translators: %s: program name */
+            return self::failure( sprintf( __( '%s is not installed on this server.', 'git-plugin-loader' ), $commands[ $key ]['binary'] ) );
+        }
+
+        // Package managers need a home directory for their caches, which web server users often lack
+        $script = 'export CI=1';
+        if ( ! getenv( 'HOME' ) ) {
+            $script .= ' HOME=' . escapeshellarg( untrailingslashit( get_temp_dir() ) );
+        }
+        $script .= '; ' . $commands[ $key ]['command'];
+
+        $command = 'sh -c ' . escapeshellarg( $script );
+        $timeout = self::is_installed( 'timeout' );
+
+        if ( $timeout ) {
+            $command = 'timeout -k 10 ' . self::TIMEOUT . ' ' . $command;
+        }
+
+        $output     = array();
+        $return_var = 0;
+
+        exec( 'cd ' . escapeshellarg( $path ) . ' && ' . $command . ' 2>&1', $output, $return_var );
+
+        if ( $timeout && 124 === $return_var ) {
+            /* translators: %d: number of seconds */
+            $output[] = sprintf( __( 'Stopped after %d seconds.', 'git-plugin-loader' ), self::TIMEOUT );
+        }
+
+        return array(
+            'passed' => 0 === $return_var,
+            'output' => array_slice( $output, -self::MAX_OUTPUT_LINES ),
+        );
+    }
+
+    /**
+     * Copy a plugin directory so it can be updated and built without touching the live plugin
+     *
+     * The copy keeps the plugin's directory name, which Git uses to find the deploy key.
+     *
+     * @param string $path Plugin directory path.
+     * @return string|WP_Error Path of the copy.
+     */
+    public static function stage( $path ) {
+        if ( ! Git_Plugin_Loader::is_exec_available() ) {
+            return new WP_Error( 'exec_unavailable', __( 'The exec() function is not available on this server.', 'git-plugin-loader' ) );
+        }
+
+        $staging = WP_CONTENT_DIR . '/upgrade/gpl-build-' . strtolower( wp_generate_password( 8, false ) ) . '/' . basename( $path );
+
+        if ( ! wp_mkdir_p( dirname( $staging ) ) ) {
+            return new WP_Error( 'staging_failed', __( 'Could not create a directory to build the plugin in.', 'git-plugin-loader' ) );
+        }
+
+        // Copying keeps installed dependencies, file modes and symlinks
+        exec( 'cp -a ' . escapeshellarg( $path ) . ' ' . escapeshellarg( $staging ) . ' 2>&1', $output, $return_var );
+
+        if ( 0 !== $return_var ) {
+            self::discard( $staging );
+            /* translators: %s: error output */
+            return new WP_Error( 'staging_failed', sprintf( __( 'Could not copy the plugin to build it: %s', 'git-plugin-loader' ), implode( "\n", $output ) ) );
+        }
+
+        return $staging;
+    }
+
+    /**
+     * Replace a plugin directory with its built copy
+     *
+     * @param string $path    Plugin directory path.
+     * @param string $staging Path returned by stage().
+     * @return string|WP_Error Path the previous plugin directory was moved to.
+     */
+    public static function swap( $path, $staging ) {
+        $backup = dirname( $staging ) . '/' . basename( $path ) . '-previous';
+
+        if ( ! rename( $path, $backup ) ) {
+            return new WP_Error( 'move_failed', __( 'Could not move the installed plugin aside.', 'git-plugin-loader' ) );
+        }
+
+        if ( ! rename( $staging, $path ) ) {
+            rename( $backup, $path );
+            return new WP_Error( 'move_failed', __( 'Could not move the built plugin into the plugin directory.', 'git-plugin-loader' ) );
+        }
+
+        return $backup;
+    }
+
+    /**
+     * Put the previous plugin directory back after a swap
+     *
+     * @param string $path   Plugin directory path.
+     * @param string $backup Path returned by swap().
+     * @return bool
+     */
+    public static function restore( $path, $backup ) {
+        $failed = dirname( $backup ) . '/' . basename( $path ) . '-failed';
+
+        if ( ! is_dir( $backup ) || ! rename( $path, $failed ) ) {
+            return false;
+        }
+
+        if ( ! rename( $backup, $path ) ) {
+            rename( $failed, $path );
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Delete a build directory along with everything moved into it
+     *
+     * @param string $path Path returned by stage() or swap().
+     */
+    public static function discard( $path ) {
+        self::delete_build_dir( dirname( $path ) );
+    }
+
+    /**
+     * Delete build directories left behind by requests that died
+     */
+    public static function discard_stale() {
+        foreach ( (array) glob( WP_CONTENT_DIR . '/upgrade/gpl-build-*', GLOB_ONLYDIR ) as $dir ) {
+            if ( $dir && filemtime( $dir ) < time() - DAY_IN_SECONDS ) {
+                self::delete_build_dir( $dir );
+            }
+        }
+    }
+
+    /**
+     * Delete a directory created by stage()
+     *
+     * @param string $dir Directory path.
+     */
+    private static function delete_build_dir( $dir ) {
+        // Never delete anything outside the upgrade directory
+        if ( ! Git_Plugin_Loader::is_exec_available() || 0 !== strpos( basename( $dir ), 'gpl-build-' ) || realpath( dirname( $dir ) ) !== realpath( WP_CONTENT_DIR . '/upgrade' ) ) {
+            return;
+        }
+
+        exec( 'rm -rf ' . escapeshellarg( $dir ) . ' 2>&1' );
+    }
+
+    /**
+     * Check whether a program is available
+     *
+     * @param string $binary Program name.
+     * @return bool
+     */
+    private static function is_installed( $binary ) {
+        exec( 'command -v ' . escapeshellarg( $binary ) . ' 2>&1', $output, $return_var );
+
+        return 0 === $return_var;
+    }
+
+    /**
+     * Build a failed result that never ran
+     *
+     * @param string $message Reason.
+     * @return array
+     */
+    private static function failure( $message ) {
+        return array(
+            'passed' => false,
+            'output' => array( $message ),
+        );
+    }
+}
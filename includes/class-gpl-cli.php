@@ -0,0 +1,943 @@
+<?php
+/**
+ * WP-CLI Commands Class
+ *
+ * Manages Git plugins from the command line, e.g. to sync plugins after a deploy.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Manage plugins loaded from Git repositories.
+ *
+ * ## EXAMPLES
+ *
+ *     # Add a plugin and activate it
+ *     $ wp git-plugin add https://github.com/owner/my-plugin --activate
+ *
+ *     # Sync every managed plugin, failing the pipeline if one fails
+ *     $ wp git-plugin sync --all
+ *
+ *     # List managed plugins as JSON
+ *     $ wp git-plugin list --format=json
+ */
+class GPL_CLI {
+
+    /**
+     * Settings that can be changed with `wp git-plugin settings set`
+     *
+     * @var array
+     */
+    const SETTINGS = array(
+        'github_token',
+        'gitlab_token',
+        'git_token',
+        'auto_sync_interval',
+        'health_check_enabled',
+        'health_check_front_url',
+        'health_check_admin_url',
+        'health_check_timeout',
+        'activity_retention_days',
+        'export_exclusions',
+        'cleanup_exports_after',
+    );
+
+    /**
+     * Plugin manager instance
+     *
+     * @var GPL_Plugin_Manager
+     */
+    private $plugin_manager;
+
+    /**
+     * Export handler instance
+     *
+     * @var GPL_Export
+     */
+    private $export;
+
+    /**
+     * GitHub API instance
+     *
+     * @var GPL_GitHub_API
+     */
+    private $github_api;
+
+    /**
+     * Manifest instance
+     *
+     * @var GPL_Manifest
+     */
+    private $manifest;
+
+    /**
+     * Background jobs handler
+     *
+     * @var GPL_Jobs
+     */
+    private $jobs;
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Plugin_Manager $plugin_manager Plugin manager instance.
+     * @param GPL_Export         $export         Export handler instance.
+     * @param GPL_GitHub_API     $github_api     GitHub API instance.
+     * @param GPL_Manifest       $manifest       Manifest instance.
+     * @param GPL_Jobs           $jobs           Background jobs handler.
+     */
+    public function __construct( GPL_Plugin_Manager $plugin_manager, GPL_Export $export, GPL_GitHub_API $github_api, GPL_Manifest $manifest, GPL_Jobs $jobs ) {
+        $this->plugin_manager = $plugin_manager;
+        $this->export         = $export;
+        $this->github_api     = $github_api;
+        $this->manifest       = $manifest;
+        $this->jobs           = $jobs;
+
+        // Plugin activation state is read with admin functions
+        if ( ! function_exists( 'is_plugin_active' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/plugin.php';
+        }
+
+        $this->plugin_manager->set_progress_handler( function( $phase ) {
+            WP_CLI::debug( $phase, 'git-plugin' );
+        } );
+    }
+
+    /**
+     * Add a plugin from a Git repository.
+     *
+     * ## OPTIONS
+     *
+     * <url>
+     * : Repository URL.
+     *
+     * [--branch=<branch>]
+     * : Branch or tag to check out. Defaults to the repository's default branch.
+     *
+     * [--slug=<slug>]
+     * : Plugin directory name. Defaults to the repository name.
+     *
+     * [--provider=<provider>]
+     * : Repository provider (github, gitlab or git). Detected from the URL by default.
+     *
+     * [--constraint=<constraint>]
+     * : Follow the highest tag matching a version constraint, e.g. "^2.1". Overrides --branch.
+     *
+     * [--release]
+     * : Install the ZIP asset of the newest GitHub release instead of cloning.
+     *
+     * [--asset=<asset>]
+     * : Release asset file name, * matches any text. Defaults to the first ZIP asset.
+     *
+     * [--prereleases]
+     * : Also install pre-releases.
+     *
+     * [--activate]
+     * : Activate the plugin after adding it.
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp git-plugin add https://gitlab.com/owner/my-plugin --branch=develop
+     *     Success: Added my-plugin at a1b2c3d.
+     *
+     *     $ wp git-plugin add https://github.com/owner/my-plugin --constraint="^2.1"
+     *     Success: Added my-plugin at 2.3.1.
+     *
+     *     $ wp git-plugin add https://github.com/owner/my-plugin --release --asset="my-plugin-*.zip"
+     *     Success: Added my-plugin at v1.4.0.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function add( $args, $assoc_args ) {
+        $url      = $args[0];
+        $provider = WP_CLI\Utils\get_flag_value( $assoc_args, 'provider', '' );
+        $branch   = WP_CLI\Utils\get_flag_value( $assoc_args, 'branch', '' );
+        $slug     = WP_CLI\Utils\get_flag_value( $assoc_args, 'slug', '' );
+        $release  = null;
+        $constraint = WP_CLI\Utils\get_flag_value( $assoc_args, 'constraint', '' );
+
+        if ( WP_CLI\Utils\get_flag_value( $assoc_args, 'release', false ) ) {
+            $release = array(
+                'asset'       => WP_CLI\Utils\get_flag_value( $assoc_args, 'asset', '' ),
+                'prereleases' => (bool) WP_CLI\Utils\get_flag_value( $assoc_args, 'prereleases', false ),
+            );
+            $constraint = '';
+        } elseif ( ! $branch && ! $constraint ) {
+            $repo = $this->plugin_manager->inspect_repo( $url, $provider );
+            if ( is_wp_error( $repo ) ) {
+                WP_CLI::error( $repo->get_error_message() );
+            }
+            $branch = $repo['default_branch'];
+        }
+
+        $busy = $slug ? $this->check_no_job( sanitize_file_name( $slug ) ) : null;
+        if ( $busy ) {
+            WP_CLI::error( $busy->get_error_message() );
+        }
+
+        $result = $this->plugin_manager->add_plugin( $url, $branch, $slug ? sanitize_file_name( $slug ) : null, $provider, $release, $constraint );
+
+        if ( is_wp_error( $result ) ) {
+            WP_CLI::error( $result->get_error_message() );
+        }
+
+        if ( WP_CLI\Utils\get_flag_value( $assoc_args, 'activate', false ) && $result['wp_plugin_file'] ) {
+            $activated = activate_plugin( $result['wp_plugin_file'] );
+            if ( is_wp_error( $activated ) ) {
+                WP_CLI::error( $activated->get_error_message() );
+            }
+        }
+
+        if ( $release ) {
+            $at = $result['installed_version'];
+        } else {
+            $at = $constraint ? $result['branch'] : substr( $result['local_commit'], 0, 7 );
+        }
+
+        /* translators: 1: plugin slug, 2: short commit hash, tag or release */
+        WP_CLI::success( sprintf( __( 'Added %1$s at %2$s.', 'git-plugin-loader' ), $result['slug'], $at ) );
+    }
+
+    /**
+     * List managed plugins.
+     *
+     * ## OPTIONS
+     *
+     * [--fields=<fields>]
+     * : Comma separated list of fields to show.
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     * ---
+     *
+     * ## AVAILABLE FIELDS
+     *
+     * slug, name, version, provider, source, repository, branch, constraint, commit, status, auto_sync, active, last_sync
+     *
+     * @subcommand list
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function list_( $args, $assoc_args ) {
+        $items = array();
+
+        foreach ( $this->plugin_manager->get_all_plugins() as $slug => $plugin ) {
+            $items[] = array(
+                'slug'       => $slug,
+                'name'       => $plugin['wp_plugin_name'],
+                'version'    => $plugin['wp_plugin_version'],
+                'provider'   => ! empty( $plugin['provider'] ) ? $plugin['provider'] : 'github',
+                'source'     => GPL_Releases::uses_releases( $plugin ) ? 'release' : 'git',
+                'repository' => $plugin['repo_url'],
+                'branch'     => $plugin['branch'],
+                'constraint' => ! empty( $plugin['version_constraint'] ) ? $plugin['version_constraint'] : '',
+                'commit'     => substr( $plugin['local_commit'], 0, 7 ),
+                'status'     => $plugin['status'],
+                'auto_sync'  => ! empty( $plugin['auto_sync'] ),
+                'active'     => $plugin['is_active'],
+                'last_sync'  => $plugin['last_sync'] ? gmdate( 'Y-m-d H:i:s', $plugin['last_sync'] ) : '',
+            );
+        }
+
+        $fields = WP_CLI\Utils\get_flag_value( $assoc_args, 'fields', 'slug,name,version,branch,commit,status,auto_sync' );
+
+        WP_CLI\Utils\format_items( WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' ), $items, $fields );
+    }
+
+    /**
+     * Sync plugins with their remote branch or tag.
+     *
+     * ## OPTIONS
+     *
+     * [<slug>...]
+     * : Plugins to sync.
+     *
+     * [--all]
+     * : Sync every managed plugin.
+     *
+     * [--commit=<commit>]
+     * : Sync to this commit instead of the branch head. Only with a single plugin.
+     *
+     * [--local-changes=<action>]
+     * : What to do with files or commits changed on the server. Without it,
+     * plugins with local changes are not synced.
+     * ---
+     * options:
+     *   - stash
+     *   - patch
+     *   - discard
+     * ---
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp git-plugin sync --all --format=json
+     *
+     *     $ wp git-plugin sync my-plugin --local-changes=patch
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function sync( $args, $assoc_args ) {
+        $slugs         = $this->get_slugs( $args, $assoc_args );
+        $commit        = WP_CLI\Utils\get_flag_value( $assoc_args, 'commit', null );
+        $local_changes = WP_CLI\Utils\get_flag_value( $assoc_args, 'local-changes', '' );
+
+        if ( $commit && ( count( $slugs ) > 1 || ! preg_match( '/^[0-9a-f]{7,40}$/i', $commit ) ) ) {
+            WP_CLI::error( __( '--commit needs a single plugin and a valid commit hash.', 'git-plugin-loader' ) );
+        }
+
+        /* translators: %d: number of plugins */
+        $this->run_for_each( $slugs, $assoc_args, __( 'Synced %d plugin(s).', 'git-plugin-loader' ), function( $slug ) use ( $commit, $local_changes ) {
+            $action = $local_changes;
+
+            // Leave plugins alone while a sync started elsewhere is still running
+            $busy = $this->check_no_job( $slug );
+            if ( $busy ) {
+                return $busy;
+            }
+
+            // Save the changes as a patch, then sync over them
+            if ( 'patch' === $local_changes ) {
+                $patch = $this->plugin_manager->export_local_changes( $slug );
+
+                if ( is_wp_error( $patch ) && 'no_local_changes' !== $patch->get_error_code() ) {
+                    return $patch;
+                }
+
+                if ( ! is_wp_error( $patch ) ) {
+                    /* translators: 1: plugin slug, 2: file path */
+                    WP_CLI::log( sprintf( __( '%1$s: local changes saved to %2$s', 'git-plugin-loader' ), $slug, $patch['file'] ) );
+                }
+
+                $action = 'discard';
+            }
+
+            // Run as a job so that no sync can start on the plugin until this one is done
+            $job = $this->jobs->run_now( 'sync', $slug, array(
+                'commit'        => $commit,
+                'local_changes' => $action,
+            ) );
+
+            if ( is_wp_error( $job ) ) {
+                return $job;
+            }
+
+            if ( 'completed' !== $job['status'] ) {
+                return new WP_Error( 'sync_failed', $job['message'] );
+            }
+
+            $result = $job['result'];
+
+            return array(
+                /* translators: %s: plugin version */
+                'message' => $result['wp_plugin_version'] ? sprintf( __( 'Version %s', 'git-plugin-loader' ), $result['wp_plugin_version'] ) : '',
+                'commit'  => $result['local_commit'],
+            );
+        } );
+    }
+
+    /**
+     * Check plugins for updates.
+     *
+     * ## OPTIONS
+     *
+     * [<slug>...]
+     * : Plugins to check.
+     *
+     * [--all]
+     * : Check every managed plugin.
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     * ---
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function check( $args, $assoc_args ) {
+        /* translators: %d: number of plugins */
+        $this->run_for_each( $this->get_slugs( $args, $assoc_args ), $assoc_args, __( 'Checked %d plugin(s).', 'git-plugin-loader' ), function( $slug ) {
+            $result = $this->plugin_manager->check_updates( $slug );
+
+            return is_wp_error( $result ) ? $result : array(
+                'message' => ! empty( $result['remote_version'] ) ? $result['status'] . ' (' . $result['remote_version'] . ')' : $result['status'],
+                'commit'  => isset( $result['remote_commit'] ) ? $result['remote_commit'] : '',
+            );
+        } );
+    }
+
+    /**
+     * Switch a plugin to another branch or tag.
+     *
+     * ## OPTIONS
+     *
+     * <slug>
+     * : Plugin slug.
+     *
+     * <branch>
+     * : Branch or tag to switch to.
+     *
+     * @subcommand switch-branch
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function switch_branch( $args, $assoc_args ) {
+        list( $slug, $branch ) = $args;
+
+        // Exits unless the plugin is managed
+        $this->get_slugs( array( $slug ), array() );
+
+        $result = $this->check_no_job( $slug );
+        if ( ! $result ) {
+            $result = $this->plugin_manager->change_branch( $slug, sanitize_text_field( $branch ) );
+        }
+
+        if ( is_wp_error( $result ) ) {
+            WP_CLI::error( $result->get_error_message() );
+        }
+
+        /* translators: 1: plugin slug, 2: branch or tag, 3: short commit hash */
+        WP_CLI::success( sprintf( __( 'Switched %1$s to %2$s at %3$s.', 'git-plugin-loader' ), $slug, $branch, substr( $result['local_commit'], 0, 7 ) ) );
+    }
+
+    /**
+     * Follow the highest tag matching a version constraint.
+     *
+     * The plugin moves to the matching tag on its next sync.
+     *
+     * ## OPTIONS
+     *
+     * <slug>
+     * : Plugin slug.
+     *
+     * [<constraint>]
+     * : Version constraint such as "^2.1", "~1.4" or ">=3.0 <4". Omit to stop following tags.
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp git-plugin track my-plugin "^2.1"
+     *     Success: my-plugin follows ^2.1, newest match is 2.4.0.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function track( $args, $assoc_args ) {
+        $slug       = $args[0];
+        $constraint = isset( $args[1] ) ? sanitize_text_field( $args[1] ) : '';
+
+        // Exits unless the plugin is managed
+        $this->get_slugs( array( $slug ), array() );
+
+        $result = $this->plugin_manager->set_version_constraint( $slug, $constraint );
+
+        if ( is_wp_error( $result ) ) {
+            WP_CLI::error( $result->get_error_message() );
+        }
+
+        if ( '' === trim( $constraint ) ) {
+            /* translators: %s: plugin slug */
+            WP_CLI::success( sprintf( __( '%s no longer follows version tags.', 'git-plugin-loader' ), $slug ) );
+            return;
+        }
+
+        /* translators: 1: plugin slug, 2: version constraint, 3: tag */
+        WP_CLI::success( sprintf( __( '%1$s follows %2$s, newest match is %3$s.', 'git-plugin-loader' ), $slug, $result['version_constraint'], $result['remote_version'] ) );
+    }
+
+    /**
+     * Export plugins as ZIP files.
+     *
+     * ## OPTIONS
+     *
+     * [<slug>...]
+     * : Plugins to export.
+     *
+     * [--all]
+     * : Export every managed plugin.
+     *
+     * [--profile=<profile>]
+     * : Export profile to use.
+     * ---
+     * default: default
+     * ---
+     *
+     * [--ref=<ref>]
+     * : Branch, tag or commit to build from instead of the working tree.
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     * ---
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function export( $args, $assoc_args ) {
+        $options = array(
+            'profile' => WP_CLI\Utils\get_flag_value( $assoc_args, 'profile', GPL_Export::DEFAULT_PROFILE ),
+            'ref'     => WP_CLI\Utils\get_flag_value( $assoc_args, 'ref', '' ),
+        );
+
+        /* translators: %d: number of plugins */
+        $this->run_for_each( $this->get_slugs( $args, $assoc_args ), $assoc_args, __( 'Exported %d plugin(s).', 'git-plugin-loader' ), function( $slug ) use ( $options ) {
+            $result = $this->export->export_plugin( $slug, $options );
+
+            return is_wp_error( $result ) ? $result : array(
+                /* translators: 1: file path, 2: checksum */
+                'message' => sprintf( __( '%1$s (sha256 %2$s)', 'git-plugin-loader' ), $result['file'], $result['checksum'] ),
+                'commit'  => $result['commit'],
+            );
+        } );
+    }
+
+    /**
+     * Stop managing plugins with Git Plugin Loader.
+     *
+     * ## OPTIONS
+     *
+     * <slug>...
+     * : Plugins to remove.
+     *
+     * [--delete-files]
+     * : Also delete the plugin files.
+     *
+     * [--yes]
+     * : Don't ask for confirmation before deleting files.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function remove( $args, $assoc_args ) {
+        $slugs        = $this->get_slugs( $args, array() );
+        $delete_files = (bool) WP_CLI\Utils\get_flag_value( $assoc_args, 'delete-files', false );
+
+        if ( $delete_files ) {
+            /* translators: %s: plugin slugs */
+            WP_CLI::confirm( sprintf( __( 'Delete the files of %s?', 'git-plugin-loader' ), implode( ', ', $slugs ) ), $assoc_args );
+        }
+
+        /* translators: %d: number of plugins */
+        $this->run_for_each( $slugs, $assoc_args, __( 'Removed %d plugin(s).', 'git-plugin-loader' ), function( $slug ) use ( $delete_files ) {
+            $result = $this->check_no_job( $slug );
+            if ( ! $result ) {
+                $result = $this->plugin_manager->remove_plugin( $slug, $delete_files );
+            }
+
+            return is_wp_error( $result ) ? $result : array(
+                'message' => $delete_files ? __( 'Files deleted', 'git-plugin-loader' ) : '',
+                'commit'  => '',
+            );
+        } );
+    }
+
+    /**
+     * Export or import the list of managed plugins.
+     *
+     * ## OPTIONS
+     *
+     * <action>
+     * : What to do.
+     * ---
+     * options:
+     *   - export
+     *   - import
+     * ---
+     *
+     * [<file>]
+     * : Manifest file. Export writes to STDOUT without one.
+     *
+     * [--format=<format>]
+     * : Manifest format for export.
+     * ---
+     * default: json
+     * options:
+     *   - json
+     *   - yaml
+     * ---
+     *
+     * [--dry-run]
+     * : Only show what importing would change.
+     *
+     * [--keep-missing]
+     * : Keep managed plugins that are not in the manifest instead of removing them.
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp git-plugin manifest export plugins.yml --format=yaml
+     *     $ wp git-plugin manifest import plugins.yml --dry-run
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function manifest( $args, $assoc_args ) {
+        $action = $args[0];
+        $file   = isset( $args[1] ) ? $args[1] : '';
+
+        if ( 'export' === $action ) {
+            $content = $this->manifest->encode( $this->manifest->build(), WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'json' ) );
+
+            if ( ! $file ) {
+                WP_CLI::line( rtrim( $content ) );
+                return;
+            }
+
+            if ( false === file_put_contents( $file, $content ) ) {
+                /* translators: %s: file path */
+                WP_CLI::error( sprintf( __( 'Could not write %s.', 'git-plugin-loader' ), $file ) );
+            }
+
+            /* translators: %s: file path */
+            WP_CLI::success( sprintf( __( 'Wrote manifest to %s.', 'git-plugin-loader' ), $file ) );
+            return;
+        }
+
+        if ( ! $file || ! is_readable( $file ) ) {
+            WP_CLI::error( __( 'Please specify a readable manifest file.', 'git-plugin-loader' ) );
+        }
+
+        $parsed = $this->manifest->parse( file_get_contents( $file ) );
+
+        if ( is_wp_error( $parsed ) ) {
+            WP_CLI::error( $parsed->get_error_message() );
+        }
+
+        $items = $this->manifest->diff( $parsed, ! WP_CLI\Utils\get_flag_value( $assoc_args, 'keep-missing', false ) );
+        $rows  = array();
+
+        foreach ( $items as $item ) {
+            $changes = array();
+            foreach ( $item['changes'] as $change ) {
+                $changes[] = sprintf( '%s: %s -> %s', $change['field'], $this->format_setting( $change['field'], $change['from'] ), $this->format_setting( $change['field'], $change['to'] ) );
+            }
+
+            $rows[] = array(
+                'slug'    => $item['slug'],
+                'action'  => $item['action'],
+                'changes' => implode( '; ', $changes ),
+            );
+        }
+
+        WP_CLI\Utils\format_items( 'table', $rows, array( 'slug', 'action', 'changes' ) );
+
+        $pending = array_values( array_filter( $items, function( $item ) {
+            return in_array( $item['action'], array( 'add', 'change', 'remove' ), true );
+        } ) );
+
+        if ( WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false ) || empty( $pending ) ) {
+            return;
+        }
+
+        $failed = 0;
+        $labels = array(
+            'add'    => __( 'Add', 'git-plugin-loader' ),
+            'change' => __( 'Change', 'git-plugin-loader' ),
+            'remove' => __( 'Remove', 'git-plugin-loader' ),
+        );
+
+        foreach ( $pending as $i => $item ) {
+            /* translators: 1: position, 2: number of plugins, 3: action, 4: plugin slug */
+            WP_CLI::log( sprintf( __( '[%1$d/%2$d] %3$s %4$s', 'git-plugin-loader' ), $i + 1, count( $pending ), $labels[ $item['action'] ], $item['slug'] ) );
+
+            $result = $this->check_no_job( $item['slug'] );
+            if ( ! $result ) {
+                $result = $this->manifest->apply_item( $item );
+            }
+
+            if ( is_wp_error( $result ) ) {
+                $failed++;
+                WP_CLI::warning( sprintf( '%s: %s', $item['slug'], $result->get_error_message() ) );
+            }
+        }
+
+        if ( $failed ) {
+            /* translators: 1: number of failed plugins, 2: number of plugins */
+            WP_CLI::error( sprintf( __( '%1$d of %2$d plugins failed.', 'git-plugin-loader' ), $failed, count( $pending ) ) );
+        }
+
+        /* translators: %d: number of plugins */
+        WP_CLI::success( sprintf( __( 'Applied manifest to %d plugin(s).', 'git-plugin-loader' ), count( $pending ) ) );
+    }
+
+    /**
+     * Show or change settings.
+     *
+     * ## OPTIONS
+     *
+     * <action>
+     * : What to do.
+     * ---
+     * options:
+     *   - list
+     *   - get
+     *   - set
+     * ---
+     *
+     * [<key>]
+     * : Setting name, for get and set.
+     *
+     * [<value>]
+     * : New value, for set. Use an empty string to clear a token.
+     *
+     * [--format=<format>]
+     * : Output format for list.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp git-plugin settings set auto_sync_interval daily
+     *     $ wp git-plugin settings set github_token "$GITHUB_TOKEN"
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function settings( $args, $assoc_args ) {
+        $action   = $args[0];
+        $key      = isset( $args[1] ) ? $args[1] : '';
+        $settings = Git_Plugin_Loader::get_settings();
+
+        if ( 'list' === $action ) {
+            $items = array();
+            foreach ( self::SETTINGS as $name ) {
+                $items[] = array(
+                    'key'   => $name,
+                    'value' => $this->format_setting( $name, isset( $settings[ $name ] ) ? $settings[ $name ] : '' ),
+                );
+            }
+
+            WP_CLI\Utils\format_items( WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' ), $items, array( 'key', 'value' ) );
+            return;
+        }
+
+        if ( ! in_array( $key, self::SETTINGS, true ) ) {
+            /* translators: 1: setting name, 2: list of setting names */
+            WP_CLI::error( sprintf( __( 'Unknown setting "%1$s". Available: %2$s', 'git-plugin-loader' ), $key, implode( ', ', self::SETTINGS ) ) );
+        }
+
+        if ( 'get' === $action ) {
+            WP_CLI::line( $this->format_setting( $key, isset( $settings[ $key ] ) ? $settings[ $key ] : '' ) );
+            return;
+        }
+
+        if ( ! isset( $args[2] ) ) {
+            WP_CLI::error( __( 'Missing value.', 'git-plugin-loader' ) );
+        }
+
+        $value = $this->sanitize_setting( $key, $args[2] );
+
+        if ( is_wp_error( $value ) ) {
+            WP_CLI::error( $value->get_error_message() );
+        }
+
+        $settings[ $key ] = $value;
+        Git_Plugin_Loader::update_settings( $settings );
+
+        /* translators: %s: setting name */
+        WP_CLI::success( sprintf( __( 'Updated %s.', 'git-plugin-loader' ), $key ) );
+    }
+
+    /**
+     * Get the plugins a command applies to
+     *
+     * Exits with an error when a slug isn't managed or nothing was selected.
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return array
+     */
+    private function get_slugs( $args, $assoc_args ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( WP_CLI\Utils\get_flag_value( $assoc_args, 'all', false ) ) {
+            return array_keys( $plugins );
+        }
+
+        if ( empty( $args ) ) {
+            WP_CLI::error( __( 'Please specify one or more plugins, or use --all.', 'git-plugin-loader' ) );
+        }
+
+        foreach ( $args as $slug ) {
+            if ( ! isset( $plugins[ $slug ] ) ) {
+                /* translators: %s: plugin slug */
+                WP_CLI::error( sprintf( __( 'Plugin "%s" is not managed by Git Plugin Loader.', 'git-plugin-loader' ), $slug ) );
+            }
+        }
+
+        return $args;
+    }
+
+    /**
+     * Run an operation on several plugins and report the results
+     *
+     * Exits with an error after printing the results if any operation failed.
+     *
+     * @param array    $slugs      Plugin slugs.
+     * @param array    $assoc_args Associative arguments.
+     * @param string   $summary    Translated summary, %d is replaced with the number of plugins.
+     * @param callable $callback   Receives a slug, returns WP_Error or an array with 'message' and 'commit'.
+     */
+    private function run_for_each( $slugs, $assoc_args, $summary, $callback ) {
+        $items  = array();
+        $failed = 0;
+
+        foreach ( $slugs as $slug ) {
+            $result = call_user_func( $callback, $slug );
+
+            if ( is_wp_error( $result ) ) {
+                $failed++;
+                $items[] = array(
+                    'slug'    => $slug,
+                    'result'  => 'error',
+                    'message' => $result->get_error_message(),
+                    'commit'  => '',
+                );
+                continue;
+            }
+
+            $items[] = array(
+                'slug'    => $slug,
+                'result'  => 'success',
+                'message' => $result['message'],
+                'commit'  => substr( $result['commit'], 0, 7 ),
+            );
+        }
+
+        WP_CLI\Utils\format_items( WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' ), $items, array( 'slug', 'result', 'message', 'commit' ) );
+
+        if ( $failed ) {
+            /* translators: 1: number of failed plugins, 2: number of plugins */
+            WP_CLI::error( sprintf( __( '%1$d of %2$d plugins failed.', 'git-plugin-loader' ), $failed, count( $slugs ) ) );
+        }
+
+        if ( 'table' === WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' ) ) {
+            WP_CLI::success( sprintf( $summary, count( $slugs ) ) );
+        }
+    }
+
+    /**
+     * Get an error if a plugin has a job running, e.g. a sync started in the admin
+     *
+     * @param string $slug Plugin slug.
+     * @return WP_Error|null
+     */
+    private function check_no_job( $slug ) {
+        if ( ! $this->jobs->get_active_job( $slug ) ) {
+            return null;
+        }
+
+        return new WP_Error( 'job_running', __( 'Another operation on this plugin is still running.', 'git-plugin-loader' ) );
+    }
+
+    /**
+     * Format a setting value for display
+     *
+     * @param string $key   Setting name.
+     * @param mixed  $value Stored value.
+     * @return string
+     */
+    private function format_setting( $key, $value ) {
+        if ( '_token' === substr( $key, -6 ) ) {
+            return $value ? '********' : '';
+        }
+
+        if ( is_array( $value ) ) {
+            return implode( ',', $value );
+        }
+
+        return is_bool( $value ) ? ( $value ? 'true' : 'false' ) : (string) $value;
+    }
+
+    /**
+     * Validate a setting value, mirroring the settings page
+     *
+     * @param string $key   Setting name.
+     * @param string $value Raw value.
+     * @return mixed|WP_Error Value to store.
+     */
+    private function sanitize_setting( $key, $value ) {
+        switch ( $key ) {
+            case 'github_token':
+                if ( '' !== $value && ! $this->github_api->verify_token( $value ) ) {
+                    return new WP_Error( 'invalid_token', __( 'Invalid GitHub token.', 'git-plugin-loader' ) );
+                }
+                return Git_Plugin_Loader::encrypt( sanitize_text_field( $value ) );
+
+            case 'gitlab_token':
+            case 'git_token':
+                return Git_Plugin_Loader::encrypt( sanitize_text_field( $value ) );
+
+            case 'auto_sync_interval':
+                if ( ! in_array( $value, array( 'hourly', 'twicedaily', 'daily' ), true ) ) {
+                    return new WP_Error( 'invalid_value', __( 'Interval must be hourly, twicedaily or daily.', 'git-plugin-loader' ) );
+                }
+                return $value;
+
+            case 'health_check_enabled':
+                return in_array( strtolower( $value ), array( '1', 'true', 'yes', 'on' ), true );
+
+            case 'health_check_front_url':
+                return GPL_Health_Check::sanitize_url( 'front', $value );
+
+            case 'health_check_admin_url':
+                return GPL_Health_Check::sanitize_url( 'admin', $value );
+
+            case 'export_exclusions':
+                return array_values( array_filter( array_map( 'trim', explode( ',', sanitize_text_field( $value ) ) ) ) );
+        }
+
+        $ranges = array(
+            'health_check_timeout'    => array( 5, 60 ),
+            'activity_retention_days' => array( 1, 365 ),
+            'cleanup_exports_after'   => array( 1, 168 ),
+        );
+
+        $number = (int) $value;
+
+        if ( (string) $number !== trim( $value ) || $number < $ranges[ $key ][0] || $number > $ranges[ $key ][1] ) {
+            /* translators: 1: setting name, 2: minimum, 3: maximum */
+            return new WP_Error( 'invalid_value', sprintf( __( '%1$s must be a number from %2$d to %3$d.', 'git-plugin-loader' ), $key, $ranges[ $key ][0], $ranges[ $key ][1] ) );
+        }
+
+        return $number;
+    }
+}
@@ -45,13 +45,22 @@ class GPL_Cron {
      */
     private $plugin_manager;
 
+    /**
+     * Notifications instance
+     *
+     * @var GPL_Notifications
+     */
+    private $notifications;
+
     /**
      * Constructor
      *
      * @param GPL_Plugin_Manager $plugin_manager Plugin manager instance.
+     * @param GPL_Notifications  $notifications  Notifications instance.
      */
-    public function __construct( GPL_Plugin_Manager $plugin_manager ) {
+    public function __construct( GPL_Plugin_Manager $plugin_manager, GPL_Notifications $notifications ) {
         $this->plugin_manager = $plugin_manager;
+        $this->notifications  = $notifications;
 
         $this->init_hooks();
     }
@@ -67,12 +76,28 @@ class GPL_Cron {
 
         // Handle schedule changes
         add_action( 'update_option_' . GPL_OPTION_SETTINGS, array( $this, 'on_settings_update' ), 10, 2 );
+        add_action( 'update_site_option_' . GPL_OPTION_SETTINGS, array( $this, 'on_network_settings_update' ), 10, 3 );
+    }
+
+    /**
+     * Check whether the scheduled tasks run on the current site
+     *
+     * A network shares one set of plugin files, so its tasks only run on the main site.
+     *
+     * @return bool
+     */
+    public static function is_cron_site() {
+        return ! Git_Plugin_Loader::is_network_active() || is_main_site();
     }
 
     /**
      * Schedule all cron events
      */
     public static function schedule_events() {
+        if ( ! self::is_cron_site() ) {
+            return;
+        }
+
         $settings = Git_Plugin_Loader::get_settings();
         $interval = isset( $settings['auto_sync_interval'] ) ? $settings['auto_sync_interval'] : 'hourly';
 
@@ -108,6 +133,9 @@ class GPL_Cron {
                 wp_unschedule_event( $timestamp, $hook );
             }
         }
+
+        // Pending job runners are scheduled with arguments
+        wp_unschedule_hook( GPL_Jobs::HOOK_RUN_JOB );
     }
 
     /**
@@ -126,6 +154,19 @@ class GPL_Cron {
         }
     }
 
+    /**
+     * Handle a settings update on the network
+     *
+     * @param string $option    Option name.
+     * @param mixed  $new_value New settings value.
+     * @param mixed  $old_value Old settings value.
+     */
+    public function on_network_settings_update( $option, $new_value, $old_value ) {
+        if ( self::is_cron_site() ) {
+            $this->on_settings_update( $old_value, $new_value );
+        }
+    }
+
     /**
      * Reschedule events with new interval
      *
@@ -152,30 +193,46 @@ class GPL_Cron {
      * Check for updates on all managed plugins
      */
     public function check_updates() {
+        if ( ! $this->claim_run() ) {
+            return;
+        }
+
         // Verify system requirements
         if ( ! Git_Plugin_Loader::is_git_installed() || ! Git_Plugin_Loader::is_exec_available() ) {
             return;
         }
 
         $this->plugin_manager->check_all_updates();
+        $this->notifications->notify_checked();
     }
 
     /**
      * Auto-sync enabled plugins
      */
     public function auto_sync() {
+        if ( ! $this->claim_run() ) {
+            return;
+        }
+
         // Verify system requirements
         if ( ! Git_Plugin_Loader::is_git_installed() || ! Git_Plugin_Loader::is_exec_available() ) {
             return;
         }
 
-        $this->plugin_manager->sync_auto_enabled();
+        $before  = Git_Plugin_Loader::get_managed_plugins();
+        $results = $this->plugin_manager->sync_auto_enabled();
+
+        $this->notifications->notify_synced( $results, $before );
     }
 
     /**
      * Cleanup old export files
      */
     public function cleanup_exports() {
+        if ( ! $this->claim_run() ) {
+            return;
+        }
+
         $settings    = Git_Plugin_Loader::get_settings();
         $max_age     = isset( $settings['cleanup_exports_after'] ) ? (int) $settings['cleanup_exports_after'] : 24;
         $export_dir  = GPL_Export::get_export_dir();
@@ -184,18 +241,46 @@ class GPL_Cron {
             return;
         }
 
+        // Exports, their checksum files and local changes saved as patches
         $cutoff_time = time() - ( $max_age * HOUR_IN_SECONDS );
-        $files       = glob( $export_dir . '/*.zip' );
+        $files       = array_filter( array_merge( (array) glob( $export_dir . '/*.zip*' ), (array) glob( $export_dir . '/*.patch' ) ) );
 
         if ( ! $files ) {
             return;
         }
 
+        $pinned = GPL_Export::get_pinned();
+
         foreach ( $files as $file ) {
+            // Pinned exports are kept along with their checksum file
+            if ( in_array( basename( $file, '.sha256' ), $pinned, true ) ) {
+                continue;
+            }
+
             if ( filemtime( $file ) < $cutoff_time ) {
                 @unlink( $file );
             }
         }
+
+        GPL_Export::prune_meta();
+    }
+
+    /**
+     * Check that a scheduled task should run on this site
+     *
+     * Events scheduled on other sites before the plugin was network activated
+     * are removed the first time they fire.
+     *
+     * @return bool
+     */
+    private function claim_run() {
+        if ( self::is_cron_site() ) {
+            return true;
+        }
+
+        self::unschedule_events();
+
+        return false;
     }
 
     /**
@@ -0,0 +1,251 @@
+<?php
+/**
+ * Deploy Keys Class
+ *
+ * Generates and stores the per-plugin SSH keys used to clone and fetch
+ * private repositories over SSH instead of with a provider token.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Deploy_Keys class
+ */
+class GPL_Deploy_Keys {
+
+    /**
+     * Option holding the deploy keys keyed by plugin slug
+     *
+     * @var string
+     */
+    const OPTION = 'gpl_deploy_keys';
+
+    /**
+     * Option holding the SSH host keys accepted so far
+     *
+     * @var string
+     */
+    const OPTION_KNOWN_HOSTS = 'gpl_known_hosts';
+
+    /**
+     * Generate a new key pair for a plugin, replacing its current key
+     *
+     * @param string $slug Plugin slug.
+     * @param string $url  Sanitized HTTPS repository URL the key is for.
+     * @return array|WP_Error Public key data.
+     */
+    public static function generate( $slug, $url ) {
+        if ( ! Git_Plugin_Loader::is_exec_available() ) {
+            return new WP_Error( 'exec_unavailable', __( 'The exec() function is not available on this server.', 'git-plugin-loader' ) );
+        }
+
+        exec( 'command -v ssh-keygen 2>&1', $output, $return_var );
+        if ( 0 !== $return_var ) {
+            return new WP_Error( 'keygen_missing', __( 'ssh-keygen is not installed on this server.', 'git-plugin-loader' ) );
+        }
+
+        $file    = trailingslashit( get_temp_dir() ) . 'gpl-key-' . wp_generate_password( 12, false );
+        $comment = $slug . '@' . wp_parse_url( home_url(), PHP_URL_HOST );
+        $output  = array();
+
+        exec( 'ssh-keygen -q -t ed25519 -N "" -C ' . escapeshellarg( $comment ) . ' -f ' . escapeshellarg( $file ) . ' 2>&1', $output, $return_var );
+
+        $private = is_readable( $file ) ? file_get_contents( $file ) : '';
+        $public  = is_readable( $file . '.pub' ) ? trim( file_get_contents( $file . '.pub' ) ) : '';
+
+        wp_delete_file( $file );
+        wp_delete_file( $file . '.pub' );
+
+        if ( 0 !== $return_var || ! $private || ! $public ) {
+            return new WP_Error( 'keygen_failed', $output ? implode( "\n", $output ) : __( 'The deploy key could not be generated.', 'git-plugin-loader' ) );
+        }
+
+        $keys          = Git_Plugin_Loader::get_option( self::OPTION, array() );
+        $keys[ $slug ] = array(
+            'url'     => $url,
+            'private' => Git_Plugin_Loader::encrypt( $private ),
+            'public'  => $public,
+            'created' => time(),
+        );
+        Git_Plugin_Loader::update_option( self::OPTION, $keys, false );
+
+        return self::get( $slug );
+    }
+
+    /**
+     * Get the public part of a plugin's deploy key
+     *
+     * @param string $slug Plugin slug.
+     * @return array|null Array with 'slug', 'url', 'public_key' and 'created' keys.
+     */
+    public static function get( $slug ) {
+        $keys = Git_Plugin_Loader::get_option( self::OPTION, array() );
+
+        if ( empty( $keys[ $slug ] ) ) {
+            return null;
+        }
+
+        return array(
+            'slug'       => $slug,
+            'url'        => $keys[ $slug ]['url'],
+            'public_key' => $keys[ $slug ]['public'],
+            'created'    => $keys[ $slug ]['created'],
+        );
+    }
+
+    /**
+     * Get the public parts of all deploy keys
+     *
+     * @return array Keyed by plugin slug.
+     */
+    public static function get_all() {
+        $keys = array();
+
+        foreach ( array_keys( Git_Plugin_Loader::get_option( self::OPTION, array() ) ) as $slug ) {
+            $keys[ $slug ] = self::get( $slug );
+        }
+
+        return $keys;
+    }
+
+    /**
+     * Find the slug a key was generated under for a repository
+     *
+     * @param string $url Sanitized HTTPS repository URL.
+     * @return string|false
+     */
+    public static function find_by_url( $url ) {
+        foreach ( Git_Plugin_Loader::get_option( self::OPTION, array() ) as $slug => $key ) {
+            if ( 0 === strcasecmp( $key['url'], $url ) ) {
+                return $slug;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Move a key generated for a repository to the slug it is installed under
+     *
+     * The add form generates the key before the final slug is known. A key
+     * still used by another managed plugin of the same repository is shared.
+     *
+     * @param string $slug Plugin slug.
+     * @param string $url  Sanitized HTTPS repository URL.
+     */
+    public static function claim( $slug, $url ) {
+        $keys  = Git_Plugin_Loader::get_option( self::OPTION, array() );
+        $owner = self::find_by_url( $url );
+
+        if ( isset( $keys[ $slug ] ) || false === $owner ) {
+            return;
+        }
+
+        $keys[ $slug ] = $keys[ $owner ];
+
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        if ( ! isset( $plugins[ $owner ] ) ) {
+            unset( $keys[ $owner ] );
+        }
+
+        Git_Plugin_Loader::update_option( self::OPTION, $keys, false );
+    }
+
+    /**
+     * Delete a plugin's deploy key
+     *
+     * @param string $slug Plugin slug.
+     */
+    public static function delete( $slug ) {
+        $keys = Git_Plugin_Loader::get_option( self::OPTION, array() );
+
+        if ( isset( $keys[ $slug ] ) ) {
+            unset( $keys[ $slug ] );
+            Git_Plugin_Loader::update_option( self::OPTION, $keys, false );
+        }
+    }
+
+    /**
+     * Write a deploy key and the known hosts to temporary files for one command
+     *
+     * @param string $slug Plugin slug.
+     * @return array|false Array with 'key' and 'known_hosts' file paths, or false without a key.
+     */
+    public static function open_session( $slug ) {
+        $keys = Git_Plugin_Loader::get_option( self::OPTION, array() );
+
+        if ( empty( $keys[ $slug ] ) ) {
+            return false;
+        }
+
+        $private = Git_Plugin_Loader::decrypt( $keys[ $slug ]['private'] );
+        if ( ! $private ) {
+            return false;
+        }
+
+        $base    = trailingslashit( get_temp_dir() ) . 'gpl-ssh-' . wp_generate_password( 12, false );
+        $session = array(
+            'key'         => $base,
+            'known_hosts' => $base . '.known_hosts',
+        );
+
+        // ssh refuses private keys that other users can read
+        $umask = umask( 0077 );
+        file_put_contents( $session['key'], $private );
+        file_put_contents( $session['known_hosts'], Git_Plugin_Loader::get_option( self::OPTION_KNOWN_HOSTS, '' ) );
+        umask( $umask );
+        chmod( $session['key'], 0600 );
+
+        // A request cut off mid-command never reaches close_session()
+        register_shutdown_function( array( __CLASS__, 'delete_session_files' ), $session );
+
+        return $session;
+    }
+
+    /**
+     * Get the SSH command Git should use for a session
+     *
+     * New hosts are trusted on first use and must keep their key afterwards.
+     *
+     * @param array $session Session from open_session().
+     * @return string
+     */
+    public static function get_ssh_command( $session ) {
+        return 'ssh -i ' . escapeshellarg( $session['key'] )
+            . ' -o IdentitiesOnly=yes -o BatchMode=yes -o StrictHostKeyChecking=accept-new'
+            . ' -o UserKnownHostsFile=' . escapeshellarg( $session['known_hosts'] );
+    }
+
+    /**
+     * Remember newly accepted host keys and delete the session files
+     *
+     * @param array $session Session from open_session().
+     */
+    public static function close_session( $session ) {
+        $known_hosts = is_readable( $session['known_hosts'] ) ? file_get_contents( $session['known_hosts'] ) : false;
+
+        if ( false !== $known_hosts && Git_Plugin_Loader::get_option( self::OPTION_KNOWN_HOSTS, '' ) !== $known_hosts ) {
+            Git_Plugin_Loader::update_option( self::OPTION_KNOWN_HOSTS, $known_hosts, false );
+        }
+
+        self::delete_session_files( $session );
+    }
+
+    /**
+     * Delete the files of a session, if they are still there
+     *
+     * @param array $session Session from open_session().
+     */
+    public static function delete_session_files( $session ) {
+        foreach ( $session as $file ) {
+            if ( file_exists( $file ) ) {
+                wp_delete_file( $file );
+            }
+        }
+    }
+}
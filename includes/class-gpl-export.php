@@ -2,7 +2,8 @@
 /**
  * Export Functionality Class
  *
- * Handles exporting plugins as clean ZIP files.
+ * Handles exporting plugins as clean ZIP files, built from the working tree
+ * or any ref with per-plugin export profiles.
  *
  * @package Git_Plugin_Loader
  */
@@ -24,11 +25,54 @@ class GPL_Export {
      */
     const EXPORT_DIR_NAME = 'gpl-exports';
 
+    /**
+     * ID of the built-in profile that uses the global exclusions
+     *
+     * @var string
+     */
+    const DEFAULT_PROFILE = 'default';
+
+    /**
+     * Option holding what each export was built from, keyed by filename
+     *
+     * @var string
+     */
+    const OPTION_EXPORTS = 'gpl_exports';
+
+    /**
+     * Seconds a signed download link stays valid
+     *
+     * @var int
+     */
+    const LINK_LIFETIME = 3600;
+
+    /**
+     * Activity log
+     *
+     * @var GPL_Activity_Log
+     */
+    private $activity_log;
+
+    /**
+     * Git instance
+     *
+     * @var GPL_Git
+     */
+    private $git;
+
     /**
      * Constructor
+     *
+     * @param GPL_Activity_Log $activity_log Activity log.
+     * @param GPL_Git          $git          Git instance.
      */
-    public function __construct() {
-        // Nothing to initialize
+    public function __construct( GPL_Activity_Log $activity_log, GPL_Git $git ) {
+        $this->activity_log = $activity_log;
+        $this->git          = $git;
+
+        // Signed links can be shared with people who can't log in
+        add_action( 'admin_post_gpl_download_export', array( $this, 'serve_download' ) );
+        add_action( 'admin_post_nopriv_gpl_download_export', array( $this, 'serve_download' ) );
     }
 
     /**
@@ -56,7 +100,7 @@ class GPL_Export {
      *
      * @return bool
      */
-    private function ensure_export_dir() {
+    public static function ensure_export_dir() {
         $export_dir = self::get_export_dir();
 
         if ( ! file_exists( $export_dir ) ) {
@@ -66,21 +110,151 @@ class GPL_Export {
 
             // Add index.php to prevent directory listing
             file_put_contents( $export_dir . '/index.php', '<?php // Silence is golden.' );
+        }
 
-            // Add .htaccess for extra security
-            file_put_contents( $export_dir . '/.htaccess', 'Options -Indexes' );
+        // Exports are downloaded through signed links only, also in directories created before those
+        $htaccess = "Options -Indexes\n<IfModule mod_authz_core.c>\n    Require all denied\n</IfModule>\n<IfModule !mod_authz_core.c>\n    Deny from all\n</IfModule>\n";
+        if ( ! is_file( $export_dir . '/.htaccess' ) || file_get_contents( $export_dir . '/.htaccess' ) !== $htaccess ) {
+            file_put_contents( $export_dir . '/.htaccess', $htaccess );
         }
 
         return is_writable( $export_dir );
     }
 
     /**
-     * Export a plugin as ZIP
+     * Get the export profiles of a plugin
      *
      * @param string $slug Plugin slug.
-     * @return array|WP_Error Array with 'file' and 'url' keys, or WP_Error on failure.
+     * @return array Keyed by profile ID, with 'name', 'exclusions', 'ignore_files' and 'stamp_version' keys.
+     */
+    public function get_profiles( $slug ) {
+        $plugins  = Git_Plugin_Loader::get_managed_plugins();
+        $settings = Git_Plugin_Loader::get_settings();
+        $profiles = array(
+            self::DEFAULT_PROFILE => array(
+                'name'          => __( 'Default', 'git-plugin-loader' ),
+                'exclusions'    => isset( $settings['export_exclusions'] ) ? $settings['export_exclusions'] : array(),
+                'ignore_files'  => true,
+                'stamp_version' => false,
+            ),
+        );
+
+        if ( ! empty( $plugins[ $slug ]['export_profiles'] ) ) {
+            $profiles = array_merge( $profiles, $plugins[ $slug ]['export_profiles'] );
+        }
+
+        return $profiles;
+    }
+
+    /**
+     * Save an export profile of a plugin
+     *
+     * @param string $slug    Plugin slug.
+     * @param string $name    Profile name. A profile with the same ID is replaced.
+     * @param array  $profile Profile with 'exclusions', 'ignore_files' and 'stamp_version' keys.
+     * @return string|WP_Error Profile ID.
      */
-    public function export_plugin( $slug ) {
+    public function save_profile( $slug, $name, $profile ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        $id      = sanitize_key( $name );
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        if ( '' === $id || self::DEFAULT_PROFILE === $id ) {
+            return new WP_Error( 'invalid_profile', __( 'Enter a name for the profile other than "Default".', 'git-plugin-loader' ) );
+        }
+
+        $profiles        = isset( $plugins[ $slug ]['export_profiles'] ) ? $plugins[ $slug ]['export_profiles'] : array();
+        $profiles[ $id ] = array(
+            'name'          => $name,
+            'exclusions'    => array_values( array_filter( array_map( 'trim', (array) $profile['exclusions'] ) ) ),
+            'ignore_files'  => ! empty( $profile['ignore_files'] ),
+            'stamp_version' => ! empty( $profile['stamp_version'] ),
+        );
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, array( 'export_profiles' => $profiles ) );
+
+        return $id;
+    }
+
+    /**
+     * Delete an export profile of a plugin
+     *
+     * @param string $slug Plugin slug.
+     * @param string $id   Profile ID.
+     * @return bool
+     */
+    public function delete_profile( $slug, $id ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ]['export_profiles'][ $id ] ) ) {
+            return false;
+        }
+
+        $profiles = $plugins[ $slug ]['export_profiles'];
+        unset( $profiles[ $id ] );
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, array( 'export_profiles' => $profiles ) );
+
+        return true;
+    }
+
+    /**
+     * Get the local branches and tags a plugin can be exported from
+     *
+     * @param string $slug Plugin slug.
+     * @return array Array with 'branches' and 'tags' keys.
+     */
+    public function get_refs( $slug ) {
+        $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
+        $branches    = $this->git->get_branches( $plugin_path );
+        $remote      = $this->git->get_branches( $plugin_path, true );
+        $tags        = $this->git->get_tags( $plugin_path );
+        $branches    = $branches ? $branches : array();
+
+        // Remote branches are listed by name, resolve_commit() finds them through origin
+        foreach ( $remote ? $remote : array() as $branch ) {
+            if ( 0 === strpos( $branch, 'origin/' ) ) {
+                $branches[] = substr( $branch, strlen( 'origin/' ) );
+            }
+        }
+
+        return array(
+            'branches' => array_values( array_unique( $branches ) ),
+            'tags'     => $tags ? array_reverse( $tags ) : array(),
+        );
+    }
+
+    /**
+     * Export a plugin as ZIP
+     *
+     * @param string $slug    Plugin slug.
+     * @param array  $options {
+     *     Optional. Export options.
+     *
+     *     @type string $profile       Profile ID. Default 'default'.
+     *     @type string $ref           Branch, tag or commit to build from. Default the working tree.
+     *     @type array  $exclusions    Patterns to exclude instead of the profile's.
+     *     @type bool   $ignore_files  Whether to honor .distignore and export-ignore instead of the profile's setting.
+     *     @type bool   $stamp_version Whether to stamp the Version header instead of the profile's setting.
+     * }
+     * @return array|WP_Error Array with 'file', 'url' and 'checksum' keys, or WP_Error on failure.
+     */
+    public function export_plugin( $slug, $options = array() ) {
+        $activity = $this->activity_log->begin( 'export', $slug );
+        $result   = $this->do_export_plugin( $slug, $options );
+
+        return $this->activity_log->end( $activity, $result, is_wp_error( $result ) ? '' : $result['filename'] );
+    }
+
+    /**
+     * Export a plugin without recording it in the activity log
+     *
+     * @see export_plugin()
+     */
+    private function do_export_plugin( $slug, $options ) {
         $plugins = Git_Plugin_Loader::get_managed_plugins();
 
         if ( ! isset( $plugins[ $slug ] ) ) {
@@ -93,6 +267,16 @@ class GPL_Export {
             return new WP_Error( 'directory_not_found', __( 'Plugin directory not found.', 'git-plugin-loader' ) );
         }
 
+        $profiles   = $this->get_profiles( $slug );
+        $profile_id = ! empty( $options['profile'] ) ? $options['profile'] : self::DEFAULT_PROFILE;
+
+        if ( ! isset( $profiles[ $profile_id ] ) ) {
+            return new WP_Error( 'profile_not_found', __( 'Export profile not found.', 'git-plugin-loader' ) );
+        }
+
+        $profile = array_merge( $profiles[ $profile_id ], array_intersect_key( $options, array_flip( array( 'exclusions', 'ignore_files', 'stamp_version' ) ) ) );
+        $ref     = isset( $options['ref'] ) ? trim( $options['ref'] ) : '';
+
         // Ensure export directory exists
         if ( ! $this->ensure_export_dir() ) {
             return new WP_Error( 'export_dir_error', __( 'Could not create export directory.', 'git-plugin-loader' ) );
@@ -103,11 +287,8 @@ class GPL_Export {
             return new WP_Error( 'zip_unavailable', __( 'ZipArchive class is not available.', 'git-plugin-loader' ) );
         }
 
-        // Generate filename with timestamp
         $plugin_data = $plugins[ $slug ];
-        $version     = $plugin_data['wp_plugin_version'] ? $plugin_data['wp_plugin_version'] : substr( $plugin_data['local_commit'], 0, 7 );
-        $filename    = sprintf( '%s-%s-%s.zip', $slug, $version, date( 'Ymd-His' ) );
-        $export_path = self::get_export_dir() . '/' . $filename;
+        $commit      = $plugin_data['local_commit'];
 
         // Create temp directory for clean copy
         $temp_dir = self::get_export_dir() . '/temp-' . uniqid();
@@ -115,17 +296,48 @@ class GPL_Export {
             return new WP_Error( 'temp_dir_error', __( 'Could not create temporary directory.', 'git-plugin-loader' ) );
         }
 
-        // Get exclusion patterns
-        $settings   = Git_Plugin_Loader::get_settings();
-        $exclusions = isset( $settings['export_exclusions'] ) ? $settings['export_exclusions'] : array();
+        if ( '' !== $ref ) {
+            $source = $this->extract_ref( $plugin_path, $ref, $temp_dir );
+
+            if ( is_wp_error( $source ) ) {
+                $this->delete_directory( $temp_dir );
+                return $source;
+            }
+
+            $commit = $source['commit'];
+            $source = $source['path'];
+        } else {
+            $source = $plugin_path;
+        }
+
+        $exclusions = (array) $profile['exclusions'];
+        if ( $profile['ignore_files'] ) {
+            $exclusions = array_merge( $exclusions, $this->get_ignore_patterns( $source ) );
+        }
 
         // Copy files to temp directory, excluding specified files
-        $copy_result = $this->copy_directory( $plugin_path, $temp_dir . '/' . $slug, $exclusions );
+        $copy_result = $this->copy_directory( $source, $temp_dir . '/' . $slug, $exclusions );
         if ( ! $copy_result ) {
             $this->delete_directory( $temp_dir );
             return new WP_Error( 'copy_failed', __( 'Failed to copy plugin files.', 'git-plugin-loader' ) );
         }
 
+        $main_file = $temp_dir . '/' . $slug . '/' . basename( (string) $plugin_data['wp_plugin_file'] );
+        $header    = is_file( $main_file ) ? get_file_data( $main_file, array( 'Version' => 'Version' ) ) : array( 'Version' => '' );
+        $version   = $header['Version'];
+
+        if ( $profile['stamp_version'] && is_file( $main_file ) ) {
+            $tag     = $this->get_tag( $plugin_path, '' !== $ref ? $ref : $plugin_data['branch'] );
+            $version = $tag ? ltrim( $tag, 'vV' ) : trim( $version . '+' . substr( $commit, 0, 7 ), '+' );
+
+            $this->stamp_version( $main_file, $version );
+        }
+
+        // Generate filename with timestamp
+        $version     = $version ? $version : substr( $commit, 0, 7 );
+        $filename    = sprintf( '%s-%s-%s.zip', $slug, str_replace( '+', '-', sanitize_file_name( $version ) ), date( 'Ymd-His' ) );
+        $export_path = self::get_export_dir() . '/' . $filename;
+
         // Create ZIP archive
         $zip = new ZipArchive();
         if ( $zip->open( $export_path, ZipArchive::CREATE | ZipArchive::OVERWRITE ) !== true ) {
@@ -133,8 +345,8 @@ class GPL_Export {
             return new WP_Error( 'zip_create_failed', __( 'Failed to create ZIP archive.', 'git-plugin-loader' ) );
         }
 
-        // Add files to ZIP
-        $this->add_directory_to_zip( $zip, $temp_dir, '' );
+        // Add the plugin folder only, the temp directory may also hold the extracted ref
+        $this->add_directory_to_zip( $zip, $temp_dir . '/' . $slug, $slug );
         $zip->close();
 
         // Clean up temp directory
@@ -145,14 +357,131 @@ class GPL_Export {
             return new WP_Error( 'zip_not_created', __( 'ZIP file was not created.', 'git-plugin-loader' ) );
         }
 
+        // Same format as sha256sum, so the file can be checked with "sha256sum -c"
+        $checksum = hash_file( 'sha256', $export_path );
+        file_put_contents( $export_path . '.sha256', $checksum . '  ' . $filename . "\n" );
+
+        $exports              = Git_Plugin_Loader::get_option( self::OPTION_EXPORTS, array() );
+        $exports[ $filename ] = array(
+            'slug'    => $slug,
+            'version' => $version,
+            'commit'  => $commit,
+            'ref'     => $ref,
+            'profile' => $profile['name'],
+            'pinned'  => false,
+        );
+        Git_Plugin_Loader::update_option( self::OPTION_EXPORTS, $exports, false );
+
         return array(
-            'file'     => $export_path,
-            'filename' => $filename,
-            'url'      => self::get_export_url() . '/' . $filename,
-            'size'     => filesize( $export_path ),
+            'file'         => $export_path,
+            'filename'     => $filename,
+            'url'          => self::get_download_url( $filename ),
+            'size'         => filesize( $export_path ),
+            'version'      => $version,
+            'commit'       => $commit,
+            'checksum'     => $checksum,
+            'checksum_url' => self::get_download_url( $filename . '.sha256' ),
         );
     }
 
+    /**
+     * Extract the files of a ref into the temp directory
+     *
+     * @param string $plugin_path Plugin directory path.
+     * @param string $ref         Branch, tag or commit.
+     * @param string $temp_dir    Temp directory.
+     * @return array|WP_Error Array with 'path' and 'commit' keys.
+     */
+    private function extract_ref( $plugin_path, $ref, $temp_dir ) {
+        $commit = $this->git->resolve_commit( $plugin_path, $ref );
+
+        // The ref may be newer than the last fetch
+        if ( ! $commit && $this->git->fetch( $plugin_path, false, true ) ) {
+            $commit = $this->git->resolve_commit( $plugin_path, $ref );
+        }
+
+        if ( ! $commit ) {
+            /* translators: %s: branch, tag or commit */
+            return new WP_Error( 'ref_not_found', sprintf( __( 'Could not find "%s" in the repository.', 'git-plugin-loader' ), $ref ) );
+        }
+
+        $archive = $temp_dir . '/source.zip';
+        $path    = $temp_dir . '/source';
+
+        if ( ! $this->git->archive( $plugin_path, $commit, $archive ) ) {
+            return new WP_Error( 'archive_failed', $this->git->get_last_error() );
+        }
+
+        $zip = new ZipArchive();
+        if ( $zip->open( $archive ) !== true || ! $zip->extractTo( $path ) ) {
+            return new WP_Error( 'extract_failed', __( 'Failed to extract the repository files.', 'git-plugin-loader' ) );
+        }
+        $zip->close();
+        unlink( $archive );
+
+        return array(
+            'path'   => $path,
+            'commit' => $commit,
+        );
+    }
+
+    /**
+     * Get the exclusion patterns of a repository's .distignore and .gitattributes files
+     *
+     * @param string $dir Directory holding the files.
+     * @return array
+     */
+    private function get_ignore_patterns( $dir ) {
+        $patterns = array();
+
+        if ( is_readable( $dir . '/.distignore' ) ) {
+            foreach ( file( $dir . '/.distignore', FILE_IGNORE_NEW_LINES ) as $line ) {
+                $line = trim( $line );
+
+                // Negated patterns can't be expressed as exclusions
+                if ( '' !== $line && '#' !== $line[0] && '!' !== $line[0] ) {
+                    $patterns[] = trim( $line, '/' );
+                }
+            }
+        }
+
+        if ( is_readable( $dir . '/.gitattributes' ) ) {
+            foreach ( file( $dir . '/.gitattributes', FILE_IGNORE_NEW_LINES ) as $line ) {
+                if ( preg_match( '/^\s*([^#\s]\S*)\s.*(?<![-!])\bexport-ignore\b/', $line, $matches ) ) {
+                    $patterns[] = trim( $matches[1], '/' );
+                }
+            }
+        }
+
+        return array_values( array_filter( $patterns ) );
+    }
+
+    /**
+     * Get the tag a ref points to
+     *
+     * @param string $plugin_path Plugin directory path.
+     * @param string $ref         Branch, tag or commit.
+     * @return string|false
+     */
+    private function get_tag( $plugin_path, $ref ) {
+        $tags = $this->git->get_tags( $plugin_path );
+
+        return $tags && in_array( $ref, $tags, true ) ? $ref : false;
+    }
+
+    /**
+     * Replace the Version header of a plugin's main file
+     *
+     * @param string $file    Main plugin file.
+     * @param string $version Version.
+     */
+    private function stamp_version( $file, $version ) {
+        $contents = file_get_contents( $file );
+        $contents = preg_replace( '/^([ \t\/*#@]*Version:[ \t]*).*$/mi', '${1}' . str_replace( array( '\\', '$' ), array( '\\\\', '\\$' ), $version ), $contents, 1 );
+
+        file_put_contents( $file, $contents );
+    }
+
     /**
      * Copy a directory, excluding specified patterns
      *
@@ -310,7 +639,7 @@ class GPL_Export {
     /**
      * Get list of exported files
      *
-     * @return array
+     * @return array Newest first, with what each export was built from where known.
      */
     public function get_exports() {
         $export_dir = self::get_export_dir();
@@ -326,13 +655,30 @@ class GPL_Export {
             return $exports;
         }
 
+        $meta = Git_Plugin_Loader::get_option( self::OPTION_EXPORTS, array() );
+
         foreach ( $files as $file ) {
-            $exports[] = array(
-                'filename' => basename( $file ),
-                'path'     => $file,
-                'url'      => self::get_export_url() . '/' . basename( $file ),
-                'size'     => filesize( $file ),
-                'created'  => filemtime( $file ),
+            $filename = basename( $file );
+            $checksum = is_readable( $file . '.sha256' ) ? strtok( file_get_contents( $file . '.sha256' ), ' ' ) : '';
+
+            $exports[] = array_merge(
+                array(
+                    'slug'    => '',
+                    'version' => '',
+                    'commit'  => '',
+                    'ref'     => '',
+                    'profile' => '',
+                    'pinned'  => false,
+                ),
+                isset( $meta[ $filename ] ) ? $meta[ $filename ] : array(),
+                array(
+                    'filename' => $filename,
+                    'path'     => $file,
+                    'url'      => self::get_download_url( $filename ),
+                    'size'     => filesize( $file ),
+                    'created'  => filemtime( $file ),
+                    'checksum' => $checksum,
+                )
             );
         }
 
@@ -345,7 +691,7 @@ class GPL_Export {
     }
 
     /**
-     * Delete an export file
+     * Delete an export file and its checksum file
      *
      * @param string $filename Export filename.
      * @return bool
@@ -363,9 +709,133 @@ class GPL_Export {
         }
 
         if ( file_exists( $real_path ) && pathinfo( $real_path, PATHINFO_EXTENSION ) === 'zip' ) {
-            return unlink( $real_path );
+            if ( file_exists( $real_path . '.sha256' ) ) {
+                unlink( $real_path . '.sha256' );
+            }
+
+            $deleted = unlink( $real_path );
+            self::prune_meta();
+
+            return $deleted;
         }
 
         return false;
     }
+
+    /**
+     * Pin an export so the cleanup task keeps it, or unpin it
+     *
+     * @param string $filename Export filename.
+     * @param bool   $pinned   Whether to pin the export.
+     * @return bool False if the export doesn't exist.
+     */
+    public function pin_export( $filename, $pinned ) {
+        $filename = basename( $filename );
+
+        if ( '.zip' !== substr( $filename, -4 ) || ! is_file( self::get_export_dir() . '/' . $filename ) ) {
+            return false;
+        }
+
+        $exports = Git_Plugin_Loader::get_option( self::OPTION_EXPORTS, array() );
+
+        // Exports built before their details were recorded only have the pin
+        if ( ! isset( $exports[ $filename ] ) ) {
+            $exports[ $filename ] = array();
+        }
+
+        $exports[ $filename ]['pinned'] = (bool) $pinned;
+        Git_Plugin_Loader::update_option( self::OPTION_EXPORTS, $exports, false );
+
+        return true;
+    }
+
+    /**
+     * Get the filenames of the pinned exports
+     *
+     * @return array
+     */
+    public static function get_pinned() {
+        return array_keys( array_filter( Git_Plugin_Loader::get_option( self::OPTION_EXPORTS, array() ), function( $export ) {
+            return ! empty( $export['pinned'] );
+        } ) );
+    }
+
+    /**
+     * Forget the details of exports whose file is gone
+     */
+    public static function prune_meta() {
+        $exports = Git_Plugin_Loader::get_option( self::OPTION_EXPORTS, array() );
+        $kept    = array();
+
+        foreach ( $exports as $filename => $export ) {
+            if ( is_file( self::get_export_dir() . '/' . $filename ) ) {
+                $kept[ $filename ] = $export;
+            }
+        }
+
+        if ( count( $kept ) !== count( $exports ) ) {
+            Git_Plugin_Loader::update_option( self::OPTION_EXPORTS, $kept, false );
+        }
+    }
+
+    /**
+     * Get a signed link that downloads a file from the export directory
+     *
+     * @param string $filename Export, checksum or patch filename.
+     * @param int    $lifetime Seconds the link stays valid.
+     * @return string
+     */
+    public static function get_download_url( $filename, $lifetime = self::LINK_LIFETIME ) {
+        $expires = time() + $lifetime;
+
+        return add_query_arg( array(
+            'action'    => 'gpl_download_export',
+            'file'      => rawurlencode( $filename ),
+            'expires'   => $expires,
+            'signature' => self::sign( $filename, $expires ),
+        ), admin_url( 'admin-post.php' ) );
+    }
+
+    /**
+     * Sign a download link
+     *
+     * @param string $filename Filename.
+     * @param int    $expires  Timestamp the link expires at.
+     * @return string
+     */
+    private static function sign( $filename, $expires ) {
+        return hash_hmac( 'sha256', $filename . '|' . $expires, wp_salt( 'auth' ) );
+    }
+
+    /**
+     * Send the file of a signed download link
+     */
+    public function serve_download() {
+        // The signature vouches for the filename, sanitize_file_name() would alter some of them
+        $filename  = isset( $_GET['file'] ) ? basename( wp_unslash( $_GET['file'] ) ) : '';
+        $expires   = isset( $_GET['expires'] ) ? absint( $_GET['expires'] ) : 0;
+        $signature = isset( $_GET['signature'] ) ? sanitize_text_field( wp_unslash( $_GET['signature'] ) ) : '';
+
+        if ( ! $filename || ! hash_equals( self::sign( $filename, $expires ), $signature ) ) {
+            wp_die( esc_html__( 'This download link is not valid.', 'git-plugin-loader' ), '', array( 'response' => 403 ) );
+        }
+
+        if ( $expires < time() ) {
+            wp_die( esc_html__( 'This download link has expired.', 'git-plugin-loader' ), '', array( 'response' => 403 ) );
+        }
+
+        $file = self::get_export_dir() . '/' . $filename;
+
+        if ( ! preg_match( '/\.(zip|zip\.sha256|patch)$/', $filename ) || ! is_file( $file ) ) {
+            wp_die( esc_html__( 'The export no longer exists.', 'git-plugin-loader' ), '', array( 'response' => 404 ) );
+        }
+
+        nocache_headers();
+        header( 'Content-Type: ' . ( '.zip' === substr( $filename, -4 ) ? 'application/zip' : 'text/plain; charset=utf-8' ) );
+        header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+        header( 'Content-Length: ' . filesize( $file ) );
+
+        readfile( $file );
+        exit;
+    }
 }
@@ -31,6 +31,20 @@ class GPL_Git {
      */
     private $last_output = array();
 
+    /**
+     * Callback receiving command output line by line while it runs
+     *
+     * @var callable|null
+     */
+    private $output_handler = null;
+
+    /**
+     * Commands and output recorded since the transcript was started
+     *
+     * @var array|null
+     */
+    private $transcript = null;
+
     /**
      * Constructor
      */
@@ -43,9 +57,14 @@ class GPL_Git {
      *
      * @param string $command Git command to execute (without 'git' prefix).
      * @param string $path    Working directory path.
+     * @param string $url     Remote URL of commands that run outside a repository.
      * @return array|false Output array on success, false on failure.
      */
-    private function execute( $command, $path = null ) {
+    private function execute( $command, $path = null, $url = null ) {
+        if ( null !== $this->transcript ) {
+            $this->transcript[] = '$ git ' . self::redact( $command );
+        }
+
         if ( ! Git_Plugin_Loader::is_exec_available() ) {
             $this->last_error = __( 'The exec() function is not available on this server.', 'git-plugin-loader' );
             return false;
@@ -61,25 +80,50 @@ class GPL_Git {
         // -c credential.helper= disables any configured credential helper
         // -c core.askPass= disables askpass programs
         $git_config = '-c credential.helper= -c core.askPass=';
-        $command    = 'GIT_TERMINAL_PROMPT=0 git ' . $git_config . ' ' . $command;
 
-        // Change to the specified directory if provided
+        // Check the directory before a deploy key is written for it
         if ( $path ) {
             $path = realpath( $path );
             if ( ! $path || ! is_dir( $path ) ) {
                 $this->last_error = __( 'Invalid directory path.', 'git-plugin-loader' );
                 return false;
             }
+        }
+
+        // SSH remotes authenticate with the plugin's deploy key, which only commands
+        // that reach the remote get to see
+        $ssh_session = self::talks_to_remote( $command ) ? $this->open_ssh_session( $path, $url ) : false;
+        if ( $ssh_session ) {
+            $git_config .= ' -c core.sshCommand=' . escapeshellarg( GPL_Deploy_Keys::get_ssh_command( $ssh_session ) );
+        }
+
+        $command = 'GIT_TERMINAL_PROMPT=0 git ' . $git_config . ' ' . $command;
+
+        // Change to the specified directory if provided
+        if ( $path ) {
             $command = 'cd ' . escapeshellarg( $path ) . ' && ' . $command;
         }
 
         // Execute the command
         $output     = array();
         $return_var = 0;
-        exec( $command . ' 2>&1', $output, $return_var );
+
+        if ( $this->output_handler && function_exists( 'popen' ) ) {
+            $return_var = $this->execute_streamed( $command, $output );
+        } else {
+            exec( $command . ' 2>&1', $output, $return_var );
+        }
+
+        if ( $ssh_session ) {
+            GPL_Deploy_Keys::close_session( $ssh_session );
+        }
 
         $this->last_output = $output;
 
+        if ( null !== $this->transcript ) {
+            $this->transcript = array_merge( $this->transcript, array_map( array( __CLASS__, 'redact' ), $output ) );
+        }
+
         if ( 0 !== $return_var ) {
             $this->last_error = implode( "\n", $output );
             return false;
@@ -88,6 +132,137 @@ class GPL_Git {
         return $output;
     }
 
+    /**
+     * Check whether a command contacts the remote
+     *
+     * @param string $command Git command, without 'git' and with any leading -c options.
+     * @return bool
+     */
+    private static function talks_to_remote( $command ) {
+        $words = preg_split( '/\s+/', trim( $command ) );
+
+        while ( $words && '-c' === $words[0] ) {
+            $words = array_slice( $words, 2 );
+        }
+
+        return $words && in_array( $words[0], array( 'clone', 'fetch', 'pull', 'ls-remote', 'submodule' ), true );
+    }
+
+    /**
+     * Write the deploy key a command needs, if any
+     *
+     * Commands inside a plugin directory use that plugin's key. Commands that
+     * only know the remote URL use the key generated for that repository.
+     *
+     * @param string|null $path Resolved working directory.
+     * @param string|null $url  Remote URL.
+     * @return array|false Session from GPL_Deploy_Keys::open_session().
+     */
+    private function open_ssh_session( $path, $url ) {
+        if ( $path ) {
+            if ( dirname( $path ) !== realpath( WP_PLUGIN_DIR ) ) {
+                return false;
+            }
+            return GPL_Deploy_Keys::open_session( basename( $path ) );
+        }
+
+        if ( ! $url || ! self::is_ssh_url( $url ) ) {
+            return false;
+        }
+
+        $slug = GPL_Deploy_Keys::find_by_url( $this->sanitize_repo_url( $url ) );
+
+        return $slug ? GPL_Deploy_Keys::open_session( $slug ) : false;
+    }
+
+    /**
+     * Run a command and pass each output line to the output handler as it arrives
+     *
+     * Progress output separated by carriage returns is split into lines too.
+     *
+     * @param string $command Full shell command.
+     * @param array  $output  Collected output lines.
+     * @return int Exit code.
+     */
+    private function execute_streamed( $command, &$output ) {
+        $handle = popen( $command . ' 2>&1', 'r' );
+
+        if ( ! $handle ) {
+            exec( $command . ' 2>&1', $output, $return_var );
+            return $return_var;
+        }
+
+        $buffer = '';
+        while ( ! feof( $handle ) ) {
+            $buffer .= fread( $handle, 1024 );
+            $lines   = preg_split( '/\r\n|\r|\n/', $buffer );
+            $buffer  = array_pop( $lines );
+
+            foreach ( $lines as $line ) {
+                if ( '' !== trim( $line ) ) {
+                    $output[] = $line;
+                    call_user_func( $this->output_handler, $line );
+                }
+            }
+        }
+
+        if ( '' !== trim( $buffer ) ) {
+            $output[] = $buffer;
+            call_user_func( $this->output_handler, $buffer );
+        }
+
+        return pclose( $handle );
+    }
+
+    /**
+     * Set a callback receiving command output line by line
+     *
+     * Clone, fetch and pull report progress while a handler is set.
+     *
+     * @param callable|null $handler Callback, or null to stop streaming.
+     */
+    public function set_output_handler( $handler ) {
+        $this->output_handler = $handler;
+    }
+
+    /**
+     * Get the extra arguments requesting progress output
+     *
+     * @return string
+     */
+    private function progress_args() {
+        return $this->output_handler ? ' --progress' : '';
+    }
+
+    /**
+     * Start recording the commands run and their output
+     */
+    public function start_transcript() {
+        $this->transcript = array();
+    }
+
+    /**
+     * Stop recording and get the recorded lines
+     *
+     * @return array
+     */
+    public function stop_transcript() {
+        $transcript       = (array) $this->transcript;
+        $this->transcript = null;
+
+        return $transcript;
+    }
+
+    /**
+     * Hide credentials embedded in URLs
+     *
+     * @param string $text Text that may contain authenticated URLs.
+     * @return string
+     */
+    public static function redact( $text ) {
+        return preg_replace( '/(\w+:\/\/)[^@\/\s]+@/', '$1***@', $text );
+    }
+
     /**
      * Get the last error message
      *
@@ -109,15 +284,15 @@ class GPL_Git {
     /**
      * Clone a repository
      *
-     * @param string $url         Repository URL (may include auth token).
+     * @param string $url         Repository URL (may include auth token) or SSH URL.
      * @param string $destination Destination directory.
      * @param string $branch      Optional branch to clone.
      * @return bool
      */
     public function clone_repo( $url, $destination, $branch = null ) {
-        // Basic URL validation (allows token in URL: https://token@github.com/...)
+        // Basic URL validation (allows credentials in URL: https://token@host/...)
         // Full sanitization should be done before adding auth token
-        if ( empty( $url ) || ! preg_match( '/^https?:\/\/([\w.-]+@)?github\.com\//i', $url ) ) {
+        if ( ! $this->is_remote_url( $url ) ) {
             $this->last_error = __( 'Invalid repository URL.', 'git-plugin-loader' );
             return false;
         }
@@ -131,7 +306,7 @@ class GPL_Git {
             return false;
         }
 
-        $command = 'clone';
+        $command = 'clone' . $this->progress_args();
 
         if ( $branch ) {
             $command .= ' -b ' . escapeshellarg( $branch );
@@ -139,7 +314,7 @@ class GPL_Git {
 
         $command .= ' ' . escapeshellarg( $url ) . ' ' . escapeshellarg( $destination );
 
-        $result = $this->execute( $command );
+        $result = $this->execute( $command, null, $url );
 
         return false !== $result;
     }
@@ -157,11 +332,11 @@ class GPL_Git {
 
         // Use --ff-only to avoid merge commits, or fall back to regular merge
         // Also set pull.rebase=false to avoid the "divergent branches" warning
-        $result = $this->execute( '-c pull.rebase=false pull --ff-only', $path );
+        $result = $this->execute( '-c pull.rebase=false pull --ff-only' . $this->progress_args(), $path );
 
         // If fast-forward fails, try regular pull with merge
         if ( false === $result ) {
-            $result = $this->execute( '-c pull.rebase=false pull', $path );
+            $result = $this->execute( '-c pull.rebase=false pull' . $this->progress_args(), $path );
         }
 
         return false !== $result;
@@ -180,7 +355,7 @@ class GPL_Git {
             return false;
         }
 
-        $command = 'fetch';
+        $command = 'fetch' . $this->progress_args();
 
         if ( $all ) {
             $command .= ' --all';
@@ -457,6 +632,43 @@ class GPL_Git {
         return trim( $result[0] );
     }
 
+    /**
+     * Count the commits reachable from one ref but not another
+     *
+     * @param string $path Repository path.
+     * @param string $from Base commit or ref.
+     * @param string $to   Target commit or ref.
+     * @return int|false Number of commits in $from..$to, or false on failure.
+     */
+    public function count_commits( $path, $from, $to ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        $result = $this->execute( 'rev-list --count ' . escapeshellarg( $from . '..' . $to ), $path );
+
+        if ( false === $result || empty( $result ) ) {
+            return false;
+        }
+
+        return (int) trim( $result[0] );
+    }
+
+    /**
+     * Check out the submodules recorded in the current commit
+     *
+     * @param string $path Repository path.
+     * @return bool
+     */
+    public function update_submodules( $path ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        $result = $this->execute( 'submodule update --init --recursive' . $this->progress_args(), $path );
+        return false !== $result;
+    }
+
     /**
      * Reset to a specific commit
      *
@@ -480,6 +692,199 @@ class GPL_Git {
         return false !== $result;
     }
 
+    /**
+     * Get the commits of a range that are only in the local repository
+     *
+     * @param string $path Repository path.
+     * @param string $base Commit or ref the local commits are based on.
+     * @return array|false List of commits with 'hash' and 'message'.
+     */
+    public function get_local_commits( $path, $base ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        $result = $this->execute( 'log --format=%H%x09%s ' . escapeshellarg( $base . '..HEAD' ), $path );
+
+        if ( false === $result ) {
+            return false;
+        }
+
+        $commits = array();
+        foreach ( $result as $line ) {
+            $parts = explode( "\t", $line, 2 );
+
+            $commits[] = array(
+                'hash'    => $parts[0],
+                'message' => isset( $parts[1] ) ? $parts[1] : '',
+            );
+        }
+
+        return $commits;
+    }
+
+    /**
+     * Get the best common ancestor of two commits
+     *
+     * @param string $path Repository path.
+     * @param string $a    Commit or ref.
+     * @param string $b    Commit or ref.
+     * @return string|false Commit hash.
+     */
+    public function get_merge_base( $path, $a, $b ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        $result = $this->execute( 'merge-base ' . escapeshellarg( $a ) . ' ' . escapeshellarg( $b ), $path );
+
+        if ( false === $result || empty( $result ) ) {
+            return false;
+        }
+
+        return trim( $result[0] );
+    }
+
+    /**
+     * Remove untracked files and directories
+     *
+     * Ignored files such as caches are kept.
+     *
+     * @param string $path Repository path.
+     * @return bool
+     */
+    public function clean( $path ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        $result = $this->execute( 'clean -fd', $path );
+        return false !== $result;
+    }
+
+    /**
+     * Stash uncommitted changes, including untracked files
+     *
+     * @param string $path    Repository path.
+     * @param string $message Stash message.
+     * @return bool
+     */
+    public function stash( $path, $message ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        // Stashing creates commits, which fails without an identity on most servers
+        $identity = '-c user.name=' . escapeshellarg( 'Git Plugin Loader' ) . ' -c user.email=' . escapeshellarg( 'git-plugin-loader@localhost' );
+
+        $result = $this->execute( $identity . ' stash push --include-untracked -m ' . escapeshellarg( $message ), $path );
+        return false !== $result;
+    }
+
+    /**
+     * Create a branch at the current commit without switching to it
+     *
+     * @param string $path Repository path.
+     * @param string $name Branch name.
+     * @return bool
+     */
+    public function create_branch( $path, $name ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        $result = $this->execute( 'branch ' . escapeshellarg( $name ), $path );
+        return false !== $result;
+    }
+
+    /**
+     * Write the difference between a commit and the working tree to a patch file
+     *
+     * Untracked files are included, so the patch holds every local change.
+     *
+     * @param string $path Repository path.
+     * @param string $base Commit or ref to diff against.
+     * @param string $file Absolute path of the patch file.
+     * @return bool
+     */
+    public function create_patch( $path, $base, $file ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        // Mark untracked files so the diff shows them as new files
+        if ( false === $this->execute( 'add --intent-to-add --all', $path ) ) {
+            return false;
+        }
+
+        $result = $this->execute( 'diff --binary --output=' . escapeshellarg( $file ) . ' ' . escapeshellarg( $base ), $path );
+
+        // Drop the intent-to-add entries again, the working tree is untouched
+        $this->execute( 'reset --quiet', $path );
+
+        return false !== $result;
+    }
+
+    /**
+     * Resolve a branch, tag or commit to a full commit hash
+     *
+     * Branches that only exist on the remote resolve through origin.
+     *
+     * @param string $path Repository path.
+     * @param string $ref  Branch, tag or commit.
+     * @return string|false
+     */
+    public function resolve_commit( $path, $ref ) {
+        if ( ! $this->validate_path( $path ) || '' === $ref || '-' === $ref[0] ) {
+            return false;
+        }
+
+        foreach ( array( $ref, 'origin/' . $ref ) as $candidate ) {
+            $result = $this->execute( 'rev-parse --verify --quiet ' . escapeshellarg( $candidate . '^{commit}' ), $path );
+
+            if ( ! empty( $result ) ) {
+                return trim( $result[0] );
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Write the files of a commit to a ZIP file
+     *
+     * Paths marked export-ignore in .gitattributes are left out.
+     *
+     * @param string $path   Repository path.
+     * @param string $commit Commit hash.
+     * @param string $file   Absolute path of the ZIP file.
+     * @return bool
+     */
+    public function archive( $path, $commit, $file ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        $result = $this->execute( 'archive --format=zip --output=' . escapeshellarg( $file ) . ' ' . escapeshellarg( $commit ), $path );
+        return false !== $result;
+    }
+
+    /**
+     * Remove a lock file left behind by an interrupted Git command
+     *
+     * @param string $path Repository path.
+     * @return bool True if a lock file was removed.
+     */
+    public function clear_index_lock( $path ) {
+        if ( ! $this->validate_path( $path ) ) {
+            return false;
+        }
+
+        $lock = realpath( $path ) . '/.git/index.lock';
+
+        return file_exists( $lock ) && unlink( $lock );
+    }
+
     /**
      * Check if directory is a Git repository
      *
@@ -529,29 +934,135 @@ class GPL_Git {
         return true;
     }
 
+    /**
+     * List references in a remote repository
+     *
+     * @param string $url  Repository URL (may include auth token) or SSH URL.
+     * @param string $args Extra ls-remote arguments, e.g. --heads or --tags.
+     * @param string $ref  Optional ref pattern to limit the output to.
+     * @return array|false Map of ref name => commit hash, or false on failure.
+     */
+    public function ls_remote( $url, $args = '', $ref = '' ) {
+        if ( ! $this->is_remote_url( $url ) ) {
+            $this->last_error = __( 'Invalid repository URL.', 'git-plugin-loader' );
+            return false;
+        }
+
+        $command = 'ls-remote ' . ( $args ? $args . ' ' : '' ) . escapeshellarg( $url );
+        if ( $ref ) {
+            $command .= ' ' . escapeshellarg( $ref );
+        }
+
+        $result = $this->execute( $command, null, $url );
+
+        if ( false === $result ) {
+            return false;
+        }
+
+        $refs = array();
+        foreach ( $result as $line ) {
+            if ( preg_match( '/^([0-9a-f]{40})\s+(\S+)$/', trim( $line ), $matches ) ) {
+                $refs[ $matches[2] ] = $matches[1];
+            }
+        }
+
+        return $refs;
+    }
+
+    /**
+     * Get the default branch of a remote repository
+     *
+     * @param string $url Repository URL (may include auth token) or SSH URL.
+     * @return string|false
+     */
+    public function get_remote_default_branch( $url ) {
+        if ( ! $this->is_remote_url( $url ) ) {
+            $this->last_error = __( 'Invalid repository URL.', 'git-plugin-loader' );
+            return false;
+        }
+
+        $result = $this->execute( 'ls-remote --symref ' . escapeshellarg( $url ) . ' HEAD', null, $url );
+
+        if ( false === $result ) {
+            return false;
+        }
+
+        foreach ( $result as $line ) {
+            if ( preg_match( '/^ref:\s+refs\/heads\/(\S+)\s+HEAD$/', trim( $line ), $matches ) ) {
+                return $matches[1];
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether a URL can be passed to clone or ls-remote
+     *
+     * @param string $url Repository URL.
+     * @return bool
+     */
+    private function is_remote_url( $url ) {
+        if ( empty( $url ) ) {
+            return false;
+        }
+
+        return (bool) preg_match( '/^https?:\/\/([^\s\/@]+@)?[\w.-]+(:\d+)?\/\S+$/i', $url )
+            || ( self::is_ssh_url( $url ) && ! preg_match( '/\s/', $url ) );
+    }
+
+    /**
+     * Check whether a repository URL uses SSH
+     *
+     * @param string $url Repository URL.
+     * @return bool
+     */
+    public static function is_ssh_url( $url ) {
+        return (bool) preg_match( '/^(ssh:\/\/[a-z0-9_][\w.-]*@[a-z0-9][\w.-]*(:\d+)?\/|[a-z0-9_][\w.-]*@[a-z0-9][\w.-]*:(?!\/\/))/i', trim( (string) $url ) );
+    }
+
+    /**
+     * Get the address of a repository's web page
+     *
+     * @param string $url Repository URL as entered.
+     * @return string HTTPS URL; SSH URLs are converted.
+     */
+    public static function get_web_url( $url ) {
+        if ( preg_match( '/^[\w.-]+@([\w.-]+):(?!\/\/)(.+)$/i', trim( $url ), $matches ) || preg_match( '/^ssh:\/\/[\w.-]+@([\w.-]+)(?::\d+)?\/(.+)$/i', trim( $url ), $matches ) ) {
+            return 'https://' . $matches[1] . '/' . preg_replace( '/\.git$/i', '', $matches[2] );
+        }
+
+        return $url;
+    }
+
     /**
      * Sanitize and validate repository URL
      *
+     * SSH URLs are converted to their HTTPS equivalent, which identifies the
+     * repository everywhere else; parse_repo_url() keeps the SSH form.
+     *
      * @param string $url Repository URL.
-     * @return string|false Sanitized URL or false if invalid.
+     * @return string|false Sanitized HTTPS URL ending in .git, or false if invalid.
      */
     public function sanitize_repo_url( $url ) {
         $url = trim( $url );
 
-        // Convert SSH format to HTTPS
-        if ( preg_match( '/^git@github\.com:(.+)\.git$/i', $url, $matches ) ) {
-            $url = 'https://github.com/' . $matches[1] . '.git';
-        } elseif ( preg_match( '/^git@github\.com:(.+)$/i', $url, $matches ) ) {
-            $url = 'https://github.com/' . $matches[1] . '.git';
+        // Convert SSH format (git@host:owner/repo or ssh://git@host[:port]/owner/repo) to HTTPS
+        if ( preg_match( '/^[\w.-]+@([\w.-]+):(?!\/\/)(.+)$/i', $url, $matches ) ) {
+            $url = 'https://' . $matches[1] . '/' . $matches[2];
+        } elseif ( preg_match( '/^ssh:\/\/[\w.-]+@([\w.-]+)(:\d+)?\/(.+)$/i', $url, $matches ) ) {
+            $url = 'https://' . $matches[1] . '/' . $matches[3];
         }
 
+        $url = rtrim( $url, '/' );
+
         // Add .git suffix if missing
-        if ( preg_match( '/^https?:\/\/github\.com\/[^\/]+\/[^\/]+$/i', $url ) ) {
+        if ( ! preg_match( '/\.git$/i', $url ) ) {
             $url .= '.git';
         }
 
-        // Validate GitHub URL format
-        if ( ! preg_match( '/^https?:\/\/github\.com\/[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+(\.git)?$/i', $url ) ) {
+        // Validate https://host[:port]/namespace/.../repo.git
+        if ( ! preg_match( '/^https?:\/\/[a-z0-9.-]+(:\d+)?(\/[\w.~-]+)+\/[\w.~-]+\.git$/i', $url ) ) {
             return false;
         }
 
@@ -559,26 +1070,37 @@ class GPL_Git {
     }
 
     /**
-     * Extract owner and repo from GitHub URL
+     * Extract host, owner and repo from a repository URL
+     *
+     * The owner is everything between the host and the repository name, so it
+     * may contain slashes for nested groups (e.g. GitLab subgroups).
+     *
+     * 'ssh_url' holds the SSH URL to clone from when one was given, or an
+     * empty string for HTTPS repositories.
      *
      * @param string $url Repository URL.
-     * @return array|false Array with 'owner' and 'repo' keys, or false if invalid.
+     * @return array|false Array with 'host', 'owner', 'repo', 'url' and 'ssh_url' keys, or false if invalid.
      */
     public function parse_repo_url( $url ) {
-        $url = $this->sanitize_repo_url( $url );
+        $ssh_url = self::is_ssh_url( $url ) ? trim( $url ) : '';
+        $url     = $this->sanitize_repo_url( $url );
 
         if ( ! $url ) {
             return false;
         }
 
-        // Remove .git suffix if present
-        $url = preg_replace( '/\.git$/', '', $url );
+        if ( $ssh_url && ! preg_match( '/\.git$/i', $ssh_url ) ) {
+            $ssh_url = rtrim( $ssh_url, '/' ) . '.git';
+        }
 
-        // Extract owner and repo
-        if ( preg_match( '/github\.com\/([^\/]+)\/([^\/]+)$/i', $url, $matches ) ) {
+        // Extract host, owner and repo
+        if ( preg_match( '/^https?:\/\/([^\/]+)\/(.+)\/([^\/]+?)\.git$/i', $url, $matches ) ) {
             return array(
-                'owner' => $matches[1],
-                'repo'  => $matches[2],
+                'host'    => strtolower( $matches[1] ),
+                'owner'   => $matches[2],
+                'repo'    => $matches[3],
+                'url'     => $url,
+                'ssh_url' => $ssh_url,
             );
         }
 
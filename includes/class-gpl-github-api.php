@@ -45,19 +45,76 @@ class GPL_GitHub_API {
      */
     private $cache_duration = 900;
 
+    /**
+     * Option holding the request counters and last known rate limits
+     *
+     * @var string
+     */
+    const OPTION_STATS = 'gpl_github_api_stats';
+
+    /**
+     * Seconds a response is kept to revalidate it with its ETag
+     *
+     * @var int
+     */
+    const ETAG_LIFETIME = 604800;
+
+    /**
+     * Option listing the cached responses of each repository, so they can be cleared
+     *
+     * @var string
+     */
+    const OPTION_CACHE_INDEX = 'gpl_github_api_cache_index';
+
+    /**
+     * Number of repositories looked up per GraphQL query
+     *
+     * @var int
+     */
+    const GRAPHQL_BATCH_SIZE = 50;
+
+    /**
+     * Request counters of this page load, saved on shutdown
+     *
+     * @var array
+     */
+    private $stats = array(
+        'cache_hits'   => 0,
+        'not_modified' => 0,
+        'requests'     => 0,
+    );
+
+    /**
+     * Rate limits seen during this page load, keyed by resource
+     *
+     * @var array
+     */
+    private $rate_limits = array();
+
+    /**
+     * Latest commits looked up in a batch, keyed by get_ref_key()
+     *
+     * @var array
+     */
+    private $prefetched = array();
+
     /**
      * Constructor
      */
     public function __construct() {
-        // Nothing to initialize
+        add_action( 'shutdown', array( $this, 'save_stats' ) );
     }
 
     /**
      * Make an API request
      *
+     * Responses are kept for a week. Within the cache duration they are used
+     * as is, after that (or when $use_cache is false) they are revalidated with
+     * their ETag, which GitHub doesn't count against the rate limit.
+     *
      * @param string $endpoint API endpoint.
      * @param array  $args     Request arguments.
-     * @param bool   $use_cache Whether to use cached response.
+     * @param bool   $use_cache Whether to use a fresh cached response without asking GitHub.
      * @return array|false
      */
     private function request( $endpoint, $args = array(), $use_cache = true ) {
@@ -65,28 +122,22 @@ class GPL_GitHub_API {
 
         // Generate cache key
         $cache_key = 'gpl_api_' . md5( $url . wp_json_encode( $args ) );
+        $cached    = $this->get_cache( $cache_key );
+
+        if ( ! is_array( $cached ) || ! isset( $cached['etag'], $cached['time'] ) || ! array_key_exists( 'data', $cached ) ) {
+            $cached = false;
+        }
 
         // Check cache first
-        if ( $use_cache ) {
-            $cached = get_transient( $cache_key );
-            if ( false !== $cached ) {
-                return $cached;
-            }
+        if ( $use_cache && $cached && $cached['time'] + $this->cache_duration > time() ) {
+            $this->stats['cache_hits']++;
+            return $cached['data'];
         }
 
-        // Set default headers
-        $default_args = array(
-            'headers' => array(
-                'Accept'     => 'application/vnd.github.v3+json',
-                'User-Agent' => 'Git-Plugin-Loader/' . GPL_VERSION,
-            ),
-            'timeout' => 30,
-        );
+        $default_args = $this->get_request_args();
 
-        // Add authentication if token is available
-        $token = $this->get_token();
-        if ( $token ) {
-            $default_args['headers']['Authorization'] = 'token ' . $token;
+        if ( $cached && $cached['etag'] ) {
+            $default_args['headers']['If-None-Match'] = $cached['etag'];
         }
 
         $args = wp_parse_args( $args, $default_args );
@@ -103,6 +154,18 @@ class GPL_GitHub_API {
         $body               = wp_remote_retrieve_body( $response );
         $status_code        = wp_remote_retrieve_response_code( $response );
 
+        $this->stats['requests']++;
+        $this->record_rate_limit( $this->last_headers );
+
+        // Unchanged since the cached response
+        if ( 304 === $status_code && $cached ) {
+            $this->stats['not_modified']++;
+            $cached['time'] = time();
+            $this->set_cache( $cache_key, $cached, self::ETAG_LIFETIME, $endpoint );
+
+            return $cached['data'];
+        }
+
         // Handle rate limiting
         if ( 403 === $status_code || 429 === $status_code ) {
             $remaining = isset( $this->last_headers['x-ratelimit-remaining'] ) ? (int) $this->last_headers['x-ratelimit-remaining'] : 0;
@@ -139,14 +202,163 @@ class GPL_GitHub_API {
             return false;
         }
 
-        // Cache the response
-        if ( $use_cache ) {
-            set_transient( $cache_key, $data, $this->cache_duration );
-        }
+        // Cache the response, with its ETag for revalidating it later
+        $etag = (string) wp_remote_retrieve_header( $response, 'etag' );
+
+        $this->set_cache( $cache_key, array(
+            'data' => $data,
+            'etag' => $etag,
+            'time' => time(),
+        ), $etag ? self::ETAG_LIFETIME : $this->cache_duration, $endpoint );
 
         return $data;
     }
 
+    /**
+     * Get a cached response, from the network when network activated
+     *
+     * @param string $key Cache key.
+     * @return mixed
+     */
+    private function get_cache( $key ) {
+        return Git_Plugin_Loader::is_network_active() ? get_site_transient( $key ) : get_transient( $key );
+    }
+
+    /**
+     * Cache a response and remember the key under the repository it belongs to
+     *
+     * @param string $key        Cache key.
+     * @param array  $value      Cached response.
+     * @param int    $expiration Seconds to keep it.
+     * @param string $endpoint   API endpoint of the response.
+     */
+    private function set_cache( $key, $value, $expiration, $endpoint ) {
+        if ( Git_Plugin_Loader::is_network_active() ) {
+            set_site_transient( $key, $value, $expiration );
+        } else {
+            set_transient( $key, $value, $expiration );
+        }
+
+        $repo  = preg_match( '#^/repos/([^/]+/[^/?]+)#', $endpoint, $matches ) ? strtolower( $matches[1] ) : '';
+        $index = $this->get_cache_index();
+
+        if ( ! isset( $index[ $repo ][ $key ] ) ) {
+            $index[ $repo ][ $key ] = true;
+            Git_Plugin_Loader::update_option( self::OPTION_CACHE_INDEX, $index, false );
+        }
+    }
+
+    /**
+     * Get the cache keys of each repository
+     *
+     * @return array Repository ("owner/repo", or empty for other requests) => array of cache keys.
+     */
+    private function get_cache_index() {
+        $index = Git_Plugin_Loader::get_option( self::OPTION_CACHE_INDEX, array() );
+
+        return is_array( $index ) ? $index : array();
+    }
+
+    /**
+     * Make a GraphQL API request
+     *
+     * The GraphQL API only answers authenticated requests.
+     *
+     * @param string $query     GraphQL query.
+     * @param array  $variables Query variables.
+     * @return array|false The 'data' part of the response.
+     */
+    private function graphql( $query, $variables = array() ) {
+        $token = $this->get_token();
+
+        if ( ! $token ) {
+            $this->last_error = __( 'The GitHub GraphQL API requires a token.', 'git-plugin-loader' );
+            return false;
+        }
+
+        $args                             = $this->get_request_args();
+        $args['headers']['Authorization'] = 'bearer ' . $token;
+        $args['headers']['Content-Type']  = 'application/json';
+        $args['body']                     = wp_json_encode( array(
+            'query'     => $query,
+            'variables' => (object) $variables,
+        ) );
+
+        $response = wp_remote_post( $this->api_url . '/graphql', $args );
+
+        if ( is_wp_error( $response ) ) {
+            $this->last_error = $response->get_error_message();
+            return false;
+        }
+
+        $this->stats['requests']++;
+        $this->record_rate_limit( wp_remote_retrieve_headers( $response ) );
+
+        $status_code = wp_remote_retrieve_response_code( $response );
+        $decoded     = json_decode( wp_remote_retrieve_body( $response ), true );
+
+        // Repositories that can't be found come back as errors next to the data of the others
+        if ( $status_code >= 400 || empty( $decoded['data'] ) ) {
+            if ( isset( $decoded['errors'][0]['message'] ) ) {
+                $this->last_error = $decoded['errors'][0]['message'];
+            } elseif ( isset( $decoded['message'] ) ) {
+                $this->last_error = $decoded['message'];
+            } else {
+                $this->last_error = sprintf(
+                    /* translators: %d: HTTP status code */
+                    __( 'GitHub API error: HTTP %d', 'git-plugin-loader' ),
+                    $status_code
+                );
+            }
+            return false;
+        }
+
+        return $decoded['data'];
+    }
+
+    /**
+     * Get the arguments every API request starts from
+     *
+     * @return array
+     */
+    private function get_request_args() {
+        $args = array(
+            'headers' => array(
+                'Accept'     => 'application/vnd.github.v3+json',
+                'User-Agent' => 'Git-Plugin-Loader/' . GPL_VERSION,
+            ),
+            'timeout' => 30,
+        );
+
+        // Add authentication if token is available
+        $token = $this->get_token();
+        if ( $token ) {
+            $args['headers']['Authorization'] = 'token ' . $token;
+        }
+
+        return $args;
+    }
+
+    /**
+     * Remember the rate limit reported by a response
+     *
+     * @param array|ArrayAccess $headers Response headers.
+     */
+    private function record_rate_limit( $headers ) {
+        if ( ! isset( $headers['x-ratelimit-limit'] ) ) {
+            return;
+        }
+
+        $resource = ! empty( $headers['x-ratelimit-resource'] ) ? $headers['x-ratelimit-resource'] : 'core';
+
+        $this->rate_limits[ $resource ] = array(
+            'limit'     => (int) $headers['x-ratelimit-limit'],
+            'remaining' => isset( $headers['x-ratelimit-remaining'] ) ? (int) $headers['x-ratelimit-remaining'] : 0,
+            'reset'     => isset( $headers['x-ratelimit-reset'] ) ? (int) $headers['x-ratelimit-reset'] : 0,
+            'updated'   => time(),
+        );
+    }
+
     /**
      * Get the last error message
      *
@@ -157,18 +369,170 @@ class GPL_GitHub_API {
     }
 
     /**
-     * Get rate limit information
+     * Get the last known rate limit of a resource
      *
-     * @return array
+     * @param string $resource Rate limit resource, e.g. 'core' or 'graphql'.
+     * @return array Array with 'limit', 'remaining', 'reset' and 'updated' keys, all 0 if unknown.
      */
-    public function get_rate_limit_info() {
+    public function get_rate_limit_info( $resource = 'core' ) {
+        $stats = $this->get_stats();
+
+        if ( isset( $stats['rate'][ $resource ] ) ) {
+            return $stats['rate'][ $resource ];
+        }
+
         return array(
-            'limit'     => isset( $this->last_headers['x-ratelimit-limit'] ) ? (int) $this->last_headers['x-ratelimit-limit'] : 0,
-            'remaining' => isset( $this->last_headers['x-ratelimit-remaining'] ) ? (int) $this->last_headers['x-ratelimit-remaining'] : 0,
-            'reset'     => isset( $this->last_headers['x-ratelimit-reset'] ) ? (int) $this->last_headers['x-ratelimit-reset'] : 0,
+            'limit'     => 0,
+            'remaining' => 0,
+            'reset'     => 0,
+            'updated'   => 0,
         );
     }
 
+    /**
+     * Ask GitHub for the current rate limits
+     *
+     * Checking the rate limit doesn't count against it.
+     *
+     * @return array|false Rate limits keyed by resource.
+     */
+    public function fetch_rate_limit() {
+        $response = wp_remote_get( $this->api_url . '/rate_limit', $this->get_request_args() );
+
+        if ( is_wp_error( $response ) ) {
+            $this->last_error = $response->get_error_message();
+            return false;
+        }
+
+        $decoded = json_decode( wp_remote_retrieve_body( $response ), true );
+
+        if ( 200 !== wp_remote_retrieve_response_code( $response ) || empty( $decoded['resources'] ) ) {
+            $this->last_error = isset( $decoded['message'] ) ? $decoded['message'] : __( 'Failed to parse GitHub API response.', 'git-plugin-loader' );
+            return false;
+        }
+
+        foreach ( array( 'core', 'graphql' ) as $resource ) {
+            if ( isset( $decoded['resources'][ $resource ] ) ) {
+                $this->rate_limits[ $resource ] = array(
+                    'limit'     => (int) $decoded['resources'][ $resource ]['limit'],
+                    'remaining' => (int) $decoded['resources'][ $resource ]['remaining'],
+                    'reset'     => (int) $decoded['resources'][ $resource ]['reset'],
+                    'updated'   => time(),
+                );
+            }
+        }
+
+        return $this->rate_limits;
+    }
+
+    /**
+     * Get the request counters and rate limits
+     *
+     * @return array Array with 'since', 'cache_hits', 'not_modified', 'requests', 'hit_rate' and 'rate' keys.
+     */
+    public function get_stats() {
+        $stats = wp_parse_args( Git_Plugin_Loader::get_option( self::OPTION_STATS, array() ), array(
+            'since'        => time(),
+            'cache_hits'   => 0,
+            'not_modified' => 0,
+            'requests'     => 0,
+            'rate'         => array(),
+        ) );
+
+        foreach ( $this->stats as $key => $count ) {
+            $stats[ $key ] += $count;
+        }
+
+        $stats['rate'] = array_merge( $stats['rate'], $this->rate_limits );
+
+        // Revalidated responses cost a request but no quota
+        $lookups           = $stats['cache_hits'] + $stats['requests'];
+        $stats['hit_rate'] = $lookups ? ( $stats['cache_hits'] + $stats['not_modified'] ) / $lookups : 0;
+
+        return $stats;
+    }
+
+    /**
+     * Describe the rate limits and cache hit rate for the settings page
+     *
+     * @return array Array with 'core', 'graphql' and 'cache' labels.
+     */
+    public function get_stats_summary() {
+        $stats   = $this->get_stats();
+        $summary = array();
+
+        foreach ( array( 'core', 'graphql' ) as $resource ) {
+            $rate = isset( $stats['rate'][ $resource ] ) ? $stats['rate'][ $resource ] : null;
+
+            if ( ! $rate || ! $rate['limit'] ) {
+                $summary[ $resource ] = __( 'Not known yet.', 'git-plugin-loader' );
+            } elseif ( $rate['reset'] <= time() ) {
+                /* translators: %s: number of requests */
+                $summary[ $resource ] = sprintf( __( '%s, the limit has reset since the last request.', 'git-plugin-loader' ), number_format_i18n( $rate['limit'] ) );
+            } else {
+                $summary[ $resource ] = sprintf(
+                    /* translators: 1: remaining requests, 2: request limit, 3: reset time */
+                    __( '%1$s of %2$s left, resets at %3$s.', 'git-plugin-loader' ),
+                    number_format_i18n( $rate['remaining'] ),
+                    number_format_i18n( $rate['limit'] ),
+                    wp_date( get_option( 'time_format' ), $rate['reset'] )
+                );
+            }
+        }
+
+        $lookups = $stats['cache_hits'] + $stats['requests'];
+
+        if ( ! $lookups ) {
+            /* translators: %s: date */
+            $summary['cache'] = sprintf( __( 'No requests since %s.', 'git-plugin-loader' ), wp_date( get_option( 'date_format' ), $stats['since'] ) );
+        } else {
+            $summary['cache'] = sprintf(
+                /* translators: 1: percentage, 2: number of lookups, 3: date, 4: cached responses, 5: responses GitHub reported unchanged, 6: responses downloaded */
+                __( '%1$s%% of %2$s lookups since %3$s: %4$s from the cache, %5$s unchanged on GitHub, %6$s downloaded.', 'git-plugin-loader' ),
+                number_format_i18n( $stats['hit_rate'] * 100 ),
+                number_format_i18n( $lookups ),
+                wp_date( get_option( 'date_format' ), $stats['since'] ),
+                number_format_i18n( $stats['cache_hits'] ),
+                number_format_i18n( $stats['not_modified'] ),
+                number_format_i18n( $stats['requests'] - $stats['not_modified'] )
+            );
+        }
+
+        return $summary;
+    }
+
+    /**
+     * Add the request counters of this page load to the saved ones
+     */
+    public function save_stats() {
+        if ( ! array_sum( $this->stats ) && ! $this->rate_limits ) {
+            return;
+        }
+
+        $stats = $this->get_stats();
+        unset( $stats['hit_rate'] );
+
+        Git_Plugin_Loader::update_option( self::OPTION_STATS, $stats, false );
+
+        $this->stats       = array_fill_keys( array_keys( $this->stats ), 0 );
+        $this->rate_limits = array();
+    }
+
+    /**
+     * Start counting requests from zero, keeping the known rate limits
+     */
+    public function reset_stats() {
+        $stats = $this->get_stats();
+
+        Git_Plugin_Loader::update_option( self::OPTION_STATS, array(
+            'since' => time(),
+            'rate'  => $stats['rate'],
+        ), false );
+
+        $this->stats       = array_fill_keys( array_keys( $this->stats ), 0 );
+        $this->rate_limits = array();
+    }
+
     /**
      * Get GitHub token
      *
@@ -193,20 +557,7 @@ class GPL_GitHub_API {
      * @return string Encrypted token.
      */
     public function encrypt_token( $token ) {
-        if ( empty( $token ) ) {
-            return '';
-        }
-
-        $key = $this->get_encryption_key();
-
-        if ( function_exists( 'openssl_encrypt' ) ) {
-            $iv        = openssl_random_pseudo_bytes( 16 );
-            $encrypted = openssl_encrypt( $token, 'AES-256-CBC', $key, 0, $iv );
-            return base64_encode( $iv . $encrypted );
-        }
-
-        // Fallback: simple obfuscation (not secure, but better than plain text)
-        return base64_encode( $token );
+        return Git_Plugin_Loader::encrypt( $token );
     }
 
     /**
@@ -216,40 +567,7 @@ class GPL_GitHub_API {
      * @return string Plain text token.
      */
     private function decrypt_token( $encrypted_token ) {
-        if ( empty( $encrypted_token ) ) {
-            return '';
-        }
-
-        $key = $this->get_encryption_key();
-
-        if ( function_exists( 'openssl_decrypt' ) ) {
-            $decoded = base64_decode( $encrypted_token );
-            if ( strlen( $decoded ) < 16 ) {
-                // Likely not encrypted with openssl
-                return base64_decode( $encrypted_token );
-            }
-            $iv        = substr( $decoded, 0, 16 );
-            $encrypted = substr( $decoded, 16 );
-            $decrypted = openssl_decrypt( $encrypted, 'AES-256-CBC', $key, 0, $iv );
-            if ( false !== $decrypted ) {
-                return $decrypted;
-            }
-        }
-
-        // Fallback: simple decode
-        return base64_decode( $encrypted_token );
-    }
-
-    /**
-     * Get encryption key
-     *
-     * @return string
-     */
-    private function get_encryption_key() {
-        if ( defined( 'AUTH_KEY' ) && ! empty( AUTH_KEY ) ) {
-            return hash( 'sha256', AUTH_KEY );
-        }
-        return hash( 'sha256', 'git-plugin-loader-default-key' );
+        return Git_Plugin_Loader::decrypt( $encrypted_token );
     }
 
     /**
@@ -369,8 +687,14 @@ class GPL_GitHub_API {
      * @return array|false
      */
     public function get_latest_commit( $owner, $repo, $branch = 'main' ) {
+        $key = $this->get_ref_key( $owner, $repo, $branch );
+
+        if ( isset( $this->prefetched[ $key ] ) ) {
+            return $this->prefetched[ $key ];
+        }
+
         $endpoint = "/repos/{$owner}/{$repo}/commits/{$branch}";
-        $result   = $this->request( $endpoint, array(), false ); // Don't cache
+        $result   = $this->request( $endpoint, array(), false ); // Always revalidate
 
         if ( false === $result ) {
             return false;
@@ -386,6 +710,81 @@ class GPL_GitHub_API {
         );
     }
 
+    /**
+     * Look up the latest commits of many branches or tags in one GraphQL query
+     *
+     * Later get_latest_commit() calls for them are answered from memory.
+     * Without a token nothing is looked up.
+     *
+     * @param array $refs List of arrays with 'owner', 'repo' and 'branch' keys.
+     * @return bool
+     */
+    public function prefetch_latest_commits( $refs ) {
+        if ( ! $refs || ! $this->get_token() ) {
+            return false;
+        }
+
+        foreach ( array_chunk( array_values( $refs ), self::GRAPHQL_BATCH_SIZE ) as $chunk ) {
+            $declarations = array();
+            $fields       = array();
+            $variables    = array();
+
+            foreach ( $chunk as $i => $ref ) {
+                $declarations[]       = "\$o{$i}: String!, \$n{$i}: String!, \$e{$i}: String!";
+                $fields[]             = "r{$i}: repository(owner: \$o{$i}, name: \$n{$i}) { object(expression: \$e{$i}) { ...GplCommit ... on Tag { target { ...GplCommit } } } }";
+                $variables[ "o{$i}" ] = $ref['owner'];
+                $variables[ "n{$i}" ] = $ref['repo'];
+                $variables[ "e{$i}" ] = $ref['branch'];
+            }
+
+            $query = 'query(' . implode( ', ', $declarations ) . ') { ' . implode( ' ', $fields ) . ' }'
+                . ' fragment GplCommit on Commit { oid message author { name email date } }';
+
+            $data = $this->graphql( $query, $variables );
+
+            if ( false === $data ) {
+                return false;
+            }
+
+            foreach ( $chunk as $i => $ref ) {
+                $object = isset( $data[ "r{$i}" ]['object'] ) ? $data[ "r{$i}" ]['object'] : null;
+
+                // Annotated tags point to their commit
+                if ( isset( $object['target'] ) ) {
+                    $object = $object['target'];
+                }
+
+                // Anything not found is left to get_latest_commit() to report
+                if ( empty( $object['oid'] ) ) {
+                    continue;
+                }
+
+                $this->prefetched[ $this->get_ref_key( $ref['owner'], $ref['repo'], $ref['branch'] ) ] = array(
+                    'sha'       => $object['oid'],
+                    'message'   => $object['message'],
+                    'author'    => $object['author']['name'],
+                    'email'     => $object['author']['email'],
+                    'date'      => $object['author']['date'],
+                    'timestamp' => strtotime( $object['author']['date'] ),
+                );
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the key a prefetched commit is stored under
+     *
+     * @param string $owner  Repository owner.
+     * @param string $repo   Repository name.
+     * @param string $branch Branch or tag name.
+     * @return string
+     */
+    private function get_ref_key( $owner, $repo, $branch ) {
+        return strtolower( $owner . '/' . $repo ) . '@' . $branch;
+    }
+
     /**
      * Get commits for a repository
      *
@@ -434,12 +833,148 @@ class GPL_GitHub_API {
             return false;
         }
 
+        $commits = array();
+        if ( ! empty( $result['commits'] ) ) {
+            foreach ( $result['commits'] as $commit ) {
+                $commits[] = array(
+                    'sha'       => $commit['sha'],
+                    'message'   => $commit['commit']['message'],
+                    'author'    => $commit['commit']['author']['name'],
+                    'login'     => isset( $commit['author']['login'] ) ? $commit['author']['login'] : '',
+                    'date'      => $commit['commit']['author']['date'],
+                    'timestamp' => strtotime( $commit['commit']['author']['date'] ),
+                    'url'       => $commit['html_url'],
+                );
+            }
+        }
+
+        $files = array();
+        if ( ! empty( $result['files'] ) ) {
+            foreach ( $result['files'] as $file ) {
+                $files[] = array(
+                    'filename'  => $file['filename'],
+                    'status'    => $file['status'],
+                    'additions' => $file['additions'],
+                    'deletions' => $file['deletions'],
+                    'changes'   => $file['changes'],
+                );
+            }
+        }
+
         return array(
             'status'        => $result['status'],
             'ahead_by'      => $result['ahead_by'],
             'behind_by'     => $result['behind_by'],
             'total_commits' => $result['total_commits'],
+            'url'           => $result['html_url'],
+            'commits'       => $commits,
+            'files'         => $files,
+        );
+    }
+
+    /**
+     * Get the releases of a repository, newest first
+     *
+     * @param string $owner    Repository owner.
+     * @param string $repo     Repository name.
+     * @param int    $per_page Results per page (max 100).
+     * @return array|false
+     */
+    public function get_releases( $owner, $repo, $per_page = 30 ) {
+        $endpoint = "/repos/{$owner}/{$repo}/releases?per_page={$per_page}";
+        $result   = $this->request( $endpoint, array(), false ); // Don't cache
+
+        if ( false === $result ) {
+            return false;
+        }
+
+        $releases = array();
+        foreach ( $result as $release ) {
+            $assets = array();
+            foreach ( $release['assets'] as $asset ) {
+                $assets[] = array(
+                    'id'   => $asset['id'],
+                    'name' => $asset['name'],
+                    'size' => $asset['size'],
+                );
+            }
+
+            $releases[] = array(
+                'tag'        => $release['tag_name'],
+                'name'       => $release['name'] ? $release['name'] : $release['tag_name'],
+                'notes'      => (string) $release['body'],
+                'url'        => $release['html_url'],
+                'published'  => $release['published_at'],
+                'draft'      => ! empty( $release['draft'] ),
+                'prerelease' => ! empty( $release['prerelease'] ),
+                'assets'     => $assets,
+            );
+        }
+
+        return $releases;
+    }
+
+    /**
+     * Download a release asset to a file
+     *
+     * @param string $owner       Repository owner.
+     * @param string $repo        Repository name.
+     * @param int    $asset_id    Asset ID.
+     * @param string $destination File path to write to.
+     * @return bool
+     */
+    public function download_asset( $owner, $repo, $asset_id, $destination ) {
+        $args = array(
+            'headers'     => array(
+                'Accept'     => 'application/octet-stream',
+                'User-Agent' => 'Git-Plugin-Loader/' . GPL_VERSION,
+            ),
+            'timeout'     => 30,
+            'redirection' => 0,
         );
+
+        $token = $this->get_token();
+        if ( $token ) {
+            $args['headers']['Authorization'] = 'token ' . $token;
+        }
+
+        $response = wp_remote_get( $this->api_url . "/repos/{$owner}/{$repo}/releases/assets/{$asset_id}", $args );
+
+        if ( is_wp_error( $response ) ) {
+            $this->last_error = $response->get_error_message();
+            return false;
+        }
+
+        $status_code = wp_remote_retrieve_response_code( $response );
+
+        // The file is served from a signed storage URL that rejects the API token
+        if ( $status_code >= 300 && $status_code < 400 ) {
+            $response = wp_remote_get( wp_remote_retrieve_header( $response, 'location' ), array(
+                'timeout'  => 300,
+                'stream'   => true,
+                'filename' => $destination,
+            ) );
+
+            if ( is_wp_error( $response ) ) {
+                $this->last_error = $response->get_error_message();
+                return false;
+            }
+
+            $status_code = wp_remote_retrieve_response_code( $response );
+        } elseif ( 200 === $status_code ) {
+            file_put_contents( $destination, wp_remote_retrieve_body( $response ) );
+        }
+
+        if ( 200 !== $status_code ) {
+            $this->last_error = sprintf(
+                /* translators: %d: HTTP status code */
+                __( 'Downloading the release asset failed: HTTP %d', 'git-plugin-loader' ),
+                $status_code
+            );
+            return false;
+        }
+
+        return true;
     }
 
     /**
@@ -511,27 +1046,25 @@ class GPL_GitHub_API {
      * @return void
      */
     public function clear_cache( $owner = null, $repo = null ) {
-        global $wpdb;
+        $index = $this->get_cache_index();
+        $repos = $owner && $repo ? array( strtolower( $owner . '/' . $repo ) ) : array_keys( $index );
 
-        if ( $owner && $repo ) {
-            // Clear specific repo cache
-            $pattern = '%gpl_api_' . md5( $this->api_url . '/repos/' . $owner . '/' . $repo ) . '%';
-        } else {
-            // Clear all API cache
-            $pattern = '%gpl_api_%';
+        foreach ( $repos as $name ) {
+            if ( ! isset( $index[ $name ] ) ) {
+                continue;
+            }
+
+            foreach ( array_keys( $index[ $name ] ) as $key ) {
+                if ( Git_Plugin_Loader::is_network_active() ) {
+                    delete_site_transient( $key );
+                } else {
+                    delete_transient( $key );
+                }
+            }
+
+            unset( $index[ $name ] );
         }
 
-        $wpdb->query(
-            $wpdb->prepare(
-                "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s",
-                '_transient_' . $pattern
-            )
-        );
-        $wpdb->query(
-            $wpdb->prepare(
-                "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s",
-                '_transient_timeout_' . $pattern
-            )
-        );
+        Git_Plugin_Loader::update_option( self::OPTION_CACHE_INDEX, $index, false );
     }
 }
@@ -0,0 +1,348 @@
+<?php
+/**
+ * GitLab API Class
+ *
+ * Handles all GitLab API interactions (gitlab.com and self-hosted instances).
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_GitLab_API class for GitLab API operations
+ */
+class GPL_GitLab_API {
+
+    /**
+     * Last error message
+     *
+     * @var string
+     */
+    private $last_error = '';
+
+    /**
+     * Cache duration in seconds (15 minutes)
+     *
+     * @var int
+     */
+    private $cache_duration = 900;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        // Nothing to initialize
+    }
+
+    /**
+     * Make an API request
+     *
+     * @param string $host      GitLab host name.
+     * @param string $endpoint  API endpoint.
+     * @param bool   $use_cache Whether to use cached response.
+     * @return array|false
+     */
+    private function request( $host, $endpoint, $use_cache = true ) {
+        $url = 'https://' . $host . '/api/v4' . $endpoint;
+
+        // Generate cache key
+        $cache_key = 'gpl_api_' . md5( $url );
+
+        // Check cache first
+        if ( $use_cache ) {
+            $cached = get_transient( $cache_key );
+            if ( false !== $cached ) {
+                return $cached;
+            }
+        }
+
+        $args = array(
+            'headers' => array(
+                'Accept'     => 'application/json',
+                'User-Agent' => 'Git-Plugin-Loader/' . GPL_VERSION,
+            ),
+            'timeout' => 30,
+        );
+
+        // Add authentication if token is available
+        $token = $this->get_token();
+        if ( $token ) {
+            $args['headers']['PRIVATE-TOKEN'] = $token;
+        }
+
+        // Make the request
+        $response = wp_remote_get( $url, $args );
+
+        if ( is_wp_error( $response ) ) {
+            $this->last_error = $response->get_error_message();
+            return false;
+        }
+
+        $body        = wp_remote_retrieve_body( $response );
+        $status_code = wp_remote_retrieve_response_code( $response );
+
+        // Handle errors
+        if ( $status_code >= 400 ) {
+            $decoded = json_decode( $body, true );
+            if ( isset( $decoded['message'] ) && is_string( $decoded['message'] ) ) {
+                $this->last_error = $decoded['message'];
+            } elseif ( isset( $decoded['error'] ) && is_string( $decoded['error'] ) ) {
+                $this->last_error = $decoded['error'];
+            } else {
+                $this->last_error = sprintf(
+                    /* translators: %d: HTTP status code */
+                    __( 'GitLab API error: HTTP %d', 'git-plugin-loader' ),
+                    $status_code
+                );
+            }
+            return false;
+        }
+
+        $data = json_decode( $body, true );
+
+        if ( null === $data && ! empty( $body ) ) {
+            $this->last_error = __( 'Failed to parse GitLab API response.', 'git-plugin-loader' );
+            return false;
+        }
+
+        // Cache the response
+        if ( $use_cache ) {
+            set_transient( $cache_key, $data, $this->cache_duration );
+        }
+
+        return $data;
+    }
+
+    /**
+     * Get the last error message
+     *
+     * @return string
+     */
+    public function get_last_error() {
+        return $this->last_error;
+    }
+
+    /**
+     * Get GitLab token
+     *
+     * @return string|false
+     */
+    private function get_token() {
+        $token = Git_Plugin_Loader::get_settings( 'gitlab_token' );
+
+        if ( empty( $token ) ) {
+            return false;
+        }
+
+        return Git_Plugin_Loader::decrypt( $token );
+    }
+
+    /**
+     * Get the API path of a project
+     *
+     * @param string $owner Project namespace (may contain subgroups).
+     * @param string $repo  Project name.
+     * @return string
+     */
+    private function project_path( $owner, $repo ) {
+        return '/projects/' . rawurlencode( $owner . '/' . $repo );
+    }
+
+    /**
+     * Get project information
+     *
+     * @param string $host  GitLab host name.
+     * @param string $owner Project namespace.
+     * @param string $repo  Project name.
+     * @return array|false
+     */
+    public function get_repo( $host, $owner, $repo ) {
+        return $this->request( $host, $this->project_path( $owner, $repo ) );
+    }
+
+    /**
+     * Get project branches
+     *
+     * @param string $host     GitLab host name.
+     * @param string $owner    Project namespace.
+     * @param string $repo     Project name.
+     * @param int    $per_page Results per page (max 100).
+     * @return array|false
+     */
+    public function get_branches( $host, $owner, $repo, $per_page = 100 ) {
+        $endpoint = $this->project_path( $owner, $repo ) . "/repository/branches?per_page={$per_page}";
+        $result   = $this->request( $host, $endpoint );
+
+        if ( false === $result ) {
+            return false;
+        }
+
+        $branches = array();
+        foreach ( $result as $branch ) {
+            $branches[] = array(
+                'name'   => $branch['name'],
+                'commit' => $branch['commit']['id'],
+            );
+        }
+
+        return $branches;
+    }
+
+    /**
+     * Get project tags
+     *
+     * @param string $host     GitLab host name.
+     * @param string $owner    Project namespace.
+     * @param string $repo     Project name.
+     * @param int    $per_page Results per page (max 100).
+     * @return array|false
+     */
+    public function get_tags( $host, $owner, $repo, $per_page = 100 ) {
+        $endpoint = $this->project_path( $owner, $repo ) . "/repository/tags?per_page={$per_page}";
+        $result   = $this->request( $host, $endpoint );
+
+        if ( false === $result ) {
+            return false;
+        }
+
+        $tags = array();
+        foreach ( $result as $tag ) {
+            $tags[] = array(
+                'name'   => $tag['name'],
+                'commit' => $tag['commit']['id'],
+            );
+        }
+
+        return $tags;
+    }
+
+    /**
+     * Get latest commit for a branch
+     *
+     * @param string $host   GitLab host name.
+     * @param string $owner  Project namespace.
+     * @param string $repo   Project name.
+     * @param string $branch Branch name.
+     * @return array|false
+     */
+    public function get_latest_commit( $host, $owner, $repo, $branch = 'main' ) {
+        $endpoint = $this->project_path( $owner, $repo ) . '/repository/commits/' . rawurlencode( $branch );
+        $result   = $this->request( $host, $endpoint, false ); // Don't cache
+
+        if ( false === $result ) {
+            return false;
+        }
+
+        return array(
+            'sha'       => $result['id'],
+            'message'   => $result['message'],
+            'author'    => $result['author_name'],
+            'email'     => $result['author_email'],
+            'date'      => $result['authored_date'],
+            'timestamp' => strtotime( $result['authored_date'] ),
+        );
+    }
+
+    /**
+     * Get commits for a project
+     *
+     * @param string $host     GitLab host name.
+     * @param string $owner    Project namespace.
+     * @param string $repo     Project name.
+     * @param string $branch   Branch name.
+     * @param int    $per_page Results per page.
+     * @return array|false
+     */
+    public function get_commits( $host, $owner, $repo, $branch = 'main', $per_page = 10 ) {
+        $endpoint = $this->project_path( $owner, $repo ) . '/repository/commits?ref_name=' . rawurlencode( $branch ) . "&per_page={$per_page}";
+        $result   = $this->request( $host, $endpoint );
+
+        if ( false === $result ) {
+            return false;
+        }
+
+        $commits = array();
+        foreach ( $result as $commit ) {
+            $commits[] = array(
+                'sha'       => $commit['id'],
+                'message'   => $commit['message'],
+                'author'    => $commit['author_name'],
+                'date'      => $commit['authored_date'],
+                'timestamp' => strtotime( $commit['authored_date'] ),
+            );
+        }
+
+        return $commits;
+    }
+
+    /**
+     * Compare two commits
+     *
+     * @param string $host  GitLab host name.
+     * @param string $owner Project namespace.
+     * @param string $repo  Project name.
+     * @param string $base  Base commit/branch.
+     * @param string $head  Head commit/branch.
+     * @return array|false
+     */
+    public function compare_commits( $host, $owner, $repo, $base, $head ) {
+        $endpoint = $this->project_path( $owner, $repo ) . '/repository/compare?from=' . rawurlencode( $base ) . '&to=' . rawurlencode( $head );
+        $result   = $this->request( $host, $endpoint, false ); // Don't cache
+
+        if ( false === $result ) {
+            return false;
+        }
+
+        $commits = array();
+        foreach ( $result['commits'] as $commit ) {
+            $commits[] = array(
+                'sha'       => $commit['id'],
+                'message'   => $commit['message'],
+                'author'    => $commit['author_name'],
+                'login'     => '',
+                'date'      => $commit['authored_date'],
+                'timestamp' => strtotime( $commit['authored_date'] ),
+                'url'       => isset( $commit['web_url'] ) ? $commit['web_url'] : '',
+            );
+        }
+
+        // GitLab returns unified diffs rather than line counts
+        $files = array();
+        foreach ( $result['diffs'] as $diff ) {
+            $additions = preg_match_all( '/^\+/m', $diff['diff'] );
+            $deletions = preg_match_all( '/^-/m', $diff['diff'] );
+
+            if ( ! empty( $diff['new_file'] ) ) {
+                $status = 'added';
+            } elseif ( ! empty( $diff['deleted_file'] ) ) {
+                $status = 'removed';
+            } elseif ( ! empty( $diff['renamed_file'] ) ) {
+                $status = 'renamed';
+            } else {
+                $status = 'modified';
+            }
+
+            $files[] = array(
+                'filename'  => $diff['new_path'],
+                'status'    => $status,
+                'additions' => $additions,
+                'deletions' => $deletions,
+                'changes'   => $additions + $deletions,
+            );
+        }
+
+        return array(
+            'status'        => empty( $commits ) ? 'identical' : 'ahead',
+            'ahead_by'      => count( $commits ),
+            'behind_by'     => 0,
+            'total_commits' => count( $commits ),
+            'url'           => isset( $result['web_url'] ) ? $result['web_url'] : '',
+            'commits'       => $commits,
+            'files'         => $files,
+        );
+    }
+}
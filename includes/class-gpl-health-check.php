@@ -0,0 +1,261 @@
+<?php
+/**
+ * Health Check Class
+ *
+ * Loads the site after a sync to make sure the new code didn't break it.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Health_Check class
+ */
+class GPL_Health_Check {
+
+    /**
+     * Option holding health check notices waiting to be displayed
+     *
+     * @var string
+     */
+    const NOTICES_OPTION = 'gpl_health_notices';
+
+    /**
+     * Maximum number of queued notices
+     *
+     * @var int
+     */
+    const NOTICES_LIMIT = 10;
+
+    /**
+     * Default request timeout in seconds
+     *
+     * @var int
+     */
+    const DEFAULT_TIMEOUT = 15;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        // Nothing to initialize
+    }
+
+    /**
+     * Check whether health checks are enabled
+     *
+     * @return bool
+     */
+    public function is_enabled() {
+        return (bool) Git_Plugin_Loader::get_settings( 'health_check_enabled' );
+    }
+
+    /**
+     * Get the URLs to check
+     *
+     * @return array Front-end and admin URL.
+     */
+    public function get_urls() {
+        $settings = Git_Plugin_Loader::get_settings();
+
+        return array(
+            'front' => ! empty( $settings['health_check_front_url'] ) ? $settings['health_check_front_url'] : home_url( '/' ),
+            'admin' => ! empty( $settings['health_check_admin_url'] ) ? $settings['health_check_admin_url'] : admin_url(),
+        );
+    }
+
+    /**
+     * Sanitize a health check URL setting
+     *
+     * The admin URL is loaded with login cookies, so both URLs have to stay on this site.
+     *
+     * @param string $type Front or admin.
+     * @param string $url  Raw URL. Empty to use the default.
+     * @return string|WP_Error
+     */
+    public static function sanitize_url( $type, $url ) {
+        $url = esc_url_raw( $url, array( 'http', 'https' ) );
+
+        if ( '' === $url ) {
+            return '';
+        }
+
+        $site = 'admin' === $type ? admin_url() : home_url( '/' );
+
+        if ( ! self::same_host( $url, $site ) ) {
+            return new WP_Error( 'invalid_url', sprintf(
+                /* translators: %s: host name */
+                __( 'The health check URL must be on %s.', 'git-plugin-loader' ),
+                wp_parse_url( $site, PHP_URL_HOST )
+            ) );
+        }
+
+        return $url;
+    }
+
+    /**
+     * Check whether two URLs point to the same host
+     *
+     * @param string $url   URL.
+     * @param string $other Other URL.
+     * @return bool
+     */
+    private static function same_host( $url, $other ) {
+        $host = wp_parse_url( $url, PHP_URL_HOST );
+
+        return $host && strtolower( $host ) === strtolower( (string) wp_parse_url( $other, PHP_URL_HOST ) );
+    }
+
+    /**
+     * Load the configured URLs and look for errors
+     *
+     * @return array Array with 'passed', 'reason' and 'lines' keys.
+     */
+    public function run() {
+        $urls   = $this->get_urls();
+        $lines  = array();
+        $reason = '';
+
+        foreach ( $urls as $type => $url ) {
+            // Login cookies are only ever sent to this site's admin
+            $cookies = 'admin' === $type && self::same_host( $url, admin_url() ) ? $this->get_auth_cookies( $url ) : array();
+            $error   = $this->check_url( $url, $cookies );
+
+            if ( $error ) {
+                /* translators: 1: URL, 2: error description */
+                $lines[] = sprintf( __( 'FAIL %1$s: %2$s', 'git-plugin-loader' ), $url, $error );
+
+                if ( ! $reason ) {
+                    /* translators: 1: error description, 2: URL */
+                    $reason = sprintf( __( '%1$s at %2$s', 'git-plugin-loader' ), $error, $url );
+                }
+            } else {
+                /* translators: %s: URL */
+                $lines[] = sprintf( __( 'OK %s', 'git-plugin-loader' ), $url );
+            }
+        }
+
+        return array(
+            'passed' => '' === $reason,
+            'reason' => $reason,
+            'lines'  => $lines,
+        );
+    }
+
+    /**
+     * Request a URL and describe what is wrong with the response
+     *
+     * @param string $url     URL to load.
+     * @param array  $cookies Cookies to send.
+     * @return string Error description, or empty string if the page is healthy.
+     */
+    private function check_url( $url, $cookies ) {
+        $settings = Git_Plugin_Loader::get_settings();
+        $timeout  = ! empty( $settings['health_check_timeout'] ) ? (int) $settings['health_check_timeout'] : self::DEFAULT_TIMEOUT;
+
+        // Bypass page caches so the new code is actually executed
+        $response = wp_remote_get( add_query_arg( 'gpl_health_check', time(), $url ), array(
+            'timeout'     => $timeout,
+            'redirection' => 0,
+            'cookies'     => $cookies,
+            'sslverify'   => apply_filters( 'https_local_ssl_verify', false ),
+            'headers'     => array(
+                'Cache-Control' => 'no-cache',
+            ),
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response->get_error_message();
+        }
+
+        $status_code = wp_remote_retrieve_response_code( $response );
+
+        if ( 200 !== (int) $status_code ) {
+            /* translators: %d: HTTP status code */
+            return sprintf( __( 'HTTP %d', 'git-plugin-loader' ), $status_code );
+        }
+
+        if ( preg_match( '/<b>(Fatal|Parse) error<\/b>:|PHP (Fatal|Parse) error|There has been a critical error on (this|your) website/i', wp_remote_retrieve_body( $response ) ) ) {
+            return __( 'fatal error in page output', 'git-plugin-loader' );
+        }
+
+        return '';
+    }
+
+    /**
+     * Build login cookies so the admin URL can be loaded
+     *
+     * Uses the current user, or the first administrator when running from cron.
+     *
+     * @param string $url Admin URL.
+     * @return WP_Http_Cookie[]
+     */
+    private function get_auth_cookies( $url ) {
+        $user_id = current_user_can( 'manage_options' ) ? get_current_user_id() : 0;
+
+        if ( ! $user_id ) {
+            $admins  = get_users( array(
+                'role'   => 'administrator',
+                'number' => 1,
+                'fields' => 'ID',
+            ) );
+            $user_id = $admins ? (int) $admins[0] : 0;
+        }
+
+        if ( ! $user_id ) {
+            return array();
+        }
+
+        $expiration = time() + 5 * MINUTE_IN_SECONDS;
+        $secure     = 'https' === wp_parse_url( $url, PHP_URL_SCHEME );
+        $scheme     = $secure ? 'secure_auth' : 'auth';
+
+        return array(
+            new WP_Http_Cookie( array(
+                'name'  => $secure ? SECURE_AUTH_COOKIE : AUTH_COOKIE,
+                'value' => wp_generate_auth_cookie( $user_id, $expiration, $scheme ),
+            ) ),
+            new WP_Http_Cookie( array(
+                'name'  => LOGGED_IN_COOKIE,
+                'value' => wp_generate_auth_cookie( $user_id, $expiration, 'logged_in' ),
+            ) ),
+        );
+    }
+
+    /**
+     * Queue an admin notice about a health check outcome
+     *
+     * @param string $message Notice message.
+     * @param string $type    Notice type (success, error).
+     */
+    public static function add_notice( $message, $type = 'error' ) {
+        $notices = Git_Plugin_Loader::get_option( self::NOTICES_OPTION, array() );
+
+        $notices[] = array(
+            'message' => $message,
+            'type'    => $type,
+            'time'    => time(),
+        );
+
+        Git_Plugin_Loader::update_option( self::NOTICES_OPTION, array_slice( $notices, -self::NOTICES_LIMIT ), false );
+    }
+
+    /**
+     * Get and clear the queued notices
+     *
+     * @return array
+     */
+    public static function pop_notices() {
+        $notices = Git_Plugin_Loader::get_option( self::NOTICES_OPTION, array() );
+
+        if ( $notices ) {
+            Git_Plugin_Loader::delete_option( self::NOTICES_OPTION );
+        }
+
+        return is_array( $notices ) ? $notices : array();
+    }
+}
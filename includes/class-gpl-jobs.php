@@ -0,0 +1,740 @@
+<?php
+/**
+ * Background Jobs Class
+ *
+ * Runs clone and sync operations outside of the admin request and records
+ * their phase and Git output so the browser can poll for progress.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Jobs class
+ */
+class GPL_Jobs {
+
+    /**
+     * Hook name for the WP-Cron fallback runner
+     *
+     * @var string
+     */
+    const HOOK_RUN_JOB = 'gpl_run_job';
+
+    /**
+     * Seconds without a heartbeat after which a job is considered stale
+     *
+     * @var int
+     */
+    const STALE_AFTER = 600;
+
+    /**
+     * Seconds after which finished jobs are deleted
+     *
+     * @var int
+     */
+    const KEEP_FINISHED = DAY_IN_SECONDS;
+
+    /**
+     * Maximum number of log lines kept per job
+     *
+     * @var int
+     */
+    const LOG_LIMIT = 500;
+
+    /**
+     * Minimum seconds between log writes while a job runs
+     *
+     * @var int
+     */
+    const FLUSH_INTERVAL = 1;
+
+    /**
+     * Plugin manager instance
+     *
+     * @var GPL_Plugin_Manager
+     */
+    private $plugin_manager;
+
+    /**
+     * Git operations handler
+     *
+     * @var GPL_Git
+     */
+    private $git;
+
+    /**
+     * Manifest handler
+     *
+     * @var GPL_Manifest
+     */
+    private $manifest;
+
+    /**
+     * Job running in this request
+     *
+     * @var array|null
+     */
+    private $current = null;
+
+    /**
+     * Time of the last write of the running job
+     *
+     * @var int
+     */
+    private $last_flush = 0;
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Plugin_Manager $plugin_manager Plugin manager instance.
+     * @param GPL_Git            $git            Git operations handler.
+     * @param GPL_Manifest       $manifest       Manifest handler.
+     */
+    public function __construct( GPL_Plugin_Manager $plugin_manager, GPL_Git $git, GPL_Manifest $manifest ) {
+        $this->plugin_manager = $plugin_manager;
+        $this->git            = $git;
+        $this->manifest       = $manifest;
+
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        // Loopback requests carry no cookies, so the runner authenticates with the job key
+        add_action( 'wp_ajax_gpl_run_job', array( $this, 'handle_dispatch' ) );
+        add_action( 'wp_ajax_nopriv_gpl_run_job', array( $this, 'handle_dispatch' ) );
+
+        add_action( self::HOOK_RUN_JOB, array( $this, 'run' ) );
+        add_action( GPL_Cron::HOOK_CHECK_UPDATES, array( $this, 'recover_stale_jobs' ) );
+    }
+
+    /**
+     * Start a background job
+     *
+     * @param string $type Job type (add, sync or manifest).
+     * @param string $slug Plugin slug, if known.
+     * @param array  $args Job arguments.
+     * @return array Job data, or the plugin's job that is already running.
+     */
+    public function start( $type, $slug, $args = array() ) {
+        $job = $this->create( $type, $slug, $args, $key );
+
+        if ( is_wp_error( $job ) ) {
+            $data = $job->get_error_data();
+            return $data['job'];
+        }
+
+        // WP-Cron picks the job up if the loopback request doesn't get through
+        wp_schedule_single_event( time() + 30, self::HOOK_RUN_JOB, array( $job['id'] ) );
+
+        wp_remote_post( admin_url( 'admin-ajax.php' ), array(
+            'timeout'   => 0.01,
+            'blocking'  => false,
+            'sslverify' => apply_filters( 'https_local_ssl_verify', false ),
+            'body'      => array(
+                'action' => 'gpl_run_job',
+                'job'    => $job['id'],
+                'key'    => $key,
+            ),
+        ) );
+
+        return $job;
+    }
+
+    /**
+     * Run a job in the current request
+     *
+     * For callers that have to answer with the outcome, such as core's update screens.
+     *
+     * @param string $type Job type (add, sync or manifest).
+     * @param string $slug Plugin slug, if known.
+     * @param array  $args Job arguments.
+     * @return array|WP_Error Finished job data, or an error if the plugin already has a job.
+     */
+    public function run_now( $type, $slug, $args = array() ) {
+        $job = $this->create( $type, $slug, $args, $key );
+
+        if ( is_wp_error( $job ) ) {
+            return $job;
+        }
+
+        $this->run( $job['id'] );
+
+        return $this->get_job( $job['id'] );
+    }
+
+    /**
+     * Create a queued job
+     *
+     * @param string $type Job type (add, sync or manifest).
+     * @param string $slug Plugin slug, if known.
+     * @param array  $args Job arguments.
+     * @param string $key  Set to the key the job runner authenticates with.
+     * @return array|WP_Error Job data, or an error carrying the plugin's active job.
+     */
+    private function create( $type, $slug, $args, &$key ) {
+        $this->recover_stale_jobs();
+
+        $key = wp_generate_password( 32, false );
+        $job = array(
+            'id'         => strtolower( wp_generate_password( 12, false ) ),
+            'type'       => $type,
+            'slug'       => $slug,
+            'args'       => $args,
+            'key'        => wp_hash_password( $key ),
+            'status'     => 'queued',
+            'phase'      => 'queued',
+            'progress'   => '',
+            'message'    => '',
+            'result'     => null,
+            'log'        => array(),
+            'log_offset' => 0,
+            'claim'      => $slug,
+            'user_id'    => get_current_user_id(),
+            'created'    => time(),
+            'updated'    => time(),
+        );
+
+        $this->save_job( $job );
+
+        // Only one job per plugin at a time
+        if ( $slug ) {
+            $active = $this->claim( $job );
+            if ( $active ) {
+                $this->delete_job( $job['id'] );
+                return new WP_Error( 'job_running', __( 'Another operation on this plugin is still running.', 'git-plugin-loader' ), array( 'job' => $active ) );
+            }
+        }
+
+        if ( 'sync' === $type ) {
+            Git_Plugin_Loader::update_managed_plugin( $slug, array( 'job_id' => $job['id'] ) );
+        }
+
+        return $job;
+    }
+
+    /**
+     * Handle the loopback request that runs a job
+     */
+    public function handle_dispatch() {
+        $id  = isset( $_POST['job'] ) ? sanitize_key( wp_unslash( $_POST['job'] ) ) : '';
+        $key = isset( $_POST['key'] ) ? sanitize_text_field( wp_unslash( $_POST['key'] ) ) : '';
+        $job = $id ? $this->get_job( $id ) : false;
+
+        if ( ! $job || ! $key || ! wp_check_password( $key, $job['key'] ) ) {
+            wp_die( '', '', array( 'response' => 403 ) );
+        }
+
+        $this->run( $id );
+        wp_die();
+    }
+
+    /**
+     * Run a queued job
+     *
+     * @param string $id Job ID.
+     */
+    public function run( $id ) {
+        $job = $this->get_job( $id );
+
+        if ( ! $job || 'queued' !== $job['status'] ) {
+            return;
+        }
+
+        // The loopback request and the cron fallback may both try to run the job
+        if ( ! Git_Plugin_Loader::add_lock( 'gpl_job_lock_' . $id, time() ) ) {
+            return;
+        }
+
+        $scheduled = wp_next_scheduled( self::HOOK_RUN_JOB, array( $id ) );
+        if ( $scheduled ) {
+            wp_unschedule_event( $scheduled, self::HOOK_RUN_JOB, array( $id ) );
+        }
+
+        ignore_user_abort( true );
+        if ( function_exists( 'set_time_limit' ) ) {
+            @set_time_limit( 0 );
+        }
+
+        if ( $job['user_id'] ) {
+            wp_set_current_user( $job['user_id'] );
+        }
+
+        $job['status']  = 'running';
+        $job['started'] = time();
+        $this->current  = $job;
+        $this->flush( true );
+
+        register_shutdown_function( array( $this, 'on_shutdown' ) );
+
+        $this->git->set_output_handler( array( $this, 'on_output' ) );
+        $this->plugin_manager->set_progress_handler( array( $this, 'on_phase' ) );
+
+        $args = $job['args'];
+
+        if ( 'add' === $job['type'] ) {
+            $result  = $this->plugin_manager->add_plugin(
+                $args['url'],
+                $args['branch'],
+                $args['slug'],
+                $args['provider'],
+                isset( $args['release'] ) ? $args['release'] : null,
+                isset( $args['constraint'] ) ? $args['constraint'] : ''
+            );
+            $success = __( 'Plugin added successfully.', 'git-plugin-loader' );
+        } elseif ( 'manifest' === $job['type'] ) {
+            $result  = $this->manifest->apply_item( $args['item'] );
+            $success = __( 'Manifest entry applied.', 'git-plugin-loader' );
+        } else {
+            $result  = $this->plugin_manager->sync_plugin( $job['slug'], isset( $args['commit'] ) ? $args['commit'] : null, isset( $args['local_changes'] ) ? $args['local_changes'] : '' );
+            $success = __( 'Plugin synced successfully.', 'git-plugin-loader' );
+        }
+
+        $this->git->set_output_handler( null );
+        $this->plugin_manager->set_progress_handler( null );
+
+        if ( is_wp_error( $result ) ) {
+            // Failures such as a reverted health check still carry the updated plugin
+            $data = $result->get_error_data();
+            if ( is_array( $data ) && isset( $data['plugin'] ) ) {
+                $this->current['result'] = $data['plugin'];
+            }
+
+            $this->finish( 'failed', $result->get_error_message() );
+        } else {
+            $this->current['result'] = $result;
+            $this->finish( 'completed', $success );
+        }
+    }
+
+    /**
+     * Record a progress phase of the running job
+     *
+     * @param string $phase   Phase name.
+     * @param array  $context Context data.
+     */
+    public function on_phase( $phase, $context = array() ) {
+        if ( ! $this->current ) {
+            return;
+        }
+
+        $this->current['phase']    = $phase;
+        $this->current['progress'] = '';
+
+        // Remember the clone target so an interrupted clone can be cleaned up
+        if ( ! empty( $context['slug'] ) ) {
+            $this->current['slug'] = $context['slug'];
+        }
+
+        // A phase reported again with lines only adds its output
+        if ( ! empty( $context['lines'] ) ) {
+            foreach ( $context['lines'] as $line ) {
+                $this->add_log_line( $line );
+            }
+        } else {
+            $this->add_log_line( '== ' . $this->get_phase_label( $phase ) );
+        }
+
+        $this->flush( true );
+    }
+
+    /**
+     * Record a line of Git output of the running job
+     *
+     * @param string $line Output line.
+     */
+    public function on_output( $line ) {
+        if ( ! $this->current ) {
+            return;
+        }
+
+        $line = GPL_Git::redact( $line );
+
+        // Transfer progress is shown in place until it completes
+        if ( preg_match( '/^(remote: )?[\w ]+:\s+\d+% \(\d+\/\d+\)/', $line ) && false === strpos( $line, 'done' ) ) {
+            $this->current['progress'] = $line;
+        } else {
+            $this->current['progress'] = '';
+            $this->add_log_line( $line );
+        }
+
+        $this->flush();
+    }
+
+    /**
+     * Mark the running job as interrupted if the request dies before it finishes
+     */
+    public function on_shutdown() {
+        if ( ! $this->current || ! in_array( $this->current['status'], array( 'queued', 'running' ), true ) ) {
+            return;
+        }
+
+        $job           = $this->current;
+        $this->current = null;
+
+        $this->interrupt( $job, __( 'The job was interrupted before it finished.', 'git-plugin-loader' ) );
+    }
+
+    /**
+     * Get a job's progress for polling
+     *
+     * @param string $id     Job ID.
+     * @param int    $offset Number of log lines the client already has.
+     * @return array|WP_Error
+     */
+    public function get_status( $id, $offset = 0 ) {
+        $this->recover_stale_jobs();
+
+        $job = $this->get_job( $id );
+
+        if ( ! $job ) {
+            return new WP_Error( 'job_not_found', __( 'Job not found.', 'git-plugin-loader' ) );
+        }
+
+        $start = max( 0, (int) $offset - $job['log_offset'] );
+
+        return array(
+            'id'          => $job['id'],
+            'type'        => $job['type'],
+            'slug'        => $job['slug'],
+            'status'      => $job['status'],
+            'phase'       => $job['phase'],
+            'phase_label' => $this->get_phase_label( $job['phase'] ),
+            'progress'    => $job['progress'],
+            'lines'       => array_slice( $job['log'], $start ),
+            'offset'      => $job['log_offset'] + count( $job['log'] ),
+            'done'        => ! in_array( $job['status'], array( 'queued', 'running' ), true ),
+            'message'     => $job['message'],
+            'plugin'      => $job['result'],
+        );
+    }
+
+    /**
+     * Get the unfinished job of a plugin
+     *
+     * @param string $slug Plugin slug.
+     * @return array|false
+     */
+    public function get_active_job( $slug ) {
+        Git_Plugin_Loader::flush_option_cache( 'gpl_active_job_' . $slug );
+
+        $id  = Git_Plugin_Loader::get_option( 'gpl_active_job_' . $slug );
+        $job = $id ? $this->get_job( $id ) : false;
+
+        if ( $job && in_array( $job['status'], array( 'queued', 'running' ), true ) ) {
+            return $job;
+        }
+
+        return false;
+    }
+
+    /**
+     * Mark stale jobs as interrupted and delete old finished jobs
+     *
+     * Also releases plugins left in the syncing status by a request that died
+     * and deletes the copies they were built in.
+     */
+    public function recover_stale_jobs() {
+        $cutoff = time() - self::STALE_AFTER;
+        $active = array();
+
+        foreach ( $this->get_job_ids() as $id ) {
+            $job = $this->get_job( $id );
+
+            if ( ! $job ) {
+                continue;
+            }
+
+            if ( in_array( $job['status'], array( 'queued', 'running' ), true ) ) {
+                if ( $job['updated'] < $cutoff ) {
+                    $this->interrupt( $job, 'queued' === $job['status']
+                        ? __( 'The job never started. Loopback requests and WP-Cron may both be unavailable.', 'git-plugin-loader' )
+                        : __( 'The job stopped responding and was marked as interrupted.', 'git-plugin-loader' )
+                    );
+                } elseif ( $job['slug'] ) {
+                    $active[] = $job['slug'];
+                }
+            } elseif ( $job['updated'] < time() - self::KEEP_FINISHED ) {
+                $this->delete_job( $id );
+            }
+        }
+
+        // Syncs that ran without a job (e.g. auto-sync) and never finished
+        foreach ( Git_Plugin_Loader::get_managed_plugins() as $slug => $plugin_data ) {
+            if ( 'syncing' !== $plugin_data['status'] || in_array( $slug, $active, true ) ) {
+                continue;
+            }
+
+            if ( empty( $plugin_data['sync_started'] ) || $plugin_data['sync_started'] < $cutoff ) {
+                $this->release_plugin( $slug );
+            }
+        }
+
+        GPL_Build_Steps::discard_stale();
+    }
+
+    /**
+     * Get the display label of a phase
+     *
+     * @param string $phase Phase name.
+     * @return string
+     */
+    public function get_phase_label( $phase ) {
+        $labels = array(
+            'queued'           => __( 'Waiting to start', 'git-plugin-loader' ),
+            'validating'       => __( 'Checking repository', 'git-plugin-loader' ),
+            'cloning'          => __( 'Cloning', 'git-plugin-loader' ),
+            'fetching'         => __( 'Fetching', 'git-plugin-loader' ),
+            'resolving'        => __( 'Resolving version', 'git-plugin-loader' ),
+            'checking_changes' => __( 'Checking for local changes', 'git-plugin-loader' ),
+            'stashing'         => __( 'Saving local changes', 'git-plugin-loader' ),
+            'checking_out'     => __( 'Checking out', 'git-plugin-loader' ),
+            'resetting'        => __( 'Resetting', 'git-plugin-loader' ),
+            'pulling'          => __( 'Pulling', 'git-plugin-loader' ),
+            'downloading'      => __( 'Downloading release', 'git-plugin-loader' ),
+            'extracting'       => __( 'Extracting release', 'git-plugin-loader' ),
+            'finalizing'       => __( 'Finalizing', 'git-plugin-loader' ),
+            'post_sync'        => __( 'Running post-sync steps', 'git-plugin-loader' ),
+            'health_check'     => __( 'Running health check', 'git-plugin-loader' ),
+            'reverting'        => __( 'Reverting to previous commit', 'git-plugin-loader' ),
+            'completed'        => __( 'Completed', 'git-plugin-loader' ),
+            'failed'           => __( 'Failed', 'git-plugin-loader' ),
+            'interrupted'      => __( 'Interrupted', 'git-plugin-loader' ),
+        );
+
+        return isset( $labels[ $phase ] ) ? $labels[ $phase ] : $phase;
+    }
+
+    /**
+     * Finish the running job
+     *
+     * @param string $status  Final status (completed or failed).
+     * @param string $message Result message.
+     */
+    private function finish( $status, $message ) {
+        $this->current['status']   = $status;
+        $this->current['phase']    = $status;
+        $this->current['progress'] = '';
+        $this->current['message']  = $message;
+        $this->current['finished'] = time();
+
+        if ( 'failed' === $status ) {
+            $this->add_log_line( $message );
+        }
+
+        $this->flush( true );
+
+        if ( 'sync' === $this->current['type'] ) {
+            Git_Plugin_Loader::update_managed_plugin( $this->current['slug'], array( 'job_id' => '' ) );
+        }
+
+        $this->release_claim( $this->current );
+
+        $this->current = null;
+    }
+
+    /**
+     * Mark a job as interrupted and clean up after it
+     *
+     * @param array  $job     Job data.
+     * @param string $message Reason.
+     */
+    private function interrupt( $job, $message ) {
+        $phase = $job['phase'];
+
+        $job['status']   = 'interrupted';
+        $job['phase']    = 'interrupted';
+        $job['progress'] = '';
+        $job['message']  = $message;
+        $job['finished'] = time();
+        $job['log'][]    = $message;
+
+        $this->save_job( $job );
+        $this->release_claim( $job );
+
+        if ( ! $job['slug'] ) {
+            return;
+        }
+
+        // Manifest jobs add plugins or change existing ones
+        $adds = 'add' === $job['type'] || ( 'manifest' === $job['type'] && 'add' === $job['args']['item']['action'] );
+
+        if ( ! $adds ) {
+            $this->release_plugin( $job['slug'] );
+        } elseif ( in_array( $phase, array( 'cloning', 'downloading', 'extracting', 'finalizing' ), true ) ) {
+            $this->plugin_manager->discard_partial_clone( $job['slug'] );
+        }
+    }
+
+    /**
+     * Put a plugin stuck in the syncing status back into a usable state
+     *
+     * @param string $slug Plugin slug.
+     */
+    private function release_plugin( $slug ) {
+        $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
+
+        if ( is_dir( $plugin_path ) ) {
+            $this->git->clear_index_lock( $plugin_path );
+        }
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'status' => 'error',
+            'job_id' => '',
+        ) );
+    }
+
+    /**
+     * Append a line to the running job's log
+     *
+     * @param string $line Log line.
+     */
+    private function add_log_line( $line ) {
+        $this->current['log'][] = $line;
+
+        $overflow = count( $this->current['log'] ) - self::LOG_LIMIT;
+        if ( $overflow > 0 ) {
+            $this->current['log']         = array_slice( $this->current['log'], $overflow );
+            $this->current['log_offset'] += $overflow;
+        }
+    }
+
+    /**
+     * Save the running job, at most once per flush interval unless forced
+     *
+     * @param bool $force Save regardless of the interval.
+     */
+    private function flush( $force = false ) {
+        if ( ! $force && time() - $this->last_flush < self::FLUSH_INTERVAL ) {
+            return;
+        }
+
+        $this->current['updated'] = time();
+        $this->last_flush         = time();
+
+        $this->save_job( $this->current );
+    }
+
+    /**
+     * Get a job
+     *
+     * @param string $id Job ID.
+     * @return array|false
+     */
+    private function get_job( $id ) {
+        Git_Plugin_Loader::flush_option_cache( 'gpl_job_' . $id );
+
+        $job = Git_Plugin_Loader::get_option( 'gpl_job_' . $id );
+
+        return is_array( $job ) ? $job : false;
+    }
+
+    /**
+     * Save a job
+     *
+     * @param array $job Job data.
+     */
+    private function save_job( $job ) {
+        Git_Plugin_Loader::update_option( 'gpl_job_' . $job['id'], $job, false );
+    }
+
+    /**
+     * Delete a job
+     *
+     * @param string $id Job ID.
+     */
+    private function delete_job( $id ) {
+        Git_Plugin_Loader::delete_option( 'gpl_job_' . $id );
+        Git_Plugin_Loader::delete_option( 'gpl_job_lock_' . $id );
+    }
+
+    /**
+     * Get the IDs of all stored jobs
+     *
+     * @return string[]
+     */
+    private function get_job_ids() {
+        global $wpdb;
+
+        $pattern = $wpdb->esc_like( 'gpl_job_' ) . '%';
+
+        if ( Git_Plugin_Loader::is_network_active() ) {
+            $names = $wpdb->get_col( $wpdb->prepare(
+                "SELECT meta_key FROM {$wpdb->sitemeta} WHERE site_id = %d AND meta_key LIKE %s",
+                get_current_network_id(),
+                $pattern
+            ) );
+        } else {
+            $names = $wpdb->get_col( $wpdb->prepare(
+                "SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+                $pattern
+            ) );
+        }
+
+        $ids = array();
+        foreach ( $names as $name ) {
+            // Skip the run locks stored next to the jobs
+            if ( preg_match( '/^gpl_job_([a-z0-9]+)$/', $name, $matches ) ) {
+                $ids[] = $matches[1];
+            }
+        }
+
+        return $ids;
+    }
+
+    /**
+     * Make a job the active job of its plugin
+     *
+     * A claim left by a job that is no longer active is released and taken over.
+     *
+     * @param array $job Job data.
+     * @return array|false The plugin's other active job, or false if the claim was made.
+     */
+    private function claim( $job ) {
+        $option = 'gpl_active_job_' . $job['claim'];
+
+        for ( $attempt = 0; $attempt < 3; $attempt++ ) {
+            if ( Git_Plugin_Loader::add_lock( $option, $job['id'] ) ) {
+                return false;
+            }
+
+            $active = $this->get_active_job( $job['claim'] );
+            if ( $active ) {
+                return $active;
+            }
+
+            $this->release_claim( array(
+                'id'    => Git_Plugin_Loader::get_option( $option ),
+                'claim' => $job['claim'],
+            ) );
+        }
+
+        return $this->get_active_job( $job['claim'] );
+    }
+
+    /**
+     * Release a job's claim on its plugin, unless another job has taken it over
+     *
+     * @param array $job Job data.
+     */
+    private function release_claim( $job ) {
+        if ( empty( $job['claim'] ) ) {
+            return;
+        }
+
+        $option = 'gpl_active_job_' . $job['claim'];
+
+        Git_Plugin_Loader::flush_option_cache( $option );
+
+        if ( Git_Plugin_Loader::get_option( $option ) === $job['id'] ) {
+            Git_Plugin_Loader::delete_option( $option );
+        }
+    }
+}
@@ -0,0 +1,535 @@
+<?php
+/**
+ * Manifest Class
+ *
+ * Exports the managed plugin list to a JSON or YAML manifest and applies
+ * a manifest to recreate the same set of plugins on another site.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Manifest class
+ */
+class GPL_Manifest {
+
+    /**
+     * Manifest format version
+     *
+     * @var int
+     */
+    const VERSION = 1;
+
+    /**
+     * Plugin manager instance
+     *
+     * @var GPL_Plugin_Manager
+     */
+    private $plugin_manager;
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Plugin_Manager $plugin_manager Plugin manager instance.
+     */
+    public function __construct( GPL_Plugin_Manager $plugin_manager ) {
+        $this->plugin_manager = $plugin_manager;
+    }
+
+    /**
+     * Build the manifest of the managed plugins
+     *
+     * @return array
+     */
+    public function build() {
+        $entries = array();
+
+        foreach ( Git_Plugin_Loader::get_managed_plugins() as $slug => $plugin ) {
+            $entry = array(
+                'slug'          => $slug,
+                'repo_url'      => $plugin['repo_url'],
+                'provider'      => ! empty( $plugin['provider'] ) ? $plugin['provider'] : 'github',
+                'source'        => GPL_Releases::uses_releases( $plugin ) ? 'release' : 'git',
+                'branch'        => $plugin['branch'],
+                'pinned_commit' => $this->plugin_manager->get_pinned_commit( $plugin ),
+                'auto_sync'     => ! empty( $plugin['auto_sync'] ),
+            );
+
+            if ( 'release' === $entry['source'] ) {
+                $entry['release_asset']       = $plugin['release_asset'];
+                $entry['include_prereleases'] = ! empty( $plugin['include_prereleases'] );
+            } else {
+                $entry['version_constraint'] = ! empty( $plugin['version_constraint'] ) ? $plugin['version_constraint'] : '';
+            }
+
+            $entries[] = $entry;
+        }
+
+        return array(
+            'version'   => self::VERSION,
+            'generated' => gmdate( 'c' ),
+            'site'      => home_url( '/' ),
+            'plugins'   => $entries,
+        );
+    }
+
+    /**
+     * Encode a manifest
+     *
+     * @param array  $manifest Manifest data.
+     * @param string $format   json or yaml.
+     * @return string
+     */
+    public function encode( $manifest, $format = 'json' ) {
+        if ( 'yaml' !== $format ) {
+            return wp_json_encode( $manifest, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ) . "\n";
+        }
+
+        $lines = array();
+
+        foreach ( $manifest as $key => $value ) {
+            if ( 'plugins' !== $key ) {
+                $lines[] = $key . ': ' . $this->yaml_scalar( $value );
+                continue;
+            }
+
+            $lines[] = 'plugins:' . ( empty( $value ) ? ' []' : '' );
+
+            foreach ( $value as $entry ) {
+                $prefix = '  - ';
+                foreach ( $entry as $field => $field_value ) {
+                    $lines[] = $prefix . $field . ': ' . $this->yaml_scalar( $field_value );
+                    $prefix  = '    ';
+                }
+            }
+        }
+
+        return implode( "\n", $lines ) . "\n";
+    }
+
+    /**
+     * Parse a JSON or YAML manifest
+     *
+     * @param string $content Manifest contents.
+     * @return array|WP_Error Manifest with validated plugin entries.
+     */
+    public function parse( $content ) {
+        $content = trim( (string) $content );
+
+        if ( '' === $content ) {
+            return new WP_Error( 'empty_manifest', __( 'The manifest is empty.', 'git-plugin-loader' ) );
+        }
+
+        $manifest = '{' === $content[0] ? json_decode( $content, true ) : $this->parse_yaml( $content );
+
+        if ( ! is_array( $manifest ) || ! isset( $manifest['plugins'] ) || ! is_array( $manifest['plugins'] ) ) {
+            return new WP_Error( 'invalid_manifest', __( 'The manifest could not be read. Expected JSON or YAML with a "plugins" list.', 'git-plugin-loader' ) );
+        }
+
+        if ( isset( $manifest['version'] ) && (int) $manifest['version'] > self::VERSION ) {
+            return new WP_Error( 'unsupported_manifest', __( 'The manifest was created by a newer version of Git Plugin Loader.', 'git-plugin-loader' ) );
+        }
+
+        $entries = array();
+
+        foreach ( $manifest['plugins'] as $index => $entry ) {
+            $entry = $this->validate_entry( $entry );
+
+            if ( is_wp_error( $entry ) ) {
+                /* translators: 1: entry number, 2: error message */
+                return new WP_Error( 'invalid_entry', sprintf( __( 'Plugin entry %1$d: %2$s', 'git-plugin-loader' ), $index + 1, $entry->get_error_message() ) );
+            }
+
+            $entries[ $entry['slug'] ] = $entry;
+        }
+
+        $manifest['plugins'] = $entries;
+
+        return $manifest;
+    }
+
+    /**
+     * Compare a manifest with the managed plugins
+     *
+     * @param array $manifest       Parsed manifest.
+     * @param bool  $remove_missing Whether plugins missing from the manifest are removed.
+     * @return array Items with 'slug', 'action' (add, change, remove, unchanged or conflict), 'changes' and 'entry'.
+     */
+    public function diff( $manifest, $remove_missing = true ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        $items   = array();
+
+        foreach ( $manifest['plugins'] as $slug => $entry ) {
+            if ( ! isset( $plugins[ $slug ] ) ) {
+                $items[] = $this->item( $slug, 'add', array(), $entry );
+                continue;
+            }
+
+            $plugin = $plugins[ $slug ];
+
+            // The remote of an existing checkout can't be swapped in place
+            if ( $this->normalize_url( $plugin['repo_url'] ) !== $this->normalize_url( $entry['repo_url'] ) ) {
+                $items[] = $this->item( $slug, 'conflict', array(
+                    array(
+                        'field' => 'repo_url',
+                        'from'  => $plugin['repo_url'],
+                        'to'    => $entry['repo_url'],
+                    ),
+                ), $entry );
+                continue;
+            }
+
+            // Neither can a checkout be turned into a release install or back
+            $source = GPL_Releases::uses_releases( $plugin ) ? 'release' : 'git';
+            if ( $source !== $entry['source'] ) {
+                $items[] = $this->item( $slug, 'conflict', array(
+                    array(
+                        'field' => 'source',
+                        'from'  => $source,
+                        'to'    => $entry['source'],
+                    ),
+                ), $entry );
+                continue;
+            }
+
+            // Plugins installed from releases follow the newest release, not a branch
+            if ( 'release' === $source ) {
+                $current = array(
+                    'release_asset'       => $plugin['release_asset'],
+                    'include_prereleases' => ! empty( $plugin['include_prereleases'] ),
+                    'auto_sync'           => ! empty( $plugin['auto_sync'] ),
+                );
+            } else {
+                $current = array(
+                    'branch'             => $plugin['branch'],
+                    'version_constraint' => ! empty( $plugin['version_constraint'] ) ? $plugin['version_constraint'] : '',
+                    'pinned_commit'      => $this->plugin_manager->get_pinned_commit( $plugin ),
+                    'auto_sync'          => ! empty( $plugin['auto_sync'] ),
+                );
+
+                // The tag a constraint resolves to may differ between sites
+                if ( $entry['version_constraint'] ) {
+                    unset( $current['branch'] );
+                }
+            }
+            $changes = array();
+
+            foreach ( $current as $field => $value ) {
+                if ( 'pinned_commit' === $field ? ! $this->same_commit( $value, $entry[ $field ] ) : $value !== $entry[ $field ] ) {
+                    $changes[] = array(
+                        'field' => $field,
+                        'from'  => $value,
+                        'to'    => $entry[ $field ],
+                    );
+                }
+            }
+
+            $items[] = $this->item( $slug, $changes ? 'change' : 'unchanged', $changes, $entry );
+        }
+
+        if ( $remove_missing ) {
+            foreach ( array_diff_key( $plugins, $manifest['plugins'] ) as $slug => $plugin ) {
+                $items[] = $this->item( $slug, 'remove', array(), null );
+            }
+        }
+
+        return $items;
+    }
+
+    /**
+     * Count diff items by action
+     *
+     * @param array $items Diff items.
+     * @return array
+     */
+    public function count( $items ) {
+        $counts = array_fill_keys( array( 'add', 'change', 'remove', 'unchanged', 'conflict' ), 0 );
+
+        foreach ( $items as $item ) {
+            $counts[ $item['action'] ]++;
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Apply one diff item
+     *
+     * Removing a plugin only stops managing it, its files are kept.
+     *
+     * @param array $item Diff item.
+     * @return array|bool|WP_Error Plugin data, true for removals, or WP_Error.
+     */
+    public function apply_item( $item ) {
+        $slug  = $item['slug'];
+        $entry = $item['entry'];
+
+        switch ( $item['action'] ) {
+            case 'add':
+                $release = 'release' === $entry['source'] ? array(
+                    'asset'       => $entry['release_asset'],
+                    'prereleases' => $entry['include_prereleases'],
+                ) : null;
+
+                $result = $this->plugin_manager->add_plugin( $entry['repo_url'], $entry['branch'], $slug, $entry['provider'], $release, $entry['version_constraint'] );
+                if ( is_wp_error( $result ) ) {
+                    return $result;
+                }
+                break;
+
+            case 'change':
+                foreach ( $item['changes'] as $change ) {
+                    $result = null;
+
+                    if ( 'branch' === $change['field'] ) {
+                        $result = $this->plugin_manager->change_branch( $slug, $entry['branch'] );
+                    } elseif ( 'version_constraint' === $change['field'] ) {
+                        $result = $this->plugin_manager->set_version_constraint( $slug, $entry['version_constraint'] );
+                    } elseif ( in_array( $change['field'], array( 'release_asset', 'include_prereleases' ), true ) ) {
+                        $result = $this->plugin_manager->set_release_options( $slug, $entry['release_asset'], $entry['include_prereleases'] );
+                    }
+
+                    if ( is_wp_error( $result ) ) {
+                        return $result;
+                    }
+                }
+                break;
+
+            case 'remove':
+                return $this->plugin_manager->remove_plugin( $slug, false );
+
+            case 'conflict':
+                if ( 'source' === $item['changes'][0]['field'] ) {
+                    return new WP_Error( 'source_mismatch', __( 'The plugin is installed from a different source. Remove it and add it again to switch between Git and releases.', 'git-plugin-loader' ) );
+                }
+                return new WP_Error( 'repo_mismatch', __( 'The plugin is managed from a different repository. Remove it and add it again to switch repositories.', 'git-plugin-loader' ) );
+
+            default:
+                return Git_Plugin_Loader::get_managed_plugins()[ $slug ];
+        }
+
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! empty( $plugins[ $slug ]['auto_sync'] ) !== $entry['auto_sync'] ) {
+            $this->plugin_manager->toggle_auto_sync( $slug, $entry['auto_sync'] );
+        }
+
+        $pinned = $this->plugin_manager->get_pinned_commit( $plugins[ $slug ] );
+
+        if ( $entry['pinned_commit'] && ! $this->same_commit( $pinned, $entry['pinned_commit'] ) ) {
+            return $this->plugin_manager->pin_commit( $slug, $entry['pinned_commit'] );
+        }
+
+        // Syncing to the branch head releases a pin the manifest doesn't have
+        if ( ! $entry['pinned_commit'] && $pinned ) {
+            return $this->plugin_manager->sync_plugin( $slug );
+        }
+
+        return Git_Plugin_Loader::get_managed_plugins()[ $slug ];
+    }
+
+    /**
+     * Validate a manifest plugin entry
+     *
+     * @param mixed $entry Raw entry.
+     * @return array|WP_Error
+     */
+    private function validate_entry( $entry ) {
+        if ( ! is_array( $entry ) || empty( $entry['repo_url'] ) ) {
+            return new WP_Error( 'missing_url', __( 'Repository URL is required.', 'git-plugin-loader' ) );
+        }
+
+        // esc_url_raw() would drop SSH URLs, which have no scheme
+        $url = GPL_Git::is_ssh_url( $entry['repo_url'] ) ? sanitize_text_field( $entry['repo_url'] ) : esc_url_raw( $entry['repo_url'] );
+        if ( ! $url ) {
+            return new WP_Error( 'invalid_url', __( 'Invalid repository URL.', 'git-plugin-loader' ) );
+        }
+
+        $slug = ! empty( $entry['slug'] ) ? sanitize_file_name( $entry['slug'] ) : sanitize_file_name( basename( untrailingslashit( $url ), '.git' ) );
+        $pin  = ! empty( $entry['pinned_commit'] ) ? strtolower( $entry['pinned_commit'] ) : '';
+
+        if ( $pin && ! preg_match( '/^[0-9a-f]{7,40}$/', $pin ) ) {
+            return new WP_Error( 'invalid_commit', __( 'Invalid commit hash.', 'git-plugin-loader' ) );
+        }
+
+        $source     = isset( $entry['source'] ) && 'release' === $entry['source'] ? 'release' : 'git';
+        $constraint = isset( $entry['version_constraint'] ) ? trim( sanitize_text_field( (string) $entry['version_constraint'] ) ) : '';
+
+        if ( $constraint && ! GPL_Version_Constraint::is_valid( $constraint ) ) {
+            return GPL_Version_Constraint::parse( $constraint );
+        }
+
+        return array(
+            'slug'                => $slug,
+            'repo_url'            => $url,
+            'provider'            => ! empty( $entry['provider'] ) ? sanitize_key( $entry['provider'] ) : '',
+            'source'              => $source,
+            'branch'              => ! empty( $entry['branch'] ) ? sanitize_text_field( $entry['branch'] ) : 'main',
+            'version_constraint'  => 'release' === $source ? '' : $constraint,
+            'pinned_commit'       => $pin,
+            'auto_sync'           => ! empty( $entry['auto_sync'] ) && 'false' !== $entry['auto_sync'],
+            'release_asset'       => ! empty( $entry['release_asset'] ) ? sanitize_text_field( $entry['release_asset'] ) : '',
+            'include_prereleases' => ! empty( $entry['include_prereleases'] ) && 'false' !== $entry['include_prereleases'],
+        );
+    }
+
+    /**
+     * Build a diff item
+     *
+     * @param string     $slug    Plugin slug.
+     * @param string     $action  Diff action.
+     * @param array      $changes Changed fields.
+     * @param array|null $entry   Manifest entry.
+     * @return array
+     */
+    private function item( $slug, $action, $changes, $entry ) {
+        return array(
+            'slug'    => $slug,
+            'action'  => $action,
+            'changes' => $changes,
+            'entry'   => $entry,
+        );
+    }
+
+    /**
+     * Check whether two commit hashes refer to the same commit
+     *
+     * Manifests may use abbreviated hashes.
+     *
+     * @param string $a Commit hash or empty string.
+     * @param string $b Commit hash or empty string.
+     * @return bool
+     */
+    private function same_commit( $a, $b ) {
+        if ( '' === $a || '' === $b ) {
+            return $a === $b;
+        }
+
+        return 0 === strpos( $a, $b ) || 0 === strpos( $b, $a );
+    }
+
+    /**
+     * Normalize a repository URL for comparison
+     *
+     * @param string $url Repository URL.
+     * @return string
+     */
+    private function normalize_url( $url ) {
+        return strtolower( preg_replace( '/\.git$/', '', untrailingslashit( trim( $url ) ) ) );
+    }
+
+    /**
+     * Format a value as a YAML scalar
+     *
+     * @param mixed $value Value.
+     * @return string
+     */
+    private function yaml_scalar( $value ) {
+        if ( is_bool( $value ) ) {
+            return $value ? 'true' : 'false';
+        }
+
+        if ( is_int( $value ) ) {
+            return (string) $value;
+        }
+
+        // A JSON string is a valid double quoted YAML string
+        return wp_json_encode( (string) $value, JSON_UNESCAPED_SLASHES );
+    }
+
+    /**
+     * Parse the YAML subset written by encode()
+     *
+     * Supports top-level scalars and a "plugins" list of flat mappings.
+     *
+     * @param string $content YAML content.
+     * @return array|null
+     */
+    private function parse_yaml( $content ) {
+        $data  = array();
+        $list  = null;
+        $index = -1;
+
+        foreach ( preg_split( '/\r\n|\r|\n/', $content ) as $line ) {
+            if ( '' === trim( $line ) || '#' === ltrim( $line )[0] || '---' === trim( $line ) ) {
+                continue;
+            }
+
+            if ( ! preg_match( '/^(\s*)(- )?([\w-]+):\s*(.*)$/', $line, $matches ) ) {
+                return null;
+            }
+
+            list( , $indent, $dash, $key, $value ) = $matches;
+
+            if ( '' === $indent && '' === $dash ) {
+                $list = null;
+
+                if ( '' === $value || '[]' === $value ) {
+                    $list         = $key;
+                    $data[ $key ] = array();
+                    continue;
+                }
+
+                $data[ $key ] = $this->yaml_value( $value );
+                continue;
+            }
+
+            if ( null === $list ) {
+                return null;
+            }
+
+            if ( $dash ) {
+                $index++;
+            }
+
+            if ( $index < 0 ) {
+                return null;
+            }
+
+            $data[ $list ][ $index ][ $key ] = $this->yaml_value( $value );
+        }
+
+        return $data;
+    }
+
+    /**
+     * Convert a YAML scalar to a PHP value
+     *
+     * @param string $value Raw scalar.
+     * @return mixed
+     */
+    private function yaml_value( $value ) {
+        $value = trim( $value );
+
+        if ( '' !== $value && '"' === $value[0] ) {
+            return json_decode( $value );
+        }
+
+        if ( '' !== $value && "'" === $value[0] ) {
+            return str_replace( "''", "'", substr( $value, 1, -1 ) );
+        }
+
+        // Strip trailing comments from plain scalars
+        $value = trim( preg_replace( '/\s+#.*$/', '', $value ) );
+        $lower = strtolower( $value );
+
+        if ( in_array( $lower, array( 'true', 'yes', 'on' ), true ) ) {
+            return true;
+        }
+
+        if ( in_array( $lower, array( 'false', 'no', 'off' ), true ) ) {
+            return false;
+        }
+
+        if ( in_array( $lower, array( 'null', '~', '' ), true ) ) {
+            return '';
+        }
+
+        return is_numeric( $value ) ? $value + 0 : $value;
+    }
+}
@@ -0,0 +1,351 @@
+<?php
+/**
+ * Notifications Class
+ *
+ * Tells site owners about available updates, auto-syncs and problems found
+ * by the scheduled tasks, by email digest and/or an incoming webhook.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Notifications class
+ */
+class GPL_Notifications {
+
+    /**
+     * Option holding when each notification was last sent
+     *
+     * @var string
+     */
+    const OPTION_SENT = 'gpl_notifications_sent';
+
+    /**
+     * Default number of hours before the same notification is sent again
+     *
+     * @var int
+     */
+    const DEFAULT_THROTTLE = 24;
+
+    /**
+     * Get the labels of the events that can be notified
+     *
+     * @return array
+     */
+    public static function get_events() {
+        return array(
+            'update_available' => __( 'Update available', 'git-plugin-loader' ),
+            'sync_succeeded'   => __( 'Auto-sync succeeded', 'git-plugin-loader' ),
+            'sync_failed'      => __( 'Sync failed', 'git-plugin-loader' ),
+            'local_changes'    => __( 'Plugin has local changes', 'git-plugin-loader' ),
+        );
+    }
+
+    /**
+     * Notify about the plugins an update check left with an update or local changes
+     */
+    public function notify_checked() {
+        $notifications = array();
+
+        foreach ( Git_Plugin_Loader::get_managed_plugins() as $slug => $plugin ) {
+            $status = isset( $plugin['status'] ) ? $plugin['status'] : '';
+
+            if ( 'update_available' === $status ) {
+                $version = ! empty( $plugin['remote_version'] ) ? $plugin['remote_version'] : substr( (string) $plugin['remote_commit'], 0, 7 );
+
+                /* translators: %s: version or short commit hash */
+                $notifications[] = $this->build( 'update_available', $slug, $plugin, sprintf( __( '%s is available.', 'git-plugin-loader' ), $version ), $version );
+            } elseif ( 'local_changes' === $status ) {
+                $notifications[] = $this->build( 'local_changes', $slug, $plugin, __( 'Files were changed on the server. Auto-sync skips the plugin until the changes are stashed or discarded.', 'git-plugin-loader' ) );
+            }
+        }
+
+        $this->send( $notifications );
+    }
+
+    /**
+     * Notify about the outcome of an auto-sync run
+     *
+     * @param array $results Sync results keyed by plugin slug.
+     * @param array $before  Managed plugins as they were before the run.
+     */
+    public function notify_synced( $results, $before ) {
+        $plugins       = Git_Plugin_Loader::get_managed_plugins();
+        $notifications = array();
+
+        foreach ( $results as $slug => $result ) {
+            $plugin = isset( $plugins[ $slug ] ) ? $plugins[ $slug ] : ( isset( $before[ $slug ] ) ? $before[ $slug ] : array() );
+
+            if ( is_wp_error( $result ) ) {
+                if ( 'local_changes' === $result->get_error_code() ) {
+                    $notifications[] = $this->build( 'local_changes', $slug, $plugin, __( 'Files were changed on the server. Auto-sync skips the plugin until the changes are stashed or discarded.', 'git-plugin-loader' ) );
+                } else {
+                    // The same error again is the same notification
+                    $notifications[] = $this->build( 'sync_failed', $slug, $plugin, $result->get_error_message(), $result->get_error_message() );
+                }
+                continue;
+            }
+
+            // Syncing a plugin that was already up to date is not news
+            $key  = GPL_Releases::uses_releases( $result ) ? 'installed_version' : 'local_commit';
+            $from = isset( $before[ $slug ][ $key ] ) ? $before[ $slug ][ $key ] : '';
+            $to   = isset( $result[ $key ] ) ? $result[ $key ] : '';
+
+            if ( $to && $to !== $from ) {
+                $version = 'local_commit' === $key ? substr( $to, 0, 7 ) : $to;
+
+                /* translators: %s: version or short commit hash */
+                $notifications[] = $this->build( 'sync_succeeded', $slug, $plugin, sprintf( __( 'Synced to %s.', 'git-plugin-loader' ), $version ), $to );
+            }
+        }
+
+        $this->send( $notifications );
+    }
+
+    /**
+     * Send a test notification through every configured channel
+     *
+     * @return true|WP_Error
+     */
+    public function send_test() {
+        if ( ! $this->has_channel() ) {
+            return new WP_Error( 'no_channel', __( 'Enable the email digest or enter a webhook URL first.', 'git-plugin-loader' ) );
+        }
+
+        $notification = array(
+            'event'   => 'test',
+            'slug'    => '',
+            'name'    => __( 'Git Plugin Loader', 'git-plugin-loader' ),
+            'message' => __( 'This is a test notification.', 'git-plugin-loader' ),
+        );
+
+        return $this->deliver( array( $notification ) );
+    }
+
+    /**
+     * Build a notification
+     *
+     * @param string $event       Event key.
+     * @param string $slug        Plugin slug.
+     * @param array  $plugin      Plugin data.
+     * @param string $message     Message.
+     * @param string $fingerprint What makes this notification differ from earlier ones of the same event.
+     * @return array
+     */
+    private function build( $event, $slug, $plugin, $message, $fingerprint = '' ) {
+        return array(
+            'event'       => $event,
+            'slug'        => $slug,
+            'name'        => ! empty( $plugin['wp_plugin_name'] ) ? $plugin['wp_plugin_name'] : $slug,
+            'message'     => $message,
+            'fingerprint' => md5( $fingerprint ),
+        );
+    }
+
+    /**
+     * Send the notifications that are enabled and not throttled
+     *
+     * Each channel is throttled on its own, so a channel that fails, such as
+     * email on a host without mail set up, doesn't make the others repeat themselves.
+     *
+     * @param array $notifications Notifications.
+     */
+    private function send( $notifications ) {
+        $channels = $this->get_channels();
+
+        if ( ! $notifications || ! $channels ) {
+            return;
+        }
+
+        $settings = Git_Plugin_Loader::get_settings();
+        $events   = isset( $settings['notify_events'] ) ? (array) $settings['notify_events'] : array_keys( self::get_events() );
+        $muted    = isset( $settings['notify_muted'] ) ? (array) $settings['notify_muted'] : array();
+        $throttle = ! empty( $settings['notify_throttle_hours'] ) ? (int) $settings['notify_throttle_hours'] : self::DEFAULT_THROTTLE;
+        $cutoff   = time() - $throttle * HOUR_IN_SECONDS;
+        $sent     = Git_Plugin_Loader::get_option( self::OPTION_SENT, array() );
+        $sent_now = false;
+
+        // Forget notifications older than the throttle window
+        $sent = array_filter( $sent, function( $entry ) use ( $cutoff ) {
+            return $entry['time'] >= $cutoff;
+        } );
+
+        foreach ( $channels as $channel ) {
+            $due   = array();
+            $marks = array();
+
+            foreach ( $notifications as $notification ) {
+                $key = $channel . ':' . $notification['event'] . ':' . $notification['slug'];
+
+                if ( ! in_array( $notification['event'], $events, true ) || in_array( $notification['slug'], $muted, true ) ) {
+                    continue;
+                }
+
+                // Something that keeps happening is only reported once per window
+                if ( isset( $sent[ $key ] ) && $sent[ $key ]['fingerprint'] === $notification['fingerprint'] ) {
+                    continue;
+                }
+
+                $due[]         = $notification;
+                $marks[ $key ] = array(
+                    'fingerprint' => $notification['fingerprint'],
+                    'time'        => time(),
+                );
+            }
+
+            if ( $due && true === $this->deliver_to( $channel, $due ) ) {
+                $sent     = array_merge( $sent, $marks );
+                $sent_now = true;
+            }
+        }
+
+        if ( $sent_now ) {
+            Git_Plugin_Loader::update_option( self::OPTION_SENT, $sent, false );
+        }
+    }
+
+    /**
+     * Send notifications through every configured channel
+     *
+     * @param array $notifications Notifications.
+     * @return true|WP_Error The last error, if any channel failed.
+     */
+    private function deliver( $notifications ) {
+        $error = null;
+
+        foreach ( $this->get_channels() as $channel ) {
+            $result = $this->deliver_to( $channel, $notifications );
+
+            if ( is_wp_error( $result ) ) {
+                $error = $result;
+            }
+        }
+
+        return $error ? $error : true;
+    }
+
+    /**
+     * Send notifications through one channel
+     *
+     * @param string $channel       Channel, 'email' or 'webhook'.
+     * @param array  $notifications Notifications.
+     * @return true|WP_Error
+     */
+    private function deliver_to( $channel, $notifications ) {
+        $text = $this->format( $notifications );
+
+        if ( 'email' === $channel ) {
+            $subject = sprintf(
+                /* translators: 1: site name, 2: number of notifications */
+                _n( '[%1$s] %2$d Git Plugin Loader notification', '[%1$s] %2$d Git Plugin Loader notifications', count( $notifications ), 'git-plugin-loader' ),
+                wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
+                count( $notifications )
+            );
+
+            if ( ! wp_mail( $this->get_recipients(), $subject, $text ) ) {
+                return new WP_Error( 'mail_failed', __( 'The notification email could not be sent.', 'git-plugin-loader' ) );
+            }
+
+            return true;
+        }
+
+        // Slack and Teams incoming webhooks both accept a plain "text" message
+        $response = wp_remote_post( Git_Plugin_Loader::decrypt( Git_Plugin_Loader::get_settings( 'notify_webhook_url' ) ), array(
+            'timeout' => 15,
+            'headers' => array( 'Content-Type' => 'application/json' ),
+            'body'    => wp_json_encode( array( 'text' => $text ) ),
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        if ( wp_remote_retrieve_response_code( $response ) >= 300 ) {
+            return new WP_Error( 'webhook_failed', sprintf(
+                /* translators: %d: HTTP status code */
+                __( 'The notification webhook responded with HTTP %d.', 'git-plugin-loader' ),
+                wp_remote_retrieve_response_code( $response )
+            ) );
+        }
+
+        return true;
+    }
+
+    /**
+     * Format notifications as a plain text digest grouped by event
+     *
+     * @param array $notifications Notifications.
+     * @return string
+     */
+    private function format( $notifications ) {
+        $labels = self::get_events();
+        $groups = array();
+
+        foreach ( $notifications as $notification ) {
+            $groups[ $notification['event'] ][] = '- ' . $notification['name'] . ': ' . $notification['message'];
+        }
+
+        /* translators: %s: site URL */
+        $lines = array( sprintf( __( 'Git Plugin Loader on %s', 'git-plugin-loader' ), home_url( '/' ) ), '' );
+
+        foreach ( $groups as $event => $items ) {
+            if ( isset( $labels[ $event ] ) ) {
+                $lines[] = $labels[ $event ];
+            }
+            $lines   = array_merge( $lines, $items );
+            $lines[] = '';
+        }
+
+        /* translators: %s: admin page URL */
+        $lines[] = sprintf( __( 'Manage plugins: %s', 'git-plugin-loader' ), Git_Plugin_Loader::get_admin_page_url() );
+
+        return implode( "\n", $lines );
+    }
+
+    /**
+     * Get the email digest recipients
+     *
+     * @return array
+     */
+    private function get_recipients() {
+        $recipients = Git_Plugin_Loader::get_settings( 'notify_email_to' );
+        $recipients = array_filter( array_map( 'trim', explode( ',', (string) $recipients ) ), 'is_email' );
+
+        return $recipients ? $recipients : array( get_option( 'admin_email' ) );
+    }
+
+    /**
+     * Check whether notifications have somewhere to go
+     *
+     * @return bool
+     */
+    private function has_channel() {
+        return (bool) $this->get_channels();
+    }
+
+    /**
+     * Get the channels notifications are sent through
+     *
+     * @return array
+     */
+    private function get_channels() {
+        $settings = Git_Plugin_Loader::get_settings();
+        $channels = array();
+
+        if ( ! empty( $settings['notify_email'] ) ) {
+            $channels[] = 'email';
+        }
+
+        // An undecryptable URL has nowhere to go
+        if ( ! empty( $settings['notify_webhook_url'] ) && Git_Plugin_Loader::decrypt( $settings['notify_webhook_url'] ) ) {
+            $channels[] = 'webhook';
+        }
+
+        return $channels;
+    }
+}
@@ -0,0 +1,194 @@
+<?php
+/**
+ * Permissions Class
+ *
+ * Defines the capabilities that control who can view, check, sync and manage
+ * Git plugins, and maps them to roles. Administrators always have all of them,
+ * except on a network, where they are left to super admins.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Permissions class
+ */
+class GPL_Permissions {
+
+    /**
+     * See the managed plugins, their changes and history
+     *
+     * @var string
+     */
+    const VIEW = 'gpl_view_plugins';
+
+    /**
+     * Check the managed plugins for updates
+     *
+     * @var string
+     */
+    const CHECK = 'gpl_check_updates';
+
+    /**
+     * Sync, roll back, pin or switch the branch of plugins, and review sync requests
+     *
+     * @var string
+     */
+    const SYNC = 'gpl_sync_plugins';
+
+    /**
+     * Add and remove repositories, and change how they are synced and exported
+     *
+     * @var string
+     */
+    const MANAGE = 'gpl_manage_repos';
+
+    /**
+     * Change the plugin settings
+     *
+     * @var string
+     */
+    const SETTINGS = 'gpl_manage_settings';
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        add_filter( 'user_has_cap', array( $this, 'grant_to_administrators' ), 10, 1 );
+    }
+
+    /**
+     * Get the labels of the capabilities
+     *
+     * @return array
+     */
+    public static function get_capabilities() {
+        return array(
+            self::VIEW     => __( 'View plugins', 'git-plugin-loader' ),
+            self::CHECK    => __( 'Check for updates', 'git-plugin-loader' ),
+            self::SYNC     => __( 'Sync plugins', 'git-plugin-loader' ),
+            self::MANAGE   => __( 'Manage repositories', 'git-plugin-loader' ),
+            self::SETTINGS => __( 'Change settings', 'git-plugin-loader' ),
+        );
+    }
+
+    /**
+     * Give users who can manage options every capability, whatever their role has
+     *
+     * On a network the plugins are shared by every site, so only super admins, who
+     * never reach this filter, may change them. Site administrators can only look.
+     *
+     * @param array $allcaps Capabilities of the user.
+     * @return array
+     */
+    public function grant_to_administrators( $allcaps ) {
+        if ( Git_Plugin_Loader::is_network_active() ) {
+            $allcaps = array_diff_key( $allcaps, self::get_capabilities() );
+
+            if ( ! empty( $allcaps['manage_options'] ) ) {
+                $allcaps[ self::VIEW ] = true;
+            }
+
+            return $allcaps;
+        }
+
+        if ( ! empty( $allcaps['manage_options'] ) ) {
+            foreach ( array_keys( self::get_capabilities() ) as $cap ) {
+                $allcaps[ $cap ] = true;
+            }
+        }
+
+        return $allcaps;
+    }
+
+    /**
+     * Get the roles that capabilities can be assigned to
+     *
+     * Roles that can manage options are left out, as they have every capability anyway.
+     *
+     * @return array Role names keyed by role.
+     */
+    public static function get_roles() {
+        $roles = array();
+
+        foreach ( wp_roles()->roles as $role => $details ) {
+            if ( empty( $details['capabilities']['manage_options'] ) ) {
+                $roles[ $role ] = translate_user_role( $details['name'] );
+            }
+        }
+
+        return $roles;
+    }
+
+    /**
+     * Get the capabilities each assignable role has
+     *
+     * @return array Capability lists keyed by role.
+     */
+    public static function get_role_capabilities() {
+        $map = array();
+
+        foreach ( array_keys( self::get_roles() ) as $role ) {
+            $object       = get_role( $role );
+            $map[ $role ] = array();
+
+            foreach ( array_keys( self::get_capabilities() ) as $cap ) {
+                if ( $object && $object->has_cap( $cap ) ) {
+                    $map[ $role ][] = $cap;
+                }
+            }
+        }
+
+        return $map;
+    }
+
+    /**
+     * Grant and revoke capabilities so each assignable role has exactly the given ones
+     *
+     * Any capability implies viewing the plugins, since every other action starts there.
+     *
+     * @param array $map Capability lists keyed by role. Roles left out lose every capability.
+     */
+    public static function set_role_capabilities( $map ) {
+        $caps = array_keys( self::get_capabilities() );
+
+        foreach ( array_keys( self::get_roles() ) as $role ) {
+            $object = get_role( $role );
+            if ( ! $object ) {
+                continue;
+            }
+
+            $granted = isset( $map[ $role ] ) ? array_intersect( $caps, (array) $map[ $role ] ) : array();
+            if ( $granted ) {
+                $granted[] = self::VIEW;
+            }
+
+            foreach ( $caps as $cap ) {
+                if ( in_array( $cap, $granted, true ) ) {
+                    $object->add_cap( $cap );
+                } elseif ( $object->has_cap( $cap ) ) {
+                    $object->remove_cap( $cap );
+                }
+            }
+        }
+    }
+
+    /**
+     * Get which capabilities the current user has, keyed the way admin.js expects
+     *
+     * @return array
+     */
+    public static function get_current_user_capabilities() {
+        return array(
+            'view'     => current_user_can( self::VIEW ),
+            'check'    => current_user_can( self::CHECK ),
+            'sync'     => current_user_can( self::SYNC ),
+            'manage'   => current_user_can( self::MANAGE ),
+            'settings' => current_user_can( self::SETTINGS ),
+        );
+    }
+}
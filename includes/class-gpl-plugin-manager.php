@@ -17,6 +17,27 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class GPL_Plugin_Manager {
 
+    /**
+     * Maximum number of sync history entries kept per plugin
+     *
+     * @var int
+     */
+    const SYNC_HISTORY_LIMIT = 20;
+
+    /**
+     * Maximum number of network sites looked at for plugin activations
+     *
+     * @var int
+     */
+    const MAX_NETWORK_SITES = 500;
+
+    /**
+     * Site transient caching where on the network the managed plugins are active
+     *
+     * @var string
+     */
+    const TRANSIENT_NETWORK_ACTIVATIONS = 'gpl_network_activations';
+
     /**
      * Git operations handler
      *
@@ -25,47 +46,236 @@ class GPL_Plugin_Manager {
     private $git;
 
     /**
-     * GitHub API handler
+     * Repository providers registry
+     *
+     * @var GPL_Providers
+     */
+    private $providers;
+
+    /**
+     * GitHub Releases installer
      *
-     * @var GPL_GitHub_API
+     * @var GPL_Releases
      */
-    private $github_api;
+    private $releases;
+
+    /**
+     * Callback receiving progress phases of add and sync operations
+     *
+     * @var callable|null
+     */
+    private $progress_handler = null;
+
+    /**
+     * Post-sync health check
+     *
+     * @var GPL_Health_Check
+     */
+    private $health_check;
+
+    /**
+     * Activity log
+     *
+     * @var GPL_Activity_Log
+     */
+    private $activity_log;
 
     /**
      * Constructor
      *
-     * @param GPL_Git        $git        Git operations handler.
-     * @param GPL_GitHub_API $github_api GitHub API handler.
+     * @param GPL_Git          $git          Git operations handler.
+     * @param GPL_Providers    $providers    Repository providers registry.
+     * @param GPL_Releases     $releases     GitHub Releases installer.
+     * @param GPL_Health_Check $health_check Post-sync health check.
+     * @param GPL_Activity_Log $activity_log Activity log.
+     */
+    public function __construct( GPL_Git $git, GPL_Providers $providers, GPL_Releases $releases, GPL_Health_Check $health_check, GPL_Activity_Log $activity_log ) {
+        $this->git          = $git;
+        $this->providers    = $providers;
+        $this->releases     = $releases;
+        $this->health_check = $health_check;
+        $this->activity_log = $activity_log;
+
+        add_action( 'activated_plugin', array( __CLASS__, 'flush_network_activations' ) );
+        add_action( 'deactivated_plugin', array( __CLASS__, 'flush_network_activations' ) );
+
+        // New sites start with their own plugins active, deleted sites take theirs along
+        add_action( 'wp_initialize_site', array( __CLASS__, 'flush_network_activations' ) );
+        add_action( 'wp_uninitialize_site', array( __CLASS__, 'flush_network_activations' ) );
+    }
+
+    /**
+     * Set a callback receiving progress phases
+     *
+     * The callback gets the phase name and an array of context data.
+     *
+     * @param callable|null $handler Callback, or null to stop reporting.
+     */
+    public function set_progress_handler( $handler ) {
+        $this->progress_handler = $handler;
+    }
+
+    /**
+     * Report the current phase to the progress handler
+     *
+     * @param string $phase   Phase name.
+     * @param array  $context Optional context data.
+     */
+    private function report_phase( $phase, $context = array() ) {
+        if ( $this->progress_handler ) {
+            call_user_func( $this->progress_handler, $phase, $context );
+        }
+    }
+
+    /**
+     * Get the repository providers registry
+     *
+     * @return GPL_Providers
+     */
+    public function get_providers() {
+        return $this->providers;
+    }
+
+    /**
+     * Resolve the provider and repository info for a URL
+     *
+     * @param string $url         Repository URL.
+     * @param string $provider_id Optional provider ID; detected from the URL when empty.
+     * @return array|WP_Error Array with 'provider' and 'repo' keys.
+     */
+    public function resolve_repo( $url, $provider_id = '' ) {
+        if ( $provider_id ) {
+            $provider = $this->providers->get( $provider_id );
+            if ( ! $provider ) {
+                return new WP_Error( 'invalid_provider', __( 'Unknown repository provider.', 'git-plugin-loader' ) );
+            }
+        } else {
+            $provider = $this->providers->detect( $url );
+        }
+
+        $repo_info = $provider ? $provider->parse_repo_url( $url ) : false;
+        if ( ! $repo_info ) {
+            return new WP_Error( 'invalid_url', __( 'Invalid repository URL.', 'git-plugin-loader' ) );
+        }
+
+        return array(
+            'provider' => $provider,
+            'repo'     => $repo_info,
+        );
+    }
+
+    /**
+     * Get repository details for the add plugin form
+     *
+     * @param string $url         Repository URL.
+     * @param string $provider_id Optional provider ID.
+     * @return array|WP_Error
+     */
+    public function inspect_repo( $url, $provider_id = '' ) {
+        $resolved = $this->resolve_repo( $url, $provider_id );
+        if ( is_wp_error( $resolved ) ) {
+            return $resolved;
+        }
+
+        $provider  = $resolved['provider'];
+        $repo_info = $resolved['repo'];
+        $repo_data = $provider->get_repo( $repo_info );
+
+        if ( false === $repo_data ) {
+            $error = $provider->get_last_error();
+            if ( empty( $error ) ) {
+                $error = __( 'Repository not found or not accessible.', 'git-plugin-loader' );
+            }
+            return new WP_Error( 'repo_not_found', $error );
+        }
+
+        return array(
+            'provider'       => $provider->get_id(),
+            'provider_label' => $provider->get_label(),
+            'host'           => $repo_info['host'],
+            'owner'          => $repo_info['owner'],
+            'repo'           => $repo_info['repo'],
+            'is_private'     => $repo_data['is_private'],
+            'default_branch' => $repo_data['default_branch'],
+        );
+    }
+
+    /**
+     * Get branches and tags of a repository that isn't managed yet
+     *
+     * @param string $url         Repository URL.
+     * @param string $provider_id Optional provider ID.
+     * @return array|WP_Error
      */
-    public function __construct( GPL_Git $git, GPL_GitHub_API $github_api ) {
-        $this->git        = $git;
-        $this->github_api = $github_api;
+    public function get_remote_refs( $url, $provider_id = '' ) {
+        $resolved = $this->resolve_repo( $url, $provider_id );
+        if ( is_wp_error( $resolved ) ) {
+            return $resolved;
+        }
+
+        $provider = $resolved['provider'];
+        $branches = $provider->get_branches( $resolved['repo'] );
+        $tags     = $provider->get_tags( $resolved['repo'] );
+
+        if ( false === $branches ) {
+            return new WP_Error( 'api_error', $provider->get_last_error() );
+        }
+
+        return array(
+            'provider' => $provider->get_id(),
+            'branches' => $branches,
+            'tags'     => $tags ? $tags : array(),
+        );
     }
 
     /**
-     * Add a new plugin from GitHub
+     * Add a new plugin from a Git repository
      *
-     * @param string $url    GitHub repository URL.
-     * @param string $branch Branch or tag to checkout.
-     * @param string $slug   Optional plugin slug.
+     * @param string $url         Repository URL.
+     * @param string $branch      Branch or tag to checkout.
+     * @param string $slug        Optional plugin slug.
+     * @param string $provider_id Optional provider ID; detected from the URL when empty.
+     * @param array  $release     Optional 'asset' and 'prereleases' settings to install the newest
+     *                            release asset instead of cloning. The branch is ignored then.
+     * @param string $constraint  Optional version constraint to follow the highest matching tag.
+     *                            The branch is ignored then.
      * @return array|WP_Error
      */
-    public function add_plugin( $url, $branch = 'main', $slug = null ) {
+    public function add_plugin( $url, $branch = 'main', $slug = null, $provider_id = '', $release = null, $constraint = '' ) {
+        // Failed adds are logged under the slug the repository would have had
+        $activity = $this->activity_log->begin( 'add', $slug ? $slug : sanitize_file_name( basename( untrailingslashit( $url ), '.git' ) ) );
+
+        return $this->activity_log->end( $activity, $this->do_add_plugin( $url, $branch, $slug, $provider_id, $release, $constraint ) );
+    }
+
+    /**
+     * Add a new plugin without recording it in the activity log
+     *
+     * @see add_plugin()
+     */
+    private function do_add_plugin( $url, $branch = 'main', $slug = null, $provider_id = '', $release = null, $constraint = '' ) {
         // Parse repository URL
-        $repo_info = $this->git->parse_repo_url( $url );
-        if ( ! $repo_info ) {
-            return new WP_Error( 'invalid_url', __( 'Invalid GitHub repository URL.', 'git-plugin-loader' ) );
+        $resolved = $this->resolve_repo( $url, $provider_id );
+        if ( is_wp_error( $resolved ) ) {
+            return $resolved;
         }
 
-        // Verify repository exists
-        if ( ! $this->github_api->verify_repo( $repo_info['owner'], $repo_info['repo'] ) ) {
-            $error = $this->github_api->get_last_error();
+        $provider  = $resolved['provider'];
+        $repo_info = $resolved['repo'];
+
+        // Verify repository exists and check whether it is private
+        $this->report_phase( 'validating' );
+        $repo_data = $provider->get_repo( $repo_info );
+        if ( false === $repo_data ) {
+            $error = $provider->get_last_error();
             if ( empty( $error ) ) {
                 $error = __( 'Repository not found or not accessible.', 'git-plugin-loader' );
             }
             return new WP_Error( 'repo_not_found', $error );
         }
 
+        $is_private = $repo_data['is_private'];
+
         // Determine plugin slug
         if ( ! $slug ) {
             $slug = sanitize_file_name( $repo_info['repo'] );
@@ -83,33 +293,39 @@ class GPL_Plugin_Manager {
             return new WP_Error( 'directory_exists', __( 'A plugin with this slug already exists.', 'git-plugin-loader' ) );
         }
 
-        // Get repository info for authentication check
-        $repo_data  = $this->github_api->get_repo( $repo_info['owner'], $repo_info['repo'] );
-        $is_private = $repo_data && ! empty( $repo_data['private'] );
+        // Check if token is required for private repos; SSH repositories use a deploy key
+        $token = $provider->get_token();
+        if ( $is_private && empty( $token ) && empty( $repo_info['ssh_url'] ) ) {
+            return new WP_Error( 'token_required', sprintf(
+                /* translators: %s: provider name */
+                __( 'A %s token is required to clone private repositories. Please add your token in Settings.', 'git-plugin-loader' ),
+                $provider->get_label()
+            ) );
+        }
 
-        // Check if token is required for private repos
-        if ( $is_private ) {
-            $settings = Git_Plugin_Loader::get_settings();
-            if ( empty( $settings['github_token'] ) ) {
-                return new WP_Error( 'token_required', __( 'A GitHub token is required to clone private repositories.', 'git-plugin-loader' ) );
-            }
+        if ( $release ) {
+            return $this->add_release_plugin( $url, $slug, $provider, $repo_info, $is_private, $release );
         }
 
-        // Prepare clone URL (add token for authentication)
-        $clone_url = $this->git->sanitize_repo_url( $url );
-        $settings  = Git_Plugin_Loader::get_settings();
+        // Start on the highest tag the constraint allows
+        if ( $constraint ) {
+            $tag = $this->resolve_constraint( $provider, $repo_info, $constraint );
+            if ( is_wp_error( $tag ) ) {
+                return $tag;
+            }
+            $branch = $tag['name'];
+        }
 
         // Add token to URL if available (required for private repos, helpful for rate limits on public)
-        if ( ! empty( $settings['github_token'] ) ) {
-            // Token is stored encrypted, we need to use it directly in URL
-            // The GitHub API class handles decryption internally, but for git clone we need the raw token
-            $token     = $this->decrypt_token_for_clone( $settings['github_token'] );
-            $clone_url = preg_replace( '/^https:\/\//', 'https://' . $token . '@', $clone_url );
-        } elseif ( $is_private ) {
-            return new WP_Error( 'token_required', __( 'A GitHub token is required to clone private repositories. Please add your token in Settings.', 'git-plugin-loader' ) );
+        $clone_url = $provider->get_clone_url( $repo_info );
+
+        // The add form generates the deploy key before the slug is final
+        if ( $repo_info['ssh_url'] ) {
+            GPL_Deploy_Keys::claim( $slug, $repo_info['url'] );
         }
 
         // Clone the repository
+        $this->report_phase( 'cloning', array( 'slug' => $slug ) );
         if ( ! $this->git->clone_repo( $clone_url, $slug, $branch ) ) {
             $error = $this->git->get_last_error();
             // Append helpful hint but keep original error for debugging
@@ -117,143 +333,1470 @@ class GPL_Plugin_Manager {
                  strpos( $error, 'could not read Username' ) !== false ||
                  strpos( $error, 'terminal prompts disabled' ) !== false ) {
                 $hint = $is_private
-                    ? __( ' (Hint: Check your GitHub token in Settings)', 'git-plugin-loader' )
-                    : __( ' (Hint: If private repo, add GitHub token in Settings)', 'git-plugin-loader' );
-                $error .= $hint;
+                    /* translators: %s: provider name */
+                    ? __( ' (Hint: Check your %s token in Settings)', 'git-plugin-loader' )
+                    /* translators: %s: provider name */
+                    : __( ' (Hint: If private repo, add %s token in Settings)', 'git-plugin-loader' );
+                $error .= sprintf( $hint, $provider->get_label() );
+            } elseif ( strpos( $error, 'Permission denied (publickey)' ) !== false ) {
+                $error .= __( ' (Hint: Add the deploy key to the repository with read access)', 'git-plugin-loader' );
             }
             return new WP_Error( 'clone_failed', $error );
         }
 
-        // Get current commit info
-        $commit = $this->git->get_current_commit( $plugin_path );
-        $commit_info = $this->git->get_commit_info( $plugin_path );
+        $this->report_phase( 'finalizing' );
+
+        // Get current commit info
+        $commit = $this->git->get_current_commit( $plugin_path );
+        $commit_info = $this->git->get_commit_info( $plugin_path );
+
+        // Get WordPress plugin info
+        $wp_plugin_info = $this->get_wordpress_plugin_info( $plugin_path );
+
+        // Store plugin data
+        $plugin_data = array(
+            'slug'               => $slug,
+            'repo_url'           => $url,
+            'owner'              => $repo_info['owner'],
+            'repo'               => $repo_info['repo'],
+            'provider'           => $provider->get_id(),
+            'host'               => $repo_info['host'],
+            'source'             => 'git',
+            'branch'             => $branch,
+            'version_constraint' => (string) $constraint,
+            'remote_version'     => $constraint ? $branch : '',
+            'local_commit'       => $commit,
+            'remote_commit'      => $commit,
+            'last_sync'          => time(),
+            'auto_sync'          => false,
+            'is_private'         => $is_private,
+            'wp_plugin_name'     => $wp_plugin_info['name'],
+            'wp_plugin_version'  => $wp_plugin_info['version'],
+            'wp_plugin_file'     => $wp_plugin_info['file'],
+            'webhook_secret'     => GPL_Webhooks::create_secret(),
+            'status'             => 'up_to_date',
+        );
+
+        $plugins[ $slug ] = $plugin_data;
+        Git_Plugin_Loader::update_managed_plugins( $plugins );
+
+        return $plugin_data;
+    }
+
+    /**
+     * Install the newest release asset of a repository as a new plugin
+     *
+     * @param string       $url        Repository URL.
+     * @param string       $slug       Plugin slug.
+     * @param GPL_Provider $provider   Repository provider.
+     * @param array        $repo_info  Repository info.
+     * @param bool         $is_private Whether the repository is private.
+     * @param array        $release    Release settings ('asset' and 'prereleases').
+     * @return array|WP_Error
+     */
+    private function add_release_plugin( $url, $slug, $provider, $repo_info, $is_private, $release ) {
+        if ( ! $provider->supports( 'releases' ) ) {
+            return new WP_Error( 'not_supported', sprintf(
+                /* translators: %s: provider name */
+                __( 'Installing from releases is not available for %s repositories.', 'git-plugin-loader' ),
+                $provider->get_label()
+            ) );
+        }
+
+        $asset       = isset( $release['asset'] ) ? $release['asset'] : '';
+        $prereleases = ! empty( $release['prereleases'] );
+
+        $this->report_phase( 'validating' );
+        $latest = $this->releases->get_latest( $repo_info['owner'], $repo_info['repo'], $asset, $prereleases );
+        if ( is_wp_error( $latest ) ) {
+            return $latest;
+        }
+
+        $backup = $this->install_release( $slug, $repo_info['owner'], $repo_info['repo'], $latest );
+        if ( is_wp_error( $backup ) ) {
+            return $backup;
+        }
+
+        $this->report_phase( 'finalizing' );
+
+        $wp_plugin_info = $this->get_wordpress_plugin_info( WP_PLUGIN_DIR . '/' . $slug );
+
+        $plugin_data = array_merge( array(
+            'slug'                => $slug,
+            'repo_url'            => $url,
+            'owner'               => $repo_info['owner'],
+            'repo'                => $repo_info['repo'],
+            'provider'            => $provider->get_id(),
+            'host'                => $repo_info['host'],
+            'source'              => 'release',
+            'release_asset'       => $asset,
+            'include_prereleases' => $prereleases,
+            'branch'              => $latest['tag'],
+            'installed_version'   => $latest['tag'],
+            'local_commit'        => '',
+            'remote_commit'       => '',
+            'last_sync'           => time(),
+            'auto_sync'           => false,
+            'is_private'          => $is_private,
+            'wp_plugin_name'      => $wp_plugin_info['name'],
+            'wp_plugin_version'   => $wp_plugin_info['version'],
+            'wp_plugin_file'      => $wp_plugin_info['file'],
+            'webhook_secret'      => GPL_Webhooks::create_secret(),
+            'status'              => 'up_to_date',
+        ), $this->get_release_data( $latest ) );
+
+        $plugins          = Git_Plugin_Loader::get_managed_plugins();
+        $plugins[ $slug ] = $plugin_data;
+        Git_Plugin_Loader::update_managed_plugins( $plugins );
+
+        return $plugin_data;
+    }
+
+    /**
+     * Download a release asset and unpack it into a plugin directory
+     *
+     * @param string $slug    Plugin slug.
+     * @param string $owner   Repository owner.
+     * @param string $repo    Repository name.
+     * @param array  $release Release returned by GPL_Releases::get_latest().
+     * @return string|WP_Error Path of the previous plugin directory, see GPL_Releases::extract().
+     */
+    private function install_release( $slug, $owner, $repo, $release ) {
+        $this->report_phase( 'downloading', array( 'slug' => $slug ) );
+        $this->report_phase( 'downloading', array( 'lines' => array( $release['tag'] . ': ' . $release['asset']['name'] ) ) );
+
+        $file = $this->releases->download( $owner, $repo, $release );
+        if ( is_wp_error( $file ) ) {
+            return $file;
+        }
+
+        $this->report_phase( 'extracting' );
+
+        return $this->releases->extract( $file, WP_PLUGIN_DIR . '/' . $slug );
+    }
+
+    /**
+     * Get the stored details of the newest release
+     *
+     * @param array $release Release returned by GPL_Releases::get_latest().
+     * @return array
+     */
+    private function get_release_data( $release ) {
+        return array(
+            'remote_version'    => $release['tag'],
+            'release_name'      => $release['name'],
+            'release_notes'     => $release['notes'],
+            'release_url'       => $release['url'],
+            'release_published' => $release['published'],
+        );
+    }
+
+    /**
+     * Change the release settings of a plugin installed from releases
+     *
+     * @param string $slug        Plugin slug.
+     * @param string $asset       Asset file name, wildcards allowed. Empty for the first ZIP asset.
+     * @param bool   $prereleases Whether pre-releases are installed.
+     * @return array|WP_Error
+     */
+    public function set_release_options( $slug, $asset, $prereleases ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        if ( ! GPL_Releases::uses_releases( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_supported', __( 'This plugin is not installed from releases.', 'git-plugin-loader' ) );
+        }
+
+        return Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'release_asset'       => $asset,
+            'include_prereleases' => (bool) $prereleases,
+        ) );
+    }
+
+    /**
+     * Follow the highest tag matching a version constraint
+     *
+     * The plugin moves to the matching tag on its next sync. An empty
+     * constraint stops tracking and leaves the plugin on its current tag.
+     *
+     * @param string $slug       Plugin slug.
+     * @param string $constraint Version constraint, e.g. "^2.1".
+     * @return array|WP_Error
+     */
+    public function set_version_constraint( $slug, $constraint ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        $plugin_data = $plugins[ $slug ];
+        $constraint  = trim( (string) $constraint );
+
+        if ( GPL_Releases::uses_releases( $plugin_data ) ) {
+            return $this->release_not_supported();
+        }
+
+        if ( '' === $constraint ) {
+            return Git_Plugin_Loader::update_managed_plugin( $slug, array(
+                'version_constraint' => '',
+                'remote_version'     => '',
+            ) );
+        }
+
+        $tag = $this->resolve_constraint( $this->providers->for_plugin( $plugin_data ), $this->get_repo_info( $plugin_data ), $constraint );
+
+        if ( is_wp_error( $tag ) ) {
+            return $tag;
+        }
+
+        $data = array(
+            'version_constraint' => $constraint,
+            'remote_version'     => $tag['name'],
+            'remote_commit'      => $tag['commit'],
+        );
+
+        // A running sync or a pin sets the status itself
+        if ( ! in_array( $plugin_data['status'], array( 'syncing', 'pinned' ), true ) ) {
+            $data['status'] = $tag['name'] !== $plugin_data['branch'] ? 'update_available' : 'up_to_date';
+        }
+
+        return Git_Plugin_Loader::update_managed_plugin( $slug, $data );
+    }
+
+    /**
+     * Find the highest tag of a repository matching a version constraint
+     *
+     * @param GPL_Provider $provider   Repository provider.
+     * @param array        $repo_info  Repository info.
+     * @param string       $constraint Version constraint.
+     * @return array|WP_Error Tag with 'name' and 'commit'.
+     */
+    private function resolve_constraint( $provider, $repo_info, $constraint ) {
+        if ( ! GPL_Version_Constraint::is_valid( $constraint ) ) {
+            return GPL_Version_Constraint::parse( $constraint );
+        }
+
+        $tags = $provider->get_tags( $repo_info );
+
+        if ( false === $tags ) {
+            return new WP_Error( 'api_error', $provider->get_last_error() );
+        }
+
+        $tag = GPL_Version_Constraint::max_satisfying( $tags, $constraint );
+
+        if ( ! $tag ) {
+            /* translators: %s: version constraint */
+            return new WP_Error( 'no_matching_tag', sprintf( __( 'No tag matches %s.', 'git-plugin-loader' ), $constraint ) );
+        }
+
+        return $tag;
+    }
+
+    /**
+     * Remove a managed plugin
+     *
+     * @param string $slug         Plugin slug.
+     * @param bool   $delete_files Whether to delete plugin files.
+     * @return bool|WP_Error
+     */
+    public function remove_plugin( $slug, $delete_files = false ) {
+        $activity = $this->activity_log->begin( 'remove', $slug );
+
+        return $this->activity_log->end( $activity, $this->do_remove_plugin( $slug, $delete_files ) );
+    }
+
+    /**
+     * Remove a managed plugin without recording it in the activity log
+     *
+     * @see remove_plugin()
+     */
+    private function do_remove_plugin( $slug, $delete_files = false ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        // Deactivate the plugin first if active
+        $plugin_file = $plugins[ $slug ]['wp_plugin_file'];
+        if ( $plugin_file && is_plugin_active( $plugin_file ) ) {
+            deactivate_plugins( $plugin_file );
+        }
+
+        // Delete files if requested
+        if ( $delete_files ) {
+            $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
+            if ( file_exists( $plugin_path ) ) {
+                $this->delete_directory( $plugin_path );
+            }
+        }
+
+        // Remove from managed plugins
+        unset( $plugins[ $slug ] );
+        Git_Plugin_Loader::update_managed_plugins( $plugins );
+        GPL_Deploy_Keys::delete( $slug );
+
+        return true;
+    }
+
+    /**
+     * Generate the deploy key of a managed plugin or of a repository about to be added
+     *
+     * @param string $slug Plugin slug; for a new plugin the slug it will be added under.
+     * @param string $url  SSH URL of a repository that isn't managed yet.
+     * @return array|WP_Error Public key data.
+     */
+    public function generate_deploy_key( $slug, $url = '' ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! $url ) {
+            if ( ! isset( $plugins[ $slug ] ) ) {
+                return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+            }
+            $url = $plugins[ $slug ]['repo_url'];
+        } elseif ( $slug && isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'plugin_exists', __( 'This plugin is already managed by Git Plugin Loader.', 'git-plugin-loader' ) );
+        }
+
+        if ( ! GPL_Git::is_ssh_url( $url ) ) {
+            return new WP_Error( 'not_ssh', __( 'Deploy keys can only be used with SSH repository URLs.', 'git-plugin-loader' ) );
+        }
+
+        $repo_info = $this->git->parse_repo_url( $url );
+        if ( ! $repo_info ) {
+            return new WP_Error( 'invalid_url', __( 'Invalid repository URL.', 'git-plugin-loader' ) );
+        }
+
+        if ( ! $slug ) {
+            $slug = sanitize_file_name( $repo_info['repo'] );
+        }
+
+        // Drop a key generated earlier for the same repository under another slug
+        $owner = GPL_Deploy_Keys::find_by_url( $repo_info['url'] );
+        if ( $owner && $owner !== $slug && ! isset( $plugins[ $owner ] ) ) {
+            GPL_Deploy_Keys::delete( $owner );
+        }
+
+        return GPL_Deploy_Keys::generate( $slug, $repo_info['url'] );
+    }
+
+    /**
+     * Delete the directory left behind by an interrupted clone
+     *
+     * Does nothing once the plugin has been registered as managed.
+     *
+     * @param string $slug Plugin slug.
+     * @return bool
+     */
+    public function discard_partial_clone( $slug ) {
+        $plugins     = Git_Plugin_Loader::get_managed_plugins();
+        $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
+
+        if ( isset( $plugins[ $slug ] ) || ! is_dir( $plugin_path ) ) {
+            return false;
+        }
+
+        return $this->delete_directory( $plugin_path );
+    }
+
+    /**
+     * Sync a plugin with remote repository
+     *
+     * A sync stops with a 'local_changes' error when files were edited or
+     * committed on the server, unless told what to do with those changes.
+     *
+     * @param string $slug          Plugin slug.
+     * @param string $commit        Optional commit to sync to instead of the branch head.
+     * @param string $local_changes Optional 'stash' to keep local changes in a stash and branch,
+     *                              or 'discard' to overwrite them.
+     * @return array|WP_Error
+     */
+    public function sync_plugin( $slug, $commit = null, $local_changes = '' ) {
+        $activity = $this->activity_log->begin( 'sync', $slug );
+
+        return $this->activity_log->end( $activity, $this->do_sync_plugin( $slug, $commit, $local_changes ) );
+    }
+
+    /**
+     * Sync a plugin without recording it in the activity log
+     *
+     * @see sync_plugin()
+     */
+    private function do_sync_plugin( $slug, $commit = null, $local_changes = '' ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        if ( $commit && ! preg_match( '/^[0-9a-f]{7,40}$/i', $commit ) ) {
+            return new WP_Error( 'invalid_commit', __( 'Invalid commit hash.', 'git-plugin-loader' ) );
+        }
+
+        $plugin_data = $plugins[ $slug ];
+        $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
+
+        if ( GPL_Releases::uses_releases( $plugin_data ) ) {
+            return $commit ? $this->release_not_supported() : $this->sync_release( $slug, $plugin_data );
+        }
+
+        if ( ! file_exists( $plugin_path ) ) {
+            return new WP_Error( 'directory_not_found', __( 'Plugin directory not found.', 'git-plugin-loader' ) );
+        }
+
+        // Remember where we started so the sync can be rolled back
+        $previous_info = $this->git->get_commit_info( $plugin_path );
+        $ref           = $plugin_data['branch'];
+        $tag           = null;
+
+        // Tag tracking moves to the highest tag the constraint allows. Tags don't
+        // move, so the resolved tag is also what a reviewed commit pointed to.
+        if ( GPL_Version_Constraint::is_tracking( $plugin_data ) ) {
+            $this->report_phase( 'resolving' );
+
+            $tag = $this->resolve_constraint( $this->providers->for_plugin( $plugin_data ), $this->get_repo_info( $plugin_data ), $plugin_data['version_constraint'] );
+            if ( is_wp_error( $tag ) ) {
+                return $tag;
+            }
+
+            $ref    = $tag['name'];
+            $commit = null;
+        }
+
+        // Never overwrite edits made on the server without being told to
+        $changes = $this->handle_local_changes( $slug, $plugin_path, $local_changes );
+        $reset   = 'HEAD';
+
+        if ( is_wp_error( $changes ) ) {
+            return $changes;
+        }
+
+        // Local commits were kept on a branch or are meant to go
+        if ( $changes['commits'] && $changes['upstream'] ) {
+            $reset = $changes['upstream'];
+        }
+
+        // Update status to syncing
+        Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'status'       => 'syncing',
+            'sync_started' => time(),
+        ) );
+
+        // Fetch latest changes
+        $this->report_phase( 'fetching' );
+        if ( ! $this->git->fetch( $plugin_path, false, true ) ) {
+            Git_Plugin_Loader::update_managed_plugin( $slug, array( 'status' => 'error' ) );
+            return new WP_Error( 'fetch_failed', $this->git->get_last_error() );
+        }
+
+        // Plugins with post-sync steps are updated in a copy, so the live plugin never runs half-built code
+        $work_path = $this->get_work_path( $plugin_data, $plugin_path );
+        if ( is_wp_error( $work_path ) ) {
+            Git_Plugin_Loader::update_managed_plugin( $slug, array( 'status' => 'error' ) );
+            return $work_path;
+        }
+
+        // Checkout the correct branch/tag
+        $this->report_phase( 'checking_out' );
+        if ( ! $this->git->checkout( $work_path, $ref ) ) {
+            return $this->git_failed( $slug, $plugin_path, $work_path, 'checkout_failed' );
+        }
+
+        // Reset any local changes and pull
+        $this->report_phase( 'resetting' );
+        if ( ! $this->git->reset( $work_path, $reset, true ) ) {
+            return $this->git_failed( $slug, $plugin_path, $work_path, 'reset_failed' );
+        }
+
+        if ( $commit ) {
+            // Move to the reviewed commit rather than whatever the branch points to now
+            if ( ! $this->git->reset( $work_path, $commit, true ) ) {
+                return $this->git_failed( $slug, $plugin_path, $work_path, 'reset_failed' );
+            }
+        } elseif ( ! $tag ) {
+            $this->report_phase( 'pulling' );
+
+            if ( ! $this->git->pull( $work_path ) ) {
+                return $this->git_failed( $slug, $plugin_path, $work_path, 'pull_failed' );
+            }
+        }
+
+        // Get updated commit info
+        $this->report_phase( 'finalizing' );
+        $local_commit = $this->git->get_current_commit( $work_path );
+        $commit_info  = $this->git->get_commit_info( $work_path );
+
+        // Dependencies and built assets must be in place before the new code counts as synced
+        $post_sync = $this->run_post_sync_steps( $plugin_data, $work_path, $local_commit );
+        if ( $post_sync && 'failed' === $post_sync['status'] ) {
+            return $this->post_sync_failed( $slug, $work_path, $post_sync );
+        }
+
+        $backup = $this->swap_in( $slug, $plugin_path, $work_path );
+        if ( is_wp_error( $backup ) ) {
+            return $backup;
+        }
+
+        // Get updated WordPress plugin info
+        $wp_plugin_info = $this->get_wordpress_plugin_info( $plugin_path );
+
+        // Syncing to an older commit than the known remote head leaves an update pending
+        $remote_commit = $commit && ! empty( $plugin_data['remote_commit'] ) ? $plugin_data['remote_commit'] : $local_commit;
+
+        $history = $this->get_sync_history_data( $plugin_data );
+        $changed = $previous_info && $previous_info['hash'] !== $local_commit;
+        if ( $changed ) {
+            $history = $this->add_history_entry( $history, 'sync', $previous_info, $commit_info, $ref );
+        }
+
+        $data = array(
+            'local_commit'      => $local_commit,
+            'remote_commit'     => $remote_commit,
+            'last_sync'         => time(),
+            'status'            => $local_commit === $remote_commit ? 'up_to_date' : 'update_available',
+            'pinned_commit'     => '',
+            'commits_behind'    => 0,
+            'sync_history'      => $history,
+            'wp_plugin_name'    => $wp_plugin_info['name'],
+            'wp_plugin_version' => $wp_plugin_info['version'],
+            'wp_plugin_file'    => $wp_plugin_info['file'],
+        );
+
+        if ( $tag ) {
+            $data['remote_version'] = $ref;
+        }
+
+        if ( $post_sync ) {
+            $data['post_sync_result'] = $post_sync;
+        }
+
+        // New code on an active plugin could take the site down
+        if ( $changed && $this->health_check->is_enabled() && $wp_plugin_info['file'] && is_plugin_active( $wp_plugin_info['file'] ) ) {
+            $error = $this->run_health_check( $slug, $plugin_path, $ref, $previous_info, $commit_info, $backup, $data );
+
+            if ( $error ) {
+                return $error;
+            }
+        }
+
+        if ( $backup ) {
+            GPL_Build_Steps::discard( $backup );
+        }
+
+        // Only a tag that passed the health check becomes the current one
+        if ( $tag ) {
+            $data['branch'] = $ref;
+        }
+
+        // Update plugin data (a manual or branch sync releases any pin)
+        return Git_Plugin_Loader::update_managed_plugin( $slug, $data );
+    }
+
+    /**
+     * Get the changes made to a plugin's checkout on the server
+     *
+     * Lists uncommitted and untracked files and the commits that only exist locally.
+     *
+     * @param string $slug Plugin slug.
+     * @return array|WP_Error Array with 'clean', 'files', 'commits', 'base' (the commit the
+     *                        changes are based on) and 'upstream' (the remote branch, if any).
+     */
+    public function get_local_changes( $slug ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        $plugin_data = $plugins[ $slug ];
+        $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
+        $changes     = array(
+            'clean'    => true,
+            'files'    => array(),
+            'commits'  => array(),
+            'base'     => 'HEAD',
+            'upstream' => '',
+        );
+
+        // Release installs are replaced as a whole and have no checkout to compare
+        if ( GPL_Releases::uses_releases( $plugin_data ) ) {
+            return $changes;
+        }
+
+        $status = $this->git->get_status( $plugin_path );
+
+        if ( false === $status ) {
+            return new WP_Error( 'status_failed', $this->git->get_last_error() );
+        }
+
+        foreach ( $status['changes'] as $line ) {
+            $changes['files'][] = array(
+                'status' => trim( substr( $line, 0, 2 ) ),
+                'file'   => substr( $line, 3 ),
+            );
+        }
+
+        $branch = $this->git->get_current_branch( $plugin_path );
+
+        if ( $branch && 'HEAD' !== $branch ) {
+            $diff = $this->git->get_remote_diff( $plugin_path, $branch );
+
+            if ( $diff && $diff['ahead'] ) {
+                $changes['upstream'] = 'origin/' . $branch;
+                $base                = $this->git->get_merge_base( $plugin_path, $changes['upstream'], 'HEAD' );
+                $changes['base']     = $base ? $base : $changes['upstream'];
+            }
+        } elseif ( ! empty( $plugin_data['local_commit'] ) ) {
+            // Tags are checked out detached, so compare with the last synced commit
+            $changes['base'] = $plugin_data['local_commit'];
+        }
+
+        if ( $changes['base'] && 'HEAD' !== $changes['base'] ) {
+            $commits            = $this->git->get_local_commits( $plugin_path, $changes['base'] );
+            $changes['commits'] = $commits ? $commits : array();
+        } else {
+            $changes['base'] = 'HEAD';
+        }
+
+        $changes['clean'] = ! $changes['files'] && ! $changes['commits'];
+
+        return $changes;
+    }
+
+    /**
+     * Write the local changes of a plugin to a patch file in the export directory
+     *
+     * @param string $slug Plugin slug.
+     * @return array|WP_Error Array with 'file', 'filename', 'url' and 'size'.
+     */
+    public function export_local_changes( $slug ) {
+        $changes = $this->get_local_changes( $slug );
+
+        if ( is_wp_error( $changes ) ) {
+            return $changes;
+        }
+
+        if ( $changes['clean'] ) {
+            return new WP_Error( 'no_local_changes', __( 'The plugin has no local changes.', 'git-plugin-loader' ) );
+        }
+
+        if ( ! GPL_Export::ensure_export_dir() ) {
+            return new WP_Error( 'export_dir_error', __( 'Could not create export directory.', 'git-plugin-loader' ) );
+        }
+
+        $filename = sprintf( '%s-local-changes-%s.patch', $slug, date( 'Ymd-His' ) );
+        $file     = GPL_Export::get_export_dir() . '/' . $filename;
+
+        if ( ! $this->git->create_patch( WP_PLUGIN_DIR . '/' . $slug, $changes['base'], $file ) ) {
+            return new WP_Error( 'patch_failed', $this->git->get_last_error() );
+        }
+
+        return array(
+            'file'     => $file,
+            'filename' => $filename,
+            'url'      => GPL_Export::get_download_url( $filename ),
+            'size'     => filesize( $file ),
+        );
+    }
+
+    /**
+     * Stash or discard the local changes of a plugin before its checkout is reset
+     *
+     * @param string $slug          Plugin slug.
+     * @param string $plugin_path   Plugin directory path.
+     * @param string $local_changes 'stash', 'discard' or '' to stop when there are local changes.
+     * @return array|WP_Error The local changes found, see get_local_changes().
+     */
+    private function handle_local_changes( $slug, $plugin_path, $local_changes ) {
+        $this->report_phase( 'checking_changes' );
+        $changes = $this->get_local_changes( $slug );
+
+        if ( is_wp_error( $changes ) || $changes['clean'] ) {
+            return $changes;
+        }
+
+        if ( ! in_array( $local_changes, array( 'stash', 'discard' ), true ) ) {
+            return $this->local_changes_error( $slug, $changes );
+        }
+
+        $error = 'stash' === $local_changes ? $this->stash_local_changes( $plugin_path, $changes ) : $this->discard_local_changes( $plugin_path );
+
+        return $error ? $error : $changes;
+    }
+
+    /**
+     * Check whether a plugin's checkout has local changes
+     *
+     * @param string $slug Plugin slug.
+     * @return bool
+     */
+    private function has_local_changes( $slug ) {
+        $changes = $this->get_local_changes( $slug );
+
+        return ! is_wp_error( $changes ) && ! $changes['clean'];
+    }
+
+    /**
+     * Flag a plugin with local changes and build the error stopping its sync
+     *
+     * @param string $slug    Plugin slug.
+     * @param array  $changes Local changes.
+     * @return WP_Error
+     */
+    private function local_changes_error( $slug, $changes ) {
+        $plugin = Git_Plugin_Loader::update_managed_plugin( $slug, array( 'status' => 'local_changes' ) );
+
+        return new WP_Error( 'local_changes', sprintf(
+            /* translators: 1: number of changed files, 2: number of local commits */
+            __( 'The plugin has local changes a sync would overwrite (%1$d changed files, %2$d local commits). Stash or discard them first.', 'git-plugin-loader' ),
+            count( $changes['files'] ),
+            count( $changes['commits'] )
+        ), array(
+            'plugin'  => $plugin,
+            'changes' => $changes,
+        ) );
+    }
+
+    /**
+     * Keep local changes in a stash and local commits on a branch
+     *
+     * @param string $plugin_path Plugin directory path.
+     * @param array  $changes     Local changes.
+     * @return WP_Error|null
+     */
+    private function stash_local_changes( $plugin_path, $changes ) {
+        $label = 'gpl-local-' . gmdate( 'Ymd-His' );
+        $lines = array();
+
+        $this->report_phase( 'stashing' );
+
+        if ( $changes['files'] ) {
+            if ( ! $this->git->stash( $plugin_path, 'Git Plugin Loader: ' . $label ) ) {
+                return new WP_Error( 'stash_failed', $this->git->get_last_error() );
+            }
+            /* translators: %s: stash message */
+            $lines[] = sprintf( __( 'Stashed uncommitted changes as "%s".', 'git-plugin-loader' ), 'Git Plugin Loader: ' . $label );
+        }
+
+        // A stash only holds uncommitted changes
+        if ( $changes['commits'] ) {
+            if ( ! $this->git->create_branch( $plugin_path, $label ) ) {
+                return new WP_Error( 'branch_failed', $this->git->get_last_error() );
+            }
+            /* translators: %s: branch name */
+            $lines[] = sprintf( __( 'Kept local commits on branch %s.', 'git-plugin-loader' ), $label );
+        }
+
+        $this->report_phase( 'stashing', array( 'lines' => $lines ) );
+
+        return null;
+    }
+
+    /**
+     * Throw away uncommitted and untracked files
+     *
+     * @param string $plugin_path Plugin directory path.
+     * @return WP_Error|null
+     */
+    private function discard_local_changes( $plugin_path ) {
+        if ( ! $this->git->reset( $plugin_path, 'HEAD', true ) || ! $this->git->clean( $plugin_path ) ) {
+            return new WP_Error( 'discard_failed', $this->git->get_last_error() );
+        }
+
+        return null;
+    }
+
+    /**
+     * Install the newest release of a plugin installed from releases
+     *
+     * @param string $slug        Plugin slug.
+     * @param array  $plugin_data Plugin data.
+     * @return array|WP_Error
+     */
+    private function sync_release( $slug, $plugin_data ) {
+        $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
+        $previous    = isset( $plugin_data['installed_version'] ) ? $plugin_data['installed_version'] : '';
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'status'       => 'syncing',
+            'sync_started' => time(),
+        ) );
+
+        $this->report_phase( 'validating' );
+        $latest = $this->releases->get_latest( $plugin_data['owner'], $plugin_data['repo'], $plugin_data['release_asset'], ! empty( $plugin_data['include_prereleases'] ) );
+
+        if ( is_wp_error( $latest ) ) {
+            Git_Plugin_Loader::update_managed_plugin( $slug, array( 'status' => 'error' ) );
+            return $latest;
+        }
+
+        $data = array_merge( $this->get_release_data( $latest ), array(
+            'last_sync' => time(),
+            'status'    => 'up_to_date',
+        ) );
+
+        if ( $latest['tag'] === $previous && is_dir( $plugin_path ) ) {
+            return Git_Plugin_Loader::update_managed_plugin( $slug, $data );
+        }
+
+        $backup = $this->install_release( $slug, $plugin_data['owner'], $plugin_data['repo'], $latest );
+
+        if ( is_wp_error( $backup ) ) {
+            Git_Plugin_Loader::update_managed_plugin( $slug, array( 'status' => 'error' ) );
+            return $backup;
+        }
+
+        $this->report_phase( 'finalizing' );
+
+        $wp_plugin_info = $this->get_wordpress_plugin_info( $plugin_path );
+
+        $data = array_merge( $data, array(
+            'branch'            => $latest['tag'],
+            'installed_version' => $latest['tag'],
+            'wp_plugin_name'    => $wp_plugin_info['name'],
+            'wp_plugin_version' => $wp_plugin_info['version'],
+            'wp_plugin_file'    => $wp_plugin_info['file'],
+        ) );
+
+        // New code on an active plugin could take the site down
+        if ( $backup && $this->health_check->is_enabled() && $wp_plugin_info['file'] && is_plugin_active( $wp_plugin_info['file'] ) ) {
+            $error = $this->run_release_health_check( $slug, $plugin_path, $previous, $backup, $data );
+
+            if ( $error ) {
+                return $error;
+            }
+        }
+
+        $this->releases->discard_backup( $backup );
+
+        return Git_Plugin_Loader::update_managed_plugin( $slug, $data );
+    }
+
+    /**
+     * Check the site after a release update and restore the previous release if it broke
+     *
+     * @param string $slug        Plugin slug.
+     * @param string $plugin_path Plugin directory path.
+     * @param string $previous    Previously installed release tag.
+     * @param string $backup      Previous plugin directory.
+     * @param array  $data        Plugin data to store, updated with the outcome.
+     * @return WP_Error|null Error if the check failed, null if it passed.
+     */
+    private function run_release_health_check( $slug, $plugin_path, $previous, $backup, &$data ) {
+        $this->report_phase( 'health_check' );
+
+        $health  = $this->health_check->run();
+        $name    = $data['wp_plugin_name'] ? $data['wp_plugin_name'] : $slug;
+        $version = $data['installed_version'];
+
+        $this->report_phase( 'health_check', array( 'lines' => $health['lines'] ) );
+
+        if ( $health['passed'] ) {
+            $data['health_check']         = array(
+                'status'  => 'passed',
+                'message' => __( 'Health check passed.', 'git-plugin-loader' ),
+                'commit'  => $version,
+                'time'    => time(),
+            );
+            $data['health_failed_commit'] = '';
+
+            GPL_Health_Check::add_notice(
+                /* translators: 1: plugin name, 2: release tag */
+                sprintf( __( '%1$s was updated to %2$s and the health check passed.', 'git-plugin-loader' ), $name, $version ),
+                'success'
+            );
+
+            return null;
+        }
+
+        $this->report_phase( 'reverting' );
+
+        if ( $this->releases->restore( $plugin_path, $backup ) ) {
+            $status  = 'reverted';
+            $message = sprintf(
+                /* translators: 1: release tag, 2: failure reason, 3: release tag */
+                __( 'Health check failed after updating to %1$s (%2$s). Restored %3$s.', 'git-plugin-loader' ),
+                $version,
+                $health['reason'],
+                $previous
+            );
+
+            $wp_plugin_info = $this->get_wordpress_plugin_info( $plugin_path );
+
+            $data['branch']            = $previous;
+            $data['installed_version'] = $previous;
+            $data['status']            = 'update_available';
+            $data['wp_plugin_name']    = $wp_plugin_info['name'];
+            $data['wp_plugin_version'] = $wp_plugin_info['version'];
+            $data['wp_plugin_file']    = $wp_plugin_info['file'];
+        } else {
+            $status  = 'failed';
+            $message = sprintf(
+                /* translators: 1: release tag, 2: failure reason */
+                __( 'Health check failed after updating to %1$s (%2$s). Restoring the previous release failed.', 'git-plugin-loader' ),
+                $version,
+                $health['reason']
+            );
+
+            $data['status'] = 'error';
+        }
+
+        $data['health_check'] = array(
+            'status'  => $status,
+            'message' => $message,
+            'commit'  => $version,
+            'time'    => time(),
+        );
+
+        // Keep auto-sync from installing the same broken release again
+        $data['health_failed_commit'] = $version;
+
+        $plugin = Git_Plugin_Loader::update_managed_plugin( $slug, $data );
+
+        /* translators: 1: plugin name, 2: health check outcome */
+        GPL_Health_Check::add_notice( sprintf( __( '%1$s: %2$s', 'git-plugin-loader' ), $name, $message ), 'error' );
+
+        return new WP_Error( 'health_check_failed', $message, array( 'plugin' => $plugin ) );
+    }
+
+    /**
+     * Get the error returned for Git operations on plugins installed from releases
+     *
+     * @return WP_Error
+     */
+    private function release_not_supported() {
+        return new WP_Error( 'not_supported', __( 'This is not available for plugins installed from releases.', 'git-plugin-loader' ) );
+    }
+
+    /**
+     * Check the site after a sync and revert to the previous commit if it broke
+     *
+     * @param string $slug          Plugin slug.
+     * @param string $plugin_path   Plugin directory path.
+     * @param string $branch        Branch or tag that was synced.
+     * @param array  $previous_info Commit info before the sync.
+     * @param array  $commit_info   Commit info after the sync.
+     * @param string $backup        Previous plugin directory if a built copy replaced it, see swap_in().
+     * @param array  $data          Plugin data to store, updated with the outcome.
+     * @return WP_Error|null Error if the check failed, null if it passed.
+     */
+    private function run_health_check( $slug, $plugin_path, $branch, $previous_info, $commit_info, $backup, &$data ) {
+        $this->report_phase( 'health_check' );
+
+        $health = $this->health_check->run();
+        $name   = $data['wp_plugin_name'] ? $data['wp_plugin_name'] : $slug;
+
+        $this->report_phase( 'health_check', array( 'lines' => $health['lines'] ) );
+
+        if ( $health['passed'] ) {
+            $data['health_check']         = array(
+                'status'  => 'passed',
+                'message' => __( 'Health check passed.', 'git-plugin-loader' ),
+                'commit'  => $commit_info['hash'],
+                'time'    => time(),
+            );
+            $data['health_failed_commit'] = '';
+
+            GPL_Health_Check::add_notice(
+                /* translators: 1: plugin name, 2: short commit hash */
+                sprintf( __( '%1$s was synced to %2$s and the health check passed.', 'git-plugin-loader' ), $name, substr( $commit_info['hash'], 0, 7 ) ),
+                'success'
+            );
+
+            return null;
+        }
+
+        $this->report_phase( 'reverting' );
+
+        // A built copy is reverted by putting the previous directory, dependencies included, back
+        $reverted = $backup ? GPL_Build_Steps::restore( $plugin_path, $backup ) : $this->git->reset( $plugin_path, $previous_info['hash'], true );
+
+        if ( $backup ) {
+            GPL_Build_Steps::discard( $backup );
+        }
+
+        if ( $reverted ) {
+            $status  = 'reverted';
+            $message = sprintf(
+                /* translators: 1: short commit hash, 2: failure reason, 3: short commit hash */
+                __( 'Health check failed after syncing to %1$s (%2$s). Reverted to %3$s.', 'git-plugin-loader' ),
+                substr( $commit_info['hash'], 0, 7 ),
+                $health['reason'],
+                substr( $previous_info['hash'], 0, 7 )
+            );
+
+            $data['local_commit'] = $previous_info['hash'];
+            $data['status']       = $data['local_commit'] === $data['remote_commit'] ? 'up_to_date' : 'update_available';
+            $data['sync_history'] = $this->add_history_entry( $data['sync_history'], 'revert', $commit_info, $previous_info, $branch );
+
+            $wp_plugin_info            = $this->get_wordpress_plugin_info( $plugin_path );
+            $data['wp_plugin_name']    = $wp_plugin_info['name'];
+            $data['wp_plugin_version'] = $wp_plugin_info['version'];
+            $data['wp_plugin_file']    = $wp_plugin_info['file'];
+        } else {
+            $status  = 'failed';
+            $message = sprintf(
+                /* translators: 1: short commit hash, 2: failure reason, 3: Git error */
+                __( 'Health check failed after syncing to %1$s (%2$s). Reverting failed: %3$s', 'git-plugin-loader' ),
+                substr( $commit_info['hash'], 0, 7 ),
+                $health['reason'],
+                $backup ? __( 'Could not move the previous plugin directory back.', 'git-plugin-loader' ) : $this->git->get_last_error()
+            );
+
+            $data['status'] = 'error';
+        }
+
+        $data['health_check'] = array(
+            'status'  => $status,
+            'message' => $message,
+            'commit'  => $commit_info['hash'],
+            'time'    => time(),
+        );
+
+        // Keep auto-sync from pulling the same broken commit again
+        $data['health_failed_commit'] = $commit_info['hash'];
+
+        $plugin = Git_Plugin_Loader::update_managed_plugin( $slug, $data );
+
+        /* translators: 1: plugin name, 2: health check outcome */
+        GPL_Health_Check::add_notice( sprintf( __( '%1$s: %2$s', 'git-plugin-loader' ), $name, $message ), 'error' );
+
+        return new WP_Error( 'health_check_failed', $message, array( 'plugin' => $plugin ) );
+    }
+
+    /**
+     * Set the steps run after each sync of a plugin
+     *
+     * @param string $slug       Plugin slug.
+     * @param bool   $submodules Whether to check out submodules.
+     * @param array  $build      Build command keys, see GPL_Build_Steps::get_commands().
+     * @return array|WP_Error Updated plugin data.
+     */
+    public function set_post_sync_steps( $slug, $submodules, $build ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        if ( GPL_Releases::uses_releases( $plugins[ $slug ] ) ) {
+            return $this->release_not_supported();
+        }
+
+        return Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'post_sync' => array(
+                'submodules' => (bool) $submodules,
+                'build'      => GPL_Build_Steps::sanitize( $build ),
+            ),
+        ) );
+    }
+
+    /**
+     * Get the steps run after each sync of a plugin
+     *
+     * @param array $plugin_data Plugin data.
+     * @return array Array with 'submodules' and 'build' keys.
+     */
+    public function get_post_sync_steps( $plugin_data ) {
+        $steps = isset( $plugin_data['post_sync'] ) ? $plugin_data['post_sync'] : array();
+
+        return array(
+            'submodules' => ! empty( $steps['submodules'] ),
+            'build'      => isset( $steps['build'] ) ? GPL_Build_Steps::sanitize( $steps['build'] ) : array(),
+        );
+    }
+
+    /**
+     * Check out submodules and run the build commands of a plugin
+     *
+     * Stops at the first step that fails.
+     *
+     * @param array  $plugin_data Plugin data.
+     * @param string $plugin_path Plugin directory path.
+     * @param string $commit      Commit the steps run for.
+     * @return array|null Result with 'status', 'message', 'steps', 'commit' and 'time' keys,
+     *                    or null when the plugin has no steps.
+     */
+    private function run_post_sync_steps( $plugin_data, $plugin_path, $commit ) {
+        $settings = $this->get_post_sync_steps( $plugin_data );
+        $commands = GPL_Build_Steps::get_commands();
+        $steps    = array();
+        $failed   = null;
+
+        if ( ! $settings['submodules'] && ! $settings['build'] ) {
+            return null;
+        }
+
+        $this->report_phase( 'post_sync' );
+
+        if ( $settings['submodules'] ) {
+            $passed  = $this->git->update_submodules( $plugin_path );
+            $steps[] = array(
+                'label'  => 'git submodule update --init --recursive',
+                'passed' => $passed,
+                'output' => array_slice( $this->git->get_last_output(), -GPL_Build_Steps::MAX_OUTPUT_LINES ),
+            );
+        }
+
+        foreach ( $settings['build'] as $key ) {
+            if ( $steps && ! $steps[ count( $steps ) - 1 ]['passed'] ) {
+                break;
+            }
+
+            $this->report_phase( 'post_sync', array( 'lines' => array( '$ ' . $commands[ $key ]['label'] ) ) );
+
+            $result  = GPL_Build_Steps::run( $key, $plugin_path );
+            $steps[] = array(
+                'label'  => $commands[ $key ]['label'],
+                'passed' => $result['passed'],
+                'output' => $result['output'],
+            );
+
+            if ( $result['output'] ) {
+                $this->report_phase( 'post_sync', array( 'lines' => $result['output'] ) );
+            }
+        }
+
+        foreach ( $steps as $step ) {
+            if ( ! $step['passed'] ) {
+                $failed = $step;
+                break;
+            }
+        }
+
+        return array(
+            'status'  => $failed ? 'failed' : 'passed',
+            /* translators: %s: command */
+            'message' => $failed ? sprintf( __( 'Post-sync step failed: %s', 'git-plugin-loader' ), $failed['label'] ) : __( 'Post-sync steps passed.', 'git-plugin-loader' ),
+            'steps'   => $steps,
+            'commit'  => $commit,
+            'time'    => time(),
+        );
+    }
+
+    /**
+     * Get the directory a plugin is updated and built in
+     *
+     * @param array  $plugin_data Plugin data.
+     * @param string $plugin_path Plugin directory path.
+     * @return string|WP_Error A copy of the plugin if it has post-sync steps, the plugin directory otherwise.
+     */
+    private function get_work_path( $plugin_data, $plugin_path ) {
+        $steps = $this->get_post_sync_steps( $plugin_data );
+
+        return $steps['submodules'] || $steps['build'] ? GPL_Build_Steps::stage( $plugin_path ) : $plugin_path;
+    }
+
+    /**
+     * Replace the plugin directory with the copy it was updated in
+     *
+     * @param string $slug        Plugin slug.
+     * @param string $plugin_path Plugin directory path.
+     * @param string $work_path   Path returned by get_work_path().
+     * @return string|WP_Error Previous plugin directory, or an empty string if the plugin was updated in place.
+     */
+    private function swap_in( $slug, $plugin_path, $work_path ) {
+        if ( $work_path === $plugin_path ) {
+            return '';
+        }
+
+        $backup = GPL_Build_Steps::swap( $plugin_path, $work_path );
+
+        if ( is_wp_error( $backup ) ) {
+            GPL_Build_Steps::discard( $work_path );
+            Git_Plugin_Loader::update_managed_plugin( $slug, array( 'status' => 'error' ) );
+        }
+
+        return $backup;
+    }
+
+    /**
+     * Give up on a sync after a failed Git command
+     *
+     * @param string $slug        Plugin slug.
+     * @param string $plugin_path Plugin directory path.
+     * @param string $work_path   Path returned by get_work_path().
+     * @param string $code        Error code.
+     * @return WP_Error
+     */
+    private function git_failed( $slug, $plugin_path, $work_path, $code ) {
+        $error = new WP_Error( $code, $this->git->get_last_error() );
+
+        if ( $work_path !== $plugin_path ) {
+            GPL_Build_Steps::discard( $work_path );
+        }
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, array( 'status' => 'error' ) );
+
+        return $error;
+    }
+
+    /**
+     * Drop the copy whose post-sync steps failed and mark the plugin as broken
+     *
+     * The plugin directory itself still holds the previous, working commit.
+     *
+     * @param string $slug      Plugin slug.
+     * @param string $work_path Path returned by get_work_path().
+     * @param array  $post_sync Result of run_post_sync_steps().
+     * @return WP_Error
+     */
+    private function post_sync_failed( $slug, $work_path, $post_sync ) {
+        GPL_Build_Steps::discard( $work_path );
+
+        $post_sync['message'] .= ' ' . __( 'The installed plugin was left unchanged.', 'git-plugin-loader' );
+
+        $plugin = Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'status'           => 'error',
+            'post_sync_result' => $post_sync,
+        ) );
+
+        return new WP_Error( 'post_sync_failed', $post_sync['message'], array( 'plugin' => $plugin ) );
+    }
+
+    /**
+     * Roll a plugin back to a previous commit
+     *
+     * The plugin is pinned to that commit so auto-sync leaves it alone
+     * until it is synced manually again.
+     *
+     * @param string $slug          Plugin slug.
+     * @param string $commit        Commit hash to roll back to.
+     * @param string $local_changes Optional 'stash' or 'discard', see sync_plugin().
+     * @return array|WP_Error
+     */
+    public function rollback_plugin( $slug, $commit, $local_changes = '' ) {
+        return $this->pin_commit( $slug, $commit, 'rollback', $local_changes );
+    }
+
+    /**
+     * Pin a plugin to an exact commit
+     *
+     * Pinned plugins are skipped by auto-sync, and update checks report how
+     * far the branch has moved past the pin instead of offering an update.
+     *
+     * @param string $slug          Plugin slug.
+     * @param string $commit        Commit hash to pin to.
+     * @param string $history_type  Sync history entry type (pin or rollback).
+     * @param string $local_changes Optional 'stash' or 'discard', see sync_plugin().
+     * @return array|WP_Error
+     */
+    public function pin_commit( $slug, $commit, $history_type = 'pin', $local_changes = '' ) {
+        $activity = $this->activity_log->begin( $history_type, $slug );
+
+        return $this->activity_log->end( $activity, $this->do_pin_commit( $slug, $commit, $history_type, $local_changes ) );
+    }
+
+    /**
+     * Pin a plugin to a commit without recording it in the activity log
+     *
+     * @see pin_commit()
+     */
+    private function do_pin_commit( $slug, $commit, $history_type = 'pin', $local_changes = '' ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        if ( GPL_Releases::uses_releases( $plugins[ $slug ] ) ) {
+            return $this->release_not_supported();
+        }
+
+        if ( ! preg_match( '/^[0-9a-f]{7,40}$/i', $commit ) ) {
+            return new WP_Error( 'invalid_commit', __( 'Invalid commit hash.', 'git-plugin-loader' ) );
+        }
+
+        $plugin_data = $plugins[ $slug ];
+        $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
+
+        if ( ! file_exists( $plugin_path ) ) {
+            return new WP_Error( 'directory_not_found', __( 'Plugin directory not found.', 'git-plugin-loader' ) );
+        }
+
+        // The reset below would throw away edits made on the server
+        $changes = $this->handle_local_changes( $slug, $plugin_path, $local_changes );
+        if ( is_wp_error( $changes ) ) {
+            return $changes;
+        }
+
+        $previous_info = $this->git->get_commit_info( $plugin_path );
+
+        // Make sure commits newer than the last sync are available locally
+        if ( ! $this->git->fetch( $plugin_path, false, true ) ) {
+            return new WP_Error( 'fetch_failed', $this->git->get_last_error() );
+        }
+
+        $work_path = $this->get_work_path( $plugin_data, $plugin_path );
+        if ( is_wp_error( $work_path ) ) {
+            return $work_path;
+        }
+
+        if ( ! $this->git->reset( $work_path, $commit, true ) ) {
+            $error = new WP_Error( 'reset_failed', $this->git->get_last_error() );
+            if ( $work_path !== $plugin_path ) {
+                GPL_Build_Steps::discard( $work_path );
+            }
+            return $error;
+        }
+
+        $local_commit = $this->git->get_current_commit( $work_path );
+        $commit_info  = $this->git->get_commit_info( $work_path );
+
+        $post_sync = $this->run_post_sync_steps( $plugin_data, $work_path, $local_commit );
+        if ( $post_sync && 'failed' === $post_sync['status'] ) {
+            return $this->post_sync_failed( $slug, $work_path, $post_sync );
+        }
+
+        $backup = $this->swap_in( $slug, $plugin_path, $work_path );
+        if ( is_wp_error( $backup ) ) {
+            return $backup;
+        }
+
+        if ( $backup ) {
+            GPL_Build_Steps::discard( $backup );
+        }
 
-        // Get WordPress plugin info
         $wp_plugin_info = $this->get_wordpress_plugin_info( $plugin_path );
+        $commits_behind = $this->git->count_commits( $plugin_path, $local_commit, 'origin/' . $plugin_data['branch'] );
 
-        // Store plugin data
-        $plugin_data = array(
-            'slug'              => $slug,
-            'repo_url'          => $url,
-            'owner'             => $repo_info['owner'],
-            'repo'              => $repo_info['repo'],
-            'branch'            => $branch,
-            'local_commit'      => $commit,
-            'remote_commit'     => $commit,
+        $history = $this->get_sync_history_data( $plugin_data );
+        if ( $previous_info && $previous_info['hash'] !== $local_commit ) {
+            $history = $this->add_history_entry( $history, $history_type, $previous_info, $commit_info, $plugin_data['branch'] );
+        }
+
+        $data = array(
+            'local_commit'      => $local_commit,
             'last_sync'         => time(),
-            'auto_sync'         => false,
-            'is_private'        => $is_private,
+            'status'            => 'pinned',
+            'pinned_commit'     => $local_commit,
+            'commits_behind'    => false === $commits_behind ? 0 : $commits_behind,
+            'sync_history'      => $history,
             'wp_plugin_name'    => $wp_plugin_info['name'],
             'wp_plugin_version' => $wp_plugin_info['version'],
             'wp_plugin_file'    => $wp_plugin_info['file'],
-            'status'            => 'up_to_date',
         );
 
-        $plugins[ $slug ] = $plugin_data;
-        Git_Plugin_Loader::update_managed_plugins( $plugins );
+        if ( $post_sync ) {
+            $data['post_sync_result'] = $post_sync;
+        }
 
-        return $plugin_data;
+        return Git_Plugin_Loader::update_managed_plugin( $slug, $data );
     }
 
     /**
-     * Remove a managed plugin
+     * Get recent commits on a plugin's branch
      *
-     * @param string $slug         Plugin slug.
-     * @param bool   $delete_files Whether to delete plugin files.
-     * @return bool|WP_Error
+     * @param string $slug Plugin slug.
+     * @return array|WP_Error
      */
-    public function remove_plugin( $slug, $delete_files = false ) {
+    public function get_recent_commits( $slug ) {
         $plugins = Git_Plugin_Loader::get_managed_plugins();
 
         if ( ! isset( $plugins[ $slug ] ) ) {
             return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
         }
 
-        // Deactivate the plugin first if active
-        $plugin_file = $plugins[ $slug ]['wp_plugin_file'];
-        if ( $plugin_file && is_plugin_active( $plugin_file ) ) {
-            deactivate_plugins( $plugin_file );
+        if ( GPL_Releases::uses_releases( $plugins[ $slug ] ) ) {
+            return $this->release_not_supported();
         }
 
-        // Delete files if requested
-        if ( $delete_files ) {
-            $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
-            if ( file_exists( $plugin_path ) ) {
-                $this->delete_directory( $plugin_path );
+        $plugin_data = $plugins[ $slug ];
+        $provider    = $this->providers->for_plugin( $plugin_data );
+        $commits     = array();
+
+        // Without a hosting API the commit has to be entered by hand
+        if ( $provider->supports( 'commits' ) ) {
+            $commits = $provider->get_commits( $this->get_repo_info( $plugin_data ), $plugin_data['branch'], 20 );
+
+            if ( false === $commits ) {
+                return new WP_Error( 'api_error', $provider->get_last_error() );
             }
         }
 
-        // Remove from managed plugins
-        unset( $plugins[ $slug ] );
-        Git_Plugin_Loader::update_managed_plugins( $plugins );
-
-        return true;
+        return array(
+            'commits'       => $commits,
+            'local_commit'  => $plugin_data['local_commit'],
+            'pinned_commit' => $this->get_pinned_commit( $plugin_data ),
+        );
     }
 
     /**
-     * Sync a plugin with remote repository
+     * Get the sync history of a plugin
      *
      * @param string $slug Plugin slug.
      * @return array|WP_Error
      */
-    public function sync_plugin( $slug ) {
+    public function get_sync_history( $slug ) {
         $plugins = Git_Plugin_Loader::get_managed_plugins();
 
         if ( ! isset( $plugins[ $slug ] ) ) {
             return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
         }
 
-        $plugin_data = $plugins[ $slug ];
-        $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
-
-        if ( ! file_exists( $plugin_path ) ) {
-            return new WP_Error( 'directory_not_found', __( 'Plugin directory not found.', 'git-plugin-loader' ) );
-        }
-
-        // Update status to syncing
-        $plugins[ $slug ]['status'] = 'syncing';
-        Git_Plugin_Loader::update_managed_plugins( $plugins );
-
-        // Fetch latest changes
-        if ( ! $this->git->fetch( $plugin_path, false, true ) ) {
-            $plugins[ $slug ]['status'] = 'error';
-            Git_Plugin_Loader::update_managed_plugins( $plugins );
-            return new WP_Error( 'fetch_failed', $this->git->get_last_error() );
-        }
-
-        // Checkout the correct branch/tag
-        if ( ! $this->git->checkout( $plugin_path, $plugin_data['branch'] ) ) {
-            // May already be on the correct branch
-        }
+        $history = $this->get_sync_history_data( $plugins[ $slug ] );
 
-        // Reset any local changes and pull
-        $this->git->reset( $plugin_path, 'HEAD', true );
+        foreach ( $history as $index => $entry ) {
+            $user = $entry['user_id'] ? get_userdata( $entry['user_id'] ) : false;
 
-        if ( ! $this->git->pull( $plugin_path ) ) {
-            $plugins[ $slug ]['status'] = 'error';
-            Git_Plugin_Loader::update_managed_plugins( $plugins );
-            return new WP_Error( 'pull_failed', $this->git->get_last_error() );
+            $history[ $index ]['user'] = $user ? $user->display_name : __( 'System', 'git-plugin-loader' );
+            $history[ $index ]['date'] = wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $entry['time'] );
         }
 
-        // Get updated commit info
-        $commit      = $this->git->get_current_commit( $plugin_path );
-        $commit_info = $this->git->get_commit_info( $plugin_path );
+        return array(
+            'history'       => $history,
+            'local_commit'  => $plugins[ $slug ]['local_commit'],
+            'pinned_commit' => $this->get_pinned_commit( $plugins[ $slug ] ),
+        );
+    }
 
-        // Get updated WordPress plugin info
-        $wp_plugin_info = $this->get_wordpress_plugin_info( $plugin_path );
+    /**
+     * Get the stored sync history entries of a plugin
+     *
+     * @param array $plugin_data Plugin data.
+     * @return array
+     */
+    private function get_sync_history_data( $plugin_data ) {
+        return isset( $plugin_data['sync_history'] ) && is_array( $plugin_data['sync_history'] ) ? $plugin_data['sync_history'] : array();
+    }
 
-        // Update plugin data
-        $plugins[ $slug ]['local_commit']      = $commit;
-        $plugins[ $slug ]['remote_commit']     = $commit;
-        $plugins[ $slug ]['last_sync']         = time();
-        $plugins[ $slug ]['status']            = 'up_to_date';
-        $plugins[ $slug ]['wp_plugin_name']    = $wp_plugin_info['name'];
-        $plugins[ $slug ]['wp_plugin_version'] = $wp_plugin_info['version'];
-        $plugins[ $slug ]['wp_plugin_file']    = $wp_plugin_info['file'];
+    /**
+     * Prepend an entry to a sync history list
+     *
+     * @param array       $history Existing history (newest first).
+     * @param string      $type    Entry type (sync, rollback, pin or revert).
+     * @param array       $from    Commit info before the change.
+     * @param array|false $to      Commit info after the change.
+     * @param string      $branch  Branch or tag at the time of the change.
+     * @return array
+     */
+    private function add_history_entry( $history, $type, $from, $to, $branch ) {
+        array_unshift( $history, array(
+            'type'         => $type,
+            'from'         => $from['hash'],
+            'from_message' => $from['message'],
+            'to'           => $to ? $to['hash'] : '',
+            'to_message'   => $to ? $to['message'] : '',
+            'branch'       => $branch,
+            'user_id'      => get_current_user_id(),
+            'time'         => time(),
+        ) );
 
-        Git_Plugin_Loader::update_managed_plugins( $plugins );
+        return array_slice( $history, 0, self::SYNC_HISTORY_LIMIT );
+    }
 
-        return $plugins[ $slug ];
+    /**
+     * Get the commit a plugin is pinned to
+     *
+     * @param array $plugin_data Plugin data.
+     * @return string Commit hash, or empty string if not pinned.
+     */
+    public function get_pinned_commit( $plugin_data ) {
+        return ! empty( $plugin_data['pinned_commit'] ) ? $plugin_data['pinned_commit'] : '';
     }
 
     /**
@@ -263,6 +1806,17 @@ class GPL_Plugin_Manager {
      * @return array|WP_Error
      */
     public function check_updates( $slug ) {
+        $activity = $this->activity_log->begin( 'check', $slug );
+
+        return $this->activity_log->end( $activity, $this->do_check_updates( $slug ) );
+    }
+
+    /**
+     * Check a plugin for updates without recording it in the activity log
+     *
+     * @see check_updates()
+     */
+    private function do_check_updates( $slug ) {
         $plugins = Git_Plugin_Loader::get_managed_plugins();
 
         if ( ! isset( $plugins[ $slug ] ) ) {
@@ -272,38 +1826,241 @@ class GPL_Plugin_Manager {
         $plugin_data = $plugins[ $slug ];
         $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
 
+        if ( GPL_Releases::uses_releases( $plugin_data ) ) {
+            return $this->check_release_updates( $slug, $plugin_data );
+        }
+
+        // A pin outranks tag tracking
+        if ( GPL_Version_Constraint::is_tracking( $plugin_data ) && ! $this->get_pinned_commit( $plugin_data ) ) {
+            return $this->check_tag_updates( $slug, $plugin_data );
+        }
+
         // Get local commit
         $local_commit = $this->git->get_current_commit( $plugin_path );
 
         // Get remote commit
-        $remote_commit = $this->github_api->get_latest_commit(
-            $plugin_data['owner'],
-            $plugin_data['repo'],
-            $plugin_data['branch']
-        );
+        $provider      = $this->providers->for_plugin( $plugin_data );
+        $repo_info     = $this->get_repo_info( $plugin_data );
+        $remote_commit = $provider->get_latest_commit( $repo_info, $plugin_data['branch'] );
 
         if ( ! $remote_commit ) {
-            return new WP_Error( 'api_error', $this->github_api->get_last_error() );
+            return new WP_Error( 'api_error', $provider->get_last_error() );
+        }
+
+        $pinned_commit = $this->get_pinned_commit( $plugin_data );
+
+        if ( $pinned_commit ) {
+            // A pin is deliberate, so report how far the branch has moved on instead of an update
+            $commits_behind = $pinned_commit !== $remote_commit['sha'] ? $this->count_new_commits( $provider, $repo_info, $plugin_path, $pinned_commit, $remote_commit['sha'] ) : 0;
+
+            Git_Plugin_Loader::update_managed_plugin( $slug, array(
+                'local_commit'   => $local_commit,
+                'remote_commit'  => $remote_commit['sha'],
+                'status'         => 'pinned',
+                'commits_behind' => $commits_behind,
+            ) );
+
+            return array(
+                'has_update'     => false,
+                'pinned'         => true,
+                'commits_behind' => $commits_behind,
+                'local_commit'   => $local_commit,
+                'remote_commit'  => $remote_commit['sha'],
+                'commit_info'    => $remote_commit,
+                'status'         => 'pinned',
+            );
         }
 
         $has_update = $local_commit !== $remote_commit['sha'];
 
         // Update stored data
-        $plugins[ $slug ]['local_commit']  = $local_commit;
-        $plugins[ $slug ]['remote_commit'] = $remote_commit['sha'];
-        $plugins[ $slug ]['status']        = $has_update ? 'update_available' : 'up_to_date';
+        $status = $this->get_update_status( $slug, $plugin_data, $has_update );
 
-        Git_Plugin_Loader::update_managed_plugins( $plugins );
+        Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'local_commit'   => $local_commit,
+            'remote_commit'  => $remote_commit['sha'],
+            'status'         => $status,
+            'commits_behind' => $has_update ? $this->count_new_commits( $provider, $repo_info, $plugin_path, $local_commit, $remote_commit['sha'] ) : 0,
+        ) );
 
         return array(
             'has_update'    => $has_update,
+            'pinned'        => false,
             'local_commit'  => $local_commit,
             'remote_commit' => $remote_commit['sha'],
             'commit_info'   => $remote_commit,
-            'status'        => $plugins[ $slug ]['status'],
+            'status'        => $status,
+        );
+    }
+
+    /**
+     * Compare the newest release of a plugin with the installed one
+     *
+     * @param string $slug        Plugin slug.
+     * @param array  $plugin_data Plugin data.
+     * @return array|WP_Error
+     */
+    private function check_release_updates( $slug, $plugin_data ) {
+        $latest = $this->releases->get_latest( $plugin_data['owner'], $plugin_data['repo'], $plugin_data['release_asset'], ! empty( $plugin_data['include_prereleases'] ) );
+
+        if ( is_wp_error( $latest ) ) {
+            return $latest;
+        }
+
+        $installed  = isset( $plugin_data['installed_version'] ) ? $plugin_data['installed_version'] : '';
+        $has_update = GPL_Releases::is_newer( $latest['tag'], $installed );
+        $status     = $has_update ? 'update_available' : 'up_to_date';
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, array_merge( $this->get_release_data( $latest ), array(
+            'status' => $status,
+        ) ) );
+
+        return array(
+            'has_update'        => $has_update,
+            'pinned'            => false,
+            'source'            => 'release',
+            'installed_version' => $installed,
+            'remote_version'    => $latest['tag'],
+            'status'            => $status,
+        );
+    }
+
+    /**
+     * Count the commits between two commits of a plugin's branch
+     *
+     * @param GPL_Provider $provider    Repository provider.
+     * @param array        $repo_info   Repository info.
+     * @param string       $plugin_path Plugin directory path.
+     * @param string       $from        Older commit.
+     * @param string       $to          Newer commit.
+     * @return int 0 if the commits can't be compared.
+     */
+    private function count_new_commits( $provider, $repo_info, $plugin_path, $from, $to ) {
+        if ( $provider->supports( 'compare' ) ) {
+            $comparison = $provider->compare_commits( $repo_info, $from, $to );
+            return $comparison ? (int) $comparison['ahead_by'] : 0;
+        }
+
+        if ( $this->git->fetch( $plugin_path ) ) {
+            return (int) $this->git->count_commits( $plugin_path, $from, $to );
+        }
+
+        return 0;
+    }
+
+    /**
+     * Get the status of a checked Git plugin
+     *
+     * A local changes flag stays until the changes are dealt with.
+     *
+     * @param string $slug        Plugin slug.
+     * @param array  $plugin_data Plugin data.
+     * @param bool   $has_update  Whether an update is available.
+     * @return string
+     */
+    private function get_update_status( $slug, $plugin_data, $has_update ) {
+        if ( isset( $plugin_data['status'] ) && 'local_changes' === $plugin_data['status'] && $this->has_local_changes( $slug ) ) {
+            return 'local_changes';
+        }
+
+        return $has_update ? 'update_available' : 'up_to_date';
+    }
+
+    /**
+     * Compare the highest tag matching the version constraint with the current tag
+     *
+     * @param string $slug        Plugin slug.
+     * @param array  $plugin_data Plugin data.
+     * @return array|WP_Error
+     */
+    private function check_tag_updates( $slug, $plugin_data ) {
+        $provider  = $this->providers->for_plugin( $plugin_data );
+        $repo_info = $this->get_repo_info( $plugin_data );
+        $tag       = $this->resolve_constraint( $provider, $repo_info, $plugin_data['version_constraint'] );
+
+        if ( is_wp_error( $tag ) ) {
+            return $tag;
+        }
+
+        $local_commit = $this->git->get_current_commit( WP_PLUGIN_DIR . '/' . $slug );
+        $has_update   = $tag['name'] !== $plugin_data['branch'];
+        $status       = $this->get_update_status( $slug, $plugin_data, $has_update );
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'local_commit'   => $local_commit,
+            'remote_commit'  => $tag['commit'],
+            'remote_version' => $tag['name'],
+            'status'         => $status,
+        ) );
+
+        return array(
+            'has_update'        => $has_update,
+            'pinned'            => false,
+            'local_commit'      => $local_commit,
+            'remote_commit'     => $tag['commit'],
+            'installed_version' => $plugin_data['branch'],
+            'remote_version'    => $tag['name'],
+            'status'            => $status,
         );
     }
 
+    /**
+     * Get the commits and files changed between the local and remote commit
+     *
+     * @param string $slug Plugin slug.
+     * @return array|WP_Error
+     */
+    public function get_changes( $slug ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        $plugin_data = $plugins[ $slug ];
+
+        // Releases come with notes instead of a commit range
+        if ( GPL_Releases::uses_releases( $plugin_data ) ) {
+            return array(
+                'release'    => array(
+                    'name'      => isset( $plugin_data['release_name'] ) ? $plugin_data['release_name'] : '',
+                    'tag'       => isset( $plugin_data['remote_version'] ) ? $plugin_data['remote_version'] : '',
+                    'notes'     => isset( $plugin_data['release_notes'] ) ? $plugin_data['release_notes'] : '',
+                    'url'       => isset( $plugin_data['release_url'] ) ? $plugin_data['release_url'] : '',
+                    'published' => isset( $plugin_data['release_published'] ) ? $plugin_data['release_published'] : '',
+                ),
+                'installed'  => $plugin_data['installed_version'],
+                'has_update' => 'update_available' === $plugin_data['status'],
+                'commits'    => array(),
+                'files'      => array(),
+                'head'       => '',
+            );
+        }
+
+        $provider    = $this->providers->for_plugin( $plugin_data );
+        $base        = $plugin_data['local_commit'];
+        $head        = ! empty( $plugin_data['remote_commit'] ) ? $plugin_data['remote_commit'] : $plugin_data['branch'];
+
+        if ( ! $provider->supports( 'compare' ) ) {
+            return new WP_Error( 'not_supported', sprintf(
+                /* translators: %s: provider name */
+                __( 'Comparing commits is not available for %s repositories.', 'git-plugin-loader' ),
+                $provider->get_label()
+            ) );
+        }
+
+        $comparison = $provider->compare_commits( $this->get_repo_info( $plugin_data ), $base, $head );
+
+        if ( ! $comparison ) {
+            return new WP_Error( 'api_error', $provider->get_last_error() );
+        }
+
+        return array_merge( $comparison, array(
+            'base' => $base,
+            'head' => $head,
+        ) );
+    }
+
     /**
      * Check updates for all managed plugins
      *
@@ -313,6 +2070,8 @@ class GPL_Plugin_Manager {
         $plugins = Git_Plugin_Loader::get_managed_plugins();
         $results = array();
 
+        $this->prefetch_latest_commits( $plugins );
+
         foreach ( $plugins as $slug => $plugin_data ) {
             $results[ $slug ] = $this->check_updates( $slug );
         }
@@ -320,6 +2079,36 @@ class GPL_Plugin_Manager {
         return $results;
     }
 
+    /**
+     * Let each provider look up the branch heads of its plugins in one go
+     *
+     * @param array $plugins Managed plugins.
+     */
+    private function prefetch_latest_commits( $plugins ) {
+        $providers = array();
+        $refs      = array();
+
+        foreach ( $plugins as $plugin_data ) {
+            // Releases and version tags are checked against lists, not a branch head
+            if ( GPL_Releases::uses_releases( $plugin_data ) || GPL_Version_Constraint::is_tracking( $plugin_data ) ) {
+                continue;
+            }
+
+            $provider = $this->providers->for_plugin( $plugin_data );
+            $id       = $provider->get_id();
+
+            $providers[ $id ] = $provider;
+            $refs[ $id ][]    = array(
+                'repo'   => $this->get_repo_info( $plugin_data ),
+                'branch' => $plugin_data['branch'],
+            );
+        }
+
+        foreach ( $providers as $id => $provider ) {
+            $provider->prefetch_latest_commits( $refs[ $id ] );
+        }
+    }
+
     /**
      * Sync all plugins with auto-sync enabled
      *
@@ -330,9 +2119,25 @@ class GPL_Plugin_Manager {
         $results = array();
 
         foreach ( $plugins as $slug => $plugin_data ) {
-            if ( ! empty( $plugin_data['auto_sync'] ) ) {
-                $results[ $slug ] = $this->sync_plugin( $slug );
+            // Pinned plugins stay where they are until synced manually
+            if ( empty( $plugin_data['auto_sync'] ) || $this->get_pinned_commit( $plugin_data ) ) {
+                continue;
+            }
+
+            // Don't retry a commit or release that already failed the health check
+            $remote = GPL_Releases::uses_releases( $plugin_data ) ? $plugin_data['remote_version'] : $plugin_data['remote_commit'];
+            if ( ! empty( $plugin_data['health_failed_commit'] ) && $plugin_data['health_failed_commit'] === $remote ) {
+                continue;
+            }
+
+            // Leave plugins edited on the server alone until someone decides what to keep
+            if ( $this->has_local_changes( $slug ) ) {
+                Git_Plugin_Loader::update_managed_plugin( $slug, array( 'status' => 'local_changes' ) );
+                $results[ $slug ] = new WP_Error( 'local_changes', __( 'Skipped, the plugin has local changes.', 'git-plugin-loader' ) );
+                continue;
             }
+
+            $results[ $slug ] = $this->sync_plugin( $slug );
         }
 
         return $results;
@@ -352,8 +2157,7 @@ class GPL_Plugin_Manager {
             return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
         }
 
-        $plugins[ $slug ]['auto_sync'] = (bool) $enabled;
-        Git_Plugin_Loader::update_managed_plugins( $plugins );
+        Git_Plugin_Loader::update_managed_plugin( $slug, array( 'auto_sync' => (bool) $enabled ) );
 
         return true;
     }
@@ -361,19 +2165,42 @@ class GPL_Plugin_Manager {
     /**
      * Change branch or tag for a plugin
      *
+     * Choosing a branch or tag by hand stops tag tracking.
+     *
      * @param string $slug   Plugin slug.
      * @param string $branch New branch or tag.
      * @return array|WP_Error
      */
     public function change_branch( $slug, $branch ) {
+        $activity = $this->activity_log->begin( 'branch', $slug );
+
+        return $this->activity_log->end( $activity, $this->do_change_branch( $slug, $branch ) );
+    }
+
+    /**
+     * Change the branch of a plugin without recording it in the activity log
+     *
+     * @see change_branch()
+     */
+    private function do_change_branch( $slug, $branch ) {
         $plugins = Git_Plugin_Loader::get_managed_plugins();
 
         if ( ! isset( $plugins[ $slug ] ) ) {
             return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
         }
 
+        if ( GPL_Releases::uses_releases( $plugins[ $slug ] ) ) {
+            return $this->release_not_supported();
+        }
+
         $plugin_path = WP_PLUGIN_DIR . '/' . $slug;
 
+        // Switching would carry edits along or fail halfway, so they need a sync first
+        $changes = $this->get_local_changes( $slug );
+        if ( ! is_wp_error( $changes ) && ! $changes['clean'] ) {
+            return $this->local_changes_error( $slug, $changes );
+        }
+
         // Fetch all refs
         if ( ! $this->git->fetch( $plugin_path, true, true ) ) {
             return new WP_Error( 'fetch_failed', $this->git->get_last_error() );
@@ -385,11 +2212,14 @@ class GPL_Plugin_Manager {
         }
 
         // Update stored data
-        $plugins[ $slug ]['branch'] = $branch;
-        Git_Plugin_Loader::update_managed_plugins( $plugins );
+        Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'branch'             => $branch,
+            'version_constraint' => '',
+            'remote_version'     => '',
+        ) );
 
         // Sync to get latest commit info
-        return $this->sync_plugin( $slug );
+        return $this->do_sync_plugin( $slug );
     }
 
     /**
@@ -406,18 +2236,12 @@ class GPL_Plugin_Manager {
         }
 
         $plugin_data = $plugins[ $slug ];
+        $provider    = $this->providers->for_plugin( $plugin_data );
+        $repo_info   = $this->get_repo_info( $plugin_data );
 
-        // Get branches from GitHub API
-        $branches = $this->github_api->get_branches(
-            $plugin_data['owner'],
-            $plugin_data['repo']
-        );
-
-        // Get tags from GitHub API
-        $tags = $this->github_api->get_tags(
-            $plugin_data['owner'],
-            $plugin_data['repo']
-        );
+        // Get branches and tags from the provider
+        $branches = $provider->get_branches( $repo_info );
+        $tags     = $provider->get_tags( $repo_info );
 
         return array(
             'branches'       => $branches ? $branches : array(),
@@ -455,6 +2279,66 @@ class GPL_Plugin_Manager {
         ) );
     }
 
+    /**
+     * Get where on the network the managed plugins are active
+     *
+     * @return array Array with 'network' (network activated plugin files) and 'sites'
+     *               (site names keyed by plugin file) keys.
+     */
+    public function get_network_activations() {
+        $files  = array_filter( wp_list_pluck( Git_Plugin_Loader::get_managed_plugins(), 'wp_plugin_file' ) );
+        $cached = get_site_transient( self::TRANSIENT_NETWORK_ACTIVATIONS );
+
+        // Looking through every site is slow, so it is redone only when plugins are
+        // (de)activated or managed plugins come and go
+        if ( is_array( $cached ) && $cached['files'] === $files ) {
+            return $cached['activations'];
+        }
+
+        $activations = array(
+            'network' => array_values( array_intersect( $files, array_keys( (array) get_site_option( 'active_sitewide_plugins', array() ) ) ) ),
+            'sites'   => array(),
+        );
+
+        $site_ids = get_sites( array(
+            'fields'   => 'ids',
+            'number'   => self::MAX_NETWORK_SITES,
+            'archived' => 0,
+            'deleted'  => 0,
+        ) );
+
+        foreach ( $site_ids as $site_id ) {
+            $active = array_intersect( $files, (array) get_blog_option( $site_id, 'active_plugins', array() ) );
+
+            if ( ! $active ) {
+                continue;
+            }
+
+            $name = get_blog_option( $site_id, 'blogname' );
+            if ( ! $name ) {
+                $name = untrailingslashit( preg_replace( '#^https?://#', '', get_site_url( $site_id ) ) );
+            }
+
+            foreach ( $active as $file ) {
+                $activations['sites'][ $file ][] = $name;
+            }
+        }
+
+        set_site_transient( self::TRANSIENT_NETWORK_ACTIVATIONS, array(
+            'files'       => $files,
+            'activations' => $activations,
+        ), HOUR_IN_SECONDS );
+
+        return $activations;
+    }
+
+    /**
+     * Forget where on the network the managed plugins are active
+     */
+    public static function flush_network_activations() {
+        delete_site_transient( self::TRANSIENT_NETWORK_ACTIVATIONS );
+    }
+
     /**
      * Get all managed plugins with details
      *
@@ -481,6 +2365,25 @@ class GPL_Plugin_Manager {
         return $result;
     }
 
+    /**
+     * Get the provider repository info of a managed plugin
+     *
+     * @param array $plugin_data Plugin data.
+     * @return array
+     */
+    private function get_repo_info( $plugin_data ) {
+        $url    = $this->git->sanitize_repo_url( $plugin_data['repo_url'] );
+        $parsed = GPL_Git::is_ssh_url( $plugin_data['repo_url'] ) ? $this->git->parse_repo_url( $plugin_data['repo_url'] ) : false;
+
+        return array(
+            'host'    => ! empty( $plugin_data['host'] ) ? $plugin_data['host'] : 'github.com',
+            'owner'   => $plugin_data['owner'],
+            'repo'    => $plugin_data['repo'],
+            'url'     => $url ? $url : $plugin_data['repo_url'],
+            'ssh_url' => $parsed ? $parsed['ssh_url'] : '',
+        );
+    }
+
     /**
      * Get WordPress plugin information from a directory
      *
@@ -547,50 +2450,4 @@ class GPL_Plugin_Manager {
 
         return rmdir( $dir );
     }
-
-    /**
-     * Decrypt token for use in git clone URL
-     *
-     * @param string $encrypted_token Encrypted token from settings.
-     * @return string Decrypted token.
-     */
-    private function decrypt_token_for_clone( $encrypted_token ) {
-        if ( empty( $encrypted_token ) ) {
-            return '';
-        }
-
-        $key = $this->get_encryption_key();
-
-        if ( function_exists( 'openssl_decrypt' ) ) {
-            $decoded = base64_decode( $encrypted_token );
-            if ( strlen( $decoded ) >= 16 ) {
-                $iv        = substr( $decoded, 0, 16 );
-                $encrypted = substr( $decoded, 16 );
-                $decrypted = openssl_decrypt( $encrypted, 'AES-256-CBC', $key, 0, $iv );
-                if ( false !== $decrypted ) {
-                    return $decrypted;
-                }
-            }
-        }
-
-        // Fallback: try simple base64 decode
-        $decoded = base64_decode( $encrypted_token );
-        if ( $decoded !== false ) {
-            return $decoded;
-        }
-
-        return $encrypted_token;
-    }
-
-    /**
-     * Get encryption key for token decryption
-     *
-     * @return string
-     */
-    private function get_encryption_key() {
-        if ( defined( 'AUTH_KEY' ) && ! empty( AUTH_KEY ) ) {
-            return hash( 'sha256', AUTH_KEY );
-        }
-        return hash( 'sha256', 'git-plugin-loader-default-key' );
-    }
 }
@@ -0,0 +1,222 @@
+<?php
+/**
+ * Generic Git Provider Class
+ *
+ * Repository provider for any Git remote (Gitea, Bitbucket, self-hosted servers),
+ * using `git ls-remote` instead of a hosting API.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Provider_Git class
+ */
+class GPL_Provider_Git extends GPL_Provider {
+
+    /**
+     * Last error set by this provider
+     *
+     * @var string
+     */
+    private $git_error = '';
+
+    /**
+     * Get the provider ID
+     *
+     * @return string
+     */
+    public function get_id() {
+        return 'git';
+    }
+
+    /**
+     * Get the provider display name
+     *
+     * @return string
+     */
+    public function get_label() {
+        return __( 'Git', 'git-plugin-loader' );
+    }
+
+    /**
+     * Any host can be reached over plain Git
+     *
+     * @param string $host Host name.
+     * @return bool
+     */
+    public function matches_host( $host ) {
+        return true;
+    }
+
+    /**
+     * Get the user info part used to authenticate clone URLs
+     *
+     * The token may be given as "username:password" for servers that need both.
+     *
+     * @param string $token Plain text token.
+     * @return string
+     */
+    protected function get_url_credentials( $token ) {
+        return implode( ':', array_map( 'rawurlencode', explode( ':', $token, 2 ) ) );
+    }
+
+    /**
+     * Get repository information
+     *
+     * A repository is considered private when it can't be listed anonymously.
+     *
+     * @param array $repo Repository info.
+     * @return array|false
+     */
+    public function get_repo( $repo ) {
+        // Repositories reached with a deploy key are private by definition
+        if ( ! empty( $repo['ssh_url'] ) ) {
+            $branch = $this->git->get_remote_default_branch( $repo['ssh_url'] );
+
+            return false === $branch ? false : array(
+                'is_private'     => true,
+                'default_branch' => $branch,
+            );
+        }
+
+        $url        = $repo['url'];
+        $is_private = false;
+        $branch     = $this->git->get_remote_default_branch( $url );
+
+        if ( false === $branch ) {
+            $token = $this->get_token();
+            if ( empty( $token ) ) {
+                return false;
+            }
+
+            $url        = $this->get_authenticated_url( $repo['url'] );
+            $is_private = true;
+            $branch     = $this->git->get_remote_default_branch( $url );
+
+            if ( false === $branch ) {
+                return false;
+            }
+        }
+
+        return array(
+            'is_private'     => $is_private,
+            'default_branch' => $branch,
+        );
+    }
+
+    /**
+     * Get repository branches
+     *
+     * @param array $repo Repository info.
+     * @return array|false
+     */
+    public function get_branches( $repo ) {
+        return $this->list_refs( $repo, '--heads', 'refs/heads/' );
+    }
+
+    /**
+     * Get repository tags
+     *
+     * @param array $repo Repository info.
+     * @return array|false
+     */
+    public function get_tags( $repo ) {
+        return $this->list_refs( $repo, '--tags', 'refs/tags/' );
+    }
+
+    /**
+     * Get the latest commit of a branch or tag
+     *
+     * Only the SHA is available without a hosting API.
+     *
+     * @param array  $repo   Repository info.
+     * @param string $branch Branch or tag name.
+     * @return array|false
+     */
+    public function get_latest_commit( $repo, $branch ) {
+        $refs = $this->ls_remote( $repo, '', $branch );
+
+        if ( false === $refs ) {
+            return false;
+        }
+
+        // Prefer the branch, then the peeled tag commit, then the tag object
+        foreach ( array( 'refs/heads/' . $branch, 'refs/tags/' . $branch . '^{}', 'refs/tags/' . $branch ) as $ref ) {
+            if ( isset( $refs[ $ref ] ) ) {
+                return array(
+                    'sha'       => $refs[ $ref ],
+                    'message'   => '',
+                    'author'    => '',
+                    'date'      => '',
+                    'timestamp' => 0,
+                );
+            }
+        }
+
+        /* translators: %s: branch or tag name */
+        $this->git_error = sprintf( __( 'Reference "%s" not found on the remote.', 'git-plugin-loader' ), $branch );
+        return false;
+    }
+
+    /**
+     * Get the last error message
+     *
+     * @return string
+     */
+    public function get_last_error() {
+        return $this->git_error ? $this->git_error : $this->git->get_last_error();
+    }
+
+    /**
+     * List remote refs of one type
+     *
+     * @param array  $repo   Repository info.
+     * @param string $args   ls-remote arguments.
+     * @param string $prefix Ref prefix to strip.
+     * @return array|false
+     */
+    private function list_refs( $repo, $args, $prefix ) {
+        $refs = $this->ls_remote( $repo, $args );
+
+        if ( false === $refs ) {
+            return false;
+        }
+
+        $list = array();
+        foreach ( $refs as $ref => $sha ) {
+            // Skip peeled tag entries
+            if ( 0 !== strpos( $ref, $prefix ) || '^{}' === substr( $ref, -3 ) ) {
+                continue;
+            }
+
+            $name   = substr( $ref, strlen( $prefix ) );
+            $peeled = $ref . '^{}';
+
+            $list[] = array(
+                'name'   => $name,
+                'commit' => isset( $refs[ $peeled ] ) ? $refs[ $peeled ] : $sha,
+            );
+        }
+
+        return $list;
+    }
+
+    /**
+     * Run ls-remote, authenticating with the deploy key or a configured token
+     *
+     * @param array  $repo Repository info.
+     * @param string $args ls-remote arguments.
+     * @param string $ref  Optional ref pattern.
+     * @return array|false
+     */
+    private function ls_remote( $repo, $args = '', $ref = '' ) {
+        $this->git_error = '';
+
+        return $this->git->ls_remote( $this->get_clone_url( $repo ), $args, $ref );
+    }
+}
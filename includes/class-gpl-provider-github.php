@@ -0,0 +1,188 @@
+<?php
+/**
+ * GitHub Provider Class
+ *
+ * Repository provider backed by the GitHub REST API.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Provider_GitHub class
+ */
+class GPL_Provider_GitHub extends GPL_Provider {
+
+    /**
+     * GitHub API handler
+     *
+     * @var GPL_GitHub_API
+     */
+    private $api;
+
+    /**
+     * Optional features this provider supports
+     *
+     * @var array
+     */
+    protected $features = array( 'commits', 'compare', 'releases' );
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Git        $git Git operations handler.
+     * @param GPL_GitHub_API $api GitHub API handler.
+     */
+    public function __construct( GPL_Git $git, GPL_GitHub_API $api ) {
+        parent::__construct( $git );
+        $this->api = $api;
+    }
+
+    /**
+     * Get the provider ID
+     *
+     * @return string
+     */
+    public function get_id() {
+        return 'github';
+    }
+
+    /**
+     * Get the provider display name
+     *
+     * @return string
+     */
+    public function get_label() {
+        return __( 'GitHub', 'git-plugin-loader' );
+    }
+
+    /**
+     * Check whether a host belongs to this provider
+     *
+     * @param string $host Host name.
+     * @return bool
+     */
+    public function matches_host( $host ) {
+        return 'github.com' === $host || 'www.github.com' === $host;
+    }
+
+    /**
+     * Parse a repository URL
+     *
+     * GitHub repositories always live at github.com/owner/repo.
+     *
+     * @param string $url Repository URL.
+     * @return array|false
+     */
+    public function parse_repo_url( $url ) {
+        $repo = parent::parse_repo_url( $url );
+
+        if ( ! $repo || ! $this->matches_host( $repo['host'] ) || false !== strpos( $repo['owner'], '/' ) ) {
+            return false;
+        }
+
+        return $repo;
+    }
+
+    /**
+     * Get repository information
+     *
+     * @param array $repo Repository info.
+     * @return array|false
+     */
+    public function get_repo( $repo ) {
+        $data = $this->api->get_repo( $repo['owner'], $repo['repo'] );
+
+        if ( false === $data ) {
+            return false;
+        }
+
+        return array(
+            'is_private'     => ! empty( $data['private'] ),
+            'default_branch' => isset( $data['default_branch'] ) ? $data['default_branch'] : 'main',
+        );
+    }
+
+    /**
+     * Get repository branches
+     *
+     * @param array $repo Repository info.
+     * @return array|false
+     */
+    public function get_branches( $repo ) {
+        return $this->api->get_branches( $repo['owner'], $repo['repo'] );
+    }
+
+    /**
+     * Get repository tags
+     *
+     * @param array $repo Repository info.
+     * @return array|false
+     */
+    public function get_tags( $repo ) {
+        return $this->api->get_tags( $repo['owner'], $repo['repo'] );
+    }
+
+    /**
+     * Get the latest commit of a branch or tag
+     *
+     * @param array  $repo   Repository info.
+     * @param string $branch Branch or tag name.
+     * @return array|false
+     */
+    public function get_latest_commit( $repo, $branch ) {
+        return $this->api->get_latest_commit( $repo['owner'], $repo['repo'], $branch );
+    }
+
+    /**
+     * Look up the latest commits of several branches in one GraphQL query
+     *
+     * @param array $refs List of arrays with 'repo' and 'branch' keys.
+     */
+    public function prefetch_latest_commits( $refs ) {
+        $this->api->prefetch_latest_commits( array_map( function( $ref ) {
+            return array(
+                'owner'  => $ref['repo']['owner'],
+                'repo'   => $ref['repo']['repo'],
+                'branch' => $ref['branch'],
+            );
+        }, $refs ) );
+    }
+
+    /**
+     * Get recent commits of a branch
+     *
+     * @param array  $repo     Repository info.
+     * @param string $branch   Branch name.
+     * @param int    $per_page Number of commits.
+     * @return array|false
+     */
+    public function get_commits( $repo, $branch, $per_page = 10 ) {
+        return $this->api->get_commits( $repo['owner'], $repo['repo'], $branch, $per_page );
+    }
+
+    /**
+     * Compare two commits
+     *
+     * @param array  $repo Repository info.
+     * @param string $base Base commit/branch.
+     * @param string $head Head commit/branch.
+     * @return array|false
+     */
+    public function compare_commits( $repo, $base, $head ) {
+        return $this->api->compare_commits( $repo['owner'], $repo['repo'], $base, $head );
+    }
+
+    /**
+     * Get the last error message
+     *
+     * @return string
+     */
+    public function get_last_error() {
+        return $this->api->get_last_error();
+    }
+}
@@ -0,0 +1,168 @@
+<?php
+/**
+ * GitLab Provider Class
+ *
+ * Repository provider backed by the GitLab REST API.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Provider_GitLab class
+ */
+class GPL_Provider_GitLab extends GPL_Provider {
+
+    /**
+     * GitLab API handler
+     *
+     * @var GPL_GitLab_API
+     */
+    private $api;
+
+    /**
+     * Optional features this provider supports
+     *
+     * @var array
+     */
+    protected $features = array( 'commits', 'compare' );
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Git        $git Git operations handler.
+     * @param GPL_GitLab_API $api GitLab API handler.
+     */
+    public function __construct( GPL_Git $git, GPL_GitLab_API $api ) {
+        parent::__construct( $git );
+        $this->api = $api;
+    }
+
+    /**
+     * Get the provider ID
+     *
+     * @return string
+     */
+    public function get_id() {
+        return 'gitlab';
+    }
+
+    /**
+     * Get the provider display name
+     *
+     * @return string
+     */
+    public function get_label() {
+        return __( 'GitLab', 'git-plugin-loader' );
+    }
+
+    /**
+     * Check whether a host belongs to this provider
+     *
+     * Self-hosted instances are recognised by a "gitlab." host name; others
+     * can be selected explicitly when adding the plugin.
+     *
+     * @param string $host Host name.
+     * @return bool
+     */
+    public function matches_host( $host ) {
+        return 'gitlab.com' === $host || 0 === strpos( $host, 'gitlab.' );
+    }
+
+    /**
+     * Get the user info part used to authenticate clone URLs
+     *
+     * @param string $token Plain text token.
+     * @return string
+     */
+    protected function get_url_credentials( $token ) {
+        return 'oauth2:' . rawurlencode( $token );
+    }
+
+    /**
+     * Get repository information
+     *
+     * @param array $repo Repository info.
+     * @return array|false
+     */
+    public function get_repo( $repo ) {
+        $data = $this->api->get_repo( $repo['host'], $repo['owner'], $repo['repo'] );
+
+        if ( false === $data ) {
+            return false;
+        }
+
+        return array(
+            'is_private'     => isset( $data['visibility'] ) && 'public' !== $data['visibility'],
+            'default_branch' => ! empty( $data['default_branch'] ) ? $data['default_branch'] : 'main',
+        );
+    }
+
+    /**
+     * Get repository branches
+     *
+     * @param array $repo Repository info.
+     * @return array|false
+     */
+    public function get_branches( $repo ) {
+        return $this->api->get_branches( $repo['host'], $repo['owner'], $repo['repo'] );
+    }
+
+    /**
+     * Get repository tags
+     *
+     * @param array $repo Repository info.
+     * @return array|false
+     */
+    public function get_tags( $repo ) {
+        return $this->api->get_tags( $repo['host'], $repo['owner'], $repo['repo'] );
+    }
+
+    /**
+     * Get the latest commit of a branch or tag
+     *
+     * @param array  $repo   Repository info.
+     * @param string $branch Branch or tag name.
+     * @return array|false
+     */
+    public function get_latest_commit( $repo, $branch ) {
+        return $this->api->get_latest_commit( $repo['host'], $repo['owner'], $repo['repo'], $branch );
+    }
+
+    /**
+     * Get recent commits of a branch
+     *
+     * @param array  $repo     Repository info.
+     * @param string $branch   Branch name.
+     * @param int    $per_page Number of commits.
+     * @return array|false
+     */
+    public function get_commits( $repo, $branch, $per_page = 10 ) {
+        return $this->api->get_commits( $repo['host'], $repo['owner'], $repo['repo'], $branch, $per_page );
+    }
+
+    /**
+     * Compare two commits
+     *
+     * @param array  $repo Repository info.
+     * @param string $base Base commit/branch.
+     * @param string $head Head commit/branch.
+     * @return array|false
+     */
+    public function compare_commits( $repo, $base, $head ) {
+        return $this->api->compare_commits( $repo['host'], $repo['owner'], $repo['repo'], $base, $head );
+    }
+
+    /**
+     * Get the last error message
+     *
+     * @return string
+     */
+    public function get_last_error() {
+        return $this->api->get_last_error();
+    }
+}
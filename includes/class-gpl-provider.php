@@ -0,0 +1,223 @@
+<?php
+/**
+ * Repository Provider Base Class
+ *
+ * Defines the interface every Git hosting provider implements.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Provider abstract class
+ *
+ * Repository arguments are arrays with 'host', 'owner', 'repo' and 'url' keys,
+ * as returned by parse_repo_url().
+ */
+abstract class GPL_Provider {
+
+    /**
+     * Git operations handler
+     *
+     * @var GPL_Git
+     */
+    protected $git;
+
+    /**
+     * Optional features this provider supports (commits, compare, releases)
+     *
+     * @var array
+     */
+    protected $features = array();
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Git $git Git operations handler.
+     */
+    public function __construct( GPL_Git $git ) {
+        $this->git = $git;
+    }
+
+    /**
+     * Get the provider ID
+     *
+     * @return string
+     */
+    abstract public function get_id();
+
+    /**
+     * Get the provider display name
+     *
+     * @return string
+     */
+    abstract public function get_label();
+
+    /**
+     * Check whether a host belongs to this provider
+     *
+     * @param string $host Host name.
+     * @return bool
+     */
+    abstract public function matches_host( $host );
+
+    /**
+     * Get repository information
+     *
+     * @param array $repo Repository info.
+     * @return array|false Array with 'is_private' and 'default_branch' keys, or false.
+     */
+    abstract public function get_repo( $repo );
+
+    /**
+     * Get repository branches
+     *
+     * @param array $repo Repository info.
+     * @return array|false List of arrays with 'name' and 'commit' keys.
+     */
+    abstract public function get_branches( $repo );
+
+    /**
+     * Get repository tags
+     *
+     * @param array $repo Repository info.
+     * @return array|false List of arrays with 'name' and 'commit' keys.
+     */
+    abstract public function get_tags( $repo );
+
+    /**
+     * Get the latest commit of a branch or tag
+     *
+     * @param array  $repo   Repository info.
+     * @param string $branch Branch or tag name.
+     * @return array|false Array with at least a 'sha' key.
+     */
+    abstract public function get_latest_commit( $repo, $branch );
+
+    /**
+     * Get the last error message
+     *
+     * @return string
+     */
+    abstract public function get_last_error();
+
+    /**
+     * Check whether the provider supports an optional feature
+     *
+     * @param string $feature Feature name.
+     * @return bool
+     */
+    public function supports( $feature ) {
+        return in_array( $feature, $this->features, true );
+    }
+
+    /**
+     * Get the settings key holding this provider's token
+     *
+     * @return string
+     */
+    public function get_token_setting() {
+        return $this->get_id() . '_token';
+    }
+
+    /**
+     * Get the decrypted token for this provider
+     *
+     * @return string
+     */
+    public function get_token() {
+        return Git_Plugin_Loader::decrypt( Git_Plugin_Loader::get_settings( $this->get_token_setting() ) );
+    }
+
+    /**
+     * Parse a repository URL
+     *
+     * @param string $url Repository URL.
+     * @return array|false
+     */
+    public function parse_repo_url( $url ) {
+        return $this->git->parse_repo_url( $url );
+    }
+
+    /**
+     * Add the configured token to a clone URL
+     *
+     * @param string $url Sanitized HTTPS repository URL.
+     * @return string
+     */
+    public function get_authenticated_url( $url ) {
+        $token = $this->get_token();
+
+        if ( empty( $token ) ) {
+            return $url;
+        }
+
+        return preg_replace( '/^https:\/\//', 'https://' . $this->get_url_credentials( $token ) . '@', $url );
+    }
+
+    /**
+     * Get the URL to clone or list a repository from
+     *
+     * SSH URLs authenticate with the plugin's deploy key, HTTPS URLs with the
+     * configured token.
+     *
+     * @param array $repo Repository info.
+     * @return string
+     */
+    public function get_clone_url( $repo ) {
+        if ( ! empty( $repo['ssh_url'] ) ) {
+            return $repo['ssh_url'];
+        }
+
+        return $this->get_authenticated_url( $repo['url'] );
+    }
+
+    /**
+     * Get the user info part used to authenticate clone URLs
+     *
+     * @param string $token Plain text token.
+     * @return string
+     */
+    protected function get_url_credentials( $token ) {
+        return $token;
+    }
+
+    /**
+     * Get recent commits of a branch
+     *
+     * @param array  $repo     Repository info.
+     * @param string $branch   Branch name.
+     * @param int    $per_page Number of commits.
+     * @return array|false
+     */
+    public function get_commits( $repo, $branch, $per_page = 10 ) {
+        return false;
+    }
+
+    /**
+     * Look up the latest commits of several branches at once
+     *
+     * Providers that can batch the lookups answer the get_latest_commit()
+     * calls that follow from memory. The others look each one up when asked.
+     *
+     * @param array $refs List of arrays with 'repo' (repository info) and 'branch' keys.
+     */
+    public function prefetch_latest_commits( $refs ) {
+    }
+
+    /**
+     * Compare two commits
+     *
+     * @param array  $repo Repository info.
+     * @param string $base Base commit/branch.
+     * @param string $head Head commit/branch.
+     * @return array|false
+     */
+    public function compare_commits( $repo, $base, $head ) {
+        return false;
+    }
+}
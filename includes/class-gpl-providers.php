@@ -0,0 +1,106 @@
+<?php
+/**
+ * Repository Providers Registry
+ *
+ * Keeps track of the available providers and picks the right one for a URL.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Providers class
+ */
+class GPL_Providers {
+
+    /**
+     * Registered providers keyed by ID
+     *
+     * @var GPL_Provider[]
+     */
+    private $providers = array();
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Git        $git        Git operations handler.
+     * @param GPL_GitHub_API $github_api GitHub API handler.
+     * @param GPL_GitLab_API $gitlab_api GitLab API handler.
+     */
+    public function __construct( GPL_Git $git, GPL_GitHub_API $github_api, GPL_GitLab_API $gitlab_api ) {
+        $this->register( new GPL_Provider_GitHub( $git, $github_api ) );
+        $this->register( new GPL_Provider_GitLab( $git, $gitlab_api ) );
+        $this->register( new GPL_Provider_Git( $git ) );
+    }
+
+    /**
+     * Register a provider
+     *
+     * The generic Git provider matches every host, so it should be registered last.
+     *
+     * @param GPL_Provider $provider Provider instance.
+     */
+    public function register( GPL_Provider $provider ) {
+        $this->providers[ $provider->get_id() ] = $provider;
+    }
+
+    /**
+     * Get a provider by ID
+     *
+     * @param string $id Provider ID.
+     * @return GPL_Provider|null
+     */
+    public function get( $id ) {
+        return isset( $this->providers[ $id ] ) ? $this->providers[ $id ] : null;
+    }
+
+    /**
+     * Get all registered providers
+     *
+     * @return GPL_Provider[]
+     */
+    public function get_all() {
+        return $this->providers;
+    }
+
+    /**
+     * Detect the provider for a repository URL
+     *
+     * @param string $url Repository URL.
+     * @return GPL_Provider|null
+     */
+    public function detect( $url ) {
+        // Hosting APIs can't authenticate with deploy keys, plain Git can
+        if ( GPL_Git::is_ssh_url( $url ) ) {
+            return $this->get( 'git' );
+        }
+
+        foreach ( $this->providers as $provider ) {
+            $repo = $provider->parse_repo_url( $url );
+            if ( $repo && $provider->matches_host( $repo['host'] ) ) {
+                return $provider;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the provider of a managed plugin
+     *
+     * Plugins added before providers existed are GitHub plugins.
+     *
+     * @param array $plugin_data Plugin data.
+     * @return GPL_Provider
+     */
+    public function for_plugin( $plugin_data ) {
+        $id       = ! empty( $plugin_data['provider'] ) ? $plugin_data['provider'] : 'github';
+        $provider = $this->get( $id );
+
+        return $provider ? $provider : $this->get( 'git' );
+    }
+}
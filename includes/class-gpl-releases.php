@@ -0,0 +1,277 @@
+<?php
+/**
+ * Releases Class
+ *
+ * Installs plugins from ZIP assets attached to GitHub releases, for
+ * repositories whose source tree needs a build step before it can be used.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Releases class
+ */
+class GPL_Releases {
+
+    /**
+     * GitHub API handler
+     *
+     * @var GPL_GitHub_API
+     */
+    private $api;
+
+    /**
+     * Constructor
+     *
+     * @param GPL_GitHub_API $api GitHub API handler.
+     */
+    public function __construct( GPL_GitHub_API $api ) {
+        $this->api = $api;
+    }
+
+    /**
+     * Check whether a plugin is installed from release assets
+     *
+     * @param array $plugin_data Plugin data.
+     * @return bool
+     */
+    public static function uses_releases( $plugin_data ) {
+        return isset( $plugin_data['source'] ) && 'release' === $plugin_data['source'];
+    }
+
+    /**
+     * Strip the "v" prefix from a release tag
+     *
+     * @param string $tag Release tag.
+     * @return string
+     */
+    public static function normalize_version( $tag ) {
+        return preg_replace( '/^v(?=\d)/i', '', trim( (string) $tag ) );
+    }
+
+    /**
+     * Check whether a release is newer than the installed one
+     *
+     * Tags that don't look like version numbers are only compared for equality.
+     *
+     * @param string $remote Latest release tag.
+     * @param string $local  Installed release tag.
+     * @return bool
+     */
+    public static function is_newer( $remote, $local ) {
+        $remote = self::normalize_version( $remote );
+        $local  = self::normalize_version( $local );
+
+        if ( '' === $local ) {
+            return '' !== $remote;
+        }
+
+        if ( preg_match( '/^\d/', $remote ) && preg_match( '/^\d/', $local ) ) {
+            return version_compare( $remote, $local, '>' );
+        }
+
+        return $remote !== $local;
+    }
+
+    /**
+     * Get the newest release that has an installable asset
+     *
+     * @param string $owner       Repository owner.
+     * @param string $repo        Repository name.
+     * @param string $asset       Asset file name, wildcards allowed. Empty for the first ZIP asset.
+     * @param bool   $prereleases Whether pre-releases are considered.
+     * @return array|WP_Error Release with the matching 'asset'.
+     */
+    public function get_latest( $owner, $repo, $asset, $prereleases ) {
+        $releases = $this->api->get_releases( $owner, $repo );
+
+        if ( false === $releases ) {
+            return new WP_Error( 'api_error', $this->api->get_last_error() );
+        }
+
+        foreach ( $releases as $release ) {
+            if ( $release['draft'] || ( $release['prerelease'] && ! $prereleases ) ) {
+                continue;
+            }
+
+            $match = $this->find_asset( $release['assets'], $asset );
+
+            if ( $match ) {
+                unset( $release['assets'] );
+                $release['asset'] = $match;
+
+                return $release;
+            }
+        }
+
+        return new WP_Error( 'no_release', $asset
+            /* translators: %s: asset file name */
+            ? sprintf( __( 'No release has an asset named "%s".', 'git-plugin-loader' ), $asset )
+            : __( 'No release has a ZIP asset.', 'git-plugin-loader' )
+        );
+    }
+
+    /**
+     * Download the asset of a release
+     *
+     * @param string $owner   Repository owner.
+     * @param string $repo    Repository name.
+     * @param array  $release Release returned by get_latest().
+     * @return string|WP_Error Path of the downloaded ZIP file.
+     */
+    public function download( $owner, $repo, $release ) {
+        if ( ! function_exists( 'wp_tempnam' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        $file = wp_tempnam( $release['asset']['name'] );
+
+        if ( ! $this->api->download_asset( $owner, $repo, $release['asset']['id'], $file ) ) {
+            @unlink( $file );
+            return new WP_Error( 'download_failed', $this->api->get_last_error() );
+        }
+
+        return $file;
+    }
+
+    /**
+     * Unpack a downloaded asset into the plugin directory
+     *
+     * An existing plugin directory is moved aside first so it can be restored.
+     *
+     * @param string $file        Path of the ZIP file, deleted afterwards.
+     * @param string $plugin_path Plugin directory path.
+     * @return string|WP_Error Path of the previous plugin directory, or an empty string if there was none.
+     */
+    public function extract( $file, $plugin_path ) {
+        $filesystem = $this->get_filesystem();
+
+        if ( ! $filesystem ) {
+            @unlink( $file );
+            return new WP_Error( 'filesystem_unavailable', __( 'Could not access the filesystem.', 'git-plugin-loader' ) );
+        }
+
+        $work   = $this->get_work_dir( 'gpl-release-' . basename( $plugin_path ) );
+        $result = unzip_file( $file, $work );
+
+        @unlink( $file );
+
+        if ( is_wp_error( $result ) ) {
+            $filesystem->delete( $work, true );
+            return $result;
+        }
+
+        // Release ZIPs usually wrap the plugin in a single top-level directory
+        $entries = array_values( array_diff( scandir( $work ), array( '.', '..' ) ) );
+        $source  = 1 === count( $entries ) && is_dir( $work . '/' . $entries[0] ) ? $work . '/' . $entries[0] : $work;
+        $backup  = '';
+
+        if ( is_dir( $plugin_path ) ) {
+            $backup = $this->get_work_dir( 'gpl-backup-' . basename( $plugin_path ) );
+
+            if ( ! rename( $plugin_path, $backup ) ) {
+                $filesystem->delete( $work, true );
+                return new WP_Error( 'move_failed', __( 'Could not move the installed plugin aside.', 'git-plugin-loader' ) );
+            }
+        }
+
+        if ( ! rename( $source, $plugin_path ) ) {
+            if ( $backup ) {
+                rename( $backup, $plugin_path );
+            }
+            $filesystem->delete( $work, true );
+            return new WP_Error( 'move_failed', __( 'Could not move the release into the plugin directory.', 'git-plugin-loader' ) );
+        }
+
+        if ( is_dir( $work ) ) {
+            $filesystem->delete( $work, true );
+        }
+
+        return $backup;
+    }
+
+    /**
+     * Put the previous plugin directory back
+     *
+     * @param string $plugin_path Plugin directory path.
+     * @param string $backup      Path returned by extract().
+     * @return bool
+     */
+    public function restore( $plugin_path, $backup ) {
+        $filesystem = $this->get_filesystem();
+
+        if ( ! $backup || ! $filesystem || ! is_dir( $backup ) ) {
+            return false;
+        }
+
+        $filesystem->delete( $plugin_path, true );
+
+        return rename( $backup, $plugin_path );
+    }
+
+    /**
+     * Delete the previous plugin directory once it is no longer needed
+     *
+     * @param string $backup Path returned by extract().
+     */
+    public function discard_backup( $backup ) {
+        $filesystem = $this->get_filesystem();
+
+        if ( $backup && $filesystem && is_dir( $backup ) ) {
+            $filesystem->delete( $backup, true );
+        }
+    }
+
+    /**
+     * Find the asset matching a file name pattern
+     *
+     * @param array  $assets  Release assets.
+     * @param string $pattern File name, wildcards allowed. Empty for the first ZIP asset.
+     * @return array|null
+     */
+    private function find_asset( $assets, $pattern ) {
+        $pattern = strtolower( $pattern ? $pattern : '*.zip' );
+
+        foreach ( $assets as $asset ) {
+            if ( fnmatch( $pattern, strtolower( $asset['name'] ) ) ) {
+                return $asset;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get a unique, not yet existing directory path in the upgrade directory
+     *
+     * @param string $prefix Directory name prefix.
+     * @return string
+     */
+    private function get_work_dir( $prefix ) {
+        return WP_CONTENT_DIR . '/upgrade/' . $prefix . '-' . strtolower( wp_generate_password( 8, false ) );
+    }
+
+    /**
+     * Set up the WordPress filesystem for unzipping and deleting files
+     *
+     * @return WP_Filesystem_Base|false
+     */
+    private function get_filesystem() {
+        global $wp_filesystem;
+
+        if ( ! function_exists( 'WP_Filesystem' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        if ( ! $wp_filesystem && ! WP_Filesystem() ) {
+            return false;
+        }
+
+        return $wp_filesystem;
+    }
+}
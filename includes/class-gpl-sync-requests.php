@@ -0,0 +1,210 @@
+<?php
+/**
+ * Sync Requests Class
+ *
+ * Lets users who cannot sync ask for a plugin to be synced, and keeps the
+ * queue of those requests for someone who can sync to approve or reject.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Sync_Requests class
+ */
+class GPL_Sync_Requests {
+
+    /**
+     * Option holding the sync requests, oldest first
+     *
+     * @var string
+     */
+    const OPTION = 'gpl_sync_requests';
+
+    /**
+     * Number of reviewed requests kept
+     *
+     * @var int
+     */
+    const MAX_REVIEWED = 100;
+
+    /**
+     * Background jobs handler
+     *
+     * @var GPL_Jobs
+     */
+    private $jobs;
+
+    /**
+     * Activity log instance
+     *
+     * @var GPL_Activity_Log
+     */
+    private $activity_log;
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Jobs         $jobs         Background jobs handler.
+     * @param GPL_Activity_Log $activity_log Activity log instance.
+     */
+    public function __construct( GPL_Jobs $jobs, GPL_Activity_Log $activity_log ) {
+        $this->jobs         = $jobs;
+        $this->activity_log = $activity_log;
+    }
+
+    /**
+     * Get the sync requests, newest first
+     *
+     * @param string $status Optional status to filter by (pending, approved or rejected).
+     * @return array
+     */
+    public static function get_requests( $status = '' ) {
+        $requests = array_reverse( Git_Plugin_Loader::get_option( self::OPTION, array() ) );
+
+        if ( $status ) {
+            $requests = array_values( wp_list_filter( $requests, array( 'status' => $status ) ) );
+        }
+
+        return $requests;
+    }
+
+    /**
+     * Get the pending request for a plugin
+     *
+     * @param string $slug Plugin slug.
+     * @return array|null
+     */
+    public static function get_pending( $slug ) {
+        $pending = wp_list_filter( self::get_requests( 'pending' ), array( 'slug' => $slug ) );
+
+        return $pending ? reset( $pending ) : null;
+    }
+
+    /**
+     * Ask for a plugin to be synced
+     *
+     * @param string $slug Plugin slug.
+     * @param string $note Optional note for the reviewer.
+     * @return array|WP_Error The request.
+     */
+    public function create( $slug, $note = '' ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        if ( self::get_pending( $slug ) ) {
+            return new WP_Error( 'request_pending', __( 'A sync of this plugin has already been requested.', 'git-plugin-loader' ) );
+        }
+
+        $plugin = $plugins[ $slug ];
+        $key    = GPL_Releases::uses_releases( $plugin ) ? 'remote_version' : 'remote_commit';
+
+        $request = array(
+            'id'       => strtolower( wp_generate_password( 12, false ) ),
+            'slug'     => $slug,
+            'target'   => ! empty( $plugin[ $key ] ) ? $plugin[ $key ] : '',
+            'note'     => $note,
+            'user_id'  => get_current_user_id(),
+            'time'     => time(),
+            'status'   => 'pending',
+            'reviewer' => 0,
+            'reviewed' => 0,
+            'comment'  => '',
+        );
+
+        $requests   = Git_Plugin_Loader::get_option( self::OPTION, array() );
+        $requests[] = $request;
+        Git_Plugin_Loader::update_option( self::OPTION, $requests, false );
+
+        $context = $this->activity_log->begin( 'request', $slug );
+        $this->activity_log->end( $context, true, $note );
+
+        return $request;
+    }
+
+    /**
+     * Approve or reject a pending request, starting the sync when approved
+     *
+     * @param string $id      Request ID.
+     * @param bool   $approve Whether to approve the request.
+     * @param string $comment Optional comment for the requester.
+     * @return array|WP_Error The reviewed request, with a 'job_id' key when a sync started.
+     */
+    public function review( $id, $approve, $comment = '' ) {
+        $requests = Git_Plugin_Loader::get_option( self::OPTION, array() );
+        $index    = null;
+
+        foreach ( $requests as $i => $request ) {
+            if ( $request['id'] === $id ) {
+                $index = $i;
+                break;
+            }
+        }
+
+        if ( null === $index ) {
+            return new WP_Error( 'not_found', __( 'Sync request not found.', 'git-plugin-loader' ) );
+        }
+
+        if ( 'pending' !== $requests[ $index ]['status'] ) {
+            return new WP_Error( 'already_reviewed', __( 'This sync request has already been reviewed.', 'git-plugin-loader' ) );
+        }
+
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        if ( $approve && ! isset( $plugins[ $requests[ $index ]['slug'] ] ) ) {
+            return new WP_Error( 'not_found', __( 'Plugin not found.', 'git-plugin-loader' ) );
+        }
+
+        $request = array_merge( $requests[ $index ], array(
+            'status'   => $approve ? 'approved' : 'rejected',
+            'reviewer' => get_current_user_id(),
+            'reviewed' => time(),
+            'comment'  => $comment,
+        ) );
+
+        $requests[ $index ] = $request;
+        Git_Plugin_Loader::update_option( self::OPTION, $this->prune( $requests ), false );
+
+        $message = $approve ? __( 'Approved', 'git-plugin-loader' ) : __( 'Rejected', 'git-plugin-loader' );
+        if ( $comment ) {
+            $message .= ': ' . $comment;
+        }
+
+        $context = $this->activity_log->begin( 'review', $request['slug'] );
+        $this->activity_log->end( $context, true, $message );
+
+        // The sync runs as the reviewer, who is the one allowed to sync, and goes to the
+        // commit that was reviewed. Releases can only be synced to the newest one.
+        if ( $approve ) {
+            $commit            = GPL_Releases::uses_releases( $plugins[ $request['slug'] ] ) ? null : $request['target'];
+            $job               = $this->jobs->start( 'sync', $request['slug'], array( 'commit' => $commit ? $commit : null ) );
+            $request['job_id'] = $job['id'];
+        }
+
+        return $request;
+    }
+
+    /**
+     * Drop the oldest reviewed requests beyond the limit
+     *
+     * @param array $requests Requests, oldest first.
+     * @return array
+     */
+    private function prune( $requests ) {
+        $reviewed = 0;
+
+        for ( $i = count( $requests ) - 1; $i >= 0; $i-- ) {
+            if ( 'pending' !== $requests[ $i ]['status'] && ++$reviewed > self::MAX_REVIEWED ) {
+                unset( $requests[ $i ] );
+            }
+        }
+
+        return array_values( $requests );
+    }
+}
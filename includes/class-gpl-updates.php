@@ -0,0 +1,549 @@
+<?php
+/**
+ * Core Updates Integration Class
+ *
+ * Shows managed plugins on the Plugins and Updates screens as Git-backed,
+ * runs their updates as syncs and keeps WordPress.org from updating them.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Updates class
+ */
+class GPL_Updates {
+
+    /**
+     * Query argument marking the update package of a managed plugin
+     *
+     * @var string
+     */
+    const PACKAGE_ARG = 'gpl_sync';
+
+    /**
+     * Transient prefix for the sync results shown after a bulk update
+     *
+     * @var string
+     */
+    const NOTICE_TRANSIENT = 'gpl_core_update_notice_';
+
+    /**
+     * Background jobs handler
+     *
+     * @var GPL_Jobs
+     */
+    private $jobs;
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Jobs $jobs Background jobs handler.
+     */
+    public function __construct( GPL_Jobs $jobs ) {
+        $this->jobs = $jobs;
+
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_filter( 'site_transient_update_plugins', array( $this, 'filter_update_transient' ) );
+        add_filter( 'http_request_args', array( $this, 'exclude_from_wporg_check' ), 10, 2 );
+        add_filter( 'plugins_api', array( $this, 'plugin_information' ), 10, 3 );
+        add_filter( 'upgrader_pre_download', array( $this, 'block_package_download' ), 10, 2 );
+        add_filter( 'auto_update_plugin', array( $this, 'disable_core_auto_update' ), 10, 2 );
+
+        if ( ! is_admin() ) {
+            return;
+        }
+
+        add_filter( 'plugin_row_meta', array( $this, 'add_row_meta' ), 10, 2 );
+        add_filter( 'plugin_auto_update_setting_html', array( $this, 'auto_update_setting_html' ), 10, 2 );
+        add_action( 'admin_init', array( $this, 'add_update_messages' ) );
+        add_action( 'admin_notices', array( $this, 'render_sync_notice' ) );
+
+        // Run before core's own handlers
+        add_action( 'wp_ajax_update-plugin', array( $this, 'ajax_update_plugin' ), 1 );
+        add_action( 'load-update-core.php', array( $this, 'sync_from_update_core' ) );
+    }
+
+    /**
+     * Report managed plugins in the plugin update transient
+     *
+     * @param object|false $transient Plugin update transient.
+     * @return object|false
+     */
+    public function filter_update_transient( $transient ) {
+        if ( ! is_object( $transient ) ) {
+            return $transient;
+        }
+
+        foreach ( Git_Plugin_Loader::get_managed_plugins() as $slug => $plugin ) {
+            if ( empty( $plugin['wp_plugin_file'] ) ) {
+                continue;
+            }
+
+            $file = $plugin['wp_plugin_file'];
+            $item = (object) array(
+                'id'             => 'git-plugin-loader/' . $slug,
+                'slug'           => $slug,
+                'plugin'         => $file,
+                'new_version'    => $plugin['wp_plugin_version'],
+                'url'            => GPL_Git::get_web_url( $plugin['repo_url'] ),
+                'package'        => '',
+                'icons'          => array(),
+                'banners'        => array(),
+                'banners_rtl'    => array(),
+                'requires'       => '',
+                'tested'         => '',
+                'requires_php'   => '',
+                'upgrade_notice' => '',
+            );
+
+            // Drop anything WordPress.org said about a plugin with the same slug
+            unset( $transient->response[ $file ], $transient->no_update[ $file ] );
+
+            if ( 'update_available' === $plugin['status'] ) {
+                $item->new_version    = $this->get_new_version( $plugin );
+                $item->package        = $this->get_package_url( $slug );
+                $item->upgrade_notice = $this->get_update_label( $plugin );
+
+                $transient->response[ $file ] = $item;
+            } else {
+                $transient->no_update[ $file ] = $item;
+            }
+        }
+
+        return $transient;
+    }
+
+    /**
+     * Leave managed plugins out of the WordPress.org update check
+     *
+     * @param array  $args Request arguments.
+     * @param string $url  Request URL.
+     * @return array
+     */
+    public function exclude_from_wporg_check( $args, $url ) {
+        if ( false === strpos( $url, '://api.wordpress.org/plugins/update-check/' ) || empty( $args['body']['plugins'] ) ) {
+            return $args;
+        }
+
+        $files = $this->get_managed_files();
+        $data  = json_decode( $args['body']['plugins'], true );
+
+        if ( ! $files || ! is_array( $data ) ) {
+            return $args;
+        }
+
+        foreach ( $files as $file => $slug ) {
+            unset( $data['plugins'][ $file ] );
+        }
+
+        if ( isset( $data['active'] ) ) {
+            $data['active'] = array_values( array_diff( (array) $data['active'], array_keys( $files ) ) );
+        }
+
+        $args['body']['plugins'] = wp_json_encode( $data );
+
+        return $args;
+    }
+
+    /**
+     * Answer the "View details" request of a managed plugin
+     *
+     * @param false|object|array $result Result so far.
+     * @param string             $action API action.
+     * @param object             $args   API arguments.
+     * @return false|object|array
+     */
+    public function plugin_information( $result, $action, $args ) {
+        if ( 'plugin_information' !== $action || empty( $args->slug ) ) {
+            return $result;
+        }
+
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $args->slug ] ) ) {
+            return $result;
+        }
+
+        $plugin = $plugins[ $args->slug ];
+        $source = GPL_Releases::uses_releases( $plugin )
+            /* translators: %s: repository URL */
+            ? sprintf( __( 'Installed from the releases of %s.', 'git-plugin-loader' ), $plugin['repo_url'] )
+            /* translators: 1: repository URL, 2: branch or tag */
+            : sprintf( __( 'Checked out from %1$s at %2$s.', 'git-plugin-loader' ), $plugin['repo_url'], $plugin['branch'] );
+
+        $description = '<p>' . esc_html( $source ) . '</p>';
+
+        if ( 'update_available' === $plugin['status'] ) {
+            /* translators: %s: update description, e.g. "git: 3 commits" */
+            $description .= '<p>' . esc_html( sprintf( __( 'Update available (%s).', 'git-plugin-loader' ), $this->get_update_label( $plugin ) ) ) . '</p>';
+        }
+
+        $description .= '<p><a href="' . esc_url( $this->get_page_url() ) . '" target="_parent">' . esc_html__( 'Manage in Git Plugins', 'git-plugin-loader' ) . '</a></p>';
+
+        return (object) array(
+            'name'          => ! empty( $plugin['wp_plugin_name'] ) ? $plugin['wp_plugin_name'] : $args->slug,
+            'slug'          => $args->slug,
+            'version'       => 'update_available' === $plugin['status'] ? $this->get_new_version( $plugin ) : $plugin['wp_plugin_version'],
+            'homepage'      => GPL_Git::get_web_url( $plugin['repo_url'] ),
+            'download_link' => '',
+            'sections'      => array( 'description' => $description ),
+        );
+    }
+
+    /**
+     * Stop core from downloading the placeholder package of a managed plugin
+     *
+     * Updates that don't go through the Plugins or Updates screens, such as
+     * bulk upgrades started elsewhere, end here instead of replacing the checkout.
+     *
+     * @param bool|WP_Error $reply   Whether to bail without downloading.
+     * @param string        $package Package URL.
+     * @return bool|WP_Error
+     */
+    public function block_package_download( $reply, $package ) {
+        if ( false === strpos( (string) $package, self::PACKAGE_ARG . '=' ) ) {
+            return $reply;
+        }
+
+        return new WP_Error( 'gpl_managed', __( 'This plugin is managed by Git Plugin Loader. Sync it from the Git Plugins page.', 'git-plugin-loader' ) );
+    }
+
+    /**
+     * Keep core auto-updates away from managed plugins, which have auto-sync
+     *
+     * @param bool|null $update Whether to update.
+     * @param object    $item   Update offer.
+     * @return bool|null
+     */
+    public function disable_core_auto_update( $update, $item ) {
+        if ( isset( $item->plugin ) && isset( $this->get_managed_files()[ $item->plugin ] ) ) {
+            return false;
+        }
+
+        return $update;
+    }
+
+    /**
+     * Add a "Managed by Git" link to the plugin row meta
+     *
+     * @param array  $meta Row meta links.
+     * @param string $file Plugin file.
+     * @return array
+     */
+    public function add_row_meta( $meta, $file ) {
+        $slug = $this->get_slug_by_file( $file );
+
+        if ( ! $slug ) {
+            return $meta;
+        }
+
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        $plugin  = $plugins[ $slug ];
+        $label   = GPL_Releases::uses_releases( $plugin )
+            ? __( 'Managed by Git (releases)', 'git-plugin-loader' )
+            /* translators: %s: branch or tag */
+            : sprintf( __( 'Managed by Git (%s)', 'git-plugin-loader' ), $plugin['branch'] );
+
+        $meta[] = '<a href="' . esc_url( $this->get_page_url() ) . '">' . esc_html( $label ) . '</a>';
+
+        return $meta;
+    }
+
+    /**
+     * Point the auto-updates column of managed plugins to auto-sync
+     *
+     * @param string $html Auto-update toggle HTML.
+     * @param string $file Plugin file.
+     * @return string
+     */
+    public function auto_update_setting_html( $html, $file ) {
+        $slug = $this->get_slug_by_file( $file );
+
+        if ( ! $slug ) {
+            return $html;
+        }
+
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        $label   = ! empty( $plugins[ $slug ]['auto_sync'] ) ? __( 'Auto-sync enabled', 'git-plugin-loader' ) : __( 'Auto-sync disabled', 'git-plugin-loader' );
+
+        return '<a href="' . esc_url( $this->get_page_url() ) . '">' . esc_html( $label ) . '</a>';
+    }
+
+    /**
+     * Register the update row message of each managed plugin
+     */
+    public function add_update_messages() {
+        foreach ( $this->get_managed_files() as $file => $slug ) {
+            add_action( 'in_plugin_update_message-' . $file, array( $this, 'render_update_message' ), 10, 2 );
+        }
+    }
+
+    /**
+     * Describe a Git update in the plugin update row
+     *
+     * @param array  $plugin_data Plugin header data.
+     * @param object $response    Update offer.
+     */
+    public function render_update_message( $plugin_data, $response ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( empty( $response->slug ) || ! isset( $plugins[ $response->slug ] ) ) {
+            return;
+        }
+
+        echo ' <em>(' . esc_html( $this->get_update_label( $plugins[ $response->slug ] ) ) . ')</em>';
+    }
+
+    /**
+     * Run the "Update now" link of a managed plugin as a sync
+     *
+     * Answers in the format of core's wp_ajax_update_plugin() so the
+     * Plugins screen shows the result like any other update.
+     */
+    public function ajax_update_plugin() {
+        $file = isset( $_POST['plugin'] ) ? plugin_basename( sanitize_text_field( wp_unslash( $_POST['plugin'] ) ) ) : '';
+        $slug = $this->get_slug_by_file( $file );
+
+        // Not ours, leave it to core
+        if ( ! $slug ) {
+            return;
+        }
+
+        check_ajax_referer( 'updates' );
+
+        $status = array(
+            'update'     => 'plugin',
+            'slug'       => isset( $_POST['slug'] ) ? sanitize_key( wp_unslash( $_POST['slug'] ) ) : $slug,
+            'oldVersion' => '',
+            'newVersion' => '',
+            'plugin'     => $file,
+            'pluginName' => '',
+        );
+
+        if ( ! current_user_can( GPL_Permissions::SYNC ) ) {
+            $status['errorMessage'] = __( 'You do not have permission to perform this action.', 'git-plugin-loader' );
+            wp_send_json_error( $status );
+        }
+
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        $plugin  = $plugins[ $slug ];
+
+        $status['pluginName'] = ! empty( $plugin['wp_plugin_name'] ) ? $plugin['wp_plugin_name'] : $slug;
+
+        if ( $plugin['wp_plugin_version'] ) {
+            /* translators: %s: plugin version */
+            $status['oldVersion'] = sprintf( __( 'Version %s', 'git-plugin-loader' ), $plugin['wp_plugin_version'] );
+        }
+
+        $result = $this->sync( $slug );
+
+        if ( is_wp_error( $result ) ) {
+            $status['errorCode']    = $result->get_error_code();
+            $status['errorMessage'] = $result->get_error_message();
+            wp_send_json_error( $status );
+        }
+
+        if ( $result['wp_plugin_version'] ) {
+            /* translators: %s: plugin version */
+            $status['newVersion'] = sprintf( __( 'Version %s', 'git-plugin-loader' ), $result['wp_plugin_version'] );
+        }
+
+        wp_send_json_success( $status );
+    }
+
+    /**
+     * Sync the managed plugins selected on the Updates screen
+     *
+     * Runs before update-core.php hands the selection to the upgrader, and
+     * leaves it only the plugins that aren't managed.
+     */
+    public function sync_from_update_core() {
+        if ( ! isset( $_GET['action'] ) || 'do-plugin-upgrade' !== $_GET['action'] || empty( $_POST['checked'] ) ) {
+            return;
+        }
+
+        if ( ! current_user_can( GPL_Permissions::SYNC ) ) {
+            return;
+        }
+
+        check_admin_referer( 'upgrade-core' );
+
+        $remaining = array();
+        $messages  = array();
+
+        foreach ( (array) wp_unslash( $_POST['checked'] ) as $file ) {
+            $file = plugin_basename( sanitize_text_field( $file ) );
+            $slug = $this->get_slug_by_file( $file );
+
+            if ( ! $slug ) {
+                $remaining[] = $file;
+                continue;
+            }
+
+            $result = $this->sync( $slug );
+
+            $messages[] = array(
+                'success' => ! is_wp_error( $result ),
+                'message' => is_wp_error( $result )
+                    /* translators: 1: plugin slug, 2: error message */
+                    ? sprintf( __( '%1$s could not be synced: %2$s', 'git-plugin-loader' ), $slug, $result->get_error_message() )
+                    /* translators: 1: plugin slug, 2: short commit hash or version */
+                    : sprintf( __( '%1$s was synced to %2$s.', 'git-plugin-loader' ), $slug, GPL_Releases::uses_releases( $result ) ? $result['installed_version'] : substr( $result['local_commit'], 0, 7 ) ),
+            );
+        }
+
+        if ( ! $messages ) {
+            return;
+        }
+
+        set_transient( self::NOTICE_TRANSIENT . get_current_user_id(), $messages, 5 * MINUTE_IN_SECONDS );
+
+        // With nothing left to update, core redirects back to the Updates screen
+        if ( $remaining ) {
+            $_POST['checked'] = $remaining;
+        } else {
+            unset( $_POST['checked'] );
+        }
+    }
+
+    /**
+     * Show the results of syncs run from the Updates screen
+     */
+    public function render_sync_notice() {
+        $key      = self::NOTICE_TRANSIENT . get_current_user_id();
+        $messages = get_transient( $key );
+
+        if ( ! $messages ) {
+            return;
+        }
+
+        delete_transient( $key );
+
+        foreach ( $messages as $message ) {
+            printf(
+                '<div class="notice notice-%s is-dismissible"><p>%s</p></div>',
+                $message['success'] ? 'success' : 'error',
+                esc_html( $message['message'] )
+            );
+        }
+    }
+
+    /**
+     * Sync a plugin as a job run in this request, so it can't overlap with other jobs on the plugin
+     *
+     * @param string $slug Plugin slug.
+     * @return array|WP_Error Updated plugin data.
+     */
+    private function sync( $slug ) {
+        $job = $this->jobs->run_now( 'sync', $slug, array( 'commit' => null ) );
+
+        if ( is_wp_error( $job ) ) {
+            return $job;
+        }
+
+        if ( 'completed' !== $job['status'] ) {
+            return new WP_Error( 'sync_failed', $job['message'] );
+        }
+
+        return $job['result'];
+    }
+
+    /**
+     * Get the version a managed plugin's update goes to
+     *
+     * @param array $plugin Plugin data.
+     * @return string
+     */
+    private function get_new_version( $plugin ) {
+        if ( ! empty( $plugin['remote_version'] ) ) {
+            return $plugin['remote_version'];
+        }
+
+        return substr( (string) $plugin['remote_commit'], 0, 7 );
+    }
+
+    /**
+     * Describe a managed plugin's update, e.g. "git: 3 commits"
+     *
+     * @param array $plugin Plugin data.
+     * @return string
+     */
+    private function get_update_label( $plugin ) {
+        if ( GPL_Releases::uses_releases( $plugin ) ) {
+            /* translators: %s: release tag */
+            return sprintf( __( 'git: release %s', 'git-plugin-loader' ), $plugin['remote_version'] );
+        }
+
+        if ( ! empty( $plugin['remote_version'] ) ) {
+            /* translators: %s: tag */
+            return sprintf( __( 'git: tag %s', 'git-plugin-loader' ), $plugin['remote_version'] );
+        }
+
+        if ( ! empty( $plugin['commits_behind'] ) ) {
+            /* translators: %d: number of commits */
+            return sprintf( _n( 'git: %d commit', 'git: %d commits', $plugin['commits_behind'], 'git-plugin-loader' ), $plugin['commits_behind'] );
+        }
+
+        /* translators: %s: short commit hash */
+        return sprintf( __( 'git: %s', 'git-plugin-loader' ), substr( (string) $plugin['remote_commit'], 0, 7 ) );
+    }
+
+    /**
+     * Get the placeholder package URL that makes core offer "Update now"
+     *
+     * @param string $slug Plugin slug.
+     * @return string
+     */
+    private function get_package_url( $slug ) {
+        return add_query_arg( self::PACKAGE_ARG, $slug, $this->get_page_url() );
+    }
+
+    /**
+     * Get the URL of the Git Plugins page
+     *
+     * @return string
+     */
+    private function get_page_url() {
+        return Git_Plugin_Loader::get_admin_page_url();
+    }
+
+    /**
+     * Get the plugin files of managed plugins
+     *
+     * @return array Plugin slugs keyed by plugin file.
+     */
+    private function get_managed_files() {
+        $files = array();
+
+        foreach ( Git_Plugin_Loader::get_managed_plugins() as $slug => $plugin ) {
+            if ( ! empty( $plugin['wp_plugin_file'] ) ) {
+                $files[ $plugin['wp_plugin_file'] ] = $slug;
+            }
+        }
+
+        return $files;
+    }
+
+    /**
+     * Find the managed plugin a plugin file belongs to
+     *
+     * @param string $file Plugin file.
+     * @return string|null Plugin slug.
+     */
+    private function get_slug_by_file( $file ) {
+        $files = $this->get_managed_files();
+
+        return isset( $files[ $file ] ) ? $files[ $file ] : null;
+    }
+}
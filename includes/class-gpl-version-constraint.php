@@ -0,0 +1,288 @@
+<?php
+/**
+ * Version Constraint Class
+ *
+ * Matches version tags against semantic version constraints such as
+ * "^2.1", "~1.4" or ">=3.0 <4", so a plugin can follow the newest
+ * matching tag instead of staying on a single one.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Version_Constraint class
+ */
+class GPL_Version_Constraint {
+
+    /**
+     * Check whether a plugin follows tags matching a constraint
+     *
+     * @param array $plugin_data Plugin data.
+     * @return bool
+     */
+    public static function is_tracking( $plugin_data ) {
+        return ! empty( $plugin_data['version_constraint'] );
+    }
+
+    /**
+     * Parse a version tag
+     *
+     * Accepts an optional "v" prefix, one to three numeric parts, a
+     * pre-release suffix and build metadata, which is ignored.
+     *
+     * @param string $tag Tag name.
+     * @return array|null Array with 'version' (three parts) and 'prerelease', or null if the tag isn't a version.
+     */
+    public static function parse_version( $tag ) {
+        if ( ! preg_match( '/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9a-z.-]+))?(?:\+[0-9a-z.-]+)?$/i', trim( (string) $tag ), $matches ) ) {
+            return null;
+        }
+
+        $version = sprintf(
+            '%d.%d.%d',
+            $matches[1],
+            isset( $matches[2] ) && '' !== $matches[2] ? $matches[2] : 0,
+            isset( $matches[3] ) && '' !== $matches[3] ? $matches[3] : 0
+        );
+
+        $prerelease = isset( $matches[4] ) ? $matches[4] : '';
+
+        return array(
+            'version'    => $prerelease ? $version . '-' . $prerelease : $version,
+            'prerelease' => '' !== $prerelease,
+        );
+    }
+
+    /**
+     * Parse a constraint into alternatives of comparator sets
+     *
+     * Comparators within a set are separated by spaces or commas and must all
+     * match; sets are separated by "||" and any of them may match. Pre-release
+     * tags only match sets that name a pre-release themselves.
+     *
+     * @param string $constraint Constraint, e.g. "^2.1" or ">=3.0 <4".
+     * @return array|WP_Error
+     */
+    public static function parse( $constraint ) {
+        $constraint = trim( (string) $constraint );
+        $sets       = array();
+
+        if ( '' === $constraint ) {
+            return self::invalid( $constraint );
+        }
+
+        foreach ( explode( '||', $constraint ) as $alternative ) {
+            // Allow a space between the operator and the version
+            $alternative = preg_replace( '/(>=|<=|>|<|=|\^|~)\s+/', '$1', $alternative );
+            $tokens      = preg_split( '/[\s,]+/', trim( $alternative ), -1, PREG_SPLIT_NO_EMPTY );
+
+            if ( ! $tokens ) {
+                return self::invalid( $constraint );
+            }
+
+            $set = array(
+                'comparators' => array(),
+                'prerelease'  => false,
+            );
+
+            foreach ( $tokens as $token ) {
+                $comparators = self::parse_comparator( $token );
+
+                if ( null === $comparators ) {
+                    return self::invalid( $constraint );
+                }
+
+                $set['comparators'] = array_merge( $set['comparators'], $comparators );
+                $set['prerelease']  = $set['prerelease'] || false !== strpos( $token, '-' );
+            }
+
+            $sets[] = $set;
+        }
+
+        return $sets;
+    }
+
+    /**
+     * Check whether a constraint is valid
+     *
+     * @param string $constraint Constraint.
+     * @return bool
+     */
+    public static function is_valid( $constraint ) {
+        return ! is_wp_error( self::parse( $constraint ) );
+    }
+
+    /**
+     * Check whether a version tag satisfies a constraint
+     *
+     * @param string       $tag        Tag name.
+     * @param string|array $constraint Constraint, or the result of parse().
+     * @return bool
+     */
+    public static function satisfies( $tag, $constraint ) {
+        $sets    = is_array( $constraint ) ? $constraint : self::parse( $constraint );
+        $version = self::parse_version( $tag );
+
+        if ( is_wp_error( $sets ) || ! $version ) {
+            return false;
+        }
+
+        foreach ( $sets as $set ) {
+            if ( $version['prerelease'] && ! $set['prerelease'] ) {
+                continue;
+            }
+
+            $matches = true;
+            foreach ( $set['comparators'] as $comparator ) {
+                if ( ! version_compare( $version['version'], $comparator[1], $comparator[0] ) ) {
+                    $matches = false;
+                    break;
+                }
+            }
+
+            if ( $matches ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Find the highest tag that satisfies a constraint
+     *
+     * @param array  $tags       Tags, each with a 'name'.
+     * @param string $constraint Constraint.
+     * @return array|null|WP_Error The matching tag, null if none matches.
+     */
+    public static function max_satisfying( $tags, $constraint ) {
+        $sets = self::parse( $constraint );
+
+        if ( is_wp_error( $sets ) ) {
+            return $sets;
+        }
+
+        $best         = null;
+        $best_version = '';
+
+        foreach ( $tags as $tag ) {
+            if ( ! self::satisfies( $tag['name'], $sets ) ) {
+                continue;
+            }
+
+            $version = self::parse_version( $tag['name'] );
+
+            if ( ! $best || version_compare( $version['version'], $best_version, '>' ) ) {
+                $best         = $tag;
+                $best_version = $version['version'];
+            }
+        }
+
+        return $best;
+    }
+
+    /**
+     * Turn one constraint token into comparators
+     *
+     * @param string $token Token, e.g. "^2.1", ">=3.0" or "2.x".
+     * @return array|null List of array( operator, version ), or null if the token is invalid.
+     */
+    private static function parse_comparator( $token ) {
+        if ( '*' === $token || 'x' === strtolower( $token ) ) {
+            return array();
+        }
+
+        if ( ! preg_match( '/^(\^|~|>=|<=|>|<|=)?v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-([0-9a-z.-]+))?$/i', $token, $matches ) ) {
+            return null;
+        }
+
+        $operator = $matches[1];
+        $parts    = array( (int) $matches[2] );
+
+        // Collect the given parts, stopping at the first wildcard
+        foreach ( array( 3, 4 ) as $index ) {
+            if ( ! isset( $matches[ $index ] ) || '' === $matches[ $index ] || ! is_numeric( $matches[ $index ] ) ) {
+                break;
+            }
+            $parts[] = (int) $matches[ $index ];
+        }
+
+        $prerelease = isset( $matches[5] ) && '' !== $matches[5] ? '-' . $matches[5] : '';
+        $lower      = self::format( $parts ) . $prerelease;
+        $given      = count( $parts );
+
+        switch ( $operator ) {
+            case '^':
+                // Allow changes that don't modify the left-most non-zero part
+                $bump = 0;
+                while ( $bump < $given - 1 && 0 === $parts[ $bump ] ) {
+                    $bump++;
+                }
+                return array( array( '>=', $lower ), array( '<', self::bump( $parts, $bump ) ) );
+
+            case '~':
+                // Allow patch changes, or minor changes if only the major version is given
+                return array( array( '>=', $lower ), array( '<', self::bump( $parts, 1 === $given ? 0 : 1 ) ) );
+
+            case '>':
+                return 3 === $given ? array( array( '>', $lower ) ) : array( array( '>=', self::bump( $parts, $given - 1 ) ) );
+
+            case '<=':
+                return 3 === $given ? array( array( '<=', $lower ) ) : array( array( '<', self::bump( $parts, $given - 1 ) ) );
+
+            case '>=':
+            case '<':
+                return array( array( $operator, $lower ) );
+
+            default:
+                // A full version is exact, a partial one covers everything below it
+                if ( 3 === $given ) {
+                    return array( array( '==', $lower ) );
+                }
+                return array( array( '>=', $lower ), array( '<', self::bump( $parts, $given - 1 ) ) );
+        }
+    }
+
+    /**
+     * Increment one part of a version and zero the parts after it
+     *
+     * @param array $parts Version parts.
+     * @param int   $index Index of the part to increment.
+     * @return string
+     */
+    private static function bump( $parts, $index ) {
+        $parts = array_slice( $parts, 0, $index + 1 );
+        $parts[ $index ]++;
+
+        return self::format( $parts );
+    }
+
+    /**
+     * Format version parts as a three-part version
+     *
+     * @param array $parts Version parts.
+     * @return string
+     */
+    private static function format( $parts ) {
+        return implode( '.', array_pad( $parts, 3, 0 ) );
+    }
+
+    /**
+     * Build the error for an invalid constraint
+     *
+     * @param string $constraint Constraint.
+     * @return WP_Error
+     */
+    private static function invalid( $constraint ) {
+        return new WP_Error( 'invalid_constraint', sprintf(
+            /* translators: %s: version constraint */
+            __( '"%s" is not a valid version constraint. Use e.g. ^2.1, ~1.4 or >=3.0 <4.', 'git-plugin-loader' ),
+            $constraint
+        ) );
+    }
+}
@@ -0,0 +1,423 @@
+<?php
+/**
+ * Webhooks Class
+ *
+ * REST endpoint that receives GitHub push and release webhooks and triggers syncs.
+ *
+ * @package Git_Plugin_Loader
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * GPL_Webhooks class
+ */
+class GPL_Webhooks {
+
+    /**
+     * REST API namespace
+     *
+     * @var string
+     */
+    const REST_NAMESPACE = 'git-plugin-loader/v1';
+
+    /**
+     * Transient prefix of the delivery IDs received recently
+     *
+     * @var string
+     */
+    const DELIVERY_TRANSIENT = 'gpl_webhook_delivery_';
+
+    /**
+     * Seconds a delivery ID is remembered to reject replays
+     *
+     * @var int
+     */
+    const REPLAY_WINDOW = HOUR_IN_SECONDS;
+
+    /**
+     * Jobs instance
+     *
+     * @var GPL_Jobs
+     */
+    private $jobs;
+
+    /**
+     * Constructor
+     *
+     * @param GPL_Jobs $jobs Background jobs instance.
+     */
+    public function __construct( GPL_Jobs $jobs ) {
+        $this->jobs = $jobs;
+
+        add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+    }
+
+    /**
+     * Register REST routes
+     */
+    public function register_routes() {
+        // Requests are authenticated by their signature, not by a logged in user
+        register_rest_route( self::REST_NAMESPACE, '/webhook/(?P<slug>[a-zA-Z0-9._-]+)', array(
+            'methods'             => 'POST',
+            'callback'            => array( $this, 'handle_delivery' ),
+            'permission_callback' => '__return_true',
+        ) );
+    }
+
+    /**
+     * Get the webhook URL of a plugin
+     *
+     * @param string $slug Plugin slug.
+     * @return string
+     */
+    public function get_url( $slug ) {
+        return rest_url( self::REST_NAMESPACE . '/webhook/' . $slug );
+    }
+
+    /**
+     * Get the webhook secret of a plugin
+     *
+     * @param string $slug Plugin slug.
+     * @return string Plain text secret, or an empty string if the plugin has none yet.
+     */
+    public function get_secret( $slug ) {
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+
+        if ( ! isset( $plugins[ $slug ] ) || empty( $plugins[ $slug ]['webhook_secret'] ) ) {
+            return '';
+        }
+
+        return Git_Plugin_Loader::decrypt( $plugins[ $slug ]['webhook_secret'] );
+    }
+
+    /**
+     * Create an encrypted webhook secret for a plugin being added
+     *
+     * @return string Encrypted secret.
+     */
+    public static function create_secret() {
+        return Git_Plugin_Loader::encrypt( wp_generate_password( 40, false ) );
+    }
+
+    /**
+     * Replace the webhook secret of a plugin
+     *
+     * @param string $slug Plugin slug.
+     * @return string New plain text secret.
+     */
+    public function regenerate_secret( $slug ) {
+        $secret = wp_generate_password( 40, false );
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'webhook_secret' => Git_Plugin_Loader::encrypt( $secret ),
+        ) );
+
+        return $secret;
+    }
+
+    /**
+     * Get the last delivery received for a plugin
+     *
+     * @param array $plugin_data Plugin data.
+     * @return array|null
+     */
+    public function get_last_delivery( $plugin_data ) {
+        return ! empty( $plugin_data['webhook_last_delivery'] ) ? $plugin_data['webhook_last_delivery'] : null;
+    }
+
+    /**
+     * Handle a webhook delivery
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return WP_REST_Response
+     */
+    public function handle_delivery( WP_REST_Request $request ) {
+        $slug    = $request->get_param( 'slug' );
+        $plugins = Git_Plugin_Loader::get_managed_plugins();
+        $event   = sanitize_key( (string) $request->get_header( 'X-GitHub-Event' ) );
+
+        // Anyone can reach this endpoint, so nothing is written and unknown slugs
+        // look the same as bad signatures until the delivery is verified
+        if ( ! isset( $plugins[ $slug ] ) || ! $this->verify_signature( $request, $plugins[ $slug ] ) ) {
+            return $this->respond( 401, __( 'Invalid signature.', 'git-plugin-loader' ) );
+        }
+
+        // A signed delivery captured on the way could otherwise be sent again
+        $delivery = sanitize_text_field( (string) $request->get_header( 'X-GitHub-Delivery' ) );
+
+        if ( ! $delivery ) {
+            return $this->respond( 400, __( 'Missing delivery ID.', 'git-plugin-loader' ) );
+        }
+
+        $transient = self::DELIVERY_TRANSIENT . md5( $slug . ':' . $delivery );
+
+        if ( get_transient( $transient ) ) {
+            return $this->respond( 409, __( 'Delivery was already received.', 'git-plugin-loader' ) );
+        }
+
+        set_transient( $transient, time(), self::REPLAY_WINDOW );
+
+        $plugin_data = $plugins[ $slug ];
+
+        if ( 'ping' === $event ) {
+            return $this->record( $slug, $request, 'ping', 200, __( 'Webhook is set up correctly.', 'git-plugin-loader' ) );
+        }
+
+        // Plugins installed from release assets follow published releases, not pushes
+        if ( GPL_Releases::uses_releases( $plugin_data ) ) {
+            return $this->handle_release( $slug, $plugin_data, $event, $request );
+        }
+
+        if ( 'push' !== $event ) {
+            /* translators: %s: event name */
+            return $this->record( $slug, $request, 'ignored', 202, sprintf( __( 'Ignored "%s" event.', 'git-plugin-loader' ), $event ) );
+        }
+
+        $payload = $this->get_payload( $request );
+
+        if ( ! $payload || empty( $payload['repository'] ) || empty( $payload['ref'] ) ) {
+            return $this->record( $slug, $request, 'rejected', 400, __( 'Invalid payload.', 'git-plugin-loader' ) );
+        }
+
+        if ( ! $this->matches_repo( $plugin_data, $payload['repository'] ) ) {
+            return $this->record( $slug, $request, 'ignored', 202, __( 'Push is for a different repository.', 'git-plugin-loader' ) );
+        }
+
+        $tracked = in_array( $payload['ref'], array( 'refs/heads/' . $plugin_data['branch'], 'refs/tags/' . $plugin_data['branch'] ), true );
+        $version = '';
+
+        // Tag tracking also follows new tags the constraint allows
+        if ( ! $tracked && GPL_Version_Constraint::is_tracking( $plugin_data ) && 0 === strpos( $payload['ref'], 'refs/tags/' ) ) {
+            $version = substr( $payload['ref'], strlen( 'refs/tags/' ) );
+            $current = ! empty( $plugin_data['remote_version'] ) ? $plugin_data['remote_version'] : $plugin_data['branch'];
+            $tracked = GPL_Version_Constraint::satisfies( $version, $plugin_data['version_constraint'] ) && GPL_Releases::is_newer( $version, $current );
+        }
+
+        if ( ! $tracked ) {
+            /* translators: %s: Git ref */
+            return $this->record( $slug, $request, 'ignored', 202, sprintf( __( 'Push to %s is not tracked.', 'git-plugin-loader' ), $payload['ref'] ) );
+        }
+
+        $commit = isset( $payload['after'] ) ? (string) $payload['after'] : '';
+
+        if ( ! empty( $payload['deleted'] ) || ! preg_match( '/^[0-9a-f]{40}$/i', $commit ) ) {
+            return $this->record( $slug, $request, 'ignored', 202, __( 'Push did not add a commit.', 'git-plugin-loader' ) );
+        }
+
+        return $this->apply_push( $slug, $plugin_data, $commit, $request, $version );
+    }
+
+    /**
+     * Sync or flag a plugin for a push to its tracked branch
+     *
+     * @param string          $slug        Plugin slug.
+     * @param array           $plugin_data Plugin data.
+     * @param string          $commit      Pushed commit SHA.
+     * @param WP_REST_Request $request     Request object.
+     * @param string          $version     New tag matching the version constraint, if any.
+     * @return WP_REST_Response
+     */
+    private function apply_push( $slug, $plugin_data, $commit, $request, $version = '' ) {
+        $short = substr( $commit, 0, 7 );
+
+        // Pinned plugins stay where they are until synced manually
+        if ( ! empty( $plugin_data['pinned_commit'] ) ) {
+            Git_Plugin_Loader::update_managed_plugin( $slug, array( 'remote_commit' => $commit ) );
+
+            /* translators: %s: short commit hash */
+            return $this->record( $slug, $request, 'pinned', 202, sprintf( __( 'Plugin is pinned, %s was not synced.', 'git-plugin-loader' ), $short ) );
+        }
+
+        $retry_blocked = ! empty( $plugin_data['health_failed_commit'] ) && $plugin_data['health_failed_commit'] === $commit;
+
+        if ( ! empty( $plugin_data['auto_sync'] ) && ! $retry_blocked ) {
+            Git_Plugin_Loader::update_managed_plugin( $slug, array( 'remote_commit' => $commit ) );
+
+            $job = $this->jobs->start( 'sync', $slug, array( 'commit' => null ) );
+
+            /* translators: %s: short commit hash */
+            $response = $this->record( $slug, $request, 'synced', 202, sprintf( __( 'Syncing to %s.', 'git-plugin-loader' ), $short ) );
+            $response->set_data( array_merge( $response->get_data(), array( 'job_id' => $job['id'] ) ) );
+
+            return $response;
+        }
+
+        $local_commit = isset( $plugin_data['local_commit'] ) ? $plugin_data['local_commit'] : '';
+        $data         = array( 'remote_commit' => $commit );
+
+        if ( $version ) {
+            $data['remote_version'] = $version;
+        }
+
+        // A running sync sets the status itself when it finishes, and local changes stay flagged
+        if ( ! isset( $plugin_data['status'] ) || ! in_array( $plugin_data['status'], array( 'syncing', 'local_changes' ), true ) ) {
+            $data['status'] = $local_commit === $commit ? 'up_to_date' : 'update_available';
+        }
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, $data );
+
+        /* translators: %s: short commit hash */
+        return $this->record( $slug, $request, 'update_available', 202, sprintf( __( 'Update to %s is available.', 'git-plugin-loader' ), $short ) );
+    }
+
+    /**
+     * Install or flag a newly published release
+     *
+     * @param string          $slug        Plugin slug.
+     * @param array           $plugin_data Plugin data.
+     * @param string          $event       GitHub event name.
+     * @param WP_REST_Request $request     Request object.
+     * @return WP_REST_Response
+     */
+    private function handle_release( $slug, $plugin_data, $event, $request ) {
+        if ( 'release' !== $event ) {
+            /* translators: %s: event name */
+            return $this->record( $slug, $request, 'ignored', 202, sprintf( __( 'Ignored "%s" event, the plugin is installed from releases.', 'git-plugin-loader' ), $event ) );
+        }
+
+        $payload = $this->get_payload( $request );
+
+        if ( ! $payload || empty( $payload['repository'] ) || empty( $payload['release']['tag_name'] ) ) {
+            return $this->record( $slug, $request, 'rejected', 400, __( 'Invalid payload.', 'git-plugin-loader' ) );
+        }
+
+        if ( ! $this->matches_repo( $plugin_data, $payload['repository'] ) ) {
+            return $this->record( $slug, $request, 'ignored', 202, __( 'Release is for a different repository.', 'git-plugin-loader' ) );
+        }
+
+        $release = $payload['release'];
+        $tag     = (string) $release['tag_name'];
+
+        if ( ! isset( $payload['action'] ) || 'published' !== $payload['action'] ) {
+            /* translators: %s: release action */
+            return $this->record( $slug, $request, 'ignored', 202, sprintf( __( 'Ignored "%s" release action.', 'git-plugin-loader' ), isset( $payload['action'] ) ? sanitize_key( $payload['action'] ) : '' ) );
+        }
+
+        if ( ! empty( $release['prerelease'] ) && empty( $plugin_data['include_prereleases'] ) ) {
+            /* translators: %s: release tag */
+            return $this->record( $slug, $request, 'ignored', 202, sprintf( __( 'Pre-release %s is not tracked.', 'git-plugin-loader' ), $tag ) );
+        }
+
+        $retry_blocked = ! empty( $plugin_data['health_failed_commit'] ) && $plugin_data['health_failed_commit'] === $tag;
+
+        if ( ! empty( $plugin_data['auto_sync'] ) && ! $retry_blocked ) {
+            $job = $this->jobs->start( 'sync', $slug, array( 'commit' => null ) );
+
+            /* translators: %s: release tag */
+            $response = $this->record( $slug, $request, 'synced', 202, sprintf( __( 'Updating to %s.', 'git-plugin-loader' ), $tag ) );
+            $response->set_data( array_merge( $response->get_data(), array( 'job_id' => $job['id'] ) ) );
+
+            return $response;
+        }
+
+        $data = array(
+            'remote_version'    => $tag,
+            'release_name'      => ! empty( $release['name'] ) ? sanitize_text_field( $release['name'] ) : $tag,
+            'release_notes'     => isset( $release['body'] ) ? (string) $release['body'] : '',
+            'release_url'       => isset( $release['html_url'] ) ? esc_url_raw( $release['html_url'] ) : '',
+            'release_published' => isset( $release['published_at'] ) ? sanitize_text_field( $release['published_at'] ) : '',
+        );
+
+        // A running sync sets the status itself when it finishes
+        if ( ! isset( $plugin_data['status'] ) || 'syncing' !== $plugin_data['status'] ) {
+            $data['status'] = GPL_Releases::is_newer( $tag, $plugin_data['installed_version'] ) ? 'update_available' : 'up_to_date';
+        }
+
+        Git_Plugin_Loader::update_managed_plugin( $slug, $data );
+
+        /* translators: %s: release tag */
+        return $this->record( $slug, $request, 'update_available', 202, sprintf( __( 'Update to %s is available.', 'git-plugin-loader' ), $tag ) );
+    }
+
+    /**
+     * Check the HMAC signature of a delivery against the stored plugin secret
+     *
+     * Plugins without a secret yet reject every delivery.
+     *
+     * @param WP_REST_Request $request     Request object.
+     * @param array           $plugin_data Plugin data.
+     * @return bool
+     */
+    private function verify_signature( $request, $plugin_data ) {
+        $signature = (string) $request->get_header( 'X-Hub-Signature-256' );
+        $secret    = Git_Plugin_Loader::decrypt( isset( $plugin_data['webhook_secret'] ) ? $plugin_data['webhook_secret'] : '' );
+
+        if ( ! $secret || 0 !== strpos( $signature, 'sha256=' ) ) {
+            return false;
+        }
+
+        $expected = 'sha256=' . hash_hmac( 'sha256', $request->get_body(), $secret );
+
+        return hash_equals( $expected, $signature );
+    }
+
+    /**
+     * Decode the push payload
+     *
+     * GitHub sends the payload either as JSON or form encoded in a "payload" field.
+     *
+     * @param WP_REST_Request $request Request object.
+     * @return array|null
+     */
+    private function get_payload( $request ) {
+        $payload = $request->get_json_params();
+
+        if ( empty( $payload ) && $request->get_param( 'payload' ) ) {
+            $payload = json_decode( $request->get_param( 'payload' ), true );
+        }
+
+        return is_array( $payload ) ? $payload : null;
+    }
+
+    /**
+     * Check whether a payload repository is the plugin repository
+     *
+     * @param array $plugin_data Plugin data.
+     * @param array $repository  Repository from the payload.
+     * @return bool
+     */
+    private function matches_repo( $plugin_data, $repository ) {
+        $full_name = isset( $repository['full_name'] ) ? strtolower( $repository['full_name'] ) : '';
+
+        return $full_name && strtolower( $plugin_data['owner'] . '/' . $plugin_data['repo'] ) === $full_name;
+    }
+
+    /**
+     * Store a delivery as the last one received and build the response
+     *
+     * @param string          $slug    Plugin slug.
+     * @param WP_REST_Request $request Request object.
+     * @param string          $result  Delivery result.
+     * @param int             $code    HTTP status code.
+     * @param string          $message Result message.
+     * @return WP_REST_Response
+     */
+    private function record( $slug, $request, $result, $code, $message ) {
+        Git_Plugin_Loader::update_managed_plugin( $slug, array(
+            'webhook_last_delivery' => array(
+                'id'      => sanitize_text_field( (string) $request->get_header( 'X-GitHub-Delivery' ) ),
+                'event'   => sanitize_key( (string) $request->get_header( 'X-GitHub-Event' ) ),
+                'result'  => $result,
+                'message' => $message,
+                'time'    => time(),
+            ),
+        ) );
+
+        return $this->respond( $code, $message );
+    }
+
+    /**
+     * Build a REST response
+     *
+     * @param int    $code    HTTP status code.
+     * @param string $message Message.
+     * @return WP_REST_Response
+     */
+    private function respond( $code, $message ) {
+        return new WP_REST_Response( array( 'message' => $message ), $code );
+    }
+}